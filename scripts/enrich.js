@@ -0,0 +1,201 @@
+/**
+ * Enrich CLI
+ * Fetches missing metadata (poster, banner, description, runtime, ...) from the configured
+ * provider and writes it into the catalog data files
+ *
+ * Usage: node scripts/enrich.js [options]
+ *   --catalog <type/name>  Only enrich one catalog, e.g. movie/best_movies_of_2025
+ *   --provider <provider>  tmdb, omdb or a module path (default: ENRICH_PROVIDER)
+ *   --data <source>        Catalog data source (default: CATALOG_DATA_PATH or ./catalog_data.json)
+ *   --force                Ask the provider again, even for ids with a fresh cache entry
+ *   --dry-run              Fetch and report, but do not write the catalog data
+ *   --json                 Print the result as JSON
+ *
+ * Only missing fields are filled; fields already in the data are never overwritten.
+ * Results are cached (METADATA_CACHE_PATH), so running it again only fetches new items.
+ *
+ * Exit codes: 0 = done (some lookups may have failed), 1 = write rejected, 2 = bad arguments or configuration
+ */
+
+// Keep the loader's info logs out of the report
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const fs = require('fs');
+const addonConfig = require('../src/config/addonConfig');
+const catalogService = require('../src/services/catalogService');
+const enrichmentService = require('../src/services/enrichmentService');
+const { isRemoteSource } = require('../src/services/remoteSource');
+const { ValidationError } = require('../src/utils/errors');
+const { formatValidationResult } = require('../src/services/catalogValidator');
+
+const VALUE_OPTIONS = ['--catalog', '--provider', '--data'];
+
+/**
+ * Parse the command line
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+  const options = { force: false, dryRun: false, json: false, unknown: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (VALUE_OPTIONS.includes(arg)) {
+      options[arg.slice(2)] = argv[++i];
+    } else if (arg === '--force') {
+      options.force = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else {
+      options.unknown.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Exit with a usage error
+ * @param {string} message - Error message
+ */
+function fail(message) {
+  console.error(`${message}\n\nUsage: node scripts/enrich.js [--catalog <type/name>] [--provider tmdb|omdb|<module>] [--data <source>] [--force] [--dry-run] [--json]`);
+  process.exit(2);
+}
+
+/**
+ * Call fn for every item of the selected catalogs in parsed source data
+ * @param {Object} data - Parsed source file
+ * @param {Object} selected - { type, name } or null for all catalogs
+ * @param {Function} fn - (item, type) => void
+ */
+function forEachItem(data, selected, fn) {
+  (data.catalogs || []).forEach((catalog) => {
+    if (!catalog || (selected && (catalog.catalog_type !== selected.type || catalog.catalog_name !== selected.name))) {
+      return;
+    }
+    (Array.isArray(catalog.catalog_items) ? catalog.catalog_items : []).forEach((item) => {
+      if (item && typeof item === 'object') {
+        fn(item, catalog.catalog_type);
+      }
+    });
+  });
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.unknown.length > 0) {
+    fail(`Unknown argument: ${options.unknown[0]}`);
+  }
+
+  let selected = null;
+  if (options.catalog) {
+    const separator = options.catalog.indexOf('/');
+    if (separator <= 0) {
+      fail('--catalog must look like <type>/<name>, e.g. movie/best_movies_of_2025');
+    }
+    selected = { type: options.catalog.slice(0, separator), name: options.catalog.slice(separator + 1) };
+  }
+
+  const provider = options.provider || addonConfig.enrichProvider;
+  if (!provider) {
+    fail('No metadata provider configured, set ENRICH_PROVIDER or pass --provider');
+  }
+
+  try {
+    enrichmentService.configure({ ...enrichmentService.getDefaultOptions(provider), fetchInBackground: false });
+  } catch (error) {
+    fail(error.message);
+  }
+
+  const dataSource = options.data || addonConfig.catalogDataPath;
+  try {
+    await catalogService.fetchRemoteSources(dataSource);
+    catalogService.loadCatalogData(dataSource);
+  } catch (error) {
+    console.error(`Cannot load catalog data: ${error.message}`);
+    process.exit(2);
+  }
+
+  if (selected && !catalogService.getRawCatalog(selected.type, selected.name)) {
+    fail(`Catalog not found: ${selected.type}/${selected.name}`);
+  }
+
+  // Remote sources cannot be written; their items are served from the cache instead
+  const files = catalogService.dataPaths.filter((dataPath) => !isRemoteSource(dataPath));
+  if (files.length === 0) {
+    fail('All catalog data sources are remote, nothing to write');
+  }
+
+  // Collect the items that lack fields
+  const wanted = [];
+  files.forEach((filePath) => {
+    forEachItem(JSON.parse(fs.readFileSync(filePath, 'utf8')), selected, (item, type) => {
+      if (enrichmentService.getMissingFields(item).length > 0) {
+        wanted.push({ id: item.id, type });
+      }
+    });
+  });
+
+  const lookups = await enrichmentService.enrichItems(wanted, {
+    force: options.force,
+    onProgress: (done, total) => {
+      if (!options.json && process.stderr.isTTY) {
+        process.stderr.write(`\rFetching metadata ${done}/${total}`);
+        if (done === total) {
+          process.stderr.write('\n');
+        }
+      }
+    },
+  });
+
+  // Write the cached fields into the files; files without changes are not rewritten
+  const fillItems = (data) => {
+    const counts = { items: 0, fields: 0 };
+    forEachItem(data, selected, (item) => {
+      const fields = enrichmentService.getCachedFields(item);
+      const names = Object.keys(fields);
+      if (names.length > 0) {
+        Object.assign(item, fields);
+        counts.items++;
+        counts.fields += names.length;
+      }
+    });
+    return counts;
+  };
+
+  const changedFiles = files.filter((filePath) => fillItems(JSON.parse(fs.readFileSync(filePath, 'utf8'))).items > 0);
+  const filled = changedFiles.length > 0 ? catalogService.editCatalogData(changedFiles, fillItems, { dryRun: options.dryRun }) : [];
+
+  const result = {
+    provider: enrichmentService.provider.name,
+    dryRun: options.dryRun,
+    items: wanted.length,
+    ...lookups,
+    files: files.map((file) => ({ file, ...(filled[changedFiles.indexOf(file)] || { items: 0, fields: 0 }) })),
+  };
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  console.log(`${result.dryRun ? '[dry run] ' : ''}${wanted.length} item(s) with missing fields (provider: ${result.provider})`);
+  console.log(`  ${lookups.fetched} fetched, ${lookups.cached} from cache, ${lookups.notFound} not found, ${lookups.failed.length} failed`);
+  result.files.forEach((file) => {
+    console.log(`  ${file.file}: filled ${file.fields} field(s) in ${file.items} item(s)`);
+  });
+  lookups.failed.forEach((failure) => console.log(`  Failed: ${failure.id}: ${failure.error}`));
+}
+
+main().catch((error) => {
+  if (error instanceof ValidationError) {
+    console.error('Enrichment rejected, the catalog data would not be valid:');
+    formatValidationResult({ errors: error.errors, warnings: [] }).forEach((line) => console.error(line));
+  } else {
+    console.error(`Enrichment failed: ${error.message}`);
+  }
+  process.exit(1);
+});
@@ -0,0 +1,90 @@
+/**
+ * Export CLI
+ * Exports a catalog as CSV, Trakt list JSON, an M3U-style list, Markdown or an HTML page
+ *
+ * Usage: node scripts/export.js <type> <catalog> [options]
+ *   --format <format>   csv, json (Trakt list), m3u, md or html (default: csv)
+ *   --genre <genre>     Only export items of a genre
+ *   --sort <sort>       Sort option label or key, e.g. "IMDB Rating" or rating (default: catalog order)
+ *   --data <source>     Catalog data source (default: CATALOG_DATA_PATH or ./catalog_data.json)
+ *   --out <file>        Write to a file instead of stdout
+ *
+ * Exit codes: 0 = exported, 2 = bad arguments, unknown catalog or unreadable data
+ */
+
+// Keep the loader's info logs out of the export on stdout
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const fs = require('fs');
+const addonConfig = require('../src/config/addonConfig');
+const catalogService = require('../src/services/catalogService');
+const { EXPORT_FORMATS, handleExportRequest } = require('../src/controllers/exportController');
+
+const VALUE_OPTIONS = ['--format', '--genre', '--sort', '--data', '--out'];
+
+/**
+ * Parse the command line
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+  const options = { positional: [], format: 'csv' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (VALUE_OPTIONS.includes(arg)) {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      options.positional.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Exit with an error
+ * @param {string} message - Error message
+ */
+function fail(message) {
+  console.error(`${message}\n\nUsage: node scripts/export.js <type> <catalog> [--format ${Object.keys(EXPORT_FORMATS).join('|')}] [--genre <genre>] [--sort <sort>] [--data <source>] [--out <file>]`);
+  process.exit(2);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const [type, catalog] = options.positional;
+
+  if (!type || !catalog || options.positional.length > 2) {
+    fail('Expected a catalog type and name');
+  }
+  if (!EXPORT_FORMATS[options.format]) {
+    fail(`Unknown format: ${options.format}`);
+  }
+
+  const dataSource = options.data || addonConfig.catalogDataPath;
+  try {
+    await catalogService.fetchRemoteSources(dataSource);
+    catalogService.loadCatalogData(dataSource);
+  } catch (error) {
+    console.error(`Cannot load catalog data: ${error.message}`);
+    process.exit(2);
+  }
+
+  let result;
+  try {
+    result = handleExportRequest(type, catalog, options.format, { genre: options.genre, sort: options.sort });
+  } catch (error) {
+    console.error(`Cannot export ${type}/${catalog}: ${error.message}`);
+    process.exit(2);
+  }
+
+  if (options.out) {
+    fs.writeFileSync(options.out, result.body);
+    console.error(`Exported ${type}/${catalog} to ${options.out}`);
+  } else {
+    process.stdout.write(result.body);
+  }
+}
+
+main();
@@ -0,0 +1,175 @@
+/**
+ * Import CLI
+ * Imports an IMDb, Letterboxd or Trakt list export into a catalog
+ *
+ * Usage: node scripts/import.js <export file> --catalog <name> [options]
+ *   --catalog <name>    Catalog to import into (created if it does not exist)
+ *   --type <type>       Catalog type: movie or series (default: movie)
+ *   --format <format>   Export format: imdb, letterboxd or trakt (default: detected)
+ *   --mode <mode>       merge (default): keep the catalog's items and add/update the imported ones
+ *                       replace: the catalog becomes exactly the imported list
+ *   --data <source>     Catalog data source (default: CATALOG_DATA_PATH or ./catalog_data.json)
+ *   --dry-run           Show what would change without writing anything
+ *   --json              Print the result as JSON
+ *
+ * The catalog is written to the file that defines it (the highest priority one), or to the
+ * first configured file for a new catalog. The file is validated and backed up first.
+ *
+ * Exit codes: 0 = imported (rows may be unmatched), 1 = import rejected, 2 = bad arguments or unreadable file
+ */
+
+// Keep the loader's info logs out of the report
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const fs = require('fs');
+const addonConfig = require('../src/config/addonConfig');
+const catalogService = require('../src/services/catalogService');
+const { importItems } = require('../src/services/catalogEditor');
+const { IMPORT_FORMATS, parseExport, resolveEntries } = require('../src/services/listImport');
+const { ValidationError } = require('../src/utils/errors');
+const { formatValidationResult } = require('../src/services/catalogValidator');
+
+const VALUE_OPTIONS = ['--catalog', '--type', '--format', '--mode', '--data'];
+
+/**
+ * Parse the command line
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+  const options = { files: [], type: 'movie', mode: 'merge', dryRun: false, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (VALUE_OPTIONS.includes(arg)) {
+      options[arg.slice(2)] = argv[++i];
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Exit with a usage error
+ * @param {string} message - Error message
+ */
+function fail(message) {
+  console.error(`${message}\n\nUsage: node scripts/import.js <export file> --catalog <name> [--type movie|series] [--format ${IMPORT_FORMATS.join('|')}] [--mode merge|replace] [--data <source>] [--dry-run] [--json]`);
+  process.exit(2);
+}
+
+/**
+ * Get every item of the loaded catalogs, used to match titles without an IMDB id
+ * @returns {Array} Catalog items
+ */
+function getKnownItems() {
+  return catalogService
+    .getAllCatalogs({ includeInactive: true })
+    .map((catalog) => catalogService.getRawCatalog(catalog.catalog_type, catalog.catalog_name))
+    .reduce((items, catalog) => items.concat((catalog && catalog.catalog_items) || []), []);
+}
+
+/**
+ * Print the import result
+ * @param {Object} result - Import result
+ * @param {Object} options - Command line options
+ */
+function report(result, options) {
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  const { counts } = result;
+  console.log(`${result.dryRun ? '[dry run] ' : ''}${result.format} export -> ${result.type}/${result.catalog} (${result.mode}) in ${result.file}`);
+  if (counts.created) {
+    console.log('  Created the catalog');
+  }
+  console.log(`  ${counts.added} added, ${counts.updated} updated, ${counts.removed} removed`);
+
+  if (result.skipped.length > 0) {
+    console.log(`\nSkipped ${result.skipped.length} row(s):`);
+    result.skipped.forEach((row) => console.log(`  [${row.line}] ${row.name}${row.year ? ` (${row.year})` : ''}: ${row.reason}`));
+  }
+
+  if (result.unmatched.length > 0) {
+    console.log(`\nCould not match ${result.unmatched.length} row(s) to an IMDB id:`);
+    result.unmatched.forEach((row) => console.log(`  [${row.line}] ${row.name}${row.year ? ` (${row.year})` : ''}: ${row.reason}`));
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.files.length !== 1) {
+    fail('Expected exactly one export file');
+  }
+  if (!options.catalog) {
+    fail('--catalog is required');
+  }
+  if (options.mode !== 'merge' && options.mode !== 'replace') {
+    fail(`Unknown mode: ${options.mode}`);
+  }
+  if (options.format && !IMPORT_FORMATS.includes(options.format)) {
+    fail(`Unknown format: ${options.format}`);
+  }
+
+  let parsed;
+  try {
+    parsed = parseExport(fs.readFileSync(options.files[0], 'utf8'), options.format);
+  } catch (error) {
+    console.error(`Cannot read ${options.files[0]}: ${error.message}`);
+    process.exit(2);
+  }
+
+  const dataSource = options.data || addonConfig.catalogDataPath;
+  try {
+    await catalogService.fetchRemoteSources(dataSource);
+    catalogService.loadCatalogData(dataSource);
+  } catch (error) {
+    console.error(`Cannot load catalog data: ${error.message}`);
+    process.exit(2);
+  }
+
+  const { items, unmatched, skipped } = resolveEntries(parsed.entries, { type: options.type, knownItems: getKnownItems() });
+  const file = catalogService.getRawCatalog(options.type, options.catalog)
+    ? catalogService.getCatalogSourceFiles(options.type, options.catalog)[0]
+    : catalogService.getDefaultSourceFile();
+
+  const [counts] = catalogService.editCatalogData(
+    [file],
+    (data) => importItems(data, options.type, options.catalog, items, { mode: options.mode }),
+    { dryRun: options.dryRun }
+  );
+
+  report(
+    {
+      file,
+      format: parsed.format,
+      type: options.type,
+      catalog: options.catalog,
+      mode: options.mode,
+      dryRun: options.dryRun,
+      counts,
+      unmatched,
+      skipped,
+    },
+    options
+  );
+}
+
+main().catch((error) => {
+  if (error instanceof ValidationError) {
+    console.error('Import rejected, the catalog data would not be valid:');
+    formatValidationResult({ errors: error.errors, warnings: [] }).forEach((line) => console.error(line));
+  } else {
+    console.error(`Import failed: ${error.message}`);
+  }
+  process.exit(1);
+});
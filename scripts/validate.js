@@ -0,0 +1,103 @@
+/**
+ * Validate CLI
+ * Checks catalog_data.json against the schema before it is deployed
+ *
+ * Usage: node scripts/validate.js [source] [--fail-on-warnings] [--json]
+ *   source              Catalog data file, directory, glob, URL or comma separated list
+ *                       (default: CATALOG_DATA_PATH or ./catalog_data.json)
+ *   --fail-on-warnings  Treat warnings as errors (unlike STRICT_VALIDATION, which is about serving invalid data)
+ *   --json              Print the results as JSON (for the Python pipeline): an array with one result per file
+ *
+ * Exit codes: 0 = valid, 1 = validation errors, 2 = a file could not be found, read or parsed
+ */
+
+const fs = require('fs');
+const addonConfig = require('../src/config/addonConfig');
+const { validateCatalogData, formatValidationResult } = require('../src/services/catalogValidator');
+const { expandSources } = require('../src/services/catalogSources');
+const { RemoteSource, isRemoteSource } = require('../src/services/remoteSource');
+
+const args = process.argv.slice(2);
+const failOnWarnings = args.includes('--fail-on-warnings');
+const asJson = args.includes('--json');
+const source = args.find((arg) => !arg.startsWith('--')) || addonConfig.catalogDataPath;
+
+const { files, missing } = expandSources(source);
+const results = [];
+let exitCode = 0;
+
+missing.forEach((entry) => {
+  results.push({ file: entry, valid: false, fatal: 'Source not found', errors: [], warnings: [] });
+  exitCode = 2;
+});
+
+if (files.length === 0 && missing.length === 0) {
+  results.push({ file: source, valid: false, fatal: 'No catalog data files found', errors: [], warnings: [] });
+  exitCode = 2;
+}
+
+/**
+ * Read a source file, or download it if it is a URL
+ * @param {string} dataPath - File path or URL
+ * @returns {Promise<string>} JSON text
+ */
+async function readSource(dataPath) {
+  if (!isRemoteSource(dataPath)) {
+    return fs.readFileSync(dataPath, 'utf8');
+  }
+
+  // No disk cache and no fallback: validate exactly what the URL serves
+  const remote = new RemoteSource(dataPath, { cacheDir: null, timeoutMs: addonConfig.remoteTimeoutMs });
+  await remote.refresh({ force: true });
+  if (remote.body === null) {
+    throw new Error('Download failed');
+  }
+  return remote.body;
+}
+
+/**
+ * Validate one source file and record its result
+ * @param {string} dataPath - File path or URL
+ */
+async function validateFile(dataPath) {
+  let data;
+  try {
+    data = JSON.parse(await readSource(dataPath));
+  } catch (error) {
+    results.push({ file: dataPath, valid: false, fatal: error.message, errors: [], warnings: [] });
+    exitCode = 2;
+    return;
+  }
+
+  const result = validateCatalogData(data, { idPrefixes: addonConfig.idPrefixes });
+  const valid = result.valid && !(failOnWarnings && result.warnings.length > 0);
+  results.push({ file: dataPath, ...result, valid });
+  if (!valid && exitCode === 0) {
+    exitCode = 1;
+  }
+}
+
+/**
+ * Print the results and exit
+ */
+function report() {
+  if (asJson) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    results.forEach((result) => {
+      if (result.fatal) {
+        console.error(`Cannot read ${result.file}: ${result.fatal}`);
+        return;
+      }
+      formatValidationResult(result).forEach((line) => console.log(line));
+      console.log(`\n${result.file}: ${result.errors.length} error(s), ${result.warnings.length} warning(s)${result.valid ? ' - OK' : ' - FAILED'}`);
+    });
+  }
+
+  process.exit(exitCode);
+}
+
+// Validate files one at a time so results keep the configured order
+files
+  .reduce((previous, dataPath) => previous.then(() => validateFile(dataPath)), Promise.resolve())
+  .then(report);
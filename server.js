@@ -3,8 +3,8 @@
  * Serves the Stremio addon via HTTP
  */
 
-const { serveHTTP } = require('stremio-addon-sdk');
-const buildAddon = require('./src/index');
+const { createApp, initializeAddon } = require('./src/app');
+const catalogService = require('./src/services/catalogService');
 const logger = require('./src/utils/logger');
 const addonConfig = require('./src/config/addonConfig');
 
@@ -12,28 +12,39 @@ const addonConfig = require('./src/config/addonConfig');
 // Most hosting platforms (Heroku, Railway, Render, etc.) set PORT environment variable dynamically
 const PORT = process.env.PORT || addonConfig.port;
 
-try {
-  // Build the addon
-  const addonInterface = buildAddon();
+/**
+ * Build the addon and start the HTTP server
+ */
+async function start() {
+  // Build the addon up front (fetching remote catalog data first, if configured),
+  // so a broken setup fails on startup rather than on the first request
+  await initializeAddon();
+
+  // Reload the addon (and its manifest) when catalog data changes
+  if (addonConfig.watchCatalogData) {
+    catalogService.watchCatalogData({ debounceMs: addonConfig.reloadDebounceMs });
+  }
 
-  // Start HTTP server using serveHTTP
-  // Note: serveHTTP creates its own Express server, so custom routes like /healthz
-  // need to be added through the addon interface if supported, or use a separate server
-  serveHTTP(addonInterface, { port: PORT }, (err, url) => {
-    if (err) {
-      logger.error('Failed to start server:', err.message);
-      process.exit(1);
-    }
+  const app = createApp();
 
+  const server = app.listen(PORT, () => {
+    const url = `http://127.0.0.1:${server.address().port}`;
     logger.info(`Stremio addon server running on port ${PORT}`);
     logger.info(`Addon manifest available at: ${url}/manifest.json`);
     logger.info(`Add this URL to Stremio: ${url}/manifest.json`);
-    logger.info(`Note: /healthz endpoint is available in Vercel deployment via /api/index.js`);
+    logger.info(`Health check available at: ${url}/healthz`);
+  });
+
+  server.on('error', (err) => {
+    logger.error('Failed to start server:', err.message);
+    process.exit(1);
   });
-} catch (error) {
+}
+
+start().catch((error) => {
   logger.error('Failed to initialize addon:', error.message);
   process.exit(1);
-}
+});
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
@@ -45,4 +56,3 @@ process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
   process.exit(0);
 });
-
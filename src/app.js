@@ -0,0 +1,403 @@
+/**
+ * HTTP Application
+ * The Express app shared by every deployment target:
+ * - server.js listens on it (Docker, Render, local)
+ * - api/index.js exports it as the Vercel serverless function
+ *
+ * Addon resources (manifest, catalog, meta, stream) are served by the SDK router, so extras are
+ * parsed the same way everywhere (/catalog/{type}/{id}/{extra}.json). Our own routes
+ * (configure page, personalized manifests, health check) are registered around it.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { getRouter } = require('stremio-addon-sdk');
+const buildAddon = require('./index');
+const catalogService = require('./services/catalogService');
+const { handleConfigureRequest, handleManifestRequest } = require('./controllers/configureController');
+const adminController = require('./controllers/adminController');
+const exportController = require('./controllers/exportController');
+const responseCache = require('./services/responseCache');
+const metrics = require('./services/metrics');
+const logger = require('./utils/logger');
+const addonConfig = require('./config/addonConfig');
+
+// Addon resources, with or without a user config prefix: /manifest.json, /{config}/catalog/..., /meta/..., /stream/...
+const ADDON_RESOURCE_PATH = /^(?:\/[^/]+)?\/(?:manifest\.json$|(?:catalog|meta|stream)\/)/;
+
+// Incoming request ids are reused (e.g. from a proxy) if they look sane
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Check a metrics token in constant time
+ * @param {Object} req - Express request, with "Authorization: Bearer <token>" if METRICS_TOKEN is set
+ * @returns {boolean} True if the request may read the metrics
+ */
+function checkMetricsToken(req) {
+  if (!addonConfig.metricsToken) {
+    return true;
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const token = authorization.startsWith('Bearer ') ? authorization.slice(7) : '';
+  const expected = crypto.createHash('sha256').update(addonConfig.metricsToken).digest();
+  const actual = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Get a short route name for logs: the addon resource, or the first path segment
+ * @param {string} requestPath - Request path
+ * @returns {string} e.g. "catalog", "meta", "stream", "manifest", "admin", "healthz"
+ */
+function getRouteName(requestPath) {
+  const resource = /^(?:\/[^/]+)?\/(manifest\.json$|catalog\/|meta\/|stream\/|configure$)/.exec(requestPath);
+  if (resource) {
+    return resource[1].replace(/\.json$|\/$/, '');
+  }
+  return requestPath.split('/')[1] || '/';
+}
+
+// The SDK router captures the manifest when it is created, so it is rebuilt and
+// swapped whenever catalog data is reloaded
+let addonRouter = null;
+let manifest = null;
+let addonOptions = {}; // Configuration the addon was built with, used again on rebuilds
+let initialization = null; // Pending initializeAddon() call
+
+/**
+ * Build the router for an addon interface
+ * @param {Object} addonInterface - Stremio addon interface
+ * @param {Object} config - Configuration the interface was built with (see buildAddon)
+ */
+function mountAddon(addonInterface, config) {
+  addonRouter = getRouter(addonInterface);
+  manifest = addonInterface.manifest;
+  addonOptions = config;
+}
+
+/**
+ * Rebuild the addon (and its manifest) from the current catalog data
+ * @param {string} reason - Why, for the log, e.g. "catalog data revision 3"
+ */
+function rebuildAddon(reason) {
+  if (!addonRouter) {
+    return;
+  }
+
+  try {
+    mountAddon(buildAddon.createAddonInterface(addonOptions), addonOptions);
+    logger.info(`Addon reloaded with ${reason}`);
+  } catch (error) {
+    // Keep serving the previous addon interface
+    logger.error('Failed to rebuild addon after reload:', error.message);
+  }
+}
+
+// Rebuild the addon when catalog data is reloaded, and when scheduled catalogs appear or disappear
+catalogService.on('reload', ({ revision }) => rebuildAddon(`catalog data revision ${revision}`));
+catalogService.on('scheduleChange', ({ active }) => rebuildAddon(`scheduled catalogs: ${active.join(', ') || 'none active'}`));
+
+/**
+ * Load the catalog data and build the addon, once
+ * Concurrent calls share one initialization; a failed initialization is retried on the next call
+ * @param {Object} config - Optional configuration object to override defaults (see buildAddon)
+ * @returns {Promise<Object>} Addon manifest
+ */
+function initializeAddon(config = {}) {
+  if (addonRouter) {
+    return Promise.resolve(manifest);
+  }
+
+  if (!initialization) {
+    initialization = buildAddon
+      .buildAddonAsync(config)
+      .then((addonInterface) => {
+        mountAddon(addonInterface, config);
+        return manifest;
+      })
+      .finally(() => {
+        initialization = null;
+      });
+  }
+
+  return initialization;
+}
+
+/**
+ * Create the router for the admin API
+ * Requests must carry ADMIN_TOKEN as "Authorization: Bearer <token>" (or an X-Admin-Token header)
+ * @returns {Function} Express router
+ */
+function createAdminRouter() {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!adminController.isAdminEnabled()) {
+      res.status(404).json({ error: 'Admin API is disabled, set ADMIN_TOKEN to enable it' });
+      return;
+    }
+
+    const authorization = req.get('Authorization') || '';
+    const token = authorization.startsWith('Bearer ') ? authorization.slice(7) : req.get('X-Admin-Token');
+    if (!adminController.checkAdminToken(token)) {
+      logger.warn(`Admin API: rejected unauthorized ${req.method} ${req.originalUrl}`);
+      res.status(401).json({ error: 'Unauthorized' });
+      return;
+    }
+    next();
+  });
+
+  router.use(express.json({ limit: '1mb' }));
+
+  // Wrap a handler: (req) => result, errors become JSON responses with a matching status
+  const handle = (handler, status = 200) => (req, res) => {
+    try {
+      res.status(status).json(handler(req));
+    } catch (error) {
+      const errorStatus = adminController.getErrorStatus(error);
+      if (errorStatus === 500) {
+        logger.error(`Admin API: ${req.method} ${req.originalUrl} failed:`, error.message);
+      }
+      res.status(errorStatus).json({ error: error.message, ...(error.errors ? { problems: error.errors } : {}) });
+    }
+  };
+
+  router.get('/catalogs', handle(() => adminController.handleListCatalogs()));
+  router.post('/catalogs', handle((req) => adminController.handleCreateCatalog(req.body), 201));
+  router.get('/catalogs/:type/:id', handle((req) => adminController.handleGetCatalog(req.params.type, req.params.id)));
+  router.patch('/catalogs/:type/:id', handle((req) => adminController.handleUpdateCatalog(req.params.type, req.params.id, req.body)));
+  router.delete('/catalogs/:type/:id', handle((req) => adminController.handleDeleteCatalog(req.params.type, req.params.id)));
+  router.post('/catalogs/:type/:id/items', handle((req) => adminController.handleAddItem(req.params.type, req.params.id, req.body), 201));
+  router.put('/catalogs/:type/:id/items/order', handle((req) => adminController.handleReorderItems(req.params.type, req.params.id, req.body)));
+  router.post(
+    '/catalogs/:type/:id/items/:itemId/move',
+    handle((req) => adminController.handleMoveItem(req.params.type, req.params.id, req.params.itemId, req.body))
+  );
+  router.get('/catalogs/:type/:id/preview', handle((req) => adminController.handlePreviewCatalog(req.params.type, req.params.id)));
+  router.delete(
+    '/catalogs/:type/:id/items/:itemId',
+    handle((req) => adminController.handleRemoveItem(req.params.type, req.params.id, req.params.itemId))
+  );
+
+  // Malformed JSON bodies
+  router.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+      res.status(400).json({ error: `Invalid JSON body: ${error.message}` });
+      return;
+    }
+    next(error);
+  });
+
+  return router;
+}
+
+/**
+ * Create the Express app
+ * The addon is initialized on the first request that needs it, so serverless cold starts
+ * only load catalog data when it is used; long-running servers call initializeAddon up front
+ * @param {Object} config - Optional configuration object to override defaults (see buildAddon)
+ * @returns {Function} Express app
+ */
+function createApp(config = {}) {
+  const app = express();
+
+  app.disable('x-powered-by');
+
+  // Request context, access log and metrics: every line logged while handling a request carries its id,
+  // and one line per request records the outcome (see utils/logger.js)
+  app.use((req, res, next) => {
+    const incomingId = req.get('X-Request-Id');
+    const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomBytes(8).toString('hex');
+    const context = { requestId, method: req.method, route: getRouteName(req.path) };
+    const start = process.hrtime();
+
+    res.setHeader('X-Request-Id', requestId);
+
+    res.on('finish', () => {
+      const [seconds, nanoseconds] = process.hrtime(start);
+      const durationMs = Math.round((seconds * 1e3 + nanoseconds / 1e6) * 10) / 10;
+      if (addonConfig.metricsEnabled) {
+        metrics.recordRequest(context, res.statusCode, durationMs);
+      }
+      if (addonConfig.accessLog) {
+        logger.info({ ...context, status: res.statusCode, durationMs }, `${req.method} ${req.originalUrl} ${res.statusCode} ${durationMs}ms`);
+      }
+    });
+
+    logger.runWithContext(context, next);
+  });
+
+  // CORS is mandatory for the addon protocol, also on our own routes
+  app.use((req, res, next) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+      res.status(200).end();
+      return;
+    }
+    next();
+  });
+
+  // Health check, answered without loading catalog data
+  app.get(['/healthz', '/health'], (req, res) => {
+    res.json({
+      status: 'ok',
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString(),
+      version: manifest ? manifest.version : addonConfig.addonVersion,
+    });
+  });
+
+  // Everything else needs the addon
+  app.use(async (req, res, next) => {
+    try {
+      await initializeAddon(config);
+    } catch (error) {
+      logger.error('Failed to initialize addon:', error.message);
+      res.status(500).json({ error: 'Failed to load addon', message: error.message });
+      return;
+    }
+
+    // Remote catalog data is checked on requests (at most once per REMOTE_TTL_SECONDS),
+    // which is the only way to refresh it on serverless platforms
+    try {
+      await catalogService.refreshRemoteSources();
+    } catch (error) {
+      logger.warn('Failed to refresh remote catalog data:', error.message);
+    }
+
+    // Scheduled catalogs are checked on requests too (a cheap check until the next transition),
+    // so they appear and disappear without a timer, also on serverless platforms
+    catalogService.getScheduleState();
+
+    next();
+  });
+
+  // Metrics in the Prometheus text format, and as a JSON summary (METRICS_SUMMARY) for platforms
+  // where counters reset with every instance and are better collected per instance
+  app.get(['/metrics', '/metrics/summary'], (req, res, next) => {
+    const summary = req.path === '/metrics/summary';
+    if (!addonConfig.metricsEnabled || (summary && !addonConfig.metricsSummary)) {
+      next();
+      return;
+    }
+    if (!checkMetricsToken(req)) {
+      res.status(401).json({ error: 'Unauthorized' });
+      return;
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    if (summary) {
+      res.json(metrics.getSummary());
+      return;
+    }
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.end(metrics.render());
+  });
+
+  // Admin API for curating catalogs
+  app.use('/admin/api', createAdminRouter());
+
+  // Admin UI, built on the admin API
+  app.get('/admin', (req, res) => {
+    res.setHeader('Content-Type', 'text/html');
+    res.end(adminController.handleAdminPageRequest(manifest));
+  });
+
+  // Catalog exports for sharing outside Stremio, with the same genre and sort options
+  // e.g. /export/movie/best_movies_of_2025.csv?genre=Crime&sort=IMDB%20Rating
+  app.get('/export/:type/:file', (req, res, next) => {
+    const file = exportController.parseExportFileName(req.params.file);
+    if (!file) {
+      next();
+      return;
+    }
+
+    try {
+      const result = exportController.handleExportRequest(req.params.type, file.id, file.format, {
+        genre: typeof req.query.genre === 'string' ? req.query.genre : null,
+        sort: typeof req.query.sort === 'string' ? req.query.sort : null,
+        manifest,
+      });
+      res.setHeader('Content-Type', result.contentType);
+      res.setHeader('Content-Disposition', `${result.attachment ? 'attachment' : 'inline'}; filename="${result.fileName}"`);
+      res.end(result.body);
+    } catch (error) {
+      const status = adminController.getErrorStatus(error);
+      if (status === 500) {
+        next(error);
+        return;
+      }
+      res.status(status).json({ error: error.message });
+    }
+  });
+
+  // Configure page, also reachable from an installed addon to change its settings
+  app.get(['/configure', '/:config/configure'], (req, res) => {
+    res.setHeader('Content-Type', 'text/html');
+    res.end(handleConfigureRequest(manifest, req.params.config));
+  });
+
+  // HTTP caching for the addon resources: responses only change with the data, so clients
+  // revalidate with the ETag and get an empty 304 while the data is unchanged
+  app.get(ADDON_RESOURCE_PATH, (req, res, next) => {
+    const etag = responseCache.getEtag();
+    const cacheControl = responseCache.getCacheControl();
+    const fresh = responseCache.isFresh(req.get('If-None-Match'));
+
+    // Only successful responses may be cached, errors are sent without the headers. The request is
+    // handled first, so only a request that would get a 200 is answered with a 304 (not an unknown id)
+    const writeHead = res.writeHead;
+    res.writeHead = function (statusCode, ...args) {
+      if (statusCode !== 200) {
+        return writeHead.call(this, statusCode, ...args);
+      }
+      res.setHeader('ETag', etag);
+      res.setHeader('Cache-Control', cacheControl);
+      if (!fresh) {
+        return writeHead.call(this, statusCode, ...args);
+      }
+      // Node drops the body of a 304
+      res.removeHeader('Content-Type');
+      res.removeHeader('Content-Length');
+      return writeHead.call(this, 304);
+    };
+    next();
+  });
+
+  // Personalized manifest for a user config (catalog visibility and order)
+  // Catalog requests with a config are handled by the SDK router, which passes the config to the handler
+  app.get('/:config/manifest.json', (req, res) => {
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(handleManifestRequest(manifest, req.params.config)));
+  });
+
+  // Manifest, catalog, meta and stream resources
+  app.use((req, res, next) => addonRouter(req, res, next));
+
+  // Landing page
+  app.get('/', (req, res) => {
+    res.redirect('/configure');
+  });
+
+  // Unknown paths
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Not found', path: req.path });
+  });
+
+  // Unexpected errors
+  app.use((error, req, res, next) => {
+    logger.error(`Error handling ${req.method} ${req.path}:`, error.message);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  });
+
+  return app;
+}
+
+module.exports = {
+  createApp,
+  initializeAddon,
+};
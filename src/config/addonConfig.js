@@ -9,12 +9,50 @@ require('dotenv').config();
 module.exports = {
   addonId: process.env.ADDON_ID || 'com.rkp.favourites',
   addonVersion: process.env.ADDON_VERSION || '0.2.0',
+  // Identifies the deployed code, so a deploy changes the ETag even when the data does not
+  // (Vercel and Render set their commit, elsewhere set BUILD_ID)
+  buildId: process.env.BUILD_ID || process.env.VERCEL_GIT_COMMIT_SHA || process.env.RENDER_GIT_COMMIT || null,
   addonName: process.env.ADDON_NAME || 'RKP Favourites',
   addonDescription: process.env.ADDON_DESCRIPTION || 'Private addon for personal use. Curated collection of Tamil movies and series sourced from IMDB, maintained using custom Python scripts. RKP represents Raghul Kaviya Prasad (Raghul Prasad and Kaviya).',
   addonLogo: process.env.ADDON_LOGO || 'https://i.postimg.cc/VLwTjB6d/rkp-favourites-logo.png',
   addonBackground: process.env.ADDON_BACKGROUND || 'https://i.postimg.cc/2SpsXR25/rkp-favourites-bg.png',
   idPrefixes: process.env.ID_PREFIXES ? process.env.ID_PREFIXES.split(',') : ['tt'],
+  addonUrl: process.env.ADDON_URL || null,
   catalogDataPath: process.env.CATALOG_DATA_PATH || './catalog_data.json',
+  pageSize: parseInt(process.env.PAGE_SIZE, 10) || 100,
+  scheduleUtcOffset: process.env.SCHEDULE_UTC_OFFSET || '+00:00',
+  surpriseCatalog: process.env.SURPRISE_CATALOG === 'true',
+  featuredCatalogSources: process.env.FEATURED_CATALOG_SOURCES ? process.env.FEATURED_CATALOG_SOURCES.split(',').map((name) => name.trim()).filter(Boolean) : [],
+  featuredCatalogSize: parseInt(process.env.FEATURED_CATALOG_SIZE, 10) || 10,
+  genreMinItems: parseInt(process.env.GENRE_MIN_ITEMS, 10) || 1,
+  genreAllOption: process.env.GENRE_ALL_OPTION === 'true',
+  strictValidation: process.env.STRICT_VALIDATION === 'true',
+  watchCatalogData: process.env.WATCH_CATALOG_DATA !== 'false',
+  reloadDebounceMs: parseInt(process.env.RELOAD_DEBOUNCE_MS, 10) || 500,
+  remoteTtlSeconds: parseInt(process.env.REMOTE_TTL_SECONDS, 10) || 300,
+  remoteTimeoutMs: parseInt(process.env.REMOTE_TIMEOUT_MS, 10) || 10000,
+  remoteCacheDir: process.env.REMOTE_CACHE_DIR || null,
+  catalogDataFallbackPath: process.env.CATALOG_DATA_FALLBACK_PATH || './catalog_data.json',
+  adminToken: process.env.ADMIN_TOKEN || null,
+  backupDir: process.env.BACKUP_DIR || null,
+  backupCount: parseInt(process.env.BACKUP_COUNT, 10) || 10,
+  enrichProvider: process.env.ENRICH_PROVIDER || null,
+  tmdbApiKey: process.env.TMDB_API_KEY || null,
+  omdbApiKey: process.env.OMDB_API_KEY || null,
+  metadataCachePath: process.env.METADATA_CACHE_PATH || null,
+  metadataTtlDays: parseInt(process.env.METADATA_TTL_DAYS, 10) || 30,
+  enrichOnServe: process.env.ENRICH_ON_SERVE !== 'false',
+  enrichTimeoutMs: parseInt(process.env.ENRICH_TIMEOUT_MS, 10) || 10000,
+  enrichDelayMs: parseInt(process.env.ENRICH_DELAY_MS, 10) || 250,
+  // 0 is a valid setting for these, so they cannot fall back with ||
+  cacheMaxAge: process.env.CACHE_MAX_AGE !== undefined ? parseInt(process.env.CACHE_MAX_AGE, 10) || 0 : 300,
+  cacheStaleRevalidate: process.env.CACHE_STALE_REVALIDATE !== undefined ? parseInt(process.env.CACHE_STALE_REVALIDATE, 10) || 0 : 3600,
+  cacheStaleError: process.env.CACHE_STALE_ERROR !== undefined ? parseInt(process.env.CACHE_STALE_ERROR, 10) || 0 : 86400,
+  pageCacheSize: process.env.PAGE_CACHE_SIZE !== undefined ? parseInt(process.env.PAGE_CACHE_SIZE, 10) || 0 : 500,
+  accessLog: process.env.ACCESS_LOG !== 'false',
+  metricsEnabled: process.env.METRICS_ENABLED !== 'false',
+  metricsSummary: process.env.METRICS_SUMMARY === 'true',
+  metricsToken: process.env.METRICS_TOKEN || null,
   port: process.env.PORT || 7000,
 };
 
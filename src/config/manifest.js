@@ -6,74 +6,159 @@
 const catalogService = require('../services/catalogService');
 const logger = require('../utils/logger');
 const { DataLoadError } = require('../utils/errors');
+const { formatCatalogName } = require('../utils/format');
+const { SEARCH_CATALOG_ID } = require('../services/searchIndex');
+const { SORT_OPTION_NAMES } = require('../services/catalogSort');
+const { ALL_GENRES_OPTION } = require('../services/genres');
+const { getCatalogDisplayName, isCatalogListed, showsInHome, sortCatalogs } = require('../services/catalogDisplay');
+const { MANIFEST_CONFIG_FIELDS, applyCatalogPreferences } = require('./userConfig');
 
 /**
- * Format catalog name for display
- * Converts "best_movies_of_2025" to "Best Movies of 2025"
- * @param {string} catalogName - Catalog name from JSON
- * @returns {string} Formatted name
+ * Bump the patch version by the catalog data revision
+ * Stremio clients only pick up manifest changes (new catalogs) when the version changes,
+ * so every change of catalog_data.json (and every schedule change) produces a higher version: 0.2.0 -> 0.2.1760869800
+ * @param {string} version - Base addon version (semver)
+ * @param {number} revision - Catalog data revision (see getDataRevision)
+ * @returns {string} Bumped version
  */
-function formatCatalogName(catalogName) {
-  if (!catalogName) {
-    return 'Unknown Catalog';
+function bumpVersion(version, revision) {
+  if (!revision) {
+    return version;
   }
 
-  return catalogName
-    .split('_')
-    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
-    .join(' ');
+  const match = /^(\d+)\.(\d+)\.(\d+)(.*)$/.exec(version);
+  if (!match) {
+    logger.warn(`Addon version is not semver, cannot bump it on reload: ${version}`);
+    return version;
+  }
+
+  const [, major, minor, patch, rest] = match;
+  return `${major}.${minor}.${parseInt(patch, 10) + revision}${rest}`;
+}
+
+/**
+ * Get the revision of the served data: when it last changed, in seconds
+ * Clients ignore a version lower than the one they have, so the revision is a time rather than a hash:
+ * it only goes up, and stays the same after a restart for the same data
+ * @param {number} dataModifiedAt - When the newest data file was modified (see CatalogService.dataModifiedAt)
+ * @param {number} lastTransition - When a scheduled catalog last appeared or disappeared (see CatalogService.getScheduleState)
+ * @returns {number} Seconds since 1970-01-01, or 0 without data
+ */
+function getDataRevision(dataModifiedAt, lastTransition) {
+  return Math.floor(Math.max(dataModifiedAt || 0, lastTransition || 0) / 1000);
 }
 
 /**
  * Generate manifest object
  * @param {Object} config - Addon configuration
+ * @param {Object} options - Options object
+ * @param {number} options.now - Current time, decides which scheduled catalogs are listed (default: Date.now())
  * @returns {Object} Stremio manifest object
  */
-function generateManifest(config) {
+function generateManifest(config, { now = Date.now() } = {}) {
   try {
-    // Get all catalogs and supported types from the service
-    const catalogs = catalogService.getAllCatalogs();
+    // Get the listed catalogs (not hidden, drafts or outside their schedule) in their display order,
+    // followed by the virtual catalogs (Surprise Me, Featured Today), and the supported types
+    const catalogs = sortCatalogs(catalogService.getAllCatalogs({ now }).filter(isCatalogListed))
+      .concat(catalogService.getVirtualCatalogs());
     const supportedTypes = catalogService.getSupportedTypes();
+    const streamTypes = catalogService.getStreamTypes(now);
+    const hasMultipleSources = catalogService.getSourceCount() > 1;
 
     // Build catalogs array for manifest
     // Include 'skip' in extra to enable pagination support
+    // Include 'sort' in extra to offer a sort selector on every catalog (but virtual ones, sorting would undo their pick)
     // Include 'genre' in extra with dynamic options for each catalog
     const manifestCatalogs = catalogs.map((catalog) => {
+      const inHome = showsInHome(catalog);
       const extra = [
         {
           name: 'skip',
           isRequired: false,
         },
       ];
+      if (!catalog.virtual) {
+        extra.push({
+          name: 'sort',
+          isRequired: false,
+          options: SORT_OPTION_NAMES,
+        });
+      }
 
       // Get unique genres for this catalog
-      // try {
-      //   const genres = catalogService.getCatalogGenres(
-      //     catalog.catalog_type,
-      //     catalog.catalog_name
-      //   );
-
-      //   // Only add genre filter if there are genres available
-      //   if (genres.length > 0) {
-      //     extra.push({
-      //       name: 'genre',
-      //       isRequired: false,
-      //       options: genres,
-      //     });
-      //   }
-      // } catch (error) {
-      //   logger.warn(
-      //     `Failed to get genres for catalog ${catalog.catalog_type}/${catalog.catalog_name}: ${error.message}`
-      //   );
-      //   // Continue without genre filter if there's an error
-      // }
-
-      return {
+      try {
+        let genres = catalogService.getCatalogGenreOptions(
+          catalog.catalog_type,
+          catalog.catalog_name
+        );
+
+        // Stremio leaves catalogs with a required extra off the board, so catalogs that are only
+        // offered in Discover require a genre, with "All" (no filter) first as the default
+        if (!inHome) {
+          genres = [ALL_GENRES_OPTION, ...genres.filter((genre) => genre !== ALL_GENRES_OPTION)];
+        }
+
+        // Only add genre filter if there are genres available
+        if (genres.length > 0) {
+          extra.push({
+            name: 'genre',
+            isRequired: !inHome,
+            options: genres,
+          });
+        }
+      } catch (error) {
+        logger.warn(
+          `Failed to get genres for catalog ${catalog.catalog_type}/${catalog.catalog_name}: ${error.message}`
+        );
+        // Continue without genre filter if there's an error
+      }
+
+      const manifestCatalog = {
         type: catalog.catalog_type,
         id: catalog.catalog_name,
-        name: formatCatalogName(catalog.catalog_name),
+        name: getCatalogDisplayName(catalog),
         extra,
       };
+
+      // Informational like sources below, shown on the configure page
+      if (typeof catalog.description === 'string' && catalog.description.trim()) {
+        manifestCatalog.description = catalog.description.trim();
+      }
+
+      // Older clients read the required extras from extraRequired/extraSupported
+      if (!inHome) {
+        manifestCatalog.extraSupported = extra.map((entry) => entry.name);
+        manifestCatalog.extraRequired = ['genre'];
+        manifestCatalog.showInHome = false;
+      }
+
+      // With several data sources, list the ones each catalog came from (highest priority first)
+      // Stremio ignores unknown catalog fields, so this is purely informational
+      if (hasMultipleSources && catalog.sources) {
+        manifestCatalog.sources = catalog.sources;
+      }
+
+      return manifestCatalog;
+    });
+
+    // Add a dedicated search catalog per content type
+    // Stremio only queries catalogs that declare the 'search' extra when the user searches
+    supportedTypes.forEach((type) => {
+      manifestCatalogs.push({
+        type,
+        id: SEARCH_CATALOG_ID,
+        name: config.addonName || 'Search',
+        extra: [
+          {
+            name: 'search',
+            isRequired: true,
+          },
+          {
+            name: 'skip',
+            isRequired: false,
+          },
+        ],
+      });
     });
 
     // Validate required config
@@ -96,15 +181,35 @@ function generateManifest(config) {
     // Build manifest
     const manifest = {
       id: config.addonId,
-      version: config.addonVersion,
+      version: bumpVersion(
+        config.addonVersion,
+        getDataRevision(catalogService.dataModifiedAt, catalogService.getScheduleState(now).lastTransition)
+      ),
       name: config.addonName,
       description: config.addonDescription,
-      resources: ['catalog'],
+      resources: [
+        'catalog',
+        {
+          name: 'meta',
+          types: supportedTypes,
+          idPrefixes: config.idPrefixes,
+        },
+      ],
       types: supportedTypes,
       catalogs: manifestCatalogs,
       idPrefixes: config.idPrefixes,
     };
 
+    // Offer streams (trailers, streaming service links, home media files) only for the types
+    // that have items with something to watch, so Stremio does not ask us for every title
+    if (streamTypes.length > 0) {
+      manifest.resources.push({
+        name: 'stream',
+        types: streamTypes,
+        idPrefixes: config.idPrefixes,
+      });
+    }
+
     // Add logo if provided
     if (config.addonLogo) {
       manifest.logo = config.addonLogo;
@@ -121,13 +226,14 @@ function generateManifest(config) {
     // Format: manifest.addonCatalogs = [{ type: 'addon', id: '...', name: '...' }]
     // This would require additional configuration and logic to manage other addon manifests.
 
-    // TODO: Future enhancement - config and behaviorHints
-    // These fields enable user-configurable settings for your addon.
-    // behaviorHints: { configurable: true, configurationRequired: false }
-    // config: [{ key: 'settingKey', type: 'text|number|password|checkbox|select', title: '...', default: '...', options: [...] }]
-    // When configurable is true, Stremio will show a configuration UI where users can set values.
-    // These config values are then passed to your handlers: handler({ type, id, config })
-    // Useful for: API keys, language preferences, content filters, quality settings, etc.
+    // User configuration: Stremio shows a "Configure" button that opens /configure,
+    // and the chosen settings are encoded in the install URL (/{config}/manifest.json)
+    // The config entries also make the SDK router accept the /{config}/ prefix
+    manifest.behaviorHints = {
+      configurable: true,
+      configurationRequired: false,
+    };
+    manifest.config = MANIFEST_CONFIG_FIELDS;
 
     logger.info(`Generated manifest with ${manifestCatalogs.length} catalogs and types: ${supportedTypes.join(', ')}`);
     
@@ -138,8 +244,25 @@ function generateManifest(config) {
   }
 }
 
+/**
+ * Personalize a manifest for a user config
+ * Hides the catalogs the user hid and puts them in the user's order
+ * @param {Object} manifest - Manifest from generateManifest
+ * @param {Object} userConfig - Sanitized user config (see userConfig.js)
+ * @returns {Object} Personalized copy of the manifest
+ */
+function personalizeManifest(manifest, userConfig) {
+  return {
+    ...manifest,
+    catalogs: applyCatalogPreferences(manifest.catalogs, userConfig),
+  };
+}
+
 module.exports = {
   generateManifest,
+  personalizeManifest,
   formatCatalogName,
+  bumpVersion,
+  getDataRevision,
 };
 
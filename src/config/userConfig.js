@@ -0,0 +1,193 @@
+/**
+ * User Configuration
+ * Per-user settings chosen on the /configure page and encoded in the install URL:
+ *   /{config}/manifest.json where {config} is URL-encoded JSON (the SDK's format)
+ *
+ * Supported settings:
+ *   hiddenCatalogs - Catalogs to hide, as "type:catalog_name"
+ *   catalogOrder   - Catalogs to show first, in this order, as "type:catalog_name"
+ *   minRating      - Hide items rated below this IMDB rating
+ *   hideAdult      - Hide items flagged "adult" or certified "A"
+ *   hideViolent    - Hide items flagged "violent"
+ *   language       - Only show items in this language (items without a language are kept)
+ */
+
+const { parseRating } = require('../services/catalogSort');
+
+// Certifications treated as adult-only (CBFC "A", MPA "NC-17", TV "TV-MA")
+const ADULT_CERTIFICATIONS = ['a', 'nc-17', 'tv-ma', '18+', 'x'];
+
+// Manifest "config" entries, so Stremio and the SDK router know the addon is configurable
+// The /configure page also offers catalog visibility and order, which Stremio's generic form cannot express
+const MANIFEST_CONFIG_FIELDS = [
+  { key: 'minRating', type: 'number', title: 'Minimum IMDB rating' },
+  { key: 'hideAdult', type: 'checkbox', title: 'Hide adult titles' },
+  { key: 'hideViolent', type: 'checkbox', title: 'Hide violent titles' },
+  { key: 'language', type: 'text', title: 'Language (e.g. Tamil)' },
+];
+
+/**
+ * Parse and sanitize a user config
+ * @param {Object|string} raw - Config object (from the SDK router) or URL path segment
+ * @returns {Object} Sanitized config (empty object if there is none or it is invalid)
+ */
+function parseUserConfig(raw) {
+  let config = raw;
+
+  if (typeof raw === 'string') {
+    // Express hands over the decoded path segment, a raw URL pathname is still encoded
+    try {
+      config = JSON.parse(raw);
+    } catch (error) {
+      try {
+        config = JSON.parse(decodeURIComponent(raw));
+      } catch (decodeError) {
+        return {};
+      }
+    }
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return {};
+  }
+
+  const toKeyList = (value) => (Array.isArray(value) ? value.filter((key) => typeof key === 'string' && key.includes(':')) : []);
+  const toBoolean = (value) => value === true || value === 'true' || value === 'checked' || value === 'on';
+
+  const userConfig = {};
+
+  const hiddenCatalogs = toKeyList(config.hiddenCatalogs);
+  if (hiddenCatalogs.length > 0) {
+    userConfig.hiddenCatalogs = hiddenCatalogs;
+  }
+
+  const catalogOrder = toKeyList(config.catalogOrder);
+  if (catalogOrder.length > 0) {
+    userConfig.catalogOrder = catalogOrder;
+  }
+
+  const minRating = parseRating(config.minRating);
+  if (minRating !== null && minRating > 0 && minRating <= 10) {
+    userConfig.minRating = minRating;
+  }
+
+  if (toBoolean(config.hideAdult)) {
+    userConfig.hideAdult = true;
+  }
+
+  if (toBoolean(config.hideViolent)) {
+    userConfig.hideViolent = true;
+  }
+
+  if (typeof config.language === 'string' && config.language.trim()) {
+    userConfig.language = config.language.trim();
+  }
+
+  return userConfig;
+}
+
+/**
+ * Check whether a user hid a catalog
+ * @param {Object} userConfig - Sanitized user config
+ * @param {string} type - Content type
+ * @param {string} catalogId - Catalog ID
+ * @returns {boolean}
+ */
+function isCatalogHidden(userConfig, type, catalogId) {
+  return Boolean(userConfig && userConfig.hiddenCatalogs && userConfig.hiddenCatalogs.includes(`${type}:${catalogId}`));
+}
+
+/**
+ * Apply a user's catalog visibility and order to manifest catalogs
+ * Catalogs listed in catalogOrder come first (in that order), the rest keep their order
+ * @param {Array} catalogs - Manifest catalogs ({ type, id, ... })
+ * @param {Object} userConfig - Sanitized user config
+ * @returns {Array} Visible catalogs in the user's order
+ */
+function applyCatalogPreferences(catalogs, userConfig) {
+  const visible = catalogs.filter((catalog) => !isCatalogHidden(userConfig, catalog.type, catalog.id));
+  const order = (userConfig && userConfig.catalogOrder) || [];
+
+  if (order.length === 0) {
+    return visible;
+  }
+
+  const rank = (catalog) => {
+    const index = order.indexOf(`${catalog.type}:${catalog.id}`);
+    return index === -1 ? order.length : index;
+  };
+
+  return visible
+    .map((catalog, index) => ({ catalog, index }))
+    .sort((a, b) => rank(a.catalog) - rank(b.catalog) || a.index - b.index)
+    .map((entry) => entry.catalog);
+}
+
+/**
+ * Get the languages of an item
+ * @param {Object} item - Catalog item from JSON (language as string, comma separated string or array)
+ * @returns {Array} Lowercase language names
+ */
+function getItemLanguages(item) {
+  const value = item && item.language;
+  const languages = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  return languages
+    .filter((language) => typeof language === 'string' && language.trim())
+    .map((language) => language.trim().toLowerCase());
+}
+
+/**
+ * Create a predicate that applies a user's content filters to catalog items
+ * @param {Object} userConfig - Sanitized user config
+ * @returns {Function|null} (item) => boolean, or null if the user has no content filters
+ */
+function createItemFilter(userConfig) {
+  if (!userConfig) {
+    return null;
+  }
+
+  const { minRating, hideAdult, hideViolent, language } = userConfig;
+  if (minRating === undefined && !hideAdult && !hideViolent && !language) {
+    return null;
+  }
+
+  const wantedLanguage = language ? language.toLowerCase() : null;
+
+  return (item) => {
+    if (minRating !== undefined) {
+      const rating = parseRating(item.imdbRating);
+      if (rating === null || rating < minRating) {
+        return false;
+      }
+    }
+
+    if (hideAdult) {
+      const certification = typeof item.certification === 'string' ? item.certification.trim().toLowerCase() : '';
+      if (item.adult === true || ADULT_CERTIFICATIONS.includes(certification)) {
+        return false;
+      }
+    }
+
+    if (hideViolent && item.violent === true) {
+      return false;
+    }
+
+    if (wantedLanguage) {
+      const languages = getItemLanguages(item);
+      if (languages.length > 0 && !languages.includes(wantedLanguage)) {
+        return false;
+      }
+    }
+
+    return true;
+  };
+}
+
+module.exports = {
+  MANIFEST_CONFIG_FIELDS,
+  parseUserConfig,
+  isCatalogHidden,
+  applyCatalogPreferences,
+  getItemLanguages,
+  createItemFilter,
+};
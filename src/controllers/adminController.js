@@ -0,0 +1,373 @@
+/**
+ * Admin Controller
+ * Handles the admin API (/admin/api), used to curate catalogs at runtime
+ * Every change is validated, written back to the catalog data file (with a backup)
+ * and reloaded, so it shows up in the manifest and catalogs right away
+ */
+
+const crypto = require('crypto');
+const catalogService = require('../services/catalogService');
+const catalogEditor = require('../services/catalogEditor');
+const addonConfig = require('../config/addonConfig');
+const logger = require('../utils/logger');
+const { DISPLAY_FIELDS, getCatalogDisplayName } = require('../services/catalogDisplay');
+const { SCHEDULE_FIELDS, isScheduledCatalog, getScheduleStatus } = require('../services/catalogSchedule');
+const { renderAdminPage } = require('../views/adminPage');
+const { CatalogNotFoundError, ItemNotFoundError, InvalidRequestError, ConflictError } = require('../utils/errors');
+
+// HTTP status for each error thrown by the admin handlers
+const ERROR_STATUS = {
+  InvalidRequestError: 400,
+  ValidationError: 422,
+  CatalogNotFoundError: 404,
+  ItemNotFoundError: 404,
+  ConflictError: 409,
+  ReadOnlySourceError: 409,
+};
+
+/**
+ * Check whether the admin API is enabled (ADMIN_TOKEN is set)
+ * @returns {boolean}
+ */
+function isAdminEnabled() {
+  return Boolean(addonConfig.adminToken);
+}
+
+/**
+ * Check an admin token in constant time
+ * @param {string} token - Token from the request
+ * @returns {boolean}
+ */
+function checkAdminToken(token) {
+  if (!isAdminEnabled() || typeof token !== 'string') {
+    return false;
+  }
+
+  const expected = crypto.createHash('sha256').update(addonConfig.adminToken).digest();
+  const actual = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Get the HTTP status for an error thrown by an admin handler
+ * @param {Error} error - Error
+ * @returns {number} HTTP status (500 for unexpected errors)
+ */
+function getErrorStatus(error) {
+  return ERROR_STATUS[error && error.name] || 500;
+}
+
+/**
+ * Describe a catalog for admin responses
+ * @param {Object} catalog - Catalog from JSON
+ * @param {boolean} withItems - Include the items
+ * @param {number} now - Current time, for the schedule status (default: Date.now())
+ * @returns {Object} Catalog summary
+ */
+function describeCatalog(catalog, withItems = false, now = Date.now()) {
+  const items = Array.isArray(catalog.catalog_items) ? catalog.catalog_items : [];
+  const description = {
+    type: catalog.catalog_type,
+    id: catalog.catalog_name,
+    name: getCatalogDisplayName(catalog),
+    itemCount: items.length,
+    sources: catalogService.getCatalogSources(catalog.catalog_type, catalog.catalog_name).map((source) => source.name),
+  };
+
+  ['genre_min_items', 'genre_all_option', 'featured_season', 'catalog_rules', ...DISPLAY_FIELDS, ...SCHEDULE_FIELDS].forEach((field) => {
+    if (catalog[field] !== undefined) {
+      description[field] = catalog[field];
+    }
+  });
+
+  // Whether a scheduled catalog is shown right now, and until when
+  if (isScheduledCatalog(catalog)) {
+    const { active, nextTransition } = getScheduleStatus(catalog, now);
+    description.schedule = { active, nextChange: nextTransition !== null ? new Date(nextTransition).toISOString() : null };
+  }
+
+  if (withItems) {
+    description.items = items;
+  }
+  return description;
+}
+
+/**
+ * Get a catalog from the loaded data, or throw
+ * @param {string} type - Content type
+ * @param {string} catalogId - Catalog name
+ * @returns {Object} Catalog from JSON
+ */
+function requireCatalog(type, catalogId) {
+  const catalog = catalogService.getRawCatalog(type, catalogId);
+  if (!catalog) {
+    throw new CatalogNotFoundError(catalogId, type);
+  }
+  return catalog;
+}
+
+/**
+ * Describe a catalog after a change (the data has been reloaded)
+ * @param {string} type - Content type
+ * @param {string} catalogId - Catalog name
+ * @returns {Object} { catalog }
+ */
+function changedCatalog(type, catalogId) {
+  return { catalog: describeCatalog(requireCatalog(type, catalogId), true) };
+}
+
+/**
+ * Render the admin page
+ * The page itself is public, it asks for the token and only talks to the (protected) admin API
+ * @param {Object} manifest - Addon manifest
+ * @returns {string} HTML page
+ */
+function handleAdminPageRequest(manifest) {
+  return renderAdminPage({ manifest, enabled: isAdminEnabled() });
+}
+
+/**
+ * List all catalogs
+ * Catalogs that were not loaded (no catalog_type or catalog_name) are reported rather than failing the
+ * list, so they can still be seen and the others edited
+ * @param {number} now - Current time, for the schedule status (default: Date.now())
+ * @returns {Object} { catalogs, invalid }: invalid lists { index, type, id, problem } of the catalogs not loaded
+ */
+function handleListCatalogs(now = Date.now()) {
+  const catalogs = [];
+  const invalid = [];
+  catalogService.getAllCatalogs({ includeInactive: true, now }).forEach((entry, index) => {
+    const catalog = entry.catalog_type && entry.catalog_name ? catalogService.getRawCatalog(entry.catalog_type, entry.catalog_name) : null;
+    if (catalog) {
+      catalogs.push(describeCatalog(catalog, false, now));
+      return;
+    }
+    invalid.push({
+      index,
+      type: entry.catalog_type === undefined ? null : entry.catalog_type,
+      id: entry.catalog_name === undefined ? null : entry.catalog_name,
+      problem: entry.catalog_type && entry.catalog_name ? 'not loaded (see npm run validate)' : 'catalog_type and catalog_name are required',
+    });
+  });
+  return { catalogs, invalid };
+}
+
+/**
+ * Get one catalog with its items
+ * @param {string} type - Content type
+ * @param {string} catalogId - Catalog name
+ * @param {number} now - Current time, for the schedule status (default: Date.now())
+ * @returns {Object} { catalog }
+ */
+function handleGetCatalog(type, catalogId, now = Date.now()) {
+  return { catalog: describeCatalog(requireCatalog(type, catalogId), true, now) };
+}
+
+/**
+ * Create a catalog (in the first configured data file)
+ * @param {Object} body - { catalog_name, catalog_type, genre_min_items?, genre_all_option? }
+ * @returns {Object} { catalog }
+ */
+function handleCreateCatalog(body) {
+  const fields = body || {};
+  if (fields.catalog_name && fields.catalog_type && catalogService.getRawCatalog(fields.catalog_type, fields.catalog_name)) {
+    // Also defined in another source file
+    throw new ConflictError(`Catalog already exists: ${fields.catalog_type}/${fields.catalog_name}`);
+  }
+
+  const [catalog] = catalogService.editCatalogData([catalogService.getDefaultSourceFile()], (data) =>
+    catalogEditor.createCatalog(data, fields)
+  );
+
+  logger.info(`Admin: created catalog ${catalog.catalog_type}/${catalog.catalog_name}`);
+  return changedCatalog(catalog.catalog_type, catalog.catalog_name);
+}
+
+/**
+ * Rename a catalog, change its type or genre settings (in every file that defines it)
+ * @param {string} type - Content type
+ * @param {string} catalogId - Catalog name
+ * @param {Object} body - Fields to change: catalog_name, catalog_type, genre_min_items, genre_all_option, featured_season
+ * @returns {Object} { catalog }
+ */
+function handleUpdateCatalog(type, catalogId, body) {
+  const files = catalogService.getCatalogSourceFiles(type, catalogId);
+  const [catalog] = catalogService.editCatalogData(files, (data) => catalogEditor.updateCatalog(data, type, catalogId, body));
+
+  logger.info(`Admin: updated catalog ${type}/${catalogId} -> ${catalog.catalog_type}/${catalog.catalog_name}`);
+  return changedCatalog(catalog.catalog_type, catalog.catalog_name);
+}
+
+/**
+ * Delete a catalog (from every file that defines it)
+ * @param {string} type - Content type
+ * @param {string} catalogId - Catalog name
+ * @returns {Object} { deleted }
+ */
+function handleDeleteCatalog(type, catalogId) {
+  const files = catalogService.getCatalogSourceFiles(type, catalogId);
+  catalogService.editCatalogData(files, (data) => catalogEditor.removeCatalog(data, type, catalogId));
+
+  logger.info(`Admin: deleted catalog ${type}/${catalogId}`);
+  return { deleted: { type, id: catalogId } };
+}
+
+/**
+ * Add an item to a catalog by IMDB id
+ * Items already in another catalog are copied from there, so an id is enough;
+ * new items need at least a name
+ * @param {string} type - Content type
+ * @param {string} catalogId - Catalog name
+ * @param {Object} body - { id, position?, ...item fields }
+ * @returns {Object} { catalog }
+ */
+function handleAddItem(type, catalogId, body) {
+  const { position, ...fields } = body || {};
+  const id = typeof fields.id === 'string' ? fields.id.trim() : '';
+
+  if (!id) {
+    throw new InvalidRequestError('Item id is required (IMDB id, e.g. "tt1234567")');
+  }
+
+  const catalog = requireCatalog(type, catalogId);
+  if ((catalog.catalog_items || []).some((existing) => existing && existing.id === id)) {
+    // Also covers items that come from another source file of the catalog
+    throw new ConflictError(`Item ${id} is already in ${type}/${catalogId}`);
+  }
+
+  const known = catalogService.getRawItem(id);
+  const item = { ...(known || {}), ...fields, id };
+
+  if (!item.name) {
+    throw new InvalidRequestError(`Item ${id} is not in any catalog yet, so its name is required`);
+  }
+
+  // New items go to the catalog's highest priority file
+  const [file] = catalogService.getCatalogSourceFiles(type, catalogId);
+  catalogService.editCatalogData([file], (data) => catalogEditor.addItem(data, type, catalogId, item, position));
+
+  logger.info(`Admin: added ${id} (${item.name}) to ${type}/${catalogId}`);
+  return changedCatalog(type, catalogId);
+}
+
+/**
+ * Remove an item from a catalog (from every file that has it)
+ * @param {string} type - Content type
+ * @param {string} catalogId - Catalog name
+ * @param {string} itemId - Item id
+ * @returns {Object} { catalog }
+ */
+function handleRemoveItem(type, catalogId, itemId) {
+  const catalog = requireCatalog(type, catalogId);
+  catalogEditor.assertItemsEditable(catalog);
+  if (!(catalog.catalog_items || []).some((item) => item && item.id === itemId)) {
+    throw new ItemNotFoundError(itemId, catalogId, type);
+  }
+
+  const files = catalogService.getCatalogSourceFiles(type, catalogId);
+  catalogService.editCatalogData(files, (data) => {
+    const fileCatalog = catalogEditor.findCatalog(data, type, catalogId);
+    const inFile = fileCatalog && (fileCatalog.catalog_items || []).some((item) => item && item.id === itemId);
+    return inFile ? catalogEditor.removeItem(data, type, catalogId, itemId) : null;
+  });
+
+  logger.info(`Admin: removed ${itemId} from ${type}/${catalogId}`);
+  return changedCatalog(type, catalogId);
+}
+
+/**
+ * Reorder the items of a catalog
+ * Listed ids come first, in the given order; the other items follow in their current order
+ * @param {string} type - Content type
+ * @param {string} catalogId - Catalog name
+ * @param {Object} body - { ids: [...] }
+ * @returns {Object} { catalog }
+ */
+function handleReorderItems(type, catalogId, body) {
+  const ids = body && body.ids;
+  const files = catalogService.getCatalogSourceFiles(type, catalogId);
+  catalogService.editCatalogData(files, (data) => catalogEditor.reorderItems(data, type, catalogId, ids));
+
+  logger.info(`Admin: reordered ${type}/${catalogId}`);
+  return changedCatalog(type, catalogId);
+}
+
+/**
+ * Move an item to another catalog (in one change, so there is a single reload)
+ * @param {string} type - Content type of the catalog the item is in
+ * @param {string} catalogId - Catalog the item is in
+ * @param {string} itemId - Item id
+ * @param {Object} body - { toType?, toId, position? } (toType defaults to the current type)
+ * @returns {Object} { from, to } Both catalogs after the move
+ */
+function handleMoveItem(type, catalogId, itemId, body) {
+  const { toId, position } = body || {};
+  const toType = (body && body.toType) || type;
+
+  if (!toId) {
+    throw new InvalidRequestError('toId (the target catalog) is required');
+  }
+  if (toType === type && toId === catalogId) {
+    throw new InvalidRequestError('The item is already in this catalog');
+  }
+
+  const source = requireCatalog(type, catalogId);
+  catalogEditor.assertItemsEditable(source);
+  const item = (source.catalog_items || []).find((candidate) => candidate && candidate.id === itemId);
+  if (!item) {
+    throw new ItemNotFoundError(itemId, catalogId, type);
+  }
+  if ((requireCatalog(toType, toId).catalog_items || []).some((candidate) => candidate && candidate.id === itemId)) {
+    throw new ConflictError(`Item ${itemId} is already in ${toType}/${toId}`);
+  }
+
+  const [targetFile] = catalogService.getCatalogSourceFiles(toType, toId);
+  const files = Array.from(new Set([...catalogService.getCatalogSourceFiles(type, catalogId), targetFile]));
+
+  catalogService.editCatalogData(files, (data, filePath) => {
+    const fileCatalog = catalogEditor.findCatalog(data, type, catalogId);
+    if (fileCatalog && (fileCatalog.catalog_items || []).some((candidate) => candidate && candidate.id === itemId)) {
+      catalogEditor.removeItem(data, type, catalogId, itemId);
+    }
+    if (filePath === targetFile) {
+      catalogEditor.addItem(data, toType, toId, { ...item }, position);
+    }
+  });
+
+  logger.info(`Admin: moved ${itemId} from ${type}/${catalogId} to ${toType}/${toId}`);
+  return {
+    from: describeCatalog(requireCatalog(type, catalogId), true),
+    to: describeCatalog(requireCatalog(toType, toId), true),
+  };
+}
+
+/**
+ * Preview a catalog exactly as Stremio receives it (first page, no user config)
+ * @param {string} type - Content type
+ * @param {string} catalogId - Catalog name
+ * @returns {Object} { metas }
+ */
+function handlePreviewCatalog(type, catalogId) {
+  requireCatalog(type, catalogId);
+  const metas = catalogService.getCatalogItems(type, catalogId, {
+    pagination: { skip: 0, limit: addonConfig.pageSize },
+  });
+  return { metas };
+}
+
+module.exports = {
+  isAdminEnabled,
+  checkAdminToken,
+  getErrorStatus,
+  handleAdminPageRequest,
+  handleListCatalogs,
+  handleGetCatalog,
+  handleCreateCatalog,
+  handleUpdateCatalog,
+  handleDeleteCatalog,
+  handleAddItem,
+  handleRemoveItem,
+  handleReorderItems,
+  handleMoveItem,
+  handlePreviewCatalog,
+};
@@ -5,38 +5,117 @@
 
 const catalogService = require('../services/catalogService');
 const logger = require('../utils/logger');
+const addonConfig = require('../config/addonConfig');
 const { InvalidTypeError, CatalogNotFoundError } = require('../utils/errors');
+const { SEARCH_CATALOG_ID } = require('../services/searchIndex');
+const { isDraftCatalog, getCatalogPageSize } = require('../services/catalogDisplay');
+const { parseUserConfig, isCatalogHidden } = require('../config/userConfig');
+const responseCache = require('../services/responseCache');
+const metrics = require('../services/metrics');
+
+// Why a response has no items, kept with cached pages for the metrics (JSON.stringify skips symbol keys)
+const EMPTY_REASON = Symbol('emptyReason');
+
+/**
+ * Build a catalog response without items
+ * @param {string} reason - Why it is empty, e.g. "unsupported_type" (see metrics.recordEmptyResponse)
+ * @returns {Object} Stremio catalog response
+ */
+function emptyResponse(reason) {
+  return { metas: [], [EMPTY_REASON]: reason };
+}
 
 /**
  * Catalog handler for Stremio addon
+ * Pages are served from the page cache (see responseCache.js) when they were built from the current data
  * @param {Object} args - Request arguments from Stremio
  * @param {string} args.type - Content type (e.g., "movie", "series")
  * @param {string} args.id - Catalog ID (catalog_name from JSON)
  * @param {Object} args.extra - Extra parameters (optional)
+ * @param {Object} args.config - User config from the install URL (optional, see userConfig.js)
  * @returns {Promise<Object>} Stremio catalog response
  */
 async function handleCatalogRequest(args) {
-  const { type, id, extra } = args || {};
+  const { type, id, extra, config } = args || {};
+  const cacheKey = responseCache.getPageKey(type, id, extra, config);
+
+  // Added to the request's log lines and its access log line
+  logger.setContext({ type, id, extra: extra && Object.keys(extra).length > 0 ? extra : undefined });
+
+  const cached = responseCache.getPage(cacheKey);
+  if (cached) {
+    logger.debug(`Serving cached catalog page: type=${type}, id=${id}, extra=${JSON.stringify(extra)}`);
+    logger.setContext({ cache: 'hit', items: cached.metas.length });
+    recordEmptyResponse(type, id, cached);
+    return cached;
+  }
+
+  const response = await buildCatalogResponse(args);
+  responseCache.setPage(cacheKey, response);
+  logger.setContext({ cache: 'miss', items: response.metas.length });
+  recordEmptyResponse(type, id, response);
+  return response;
+}
+
+/**
+ * Count a response without items in the metrics
+ * @param {string} type - Content type
+ * @param {string} id - Catalog id
+ * @param {Object} response - Stremio catalog response
+ */
+function recordEmptyResponse(type, id, response) {
+  if (response.metas.length === 0) {
+    metrics.recordEmptyResponse(type, id, response[EMPTY_REASON] || 'no_results');
+  }
+}
+
+/**
+ * Build a catalog response
+ * @param {Object} args - Request arguments from Stremio (see handleCatalogRequest)
+ * @returns {Promise<Object>} Stremio catalog response
+ */
+async function buildCatalogResponse(args) {
+  const { type, id, extra, config } = args || {};
+  const userConfig = parseUserConfig(config);
 
   logger.debug(`Catalog request received: type=${type}, id=${id}, extra=${JSON.stringify(extra)}`);
 
   // Validate type
   if (!type) {
     logger.warn('Catalog request missing type parameter');
-    return Promise.resolve({ metas: [] });
+    return Promise.resolve(emptyResponse('missing_type'));
   }
 
   // Validate type against supported types
   const supportedTypes = catalogService.getSupportedTypes();
   if (!supportedTypes.includes(type)) {
     logger.warn(`Unsupported content type requested: ${type}`);
-    return Promise.resolve({ metas: [] });
+    return Promise.resolve(emptyResponse('unsupported_type'));
   }
 
   // Validate catalog ID
   if (!id) {
     logger.warn('Catalog request missing id parameter');
-    return Promise.resolve({ metas: [] });
+    return Promise.resolve(emptyResponse('missing_id'));
+  }
+
+  // Catalogs the user hid are still reachable through old links, serve them empty
+  if (isCatalogHidden(userConfig, type, id)) {
+    logger.debug(`Catalog hidden by user config: ${type}/${id}`);
+    return Promise.resolve(emptyResponse('hidden'));
+  }
+
+  // Draft catalogs are still being curated, serve them empty until they are published
+  const catalog = catalogService.getRawCatalog(type, id);
+  if (isDraftCatalog(catalog)) {
+    logger.debug(`Catalog is a draft: ${type}/${id}`);
+    return Promise.resolve(emptyResponse('draft'));
+  }
+
+  // Scheduled catalogs are served empty outside their schedule, like they are left out of the manifest
+  if (!catalogService.isCatalogActive(type, id)) {
+    logger.debug(`Catalog is outside its schedule: ${type}/${id}`);
+    return Promise.resolve(emptyResponse('inactive'));
   }
 
   try {
@@ -44,6 +123,8 @@ async function handleCatalogRequest(args) {
     let skip = extra?.skip ? parseInt(extra.skip, 10) : 0;
     let limit = extra?.limit ? parseInt(extra.limit, 10) : undefined;
     const genre = extra?.genre || null;
+    const sort = extra?.sort || null;
+    const search = typeof extra?.search === 'string' ? extra.search.trim() : '';
 
     // Validate pagination parameters
     if (isNaN(skip) || skip < 0) {
@@ -55,20 +136,49 @@ async function handleCatalogRequest(args) {
       limit = undefined;
     }
 
-    // Get catalog items with pagination and genre filter
+    // Serve fixed-size pages so skip-based pagination stays stable,
+    // also when a genre filter or sort order is applied (catalogs can set their own page_size)
+    if (limit === undefined) {
+      limit = getCatalogPageSize(catalog, addonConfig.pageSize);
+    }
+
+    // Search requests: the dedicated search catalog searches every catalog of this type,
+    // any other catalog only searches its own items
+    if (search) {
+      const items = catalogService.searchItems(type, search, {
+        catalogId: id === SEARCH_CATALOG_ID ? null : id,
+        pagination: { skip, limit },
+        userConfig,
+      });
+
+      logger.info(`Returning ${items.length} search results for "${search}" in catalog: ${type}/${id} (skip: ${skip}, limit: ${limit || 'none'})`);
+
+      return Promise.resolve({
+        metas: items,
+      });
+    }
+
+    if (id === SEARCH_CATALOG_ID) {
+      logger.warn(`Search catalog requested without a search query: ${type}/${id}`);
+      return Promise.resolve(emptyResponse('no_search_query'));
+    }
+
+    // Get catalog items with pagination, genre filter and sort order
     const options = {
       pagination: { skip, limit },
       genre: genre,
+      sort: sort,
+      userConfig,
     };
     const items = catalogService.getCatalogItems(type, id, options);
 
+    const filterInfo = `${genre ? `genre: ${genre}, ` : ''}${sort ? `sort: ${sort}, ` : ''}`;
+
     if (items.length === 0) {
-      const filterInfo = genre ? `genre: ${genre}, ` : '';
       logger.warn(`No items found for catalog: ${type}/${id} (${filterInfo}skip: ${skip}, limit: ${limit || 'none'})`);
-      return Promise.resolve({ metas: [] });
+      return Promise.resolve(emptyResponse(catalogService.catalogExists(type, id) ? 'no_items' : 'unknown_catalog'));
     }
 
-    const filterInfo = genre ? `genre: ${genre}, ` : '';
     logger.info(`Returning ${items.length} items for catalog: ${type}/${id} (${filterInfo}skip: ${skip}, limit: ${limit || 'none'})`);
 
     return Promise.resolve({
@@ -77,7 +187,7 @@ async function handleCatalogRequest(args) {
   } catch (error) {
     logger.error(`Error handling catalog request ${type}/${id}:`, error.message);
     // Return empty array on error (Stremio expects valid response)
-    return Promise.resolve({ metas: [] });
+    return Promise.resolve(emptyResponse('error'));
   }
 }
 
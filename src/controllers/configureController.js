@@ -0,0 +1,62 @@
+/**
+ * Configure Controller
+ * Handles the /configure page and personalized manifests (/{config}/manifest.json)
+ */
+
+const catalogService = require('../services/catalogService');
+const logger = require('../utils/logger');
+const { personalizeManifest } = require('../config/manifest');
+const { parseUserConfig } = require('../config/userConfig');
+const { SEARCH_CATALOG_ID } = require('../services/searchIndex');
+const { renderConfigurePage } = require('../views/configurePage');
+
+/**
+ * Render the configure page
+ * @param {Object} manifest - Addon manifest
+ * @param {string} rawConfig - Current config from the URL path, to prefill the form (optional)
+ * @returns {string} HTML page
+ */
+function handleConfigureRequest(manifest, rawConfig) {
+  const userConfig = parseUserConfig(rawConfig);
+
+  // The search catalogs are not something users browse, so they are not offered
+  const catalogs = manifest.catalogs
+    .filter((catalog) => catalog.id !== SEARCH_CATALOG_ID)
+    .map((catalog) => ({
+      key: `${catalog.type}:${catalog.id}`,
+      name: catalog.name,
+      type: catalog.type,
+      description: catalog.description,
+    }));
+
+  let languages = [];
+  try {
+    languages = catalogService.getLanguages();
+  } catch (error) {
+    logger.warn(`Failed to get languages for configure page: ${error.message}`);
+  }
+
+  logger.debug(`Configure page requested (config: ${JSON.stringify(userConfig)})`);
+
+  return renderConfigurePage({ manifest, catalogs, languages, userConfig });
+}
+
+/**
+ * Get the manifest for a user config from the install URL
+ * @param {Object} manifest - Addon manifest
+ * @param {string} rawConfig - Config from the URL path
+ * @returns {Object} Personalized manifest
+ */
+function handleManifestRequest(manifest, rawConfig) {
+  const userConfig = parseUserConfig(rawConfig);
+  const personalized = personalizeManifest(manifest, userConfig);
+
+  logger.debug(`Personalized manifest with ${personalized.catalogs.length} of ${manifest.catalogs.length} catalogs`);
+
+  return personalized;
+}
+
+module.exports = {
+  handleConfigureRequest,
+  handleManifestRequest,
+};
@@ -0,0 +1,109 @@
+/**
+ * Export Controller
+ * Handles catalog exports (/export/{type}/{id}.{format}) and the export CLI
+ */
+
+const catalogService = require('../services/catalogService');
+const logger = require('../utils/logger');
+const { getCatalogDisplayName } = require('../services/catalogDisplay');
+const { SORT_OPTIONS, SORT_OPTION_NAMES, resolveSortOption } = require('../services/catalogSort');
+const { normalizeGenre, ALL_GENRES_OPTION } = require('../services/genres');
+const { toCsv, toTraktJson, toM3u, toMarkdown } = require('../services/catalogExport');
+const { renderSharePage } = require('../views/sharePage');
+const { CatalogNotFoundError, InvalidRequestError } = require('../utils/errors');
+
+// Export formats by file extension
+// attachment: offer the file as a download instead of showing it in the browser
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', attachment: true, render: toCsv },
+  json: { contentType: 'application/json; charset=utf-8', attachment: true, render: toTraktJson },
+  m3u: { contentType: 'audio/x-mpegurl; charset=utf-8', attachment: true, render: toM3u },
+  md: { contentType: 'text/markdown; charset=utf-8', attachment: false, render: toMarkdown },
+  html: { contentType: 'text/html; charset=utf-8', attachment: false, render: renderSharePage },
+};
+
+/**
+ * Split an export file name into catalog id and format
+ * @param {string} fileName - e.g. "best_movies_of_2025.csv"
+ * @returns {Object|null} { id, format }, or null if the extension is not an export format
+ */
+function parseExportFileName(fileName) {
+  const match = /^(.+)\.([a-z0-9]+)$/i.exec(fileName || '');
+  if (!match || !EXPORT_FORMATS[match[2].toLowerCase()]) {
+    return null;
+  }
+  return { id: match[1], format: match[2].toLowerCase() };
+}
+
+/**
+ * Export a catalog
+ * Items come from getCatalogItems, so genre and sort behave exactly like in Stremio
+ * @param {string} type - Content type
+ * @param {string} id - Catalog ID (catalog_name from JSON)
+ * @param {string} format - Export format (see EXPORT_FORMATS)
+ * @param {Object} options - Export options
+ * @param {string} options.genre - Genre filter (optional)
+ * @param {string} options.sort - Sort option label or key (optional, default: catalog order)
+ * @param {Object} options.manifest - Addon manifest, for the share page footer (optional)
+ * @returns {Object} { contentType, attachment, fileName, body }
+ * @throws {CatalogNotFoundError} If the catalog does not exist, is a draft or is outside its schedule
+ * @throws {InvalidRequestError} If the format, genre or sort option is not valid
+ */
+function handleExportRequest(type, id, format, { genre = null, sort = null, manifest = null } = {}) {
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    throw new InvalidRequestError(`Unknown export format: ${format} (expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+
+  // Drafts are not published yet, nor are scheduled catalogs outside their schedule; hidden catalogs can still be shared
+  const catalog = catalogService.isCatalogServed(type, id) ? catalogService.getRawCatalog(type, id) : null;
+  if (!catalog) {
+    throw new CatalogNotFoundError(id, type);
+  }
+
+  const sortOption = sort ? resolveSortOption(sort) : null;
+  if (sort && !sortOption) {
+    throw new InvalidRequestError(`Unknown sort option: ${sort} (expected one of: ${SORT_OPTION_NAMES.join(', ')})`);
+  }
+
+  const genreName = genre && genre !== ALL_GENRES_OPTION ? normalizeGenre(genre) : null;
+  if (genre && genre !== ALL_GENRES_OPTION && !genreName) {
+    throw new InvalidRequestError(`Invalid genre: ${genre}`);
+  }
+
+  const items = catalogService.getCatalogItems(type, id, {
+    pagination: { skip: 0 },
+    genre: genreName,
+    sort: sortOption ? sortOption.key : null,
+    raw: true,
+  });
+
+  const subtitle = [
+    genreName ? `Genre: ${genreName}` : null,
+    sortOption ? `Sorted by ${SORT_OPTION_NAMES.find((name) => SORT_OPTIONS[name] === sortOption)}` : null,
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+  logger.info(`Exporting ${items.length} items of ${type}/${id} as ${format}${subtitle ? ` (${subtitle})` : ''}`);
+
+  return {
+    contentType: exportFormat.contentType,
+    attachment: exportFormat.attachment,
+    fileName: `${id}${genreName ? `-${genreName.toLowerCase()}` : ''}`.replace(/[^\w-]+/g, '-') + `.${format}`,
+    body: exportFormat.render({
+      type,
+      title: getCatalogDisplayName(catalog),
+      description: typeof catalog.description === 'string' ? catalog.description.trim() : '',
+      subtitle,
+      items,
+      manifest,
+    }),
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseExportFileName,
+  handleExportRequest,
+};
@@ -0,0 +1,68 @@
+/**
+ * Meta Controller
+ * Handles meta (detail page) requests from Stremio
+ */
+
+const catalogService = require('../services/catalogService');
+const logger = require('../utils/logger');
+
+/**
+ * Meta handler for Stremio addon
+ * @param {Object} args - Request arguments from Stremio
+ * @param {string} args.type - Content type (e.g., "movie", "series")
+ * @param {string} args.id - Item ID (IMDB id, e.g., "tt12345678")
+ * @returns {Promise<Object>} Stremio meta response
+ */
+async function handleMetaRequest(args) {
+  const { type, id } = args || {};
+
+  // Added to the request's log lines and its access log line
+  logger.setContext({ type, id });
+
+  logger.debug(`Meta request received: type=${type}, id=${id}`);
+
+  // Validate type
+  if (!type) {
+    logger.warn('Meta request missing type parameter');
+    return Promise.resolve({ meta: null });
+  }
+
+  // Validate type against supported types
+  const supportedTypes = catalogService.getSupportedTypes();
+  if (!supportedTypes.includes(type)) {
+    logger.warn(`Unsupported content type requested: ${type}`);
+    return Promise.resolve({ meta: null });
+  }
+
+  // Validate item ID
+  if (!id) {
+    logger.warn('Meta request missing id parameter');
+    return Promise.resolve({ meta: null });
+  }
+
+  try {
+    const meta = catalogService.getItemMeta(type, id);
+
+    if (!meta) {
+      // Not one of ours - Stremio falls back to other addons (e.g. Cinemeta)
+      logger.debug(`No curated meta found for: ${type}/${id}`);
+      logger.setContext({ found: false });
+      return Promise.resolve({ meta: null });
+    }
+
+    logger.info(`Returning meta for: ${type}/${id} (${meta.name})`);
+    logger.setContext({ found: true });
+
+    return Promise.resolve({
+      meta,
+    });
+  } catch (error) {
+    logger.error(`Error handling meta request ${type}/${id}:`, error.message);
+    // Return empty meta on error (Stremio expects valid response)
+    return Promise.resolve({ meta: null });
+  }
+}
+
+module.exports = {
+  handleMetaRequest,
+};
@@ -0,0 +1,49 @@
+/**
+ * Stream Controller
+ * Handles stream requests from Stremio: trailers, streaming service links and home media files
+ */
+
+const catalogService = require('../services/catalogService');
+const logger = require('../utils/logger');
+
+/**
+ * Stream handler for Stremio addon
+ * @param {Object} args - Request arguments from Stremio
+ * @param {string} args.type - Content type (e.g., "movie", "series")
+ * @param {string} args.id - Item ID (IMDB id, e.g., "tt12345678"), or episode ID for series ("tt12345678:1:2")
+ * @returns {Promise<Object>} Stremio stream response
+ */
+async function handleStreamRequest(args) {
+  const { type, id } = args || {};
+
+  // Added to the request's log lines and its access log line
+  logger.setContext({ type, id });
+
+  logger.debug(`Stream request received: type=${type}, id=${id}`);
+
+  // Validate type and item ID
+  if (!type || !id) {
+    logger.warn('Stream request missing type or id parameter');
+    return Promise.resolve({ streams: [] });
+  }
+
+  try {
+    const streams = catalogService.getItemStreams(type, id);
+
+    // Nothing of ours - Stremio still shows the streams of other addons
+    logger.debug(`Returning ${streams.length} streams for: ${type}/${id}`);
+    logger.setContext({ streams: streams.length });
+
+    return Promise.resolve({
+      streams,
+    });
+  } catch (error) {
+    logger.error(`Error handling stream request ${type}/${id}:`, error.message);
+    // Return no streams on error (Stremio expects valid response)
+    return Promise.resolve({ streams: [] });
+  }
+}
+
+module.exports = {
+  handleStreamRequest,
+};
@@ -7,9 +7,57 @@ const { addonBuilder } = require('stremio-addon-sdk');
 const catalogService = require('./services/catalogService');
 const { generateManifest } = require('./config/manifest');
 const { handleCatalogRequest } = require('./controllers/catalogController');
+const { handleMetaRequest } = require('./controllers/metaController');
+const { handleStreamRequest } = require('./controllers/streamController');
 const logger = require('./utils/logger');
 const addonConfig = require('./config/addonConfig');
 
+/**
+ * Create the addon interface from the catalog data that is already loaded
+ * Used on startup and again whenever catalog data is hot-reloaded
+ * @param {Object} config - Optional configuration object to override defaults
+ * @returns {Object} Stremio addon interface
+ */
+function createAddonInterface(config = {}) {
+  // Generate manifest - use provided config or fall back to addonConfig
+  const manifestConfig = {
+    addonId: config.addonId || addonConfig.addonId,
+    addonVersion: config.addonVersion || addonConfig.addonVersion,
+    addonName: config.addonName || addonConfig.addonName,
+    addonDescription: config.addonDescription || addonConfig.addonDescription,
+    addonLogo: config.addonLogo || addonConfig.addonLogo,
+    addonBackground: config.addonBackground || addonConfig.addonBackground,
+    idPrefixes: config.idPrefixes || addonConfig.idPrefixes,
+  };
+
+  const manifest = generateManifest(manifestConfig);
+
+  // Create addon builder instance
+  const builder = new addonBuilder(manifest);
+
+  // Register catalog handler
+  builder.defineCatalogHandler(handleCatalogRequest);
+
+  // Register meta handler
+  builder.defineMetaHandler(handleMetaRequest);
+
+  // Register stream handler, only when some item has streams
+  // (the SDK rejects handlers for resources the manifest does not declare)
+  if (manifest.resources.some((resource) => resource.name === 'stream')) {
+    builder.defineStreamHandler(handleStreamRequest);
+  }
+
+  logger.info('Addon built successfully');
+  logger.info(`Addon ID: ${manifest.id}`);
+  logger.info(`Addon Name: ${manifest.name}`);
+  logger.info(`Addon Version: ${manifest.version}`);
+  logger.info(`Supported Types: ${manifest.types.join(', ')}`);
+  logger.info(`Total Catalogs: ${manifest.catalogs.length}`);
+
+  // Return the addon interface
+  return builder.getInterface();
+}
+
 /**
  * Initialize and build the addon
  * @param {Object} config - Optional configuration object to override defaults
@@ -21,38 +69,25 @@ function buildAddon(config = {}) {
     const catalogDataPath = config.catalogDataPath || addonConfig.catalogDataPath;
     catalogService.loadCatalogData(catalogDataPath);
 
-    // Generate manifest - use provided config or fall back to addonConfig
-    const manifestConfig = {
-      addonId: config.addonId || addonConfig.addonId,
-      addonVersion: config.addonVersion || addonConfig.addonVersion,
-      addonName: config.addonName || addonConfig.addonName,
-      addonDescription: config.addonDescription || addonConfig.addonDescription,
-      addonLogo: config.addonLogo || addonConfig.addonLogo,
-      addonBackground: config.addonBackground || addonConfig.addonBackground,
-      idPrefixes: config.idPrefixes || addonConfig.idPrefixes,
-    };
-
-    const manifest = generateManifest(manifestConfig);
-
-    // Create addon builder instance
-    const builder = new addonBuilder(manifest);
-
-    // Register catalog handler
-    builder.defineCatalogHandler(handleCatalogRequest);
-
-    logger.info('Addon built successfully');
-    logger.info(`Addon ID: ${manifest.id}`);
-    logger.info(`Addon Name: ${manifest.name}`);
-    logger.info(`Supported Types: ${manifest.types.join(', ')}`);
-    logger.info(`Total Catalogs: ${manifest.catalogs.length}`);
-
-    // Return the addon interface
-    return builder.getInterface();
+    return createAddonInterface(config);
   } catch (error) {
     logger.error('Failed to build addon:', error.message || error.toString() || String(error));
     throw error;
   }
 }
 
-module.exports = buildAddon;
+/**
+ * Initialize and build the addon, fetching remote (HTTP) catalog data first
+ * Use instead of buildAddon when CATALOG_DATA_PATH may contain URLs
+ * @param {Object} config - Optional configuration object to override defaults
+ * @returns {Promise<Object>} Stremio addon interface
+ */
+async function buildAddonAsync(config = {}) {
+  const catalogDataPath = config.catalogDataPath || addonConfig.catalogDataPath;
+  await catalogService.fetchRemoteSources(catalogDataPath);
+  return buildAddon(config);
+}
 
+module.exports = buildAddon;
+module.exports.buildAddonAsync = buildAddonAsync;
+module.exports.createAddonInterface = createAddonInterface;
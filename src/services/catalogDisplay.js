@@ -0,0 +1,107 @@
+/**
+ * Catalog Display Settings
+ * Optional catalog fields that control how a catalog shows up in Stremio:
+ *
+ *   { "catalog_name": "tamil_thrillers", "catalog_type": "movie",
+ *     "display_name": "Tamil Thrillers & Crime", "description": "Edge-of-the-seat picks",
+ *     "order": 1, "page_size": 50, "visibility": "visible", "show_in_home": false, ... }
+ *
+ * - display_name: name in Stremio (default: catalog_name in title case, see formatCatalogName)
+ * - description: shown on the configure and share pages
+ * - order: position in the manifest, lowest first; catalogs without one follow in file order
+ * - page_size: items per catalog page (default: PAGE_SIZE)
+ * - visibility: "visible" (default), "hidden" (left out of the manifest, still served to old links
+ *   and exports) or "draft" (left out of the manifest and served empty while it is being curated)
+ * - show_in_home: false to only offer the catalog in Discover, not on the Stremio board
+ */
+
+const { formatCatalogName } = require('../utils/format');
+
+const VISIBILITIES = ['visible', 'hidden', 'draft'];
+
+// Display fields, passed along with the catalog list (see CatalogService.getAllCatalogs)
+const DISPLAY_FIELDS = ['display_name', 'description', 'order', 'page_size', 'visibility', 'show_in_home'];
+
+/**
+ * Get the name a catalog is shown with
+ * @param {Object} catalog - Catalog from JSON
+ * @returns {string} display_name, or the formatted catalog_name
+ */
+function getCatalogDisplayName(catalog) {
+  if (catalog && typeof catalog.display_name === 'string' && catalog.display_name.trim()) {
+    return catalog.display_name.trim();
+  }
+  return formatCatalogName(catalog && catalog.catalog_name);
+}
+
+/**
+ * Get a catalog's visibility
+ * @param {Object} catalog - Catalog from JSON
+ * @returns {string} visible, hidden or draft (unknown values count as visible, validation reports them)
+ */
+function getCatalogVisibility(catalog) {
+  return catalog && VISIBILITIES.includes(catalog.visibility) ? catalog.visibility : 'visible';
+}
+
+/**
+ * Check whether a catalog is listed in the manifest
+ * @param {Object} catalog - Catalog from JSON
+ * @returns {boolean}
+ */
+function isCatalogListed(catalog) {
+  return getCatalogVisibility(catalog) === 'visible';
+}
+
+/**
+ * Check whether a catalog is a draft (not served)
+ * @param {Object} catalog - Catalog from JSON
+ * @returns {boolean}
+ */
+function isDraftCatalog(catalog) {
+  return getCatalogVisibility(catalog) === 'draft';
+}
+
+/**
+ * Check whether a catalog shows on the Stremio board
+ * @param {Object} catalog - Catalog from JSON
+ * @returns {boolean}
+ */
+function showsInHome(catalog) {
+  return !catalog || catalog.show_in_home !== false;
+}
+
+/**
+ * Get the page size of a catalog
+ * @param {Object} catalog - Catalog from JSON (optional)
+ * @param {number} defaultPageSize - Page size for catalogs without page_size
+ * @returns {number}
+ */
+function getCatalogPageSize(catalog, defaultPageSize) {
+  return catalog && Number.isInteger(catalog.page_size) && catalog.page_size > 0 ? catalog.page_size : defaultPageSize;
+}
+
+/**
+ * Sort catalogs by their order field
+ * Catalogs with an order come first, lowest first; the rest keep their file order after them
+ * @param {Array} catalogs - Catalogs from JSON
+ * @returns {Array} Sorted copy
+ */
+function sortCatalogs(catalogs) {
+  const rank = (catalog) => (typeof catalog.order === 'number' && isFinite(catalog.order) ? catalog.order : Infinity);
+  return catalogs
+    .map((catalog, index) => ({ catalog, index }))
+    .sort((a, b) => rank(a.catalog) - rank(b.catalog) || a.index - b.index)
+    .map((entry) => entry.catalog);
+}
+
+module.exports = {
+  VISIBILITIES,
+  DISPLAY_FIELDS,
+  getCatalogDisplayName,
+  getCatalogVisibility,
+  isCatalogListed,
+  isDraftCatalog,
+  showsInHome,
+  getCatalogPageSize,
+  sortCatalogs,
+};
@@ -0,0 +1,287 @@
+/**
+ * Catalog Editor
+ * Changes to the raw catalog data of one source file, as made through the admin API
+ * Functions modify the data in place and throw when the change is not possible;
+ * CatalogService validates the result before it is written
+ */
+
+const { CatalogNotFoundError, ItemNotFoundError, InvalidRequestError, ConflictError } = require('../utils/errors');
+const { isSmartCatalog } = require('./smartCatalogs');
+const { DISPLAY_FIELDS } = require('./catalogDisplay');
+const { SCHEDULE_FIELDS } = require('./catalogSchedule');
+
+// Catalog fields that can be set through the admin API (items are edited separately)
+const EDITABLE_CATALOG_FIELDS = ['catalog_name', 'catalog_type', 'genre_min_items', 'genre_all_option', 'featured_season', ...DISPLAY_FIELDS, ...SCHEDULE_FIELDS];
+
+/**
+ * Find a catalog in source data
+ * @param {Object} data - Parsed source file
+ * @param {string} type - Content type
+ * @param {string} catalogName - Catalog name
+ * @returns {Object|null} Catalog, or null if the file does not define it
+ */
+function findCatalog(data, type, catalogName) {
+  return data.catalogs.find((catalog) => catalog && catalog.catalog_type === type && catalog.catalog_name === catalogName) || null;
+}
+
+/**
+ * Find a catalog in source data, or throw
+ * @param {Object} data - Parsed source file
+ * @param {string} type - Content type
+ * @param {string} catalogName - Catalog name
+ * @returns {Object} Catalog
+ * @throws {CatalogNotFoundError}
+ */
+function getCatalog(data, type, catalogName) {
+  const catalog = findCatalog(data, type, catalogName);
+  if (!catalog) {
+    throw new CatalogNotFoundError(catalogName, type);
+  }
+  return catalog;
+}
+
+/**
+ * Find a catalog whose items can be edited, or throw
+ * @param {Object} data - Parsed source file
+ * @param {string} type - Content type
+ * @param {string} catalogName - Catalog name
+ * @returns {Object} Catalog
+ * @throws {CatalogNotFoundError}
+ * @throws {InvalidRequestError} If it is a smart catalog (its items come from its rules)
+ */
+function getItemCatalog(data, type, catalogName) {
+  const catalog = getCatalog(data, type, catalogName);
+  assertItemsEditable(catalog);
+  return catalog;
+}
+
+/**
+ * Throw if a catalog's items cannot be edited
+ * @param {Object} catalog - Catalog from JSON
+ * @throws {InvalidRequestError} If it is a smart catalog
+ */
+function assertItemsEditable(catalog) {
+  if (isSmartCatalog(catalog)) {
+    throw new InvalidRequestError(`${catalog.catalog_type}/${catalog.catalog_name} is a smart catalog, edit its catalog_rules to change its items`);
+  }
+}
+
+/**
+ * Pick the editable catalog fields from a request body
+ * @param {Object} fields - Request body
+ * @returns {Object} Catalog fields
+ */
+function pickCatalogFields(fields) {
+  const picked = {};
+  EDITABLE_CATALOG_FIELDS.forEach((field) => {
+    if (fields[field] !== undefined) {
+      picked[field] = typeof fields[field] === 'string' ? fields[field].trim() : fields[field];
+    }
+  });
+  return picked;
+}
+
+/**
+ * Add a new catalog at the end of the file
+ * @param {Object} data - Parsed source file
+ * @param {Object} fields - catalog_name, catalog_type and optional genre settings
+ * @returns {Object} The new catalog
+ */
+function createCatalog(data, fields) {
+  const catalog = { ...pickCatalogFields(fields || {}), catalog_items: [] };
+
+  if (!catalog.catalog_name || !catalog.catalog_type) {
+    throw new InvalidRequestError('catalog_name and catalog_type are required');
+  }
+
+  if (findCatalog(data, catalog.catalog_type, catalog.catalog_name)) {
+    throw new ConflictError(`Catalog already exists: ${catalog.catalog_type}/${catalog.catalog_name}`);
+  }
+
+  data.catalogs.push(catalog);
+  return catalog;
+}
+
+/**
+ * Rename a catalog, change its type or its genre settings
+ * @param {Object} data - Parsed source file
+ * @param {string} type - Current content type
+ * @param {string} catalogName - Current catalog name
+ * @param {Object} changes - Fields to change (see EDITABLE_CATALOG_FIELDS)
+ * @returns {Object} The updated catalog
+ */
+function updateCatalog(data, type, catalogName, changes) {
+  const catalog = getCatalog(data, type, catalogName);
+  const fields = pickCatalogFields(changes || {});
+
+  if (Object.keys(fields).length === 0) {
+    throw new InvalidRequestError(`Nothing to change, editable fields: ${EDITABLE_CATALOG_FIELDS.join(', ')}`);
+  }
+
+  const newType = fields.catalog_type || type;
+  const newName = fields.catalog_name || catalogName;
+  const existing = findCatalog(data, newType, newName);
+  if (existing && existing !== catalog) {
+    throw new ConflictError(`Catalog already exists: ${newType}/${newName}`);
+  }
+
+  Object.assign(catalog, fields);
+  return catalog;
+}
+
+/**
+ * Remove a catalog
+ * @param {Object} data - Parsed source file
+ * @param {string} type - Content type
+ * @param {string} catalogName - Catalog name
+ * @returns {Object} The removed catalog
+ */
+function removeCatalog(data, type, catalogName) {
+  const catalog = getCatalog(data, type, catalogName);
+  data.catalogs.splice(data.catalogs.indexOf(catalog), 1);
+  return catalog;
+}
+
+/**
+ * Add an item to a catalog
+ * @param {Object} data - Parsed source file
+ * @param {string} type - Content type
+ * @param {string} catalogName - Catalog name
+ * @param {Object} item - Catalog item (at least an id; validation decides what else is required)
+ * @param {number} position - Index to insert at (default: end of the catalog)
+ * @returns {Object} The added item
+ */
+function addItem(data, type, catalogName, item, position) {
+  const catalog = getItemCatalog(data, type, catalogName);
+
+  if (!item || typeof item.id !== 'string' || !item.id.trim()) {
+    throw new InvalidRequestError('Item id is required (IMDB id, e.g. "tt1234567")');
+  }
+
+  const items = Array.isArray(catalog.catalog_items) ? catalog.catalog_items : [];
+  if (items.some((existing) => existing && existing.id === item.id)) {
+    throw new ConflictError(`Item ${item.id} is already in ${type}/${catalogName}`);
+  }
+
+  const index = Number.isInteger(position) ? Math.max(0, Math.min(position, items.length)) : items.length;
+  items.splice(index, 0, item);
+  catalog.catalog_items = items;
+  return item;
+}
+
+/**
+ * Remove an item from a catalog
+ * @param {Object} data - Parsed source file
+ * @param {string} type - Content type
+ * @param {string} catalogName - Catalog name
+ * @param {string} itemId - Item id
+ * @returns {Object} The removed item
+ */
+function removeItem(data, type, catalogName, itemId) {
+  const catalog = getItemCatalog(data, type, catalogName);
+  const items = Array.isArray(catalog.catalog_items) ? catalog.catalog_items : [];
+  const index = items.findIndex((item) => item && item.id === itemId);
+
+  if (index === -1) {
+    throw new ItemNotFoundError(itemId, catalogName, type);
+  }
+
+  return items.splice(index, 1)[0];
+}
+
+/**
+ * Reorder the items of a catalog
+ * Listed ids come first, in the given order; unlisted items keep their order after them
+ * @param {Object} data - Parsed source file
+ * @param {string} type - Content type
+ * @param {string} catalogName - Catalog name
+ * @param {Array} ids - Item ids in the wanted order
+ * @returns {Array} The reordered items
+ */
+function reorderItems(data, type, catalogName, ids) {
+  const catalog = getItemCatalog(data, type, catalogName);
+
+  if (!Array.isArray(ids) || ids.some((id) => typeof id !== 'string')) {
+    throw new InvalidRequestError('ids must be an array of item ids');
+  }
+
+  const items = Array.isArray(catalog.catalog_items) ? catalog.catalog_items : [];
+  const rank = (item) => {
+    const index = item ? ids.indexOf(item.id) : -1;
+    return index === -1 ? ids.length : index;
+  };
+
+  catalog.catalog_items = items
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => rank(a.item) - rank(b.item) || a.index - b.index)
+    .map((entry) => entry.item);
+
+  return catalog.catalog_items;
+}
+
+/**
+ * Import items into a catalog, creating the catalog if the file does not define it
+ * - merge: existing items keep their place and get the imported fields; new items are appended
+ * - replace: the catalog becomes exactly the imported items, in import order; fields the import
+ *   does not provide (poster, aliases, ...) are kept from existing items with the same id
+ * An id listed more than once is imported once, from its first listing (like resolveEntries)
+ * @param {Object} data - Parsed source file
+ * @param {string} type - Content type
+ * @param {string} catalogName - Catalog name
+ * @param {Array} items - Imported items (with ids)
+ * @param {Object} options - Import options
+ * @param {string} options.mode - 'merge' (default) or 'replace'
+ * @returns {Object} { created, added, updated, removed } counts
+ */
+function importItems(data, type, catalogName, items, { mode = 'merge' } = {}) {
+  if (mode !== 'merge' && mode !== 'replace') {
+    throw new InvalidRequestError(`Unknown import mode: ${mode} (expected merge or replace)`);
+  }
+
+  let catalog = findCatalog(data, type, catalogName);
+  const created = !catalog;
+  if (created) {
+    catalog = createCatalog(data, { catalog_name: catalogName, catalog_type: type });
+  }
+  assertItemsEditable(catalog);
+
+  const existing = Array.isArray(catalog.catalog_items) ? catalog.catalog_items : [];
+  const existingById = new Map(existing.filter(Boolean).map((item) => [item.id, item]));
+  const importedIds = new Set();
+  const batch = items.filter((item) => !importedIds.has(item.id) && importedIds.add(item.id));
+  const counts = { created, added: 0, updated: 0, removed: 0 };
+
+  const imported = batch.map((item) => {
+    const current = existingById.get(item.id);
+    if (!current) {
+      counts.added++;
+      return { ...item };
+    }
+    if (Object.keys(item).some((key) => JSON.stringify(current[key]) !== JSON.stringify(item[key]))) {
+      counts.updated++;
+    }
+    return Object.assign(current, item);
+  });
+
+  if (mode === 'replace') {
+    counts.removed = existing.filter((item) => !item || !importedIds.has(item.id)).length;
+    catalog.catalog_items = imported;
+  } else {
+    catalog.catalog_items = existing.concat(imported.filter((item) => !existing.includes(item)));
+  }
+
+  return counts;
+}
+
+module.exports = {
+  EDITABLE_CATALOG_FIELDS,
+  findCatalog,
+  assertItemsEditable,
+  createCatalog,
+  updateCatalog,
+  removeCatalog,
+  addItem,
+  removeItem,
+  reorderItems,
+  importItems,
+};
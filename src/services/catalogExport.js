@@ -0,0 +1,197 @@
+/**
+ * Catalog Export
+ * Turns catalog items into files that can be shared outside Stremio:
+ * CSV (IMDb list columns), Trakt list JSON, M3U-style lists and Markdown
+ *
+ * CSV and Trakt exports use the same shape as the exports listImport.js reads,
+ * so an exported catalog can be imported again (or into IMDb/Trakt)
+ */
+
+const { parseReleaseYear, parseRuntimeMinutes, parseDateAdded } = require('./catalogSort');
+const { getItemGenres } = require('./genres');
+
+// Trakt calls series "shows"
+const TRAKT_TYPES = {
+  movie: 'movie',
+  series: 'show',
+};
+
+/**
+ * Get the IMDb page of an item
+ * @param {Object} item - Catalog item
+ * @returns {string|null} URL, or null for items without an IMDB id
+ */
+function getImdbUrl(item) {
+  return /^tt\d+$/.test(item.id || '') ? `https://www.imdb.com/title/${item.id}/` : null;
+}
+
+/**
+ * Get a list field as an array
+ * @param {string|Array} value - "A, B" or ["A", "B"]
+ * @returns {Array} Values
+ */
+function toList(value) {
+  if (Array.isArray(value)) {
+    return value.filter(Boolean);
+  }
+  return value ? String(value).split(',').map((entry) => entry.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Turn a date into an ISO date ("2025-03-14")
+ * @param {string} value - Date from the catalog data
+ * @returns {string} ISO date, or '' if missing/invalid
+ */
+function toIsoDate(value) {
+  const time = parseDateAdded(value);
+  return time === null ? '' : new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Escape a CSV field
+ * @param {*} value - Field value
+ * @returns {string} Field, quoted if needed
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export items as CSV, with the columns of an IMDb list export
+ * @param {Object} list - { type, items }
+ * @returns {string} CSV text
+ */
+function toCsv({ type, items }) {
+  const header = ['Position', 'Const', 'Title', 'Title Type', 'Year', 'IMDb Rating', 'Runtime (mins)', 'Genres', 'Directors', 'Created', 'URL'];
+  const titleType = type === 'series' ? 'TV Series' : 'Movie';
+
+  const rows = items.map((item, index) => [
+    index + 1,
+    item.id,
+    item.name,
+    titleType,
+    parseReleaseYear(item.releaseInfo) || '',
+    item.imdbRating || '',
+    parseRuntimeMinutes(item.runtime) || '',
+    getItemGenres(item).join(', '),
+    toList(item.director).join(', '),
+    toIsoDate(item.dateAdded),
+    getImdbUrl(item) || '',
+  ]);
+
+  return `${[header].concat(rows).map((row) => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Export items as a Trakt list (the format of Trakt's list items API and list exports)
+ * @param {Object} list - { type, items }
+ * @returns {string} JSON text
+ */
+function toTraktJson({ type, items }) {
+  const traktType = TRAKT_TYPES[type] || type;
+
+  const entries = items.map((item, index) => {
+    const entry = { rank: index + 1 };
+    const listedAt = toIsoDate(item.dateAdded);
+    if (listedAt) {
+      entry.listed_at = `${listedAt}T00:00:00.000Z`;
+    }
+    entry.type = traktType;
+    entry[traktType] = {
+      title: item.name,
+      year: parseReleaseYear(item.releaseInfo),
+      ids: { imdb: item.id },
+    };
+    return entry;
+  });
+
+  return `${JSON.stringify(entries, null, 2)}\n`;
+}
+
+/**
+ * Export items as an M3U-style list: one entry per title, linking to its IMDb page
+ * @param {Object} list - { title, items }
+ * @returns {string} M3U text
+ */
+function toM3u({ title, items }) {
+  const lines = ['#EXTM3U', `#PLAYLIST:${title}`];
+
+  items.forEach((item) => {
+    const year = parseReleaseYear(item.releaseInfo);
+    const runtime = parseRuntimeMinutes(item.runtime);
+    const logo = item.poster ? ` tvg-logo="${item.poster.replace(/"/g, '')}"` : '';
+    lines.push(`#EXTINF:${runtime ? runtime * 60 : -1} tvg-id="${item.id}"${logo},${item.name}${year ? ` (${year})` : ''}`);
+    lines.push(getImdbUrl(item) || item.id);
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Escape text for Markdown
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(value) {
+  return String(value || '').replace(/([\\`*_[\]<>#|])/g, '\\$1');
+}
+
+/**
+ * Describe an item in one line: year, rating, runtime and genres
+ * @param {Object} item - Catalog item
+ * @returns {Array} Details, e.g. ["2017", "★ 8.2", "2h 27m", "Action, Crime"]
+ */
+function describeItem(item) {
+  const details = [];
+  if (item.releaseInfo) {
+    details.push(String(item.releaseInfo));
+  }
+  if (item.imdbRating) {
+    details.push(`★ ${item.imdbRating}`);
+  }
+  if (item.runtime) {
+    details.push(String(item.runtime));
+  }
+  const genres = getItemGenres(item);
+  if (genres.length > 0) {
+    details.push(genres.join(', '));
+  }
+  return details;
+}
+
+/**
+ * Export items as a Markdown list, e.g. to paste into a chat or a README
+ * @param {Object} list - { title, description, subtitle, items }
+ * @returns {string} Markdown text
+ */
+function toMarkdown({ title, description, subtitle, items }) {
+  const lines = [`# ${escapeMarkdown(title)}`, ''];
+  if (description) {
+    lines.push(escapeMarkdown(description), '');
+  }
+  if (subtitle) {
+    lines.push(`_${escapeMarkdown(subtitle)}_`, '');
+  }
+
+  items.forEach((item, index) => {
+    const url = getImdbUrl(item);
+    const name = url ? `[${escapeMarkdown(item.name)}](${url})` : escapeMarkdown(item.name);
+    const details = describeItem(item);
+    lines.push(`${index + 1}. **${name}**${details.length > 0 ? ` - ${escapeMarkdown(details.join(' · '))}` : ''}`);
+    if (item.description) {
+      lines.push(`   ${escapeMarkdown(item.description)}`);
+    }
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  getImdbUrl,
+  describeItem,
+  toCsv,
+  toTraktJson,
+  toM3u,
+  toMarkdown,
+};
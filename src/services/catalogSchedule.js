@@ -0,0 +1,396 @@
+/**
+ * Catalog Schedules
+ * Optional catalog fields that limit when a catalog is shown, for seasonal lists:
+ *
+ *   { "catalog_name": "pongal_releases", "catalog_type": "movie",
+ *     "visible_from": "2026-01-10", "visible_until": "2026-01-20", ... }
+ *
+ *   { "catalog_name": "this_weeks_watch", "catalog_type": "movie",
+ *     "recurrence": "0 18 * * 5", "recurrence_duration": "3d", ... }
+ *
+ * - visible_from: first day (or date and time) the catalog is shown
+ * - visible_until: last day the catalog is shown (a date and time is exclusive)
+ * - recurrence: cron expression ("minute hour day-of-month month day-of-week") of the times the catalog
+ *   appears; it then stays for recurrence_duration (default: 1d), within visible_from/visible_until if set
+ *
+ * Dates without a time zone and cron expressions are read in SCHEDULE_UTC_OFFSET (e.g. "+05:30").
+ * Every function takes the current time as an argument, so schedules can be evaluated at any time.
+ */
+
+const addonConfig = require('../config/addonConfig');
+
+// Schedule fields, passed along with the catalog list (see CatalogService.getAllCatalogs)
+const SCHEDULE_FIELDS = ['visible_from', 'visible_until', 'recurrence', 'recurrence_duration'];
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Window length of recurring catalogs without recurrence_duration
+const DEFAULT_RECURRENCE_DURATION = DAY;
+
+// How far ahead to look for the next recurrence: covers yearly dates and February 29
+const MAX_RECURRENCE_LOOKAHEAD_DAYS = 366 * 5;
+
+// Parsed schedules per catalog object (see getParsedSchedule)
+const scheduleCache = new WeakMap();
+
+// Cron fields: name, lowest and highest value
+const CRON_FIELDS = [
+  ['minute', 0, 59],
+  ['hour', 0, 23],
+  ['day of month', 1, 31],
+  ['month', 1, 12],
+  ['day of week', 0, 7], // 0 and 7 are both Sunday
+];
+
+// "2026-01-14", "2026-01-14T18:30", "2026-01-14T18:30:00", optionally with "Z" or an offset
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Durations: "3d", "12h", "90m", "1w"
+const DURATION_PATTERN = /^(\d+)\s*(m|h|d|w)$/i;
+const DURATION_UNITS = { m: MINUTE, h: HOUR, d: DAY, w: 7 * DAY };
+
+/**
+ * Parse a UTC offset
+ * @param {string} value - e.g. "+05:30", "-0800", "Z"
+ * @returns {number|null} Offset in milliseconds, or null if not valid
+ */
+function parseUtcOffset(value) {
+  if (value === 'Z' || value === 'UTC') {
+    return 0;
+  }
+  const match = /^([+-])(\d{2}):?(\d{2})$/.exec(String(value || '').trim());
+  if (!match || Number(match[2]) > 23 || Number(match[3]) > 59) {
+    return null;
+  }
+  return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * HOUR + Number(match[3]) * MINUTE);
+}
+
+/**
+ * Get the offset schedules are read in
+ * @returns {number} SCHEDULE_UTC_OFFSET in milliseconds (0 if not valid)
+ */
+function getScheduleOffset() {
+  return parseUtcOffset(addonConfig.scheduleUtcOffset) || 0;
+}
+
+/**
+ * Parse a visible_from/visible_until value
+ * @param {string} value - Date ("2026-01-14") or date and time ("2026-01-14T18:30", "2026-01-14T18:30:00+05:30")
+ * @param {Object} options - Parse options
+ * @param {boolean} options.endOfDay - Read a plain date as the end of that day (for visible_until)
+ * @param {number} options.offset - Offset of values without a time zone in milliseconds (default: SCHEDULE_UTC_OFFSET)
+ * @returns {number|null} Time in milliseconds, or null if not valid
+ */
+function parseScheduleTime(value, { endOfDay = false, offset = getScheduleOffset() } = {}) {
+  const match = typeof value === 'string' ? DATE_PATTERN.exec(value.trim()) : null;
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hours = '0', minutes = '0', seconds = '0', zone] = match;
+  const local = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds));
+
+  // Date.UTC rolls invalid dates over (February 30 becomes March 2), reject them instead
+  const date = new Date(local);
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day) || Number(hours) > 23 || Number(minutes) > 59 || Number(seconds) > 59) {
+    return null;
+  }
+
+  const zoneOffset = zone ? parseUtcOffset(zone.length === 5 ? `${zone.slice(0, 3)}:${zone.slice(3)}` : zone) : offset;
+  if (zoneOffset === null) {
+    return null;
+  }
+  return local - zoneOffset + (endOfDay && match[4] === undefined ? DAY : 0);
+}
+
+/**
+ * Parse a recurrence_duration value
+ * @param {string} value - e.g. "3d", "12h", "90m", "1w"
+ * @returns {number|null} Duration in milliseconds, or null if not valid
+ */
+function parseDuration(value) {
+  const match = typeof value === 'string' ? DURATION_PATTERN.exec(value.trim()) : null;
+  if (!match || Number(match[1]) <= 0) {
+    return null;
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+}
+
+/**
+ * Parse one cron field
+ * @param {string} field - e.g. "*", "5", "1-5", "*\/15", "1,15"
+ * @param {Array} definition - [name, min, max] (see CRON_FIELDS)
+ * @returns {Set} Matching values
+ * @throws {Error} If the field is not valid
+ */
+function parseCronField(field, [name, min, max]) {
+  const values = new Set();
+
+  field.split(',').forEach((part) => {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`invalid ${name} "${part}"`);
+    }
+
+    const start = match[1] === '*' ? min : Number(match[2]);
+    const end = match[1] === '*' ? max : match[3] !== undefined ? Number(match[3]) : match[4] !== undefined ? max : start;
+    const step = match[4] !== undefined ? Number(match[4]) : 1;
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`${name} "${part}" is out of range (${min}-${max})`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - "minute hour day-of-month month day-of-week", e.g. "0 18 * * 5"
+ * @returns {Object} { minutes, hours, days, months, weekdays } sets, and whether days and weekdays are restricted
+ * @throws {Error} If the expression is not valid
+ */
+function parseCron(expression) {
+  const fields = typeof expression === 'string' ? expression.trim().split(/\s+/) : [];
+  if (fields.length !== 5) {
+    throw new Error('expected 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    daysRestricted: fields[2] !== '*',
+    weekdaysRestricted: fields[4] !== '*',
+  };
+}
+
+/**
+ * Check whether a cron expression matches a day
+ * Like cron, a day matches either field when both day of month and day of week are restricted
+ * @param {Object} cron - Parsed cron expression
+ * @param {number} dayNumber - Days since 1970-01-01 in the schedule offset
+ * @returns {boolean}
+ */
+function cronMatchesDay(cron, dayNumber) {
+  const date = new Date(dayNumber * DAY);
+  if (!cron.months.has(date.getUTCMonth() + 1)) {
+    return false;
+  }
+
+  const dayMatches = cron.days.has(date.getUTCDate());
+  const weekdayMatches = cron.weekdays.has(date.getUTCDay());
+  if (cron.daysRestricted && cron.weekdaysRestricted) {
+    return dayMatches || weekdayMatches;
+  }
+  return dayMatches && weekdayMatches;
+}
+
+/**
+ * Get the times of day a cron expression matches
+ * @param {Object} cron - Parsed cron expression
+ * @returns {Array} Milliseconds since midnight, earliest first
+ */
+function getCronTimesOfDay(cron) {
+  const times = [];
+  Array.from(cron.hours).sort((a, b) => a - b).forEach((hour) => {
+    Array.from(cron.minutes).sort((a, b) => a - b).forEach((minute) => {
+      times.push(hour * HOUR + minute * MINUTE);
+    });
+  });
+  return times;
+}
+
+/**
+ * Find the latest time a cron expression matches, at or before a time
+ * @param {Object} cron - Parsed cron expression
+ * @param {number} now - Time in milliseconds
+ * @param {number} lookback - How far back to look in milliseconds
+ * @param {number} offset - Schedule offset in milliseconds
+ * @returns {number|null} Time in milliseconds, or null if there is none within lookback
+ */
+function findPreviousStart(cron, now, lookback, offset) {
+  const local = now + offset;
+  const times = getCronTimesOfDay(cron).reverse();
+  const firstDay = Math.floor(local / DAY);
+  const lastDay = Math.floor((local - lookback) / DAY);
+
+  for (let day = firstDay; day >= lastDay; day--) {
+    if (cronMatchesDay(cron, day)) {
+      const time = times.map((timeOfDay) => day * DAY + timeOfDay).find((candidate) => candidate <= local);
+      if (time !== undefined) {
+        return time >= local - lookback ? time - offset : null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the first time a cron expression matches after a time
+ * @param {Object} cron - Parsed cron expression
+ * @param {number} now - Time in milliseconds
+ * @param {number} offset - Schedule offset in milliseconds
+ * @returns {number|null} Time in milliseconds, or null if it never matches (e.g. February 31)
+ */
+function findNextStart(cron, now, offset) {
+  const local = now + offset;
+  const times = getCronTimesOfDay(cron);
+  const firstDay = Math.floor(local / DAY);
+
+  for (let day = firstDay; day <= firstDay + MAX_RECURRENCE_LOOKAHEAD_DAYS; day++) {
+    if (cronMatchesDay(cron, day)) {
+      const time = times.map((timeOfDay) => day * DAY + timeOfDay).find((candidate) => candidate > local);
+      if (time !== undefined) {
+        return time - offset;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the day a time falls on, in SCHEDULE_UTC_OFFSET
+ * Used for catalogs that change daily (see virtualCatalogs.js)
+ * @param {number} now - Time in milliseconds (default: Date.now())
+ * @returns {number} Days since 1970-01-01
+ */
+function getDayNumber(now = Date.now()) {
+  return Math.floor((now + getScheduleOffset()) / DAY);
+}
+
+/**
+ * Get when the day after a time starts, in SCHEDULE_UTC_OFFSET
+ * @param {number} now - Time in milliseconds (default: Date.now())
+ * @returns {number} Time in milliseconds
+ */
+function getNextDayStart(now = Date.now()) {
+  return (getDayNumber(now) + 1) * DAY - getScheduleOffset();
+}
+
+/**
+ * Check whether a catalog has a schedule
+ * @param {Object} catalog - Catalog from JSON
+ * @returns {boolean}
+ */
+function isScheduledCatalog(catalog) {
+  return Boolean(catalog) && SCHEDULE_FIELDS.some((field) => catalog[field] !== undefined);
+}
+
+/**
+ * Get a catalog's parsed schedule, parsing it on first use
+ * Cached per catalog object: a reload creates new objects, so an edited schedule is parsed again
+ * Values that are not valid are ignored (validation reports them), so a typo never hides a catalog for good
+ * @param {Object} catalog - Catalog from JSON
+ * @returns {Object} { offset, from, until, cron, duration, status }: status is the last computed status
+ */
+function getParsedSchedule(catalog) {
+  const offset = getScheduleOffset();
+  const cached = scheduleCache.get(catalog);
+  if (cached && cached.offset === offset) {
+    return cached;
+  }
+
+  let cron = null;
+  try {
+    cron = catalog.recurrence !== undefined ? parseCron(catalog.recurrence) : null;
+  } catch (error) {
+    cron = null;
+  }
+
+  const schedule = {
+    offset,
+    from: parseScheduleTime(catalog.visible_from, { offset }),
+    until: parseScheduleTime(catalog.visible_until, { endOfDay: true, offset }),
+    cron,
+    duration: cron ? parseDuration(catalog.recurrence_duration) || DEFAULT_RECURRENCE_DURATION : null,
+    status: null,
+  };
+  scheduleCache.set(catalog, schedule);
+  return schedule;
+}
+
+/**
+ * Compute a parsed schedule's status at a time
+ * @param {Object} schedule - Parsed schedule (see getParsedSchedule)
+ * @param {number} now - Time in milliseconds
+ * @returns {Object} { active, nextTransition, previousTransition } (see getScheduleStatus)
+ */
+function computeScheduleStatus(schedule, now) {
+  const { offset, from, until, cron, duration } = schedule;
+  let active = (from === null || now >= from) && (until === null || now < until);
+  const transitions = [from, until];
+  const past = [from, until];
+
+  if (cron) {
+    const start = findPreviousStart(cron, now, duration, offset);
+    const inWindow = start !== null && now < start + duration;
+    active = active && inWindow;
+    transitions.push(inWindow ? start + duration : null, findNextStart(cron, now, offset));
+
+    // The start of this window, or the end of the last one
+    const lastStart = inWindow ? null : findPreviousStart(cron, now - duration, MAX_RECURRENCE_LOOKAHEAD_DAYS * DAY, offset);
+    past.push(inWindow ? start : lastStart !== null ? lastStart + duration : null);
+  }
+
+  // Recurrences before visible_from or after visible_until change nothing
+  const upcoming = transitions.filter((time) => time !== null && time > now && (until === null || time <= until));
+  const previous = past.filter((time) => time !== null && time <= now && (from === null || time >= from) && (until === null || time <= until));
+  return {
+    active,
+    nextTransition: upcoming.length > 0 ? Math.min(...upcoming) : null,
+    previousTransition: previous.length > 0 ? Math.max(...previous) : null,
+  };
+}
+
+/**
+ * Get a catalog's schedule status at a time
+ * The status holds from its previousTransition until its nextTransition, so it is kept for that
+ * span and checking it on every request (search results, virtual catalogs, smart rules) is cheap
+ * @param {Object} catalog - Catalog from JSON
+ * @param {number} now - Time in milliseconds (default: Date.now())
+ * @returns {Object} { active, nextTransition, previousTransition }: nextTransition is when active changes next
+ *   (null: never), previousTransition when it last changed (null: never)
+ */
+function getScheduleStatus(catalog, now = Date.now()) {
+  if (!isScheduledCatalog(catalog)) {
+    return { active: true, nextTransition: null, previousTransition: null };
+  }
+
+  const schedule = getParsedSchedule(catalog);
+  const status = schedule.status;
+  if (
+    status &&
+    (status.previousTransition === null || now >= status.previousTransition) &&
+    (status.nextTransition === null || now < status.nextTransition)
+  ) {
+    return status;
+  }
+
+  schedule.status = computeScheduleStatus(schedule, now);
+  return schedule.status;
+}
+
+module.exports = {
+  SCHEDULE_FIELDS,
+  parseUtcOffset,
+  parseScheduleTime,
+  parseDuration,
+  parseCron,
+  getDayNumber,
+  getNextDayStart,
+  isScheduledCatalog,
+  getScheduleStatus,
+};
@@ -4,66 +4,73 @@
  */
 
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
+const { EventEmitter } = require('events');
 const logger = require('../utils/logger');
-const { DataLoadError, CatalogNotFoundError } = require('../utils/errors');
+const { DataLoadError, CatalogNotFoundError, ValidationError, ReadOnlySourceError } = require('../utils/errors');
+const { writeFileAtomic, backupFile } = require('../utils/files');
+const addonConfig = require('../config/addonConfig');
+const { SearchIndex } = require('./searchIndex');
+const { validateCatalogData, formatValidationResult } = require('./catalogValidator');
+const { resolveSortOption, sortCatalogItems } = require('./catalogSort');
+const { ALL_GENRES_OPTION, getItemGenres, itemHasGenre } = require('./genres');
+const { createItemFilter } = require('../config/userConfig');
+const { parseSourceList, resolvePath, expandSources, describeSource, mergeSources } = require('./catalogSources');
+const { RemoteSource, isRemoteSource } = require('./remoteSource');
+const enrichmentService = require('./enrichmentService');
+const { toStremioVideos, getFeaturedSeason, applyFeaturedSeason } = require('./series');
+const { getTrailers, hasStreamData, toStremioStreams } = require('./streams');
+const { isSmartCatalog, isDailySmartCatalog, evaluateSmartCatalogs } = require('./smartCatalogs');
+const { DISPLAY_FIELDS, getCatalogDisplayName, isCatalogListed, isDraftCatalog } = require('./catalogDisplay');
+const { SCHEDULE_FIELDS, isScheduledCatalog, getScheduleStatus, getDayNumber, getNextDayStart } = require('./catalogSchedule');
+const { SURPRISE_CATALOG_ID, FEATURED_CATALOG_ID, VIRTUAL_CATALOGS, isVirtualCatalogId, shuffleItems, rotateItems } = require('./virtualCatalogs');
 
-class CatalogService {
+class CatalogService extends EventEmitter {
   constructor() {
+    super();
     this.catalogData = null;
     this.catalogMap = new Map(); // Map for quick lookup: "type:id" -> catalog
+    this.itemIndex = new Map(); // Map for quick lookup: "imdb id" -> { item, catalogs }
+    this.searchIndex = new SearchIndex();
+    this.sortCache = new Map(); // Map: "type:id:sortKey" -> sorted catalog items
+    this.catalogSources = new Map(); // Map: "type:id" -> sources the catalog came from
     this.initialized = false;
-    this.dataPath = null;
+    this.dataSources = null; // Configured source entries
+    this.dataPaths = []; // Resolved source files
+    this.dataPath = null; // First source file
+    this.watchPaths = []; // Files and directories to watch for changes
+    this.dataRevision = 0; // Incremented on every successful reload
+    this.dataHash = null; // Hash of the loaded source files, identifies the dataset across processes
+    this.loadedAt = null; // When the current dataset was loaded (ms timestamp)
+    this.dataModifiedAt = null; // When the newest source file was modified (ms timestamp)
+    this.scheduleState = null; // Active scheduled catalogs and when that changes next (see getScheduleState)
+    this.virtualPools = new Map(); // Map: "type:id" -> items a virtual catalog picks from
+    this.virtualItems = new Map(); // Map: "type:id:genre" -> the current day's items of a virtual catalog
+    this.virtualDay = null; // Day the virtual catalog items were picked for
+    this.watchers = new Map(); // Map: watched path -> fs.watchFile listener
+    this.watchOptions = null;
+    this.reloadTimer = null;
+    this.ownWrites = new Map(); // Map: path -> mtime of our own last write, ignored by the watcher
+    this.remoteSources = new Map(); // Map: URL -> RemoteSource
+    this.remoteTimer = null;
+    this.remoteRefresh = null; // Pending refreshRemoteSources() call
   }
 
   /**
-   * Load catalog data from JSON file
-   * @param {string} dataPath - Path to catalog_data.json
+   * Load catalog data from one or more sources
+   * @param {string|Array} dataSource - Path to catalog_data.json, a directory, a filename glob,
+   *   or a comma separated list/array of those (see catalogSources.js)
    */
-  loadCatalogData(dataPath) {
+  loadCatalogData(dataSource) {
     try {
-      // Try multiple path resolution strategies for different environments
-      let absolutePath = null;
-      
-      // Strategy 1: Resolve relative to current working directory
-      const resolvedFromCwd = path.resolve(dataPath);
-      if (fs.existsSync(resolvedFromCwd)) {
-        absolutePath = resolvedFromCwd;
-      } else {
-        // Strategy 2: Resolve relative to this file's directory (for serverless)
-        const resolvedFromModule = path.resolve(__dirname, '../../', dataPath);
-        if (fs.existsSync(resolvedFromModule)) {
-          absolutePath = resolvedFromModule;
-        } else {
-          // Strategy 3: Try absolute path if provided
-          if (path.isAbsolute(dataPath) && fs.existsSync(dataPath)) {
-            absolutePath = dataPath;
-          } else {
-            // Strategy 4: Try from process.cwd() with different relative paths
-            const cwd = process.cwd();
-            const pathsToTry = [
-              path.join(cwd, dataPath),
-              path.join(cwd, path.basename(dataPath)), // Just filename
-              path.resolve(cwd, '..', dataPath),
-              path.resolve(cwd, '..', path.basename(dataPath)),
-            ];
-            
-            for (const tryPath of pathsToTry) {
-              if (fs.existsSync(tryPath)) {
-                absolutePath = tryPath;
-                break;
-              }
-            }
-          }
-        }
-      }
-      
-      if (!absolutePath || !fs.existsSync(absolutePath)) {
-        throw new Error(`Catalog data file not found. Tried: ${dataPath}, resolved from cwd: ${path.resolve(dataPath)}, cwd: ${process.cwd()}`);
+      this.dataSources = parseSourceList(dataSource);
+
+      if (this.dataSources.length === 0) {
+        throw new Error('No catalog data source configured');
       }
-      
-      this.dataPath = absolutePath;
-      logger.info(`Loading catalog data from: ${absolutePath}`);
+
+      logger.info(`Loading catalog data from: ${this.dataSources.join(', ')}`);
 
       this._loadDataFromFile();
 
@@ -75,27 +82,86 @@ class CatalogService {
   }
 
   /**
-   * Load catalog data from file
+   * Load catalog data from the configured source files
+   * Sources are expanded again on every load, so files added to a source directory are picked up
    * @private
    */
   _loadDataFromFile() {
     try {
-      if (!this.dataPath || !fs.existsSync(this.dataPath)) {
-        throw new Error(`Catalog data file not found: ${this.dataPath}`);
-      }
+      const { files, watchPaths, missing } = expandSources(this.dataSources);
 
-      const fileContent = fs.readFileSync(this.dataPath, 'utf8');
-      const data = JSON.parse(fileContent);
+      if (missing.length > 0) {
+        logger.warn(`Catalog data source not found: ${missing.join(', ')} (cwd: ${process.cwd()})`);
+      }
 
-      if (!data || !Array.isArray(data.catalogs)) {
-        throw new Error('Invalid catalog data format: expected { catalogs: [...] }');
+      if (files.length === 0) {
+        throw new Error(`Catalog data file not found. Tried: ${this.dataSources.join(', ')}, cwd: ${process.cwd()}`);
       }
 
+      // The hash covers the content only, so the same data has the same hash wherever it is deployed
+      const hash = crypto.createHash('sha1');
+      let modifiedAt = 0;
+      const sources = files.map((filePath) => {
+        let fileContent;
+        if (isRemoteSource(filePath)) {
+          const remote = this._getRemoteSource(filePath);
+          fileContent = remote.read();
+          modifiedAt = Math.max(modifiedAt, remote.modifiedAt || 0);
+        } else {
+          fileContent = fs.readFileSync(filePath, 'utf8');
+          modifiedAt = Math.max(modifiedAt, fs.statSync(filePath).mtimeMs);
+        }
+        hash.update(`${fileContent}\0`);
+        let data;
+        try {
+          data = JSON.parse(fileContent);
+        } catch (error) {
+          throw new Error(`${filePath}: ${error.message}`);
+        }
+
+        if (!data || !Array.isArray(data.catalogs)) {
+          throw new Error(`Invalid catalog data format in ${filePath}: expected { catalogs: [...] }`);
+        }
+
+        this._validateData(data, files.length > 1 ? path.basename(filePath) : null);
+
+        return { source: describeSource(data, filePath), data };
+      });
+
+      // A single source is used as-is, several are merged by priority
+      const merged = sources.length === 1
+        ? { data: sources[0].data, catalogSources: this._singleSourceMap(sources[0]) }
+        : mergeSources(sources);
+      const data = merged.data;
+
+      // Build everything for the new dataset before touching the current one,
+      // so a failure part-way through keeps the last good data in place
+      const loadedAt = Date.now();
+      const { catalogMap, itemIndex } = this._buildCatalogMap(data, { now: loadedAt });
+      // Build the search index up front so search stays fast on cold starts
+      const searchIndex = new SearchIndex();
+      searchIndex.build(itemIndex);
+
+      // Swap in the new dataset in one step
       this.catalogData = data;
-      this._buildCatalogMap();
+      this.catalogMap = catalogMap;
+      this.catalogSources = merged.catalogSources;
+      this.itemIndex = itemIndex;
+      this.searchIndex = searchIndex;
+      this.sortCache = new Map();
+      this.virtualPools = new Map();
+      this.virtualItems = new Map();
+      this.dataPaths = files;
+      this.dataPath = files[0];
+      this.dataHash = hash.digest('hex').slice(0, 16);
+      this.loadedAt = loadedAt;
+      this.dataModifiedAt = modifiedAt || null;
+      this.watchPaths = watchPaths;
       this.initialized = true;
+      this.scheduleState = null;
+      this.getScheduleState(this.loadedAt);
 
-      logger.info(`Successfully loaded ${data.catalogs.length} catalogs`);
+      logger.info(`Successfully loaded ${data.catalogs.length} catalogs from ${files.length} source(s)`);
     } catch (error) {
       logger.error('Failed to load catalog data:', error.message);
       throw new DataLoadError(error.message, error);
@@ -103,39 +169,728 @@ class CatalogService {
   }
 
   /**
-   * Build a map for quick catalog lookup
+   * Get (or create) the remote source for a URL
+   * @param {string} url - HTTP(S) URL
+   * @returns {RemoteSource}
+   * @private
+   */
+  _getRemoteSource(url) {
+    if (!this.remoteSources.has(url)) {
+      const fallbackPath = addonConfig.catalogDataFallbackPath ? resolvePath(addonConfig.catalogDataFallbackPath) : null;
+      this.remoteSources.set(
+        url,
+        new RemoteSource(url, {
+          ttlMs: addonConfig.remoteTtlSeconds * 1000,
+          timeoutMs: addonConfig.remoteTimeoutMs,
+          cacheDir: addonConfig.remoteCacheDir || undefined,
+          fallbackPath,
+        })
+      );
+    }
+    return this.remoteSources.get(url);
+  }
+
+  /**
+   * Fetch the remote (HTTP) sources of a source specification
+   * Call before loadCatalogData so the first load uses fresh data; without it (or when
+   * the fetch fails) remote sources are served from their last good or bundled copy
+   * @param {string|Array} dataSource - Source specification (see loadCatalogData)
+   * @returns {Promise<void>}
+   */
+  async fetchRemoteSources(dataSource) {
+    const urls = parseSourceList(dataSource).filter(isRemoteSource);
+    await Promise.all(urls.map((url) => this._getRemoteSource(url).refresh({ force: true })));
+  }
+
+  /**
+   * Refresh remote sources whose TTL has passed and reload the catalog data if any changed
+   * Concurrent calls share one refresh
+   * @param {Object} options - Refresh options
+   * @param {boolean} options.force - Refresh even if the TTL has not passed
+   * @returns {Promise<boolean>} True if catalog data was reloaded
+   */
+  refreshRemoteSources({ force = false } = {}) {
+    if (this.remoteSources.size === 0 || !this.dataSources) {
+      return Promise.resolve(false);
+    }
+
+    if (!this.remoteRefresh) {
+      const remotes = Array.from(this.remoteSources.values()).filter((remote) => force || remote.isStale());
+      this.remoteRefresh = Promise.all(remotes.map((remote) => remote.refresh({ force })))
+        .then((results) => (results.includes(true) ? this.reloadCatalogData() : false))
+        .finally(() => {
+          this.remoteRefresh = null;
+        });
+    }
+
+    return this.remoteRefresh;
+  }
+
+  /**
+   * Build the catalog -> source map for a single source
+   * @param {Object} entry - { source, data }
+   * @returns {Map} "type:catalog_name" -> [source]
+   * @private
+   */
+  _singleSourceMap({ source, data }) {
+    const catalogSources = new Map();
+    data.catalogs.forEach((catalog) => {
+      if (catalog && catalog.catalog_type && catalog.catalog_name) {
+        catalogSources.set(`${catalog.catalog_type}:${catalog.catalog_name}`, [source]);
+      }
+    });
+    return catalogSources;
+  }
+
+  /**
+   * Validate parsed catalog data against the schema
+   * Errors are always logged; in strict mode any error rejects the data
+   * @param {Object} data - Parsed catalog data
+   * @param {string} label - Source file name, prefixed to problems when there are several sources (optional)
+   * @throws {ValidationError} In strict mode, when the data has errors
+   * @private
+   */
+  _validateData(data, label = null) {
+    const result = validateCatalogData(data, { idPrefixes: addonConfig.idPrefixes });
+    const prefix = label ? `Catalog data (${label})` : 'Catalog data';
+
+    // Warnings can be numerous (e.g. every item without a poster), so they are only logged at debug level
+    formatValidationResult(result).forEach((line) => {
+      if (line.startsWith('ERROR')) {
+        logger.error(`${prefix}: ${line}`);
+      } else {
+        logger.debug(`${prefix}: ${line}`);
+      }
+    });
+
+    if (!result.valid && addonConfig.strictValidation) {
+      throw new ValidationError(result.errors, result.warnings);
+    }
+
+    if (!result.valid || result.warnings.length > 0) {
+      logger.warn(`${prefix} validation: ${result.errors.length} error(s), ${result.warnings.length} warning(s). Run "npm run validate" for details`);
+    }
+  }
+
+  /**
+   * Reload catalog data from the configured sources
+   * On failure the last good dataset is kept and a 'reloadError' event is emitted
+   * @returns {boolean} True if the new data was loaded
+   */
+  reloadCatalogData() {
+    if (!this.dataSources) {
+      logger.warn('Cannot reload catalog data: no data loaded yet');
+      return false;
+    }
+
+    try {
+      this._loadDataFromFile();
+      this.dataRevision++;
+      logger.info(`Reloaded catalog data from: ${this.dataPaths.join(', ')} (revision ${this.dataRevision})`);
+      this.emit('reload', { revision: this.dataRevision, dataPaths: this.dataPaths });
+
+      // Sources may have gained or lost files
+      if (this.watchOptions) {
+        this._syncWatchers();
+      }
+      return true;
+    } catch (error) {
+      logger.error(`Catalog data reload failed, keeping last good data (revision ${this.dataRevision}):`, error.message);
+      this.emit('reloadError', error);
+      return false;
+    }
+  }
+
+  /**
+   * Watch the data files (and source directories) and reload when they change
+   * Uses polling (fs.watchFile) because it survives editors and scripts that replace
+   * the file instead of writing in place, and works on Docker volume mounts
+   * @param {Object} options - Watch options
+   * @param {number} options.interval - Polling interval in milliseconds (default: 1000)
+   * @param {number} options.debounceMs - Wait for writes to settle before reloading (default: 500)
+   */
+  watchCatalogData(options = {}) {
+    if (!this.initialized) {
+      throw new DataLoadError('Catalog data not initialized');
+    }
+
+    if (this.watchOptions) {
+      return;
+    }
+
+    this.watchOptions = { interval: 1000, debounceMs: 500, ...options };
+    this._syncWatchers();
+
+    // Remote sources cannot be watched, poll them once per TTL instead
+    if (this.remoteSources.size > 0) {
+      this.remoteTimer = setInterval(() => this.refreshRemoteSources(), addonConfig.remoteTtlSeconds * 1000);
+      this.remoteTimer.unref();
+      logger.info(`Refreshing remote catalog data every ${addonConfig.remoteTtlSeconds}s`);
+    }
+  }
+
+  /**
+   * Start watching new source paths and stop watching removed ones
+   * @private
+   */
+  _syncWatchers() {
+    const { interval, debounceMs } = this.watchOptions;
+    const wanted = new Set(this.watchPaths);
+
+    this.watchers.forEach((listener, watchedPath) => {
+      if (!wanted.has(watchedPath)) {
+        fs.unwatchFile(watchedPath, listener);
+        this.watchers.delete(watchedPath);
+        logger.info(`Stopped watching catalog data: ${watchedPath}`);
+      }
+    });
+
+    wanted.forEach((watchedPath) => {
+      if (this.watchers.has(watchedPath)) {
+        return;
+      }
+
+      const listener = (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) {
+          return;
+        }
+
+        if (this.ownWrites.get(watchedPath) === current.mtimeMs) {
+          // Written by editCatalogData, which already reloaded
+          return;
+        }
+
+        if (current.mtimeMs === 0) {
+          // File removed (or mid-replace); wait for it to come back
+          logger.warn(`Catalog data file disappeared: ${watchedPath}`);
+          return;
+        }
+
+        // Debounce: scripts often write the file in several chunks, or several files at once
+        if (this.reloadTimer) {
+          clearTimeout(this.reloadTimer);
+        }
+        this.reloadTimer = setTimeout(() => {
+          this.reloadTimer = null;
+          logger.info(`Catalog data changed: ${watchedPath}`);
+          this.reloadCatalogData();
+        }, debounceMs);
+        this.reloadTimer.unref();
+      };
+
+      fs.watchFile(watchedPath, { interval, persistent: false }, listener);
+      this.watchers.set(watchedPath, listener);
+      logger.info(`Watching catalog data for changes: ${watchedPath}`);
+    });
+  }
+
+  /**
+   * Stop watching the data files
+   */
+  unwatchCatalogData() {
+    if (this.reloadTimer) {
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = null;
+    }
+
+    if (this.remoteTimer) {
+      clearInterval(this.remoteTimer);
+      this.remoteTimer = null;
+    }
+
+    this.watchers.forEach((listener, watchedPath) => {
+      fs.unwatchFile(watchedPath, listener);
+    });
+    this.watchers.clear();
+    this.watchOptions = null;
+  }
+
+  /**
+   * Build a map for quick catalog lookup and the item index
    * Format: "type:catalog_name" -> catalog object
+   * @param {Object} data - Parsed catalog data
+   * @param {Object} options - Options object
+   * @param {number} options.now - Current time, decides which scheduled catalogs smart catalogs include (default: Date.now())
+   * @returns {Object} { catalogMap, itemIndex }
+   * @private
    */
-  _buildCatalogMap() {
-    this.catalogMap.clear();
+  _buildCatalogMap(data, { now = Date.now() } = {}) {
+    const catalogMap = new Map();
+    const itemIndex = new Map();
     
-    if (!this.catalogData || !Array.isArray(this.catalogData.catalogs)) {
-      return;
+    if (!data || !Array.isArray(data.catalogs)) {
+      return { catalogMap, itemIndex };
     }
 
-    this.catalogData.catalogs.forEach((catalog) => {
-      if (catalog.catalog_type && catalog.catalog_name) {
+    data.catalogs.forEach((catalog) => {
+      if (catalog.catalog_type && catalog.catalog_name && !isSmartCatalog(catalog)) {
         const key = `${catalog.catalog_type}:${catalog.catalog_name}`;
-        this.catalogMap.set(key, catalog);
+        catalogMap.set(key, catalog);
+        this._indexCatalogItems(catalog, itemIndex);
       }
     });
 
-    logger.debug(`Built catalog map with ${this.catalogMap.size} entries`);
+    // Smart catalogs pick their items from the hand-curated ones, so they are evaluated
+    // once every item is indexed; they are served like any other catalog
+    const smart = evaluateSmartCatalogs(data.catalogs, (id) => (itemIndex.has(id) ? itemIndex.get(id).item : null), { now });
+    smart.problems.forEach((problem) => logger.warn(`Smart catalog ${problem}`));
+    smart.items.forEach((items, key) => {
+      const catalog = { ...data.catalogs.find((candidate) => `${candidate.catalog_type}:${candidate.catalog_name}` === key), catalog_items: items };
+      catalogMap.set(key, catalog);
+      this._indexCatalogItems(catalog, itemIndex);
+      logger.debug(`Smart catalog ${key} matched ${items.length} items`);
+    });
+
+    logger.debug(`Built catalog map with ${catalogMap.size} entries`);
+    logger.debug(`Built item index with ${itemIndex.size} entries`);
+
+    return { catalogMap, itemIndex };
+  }
+
+  /**
+   * Add a catalog's items to the item index
+   * The same title can be curated in several catalogs, so the first occurrence
+   * is kept as the base and later occurrences only fill in missing fields
+   * @param {Object} catalog - Catalog object from JSON
+   * @param {Map} itemIndex - Item index to add to
+   * @private
+   */
+  _indexCatalogItems(catalog, itemIndex) {
+    if (!Array.isArray(catalog.catalog_items)) {
+      return;
+    }
+
+    const catalogRef = {
+      catalog_name: catalog.catalog_name,
+      catalog_type: catalog.catalog_type,
+    };
+
+    catalog.catalog_items.forEach((item) => {
+      if (!item || !item.id) {
+        return;
+      }
+
+      const entry = itemIndex.get(item.id);
+      if (!entry) {
+        itemIndex.set(item.id, { item: { ...item }, catalogs: [catalogRef] });
+        return;
+      }
+
+      Object.keys(item).forEach((field) => {
+        if (entry.item[field] === undefined || entry.item[field] === null || entry.item[field] === '') {
+          entry.item[field] = item[field];
+        }
+      });
+
+      if (!entry.catalogs.some((ref) => ref.catalog_type === catalogRef.catalog_type && ref.catalog_name === catalogRef.catalog_name)) {
+        entry.catalogs.push(catalogRef);
+      }
+    });
   }
 
   /**
    * Get all catalogs for manifest generation
-   * @returns {Array} Array of catalog objects with catalog_name and catalog_type
+   * Scheduled catalogs are only included while they are active (see catalogSchedule.js)
+   * @param {Object} options - Options object
+   * @param {number} options.now - Current time (default: Date.now())
+   * @param {boolean} options.includeInactive - Include scheduled catalogs outside their schedule (default: false)
+   * @returns {Array} Array of catalog objects with catalog_name, catalog_type, sources, the display fields
+   *   (see catalogDisplay.js) and the schedule fields
    */
-  getAllCatalogs() {
+  getAllCatalogs({ now = Date.now(), includeInactive = false } = {}) {
     if (!this.initialized || !this.catalogData) {
       throw new DataLoadError('Catalog data not initialized');
     }
 
-    return this.catalogData.catalogs.map((catalog) => ({
-      catalog_name: catalog.catalog_name,
-      catalog_type: catalog.catalog_type,
-    }));
+    return this.catalogData.catalogs
+      .filter((catalog) => includeInactive || getScheduleStatus(catalog, now).active)
+      .map((catalog) => {
+        const entry = {
+          catalog_name: catalog.catalog_name,
+          catalog_type: catalog.catalog_type,
+          sources: this.getCatalogSources(catalog.catalog_type, catalog.catalog_name).map((source) => source.name),
+        };
+        DISPLAY_FIELDS.concat(SCHEDULE_FIELDS).forEach((field) => {
+          if (catalog[field] !== undefined) {
+            entry[field] = catalog[field];
+          }
+        });
+        return entry;
+      });
+  }
+
+  /**
+   * Check whether a catalog is within its schedule
+   * @param {string} type - Content type
+   * @param {string} catalogName - Catalog name
+   * @param {number} now - Current time (default: Date.now())
+   * @returns {boolean} False for scheduled catalogs outside their schedule, true otherwise (also for unknown catalogs)
+   */
+  isCatalogActive(type, catalogName, now = Date.now()) {
+    const catalog = this.initialized ? this.catalogMap.get(`${type}:${catalogName}`) : null;
+    return !catalog || getScheduleStatus(catalog, now).active;
+  }
+
+  /**
+   * Check whether a catalog's items are served: the catalog is not a draft and within its schedule
+   * Hidden catalogs are served, they are only left out of the manifest
+   * @param {string} type - Content type
+   * @param {string} catalogName - Catalog name
+   * @param {number} now - Current time (default: Date.now())
+   * @returns {boolean} False for drafts, scheduled catalogs outside their schedule and unknown catalogs
+   */
+  isCatalogServed(type, catalogName, now = Date.now()) {
+    const catalog = this.initialized ? this.catalogMap.get(`${type}:${catalogName}`) : null;
+    return Boolean(catalog) && !isDraftCatalog(catalog) && getScheduleStatus(catalog, now).active;
+  }
+
+  /**
+   * Get which scheduled catalogs are active, and when that changes next
+   * The state is kept until its next transition, so checking it on every request is cheap.
+   * Emits "scheduleChange" when scheduled catalogs appeared or disappeared since the last check, and at
+   * midnight when smart catalogs with released_within_days have to be evaluated again.
+   * @param {number} now - Current time (default: Date.now())
+   * @returns {Object} { key, nextTransition, lastTransition }: key identifies the active scheduled catalogs and,
+   *   with released_within_days smart catalogs, the day (empty without either), nextTransition is when that
+   *   changes next (null: never), lastTransition when a scheduled catalog last appeared or disappeared (null: never)
+   */
+  getScheduleState(now = Date.now()) {
+    if (!this.initialized) {
+      return { key: '', nextTransition: null, lastTransition: null };
+    }
+
+    // Recompute after the next transition, or when asked about an earlier time than the state was computed for
+    const state = this.scheduleState;
+    if (state && now >= state.computedAt && (state.nextTransition === null || now < state.nextTransition)) {
+      return state;
+    }
+
+    const active = [];
+    let nextTransition = null;
+    let lastTransition = null;
+    this.catalogData.catalogs.filter(isScheduledCatalog).forEach((catalog) => {
+      const status = getScheduleStatus(catalog, now);
+      if (status.active) {
+        active.push(`${catalog.catalog_type}:${catalog.catalog_name}`);
+      }
+      if (status.nextTransition !== null && (nextTransition === null || status.nextTransition < nextTransition)) {
+        nextTransition = status.nextTransition;
+      }
+      if (status.previousTransition !== null && (lastTransition === null || status.previousTransition > lastTransition)) {
+        lastTransition = status.previousTransition;
+      }
+    });
+
+    // Smart catalogs with released_within_days gain and lose items as days pass
+    const day = this.catalogData.catalogs.some(isDailySmartCatalog) ? getDayNumber(now) : null;
+    if (day !== null) {
+      nextTransition = Math.min(nextTransition !== null ? nextTransition : Infinity, getNextDayStart(now));
+    }
+
+    const scheduled = this.catalogData.catalogs.some(isScheduledCatalog);
+    const activeKey = active.sort().join('\n');
+    const key = scheduled || day !== null
+      ? crypto.createHash('sha1').update(day !== null ? `${activeKey}\nd${day}` : activeKey).digest('hex').slice(0, 8)
+      : '';
+    this.scheduleState = { key, activeKey, nextTransition, lastTransition, computedAt: now };
+
+    if (state && state.key !== key) {
+      if (state.activeKey !== activeKey) {
+        logger.info(`Scheduled catalogs changed, now active: ${active.join(', ') || 'none'}`);
+      } else {
+        logger.info('New day, evaluating smart catalogs again');
+      }
+      this._rebuildDerivedData(now);
+      this.emit('scheduleChange', { active, nextTransition });
+    }
+    return this.scheduleState;
+  }
+
+  /**
+   * Rebuild what is derived from the loaded data at a point in time: smart catalogs (they only include
+   * scheduled catalogs within their schedule) with the item and search indexes that cover them, and
+   * the sorted and virtual catalog caches
+   * @param {number} now - Current time
+   * @private
+   */
+  _rebuildDerivedData(now) {
+    const { catalogMap, itemIndex } = this._buildCatalogMap(this.catalogData, { now });
+    const searchIndex = new SearchIndex();
+    searchIndex.build(itemIndex);
+
+    this.catalogMap = catalogMap;
+    this.itemIndex = itemIndex;
+    this.searchIndex = searchIndex;
+    this.sortCache = new Map();
+    this.virtualPools = new Map();
+    this.virtualItems = new Map();
+  }
+
+  /**
+   * Get the virtual catalogs (see virtualCatalogs.js) for manifest generation
+   * Surprise Me is offered for every type (with SURPRISE_CATALOG=true), Featured Today for every
+   * type with FEATURED_CATALOG_SOURCES catalogs; catalogs without items to pick from are left out
+   * @returns {Array} Catalog objects like getAllCatalogs, with virtual set to "surprise" or "featured"
+   */
+  getVirtualCatalogs() {
+    const catalogs = [];
+    this.getSupportedTypes().forEach((type) => {
+      [SURPRISE_CATALOG_ID, FEATURED_CATALOG_ID].forEach((id) => {
+        if (this.isVirtualCatalog(type, id)) {
+          const { kind, name, description } = VIRTUAL_CATALOGS[id];
+          catalogs.push({ catalog_name: id, catalog_type: type, display_name: name, description, virtual: kind });
+        }
+      });
+    });
+    return catalogs;
+  }
+
+  /**
+   * Check whether a virtual catalog is offered
+   * @param {string} type - Content type
+   * @param {string} catalogId - Catalog id
+   * @returns {boolean}
+   */
+  isVirtualCatalog(type, catalogId) {
+    return this.initialized && isVirtualCatalogId(catalogId) && !this.catalogMap.has(`${type}:${catalogId}`) &&
+      this._getVirtualPool(type, catalogId).length > 0;
+  }
+
+  /**
+   * Get the items a virtual catalog picks from, cached until the data is reloaded or scheduled catalogs change
+   * Surprise Me picks from every hand-curated catalog of the type, Featured Today from the
+   * FEATURED_CATALOG_SOURCES catalogs (smart catalogs included) in a fixed shuffled order; drafts and
+   * scheduled catalogs outside their schedule are skipped
+   * @param {string} type - Content type
+   * @param {string} catalogId - Virtual catalog id
+   * @param {number} now - Current time (default: Date.now())
+   * @returns {Array} Items with their fields merged across catalogs, without a catalog's featured season
+   * @private
+   */
+  _getVirtualPool(type, catalogId, now = Date.now()) {
+    const key = `${type}:${catalogId}`;
+    if (this.virtualPools.has(key)) {
+      return this.virtualPools.get(key);
+    }
+
+    let sources = [];
+    if (catalogId === SURPRISE_CATALOG_ID && addonConfig.surpriseCatalog) {
+      sources = Array.from(this.catalogMap.values()).filter((catalog) => catalog.catalog_type === type && !isSmartCatalog(catalog));
+    } else if (catalogId === FEATURED_CATALOG_ID) {
+      sources = addonConfig.featuredCatalogSources.map((name) => this.catalogMap.get(`${type}:${name}`)).filter(Boolean);
+    }
+
+    const seen = new Set();
+    const pool = [];
+    sources
+      .filter((catalog) => this.isCatalogServed(catalog.catalog_type, catalog.catalog_name, now) && Array.isArray(catalog.catalog_items))
+      .forEach((catalog) => {
+        catalog.catalog_items.forEach((item) => {
+          if (item && item.id && !seen.has(item.id)) {
+            seen.add(item.id);
+            // The whole title: the season a catalog features it with ("Name S2") belongs to that catalog
+            const base = { ...(this.itemIndex.has(item.id) ? this.itemIndex.get(item.id).item : item) };
+            delete base.season;
+            pool.push(base);
+          }
+        });
+      });
+
+    const items = catalogId === FEATURED_CATALOG_ID ? shuffleItems(pool, key) : pool;
+    this.virtualPools.set(key, items);
+    return items;
+  }
+
+  /**
+   * Get a virtual catalog with the items of the day
+   * Surprise Me shuffles its items with the day as seed, Featured Today shows the day's
+   * FEATURED_CATALOG_SIZE items of its rotation. A genre narrows the items down before they are picked,
+   * so Featured Today still features a full day's worth of that genre.
+   * @param {string} type - Content type
+   * @param {string} catalogId - Virtual catalog id
+   * @param {Object} options - Options object
+   * @param {string} options.genre - Genre filter (optional)
+   * @param {number} options.now - Current time (default: Date.now())
+   * @returns {Object} Catalog with catalog_type, catalog_name and catalog_items
+   * @private
+   */
+  _getVirtualCatalog(type, catalogId, { genre = null, now = Date.now() } = {}) {
+    const day = getDayNumber(now);
+    if (day !== this.virtualDay) {
+      this.virtualItems = new Map();
+      this.virtualDay = day;
+    }
+
+    const genreFilter = genre && genre !== ALL_GENRES_OPTION ? genre : null;
+    const key = `${type}:${catalogId}:${genreFilter || ''}`;
+    let items = this.virtualItems.get(key);
+    if (!items) {
+      let pool = this._getVirtualPool(type, catalogId, now);
+      if (genreFilter) {
+        pool = pool.filter((item) => itemHasGenre(item, genreFilter));
+      }
+      items = catalogId === SURPRISE_CATALOG_ID
+        ? shuffleItems(pool, `${type}:${catalogId}:${day}`)
+        : rotateItems(pool, day, addonConfig.featuredCatalogSize);
+      this.virtualItems.set(key, items);
+      logger.debug(`Picked ${items.length} items for virtual catalog ${type}/${catalogId} (day ${day}${genreFilter ? `, genre: ${genreFilter}` : ''})`);
+    }
+
+    return { catalog_type: type, catalog_name: catalogId, catalog_items: items };
+  }
+
+  /**
+   * Get the day virtual catalogs are picked for, and when they change next
+   * @param {number} now - Current time (default: Date.now())
+   * @returns {Object|null} { day, nextRotation }, or null without virtual catalogs
+   */
+  getRotationState(now = Date.now()) {
+    if (!this.initialized || this.getVirtualCatalogs().length === 0) {
+      return null;
+    }
+    return { day: getDayNumber(now), nextRotation: getNextDayStart(now) };
+  }
+
+  /**
+   * Get the sources a catalog was loaded from, highest priority first
+   * @param {string} type - Content type
+   * @param {string} catalogName - Catalog name from JSON
+   * @returns {Array} Sources ({ name, priority, path }), empty if unknown
+   */
+  getCatalogSources(type, catalogName) {
+    return this.catalogSources.get(`${type}:${catalogName}`) || [];
+  }
+
+  /**
+   * Get a catalog as loaded from the data (merged across sources)
+   * @param {string} type - Content type
+   * @param {string} catalogName - Catalog name
+   * @returns {Object|null} Catalog from JSON, or null if it does not exist
+   */
+  getRawCatalog(type, catalogName) {
+    if (!this.initialized) {
+      throw new DataLoadError('Catalog data not initialized');
+    }
+    return this.catalogMap.get(`${type}:${catalogName}`) || null;
+  }
+
+  /**
+   * Get an item as loaded from the data, from whichever catalog it is in
+   * @param {string} id - Item id
+   * @returns {Object|null} Catalog item from JSON, or null if no catalog contains it
+   */
+  getRawItem(id) {
+    if (!this.initialized) {
+      throw new DataLoadError('Catalog data not initialized');
+    }
+    const entry = this.itemIndex.get(id);
+    return entry ? entry.item : null;
+  }
+
+  /**
+   * Get the number of loaded source files
+   * @returns {number}
+   */
+  getSourceCount() {
+    return this.dataPaths.length;
+  }
+
+  /**
+   * Get the local files a catalog is defined in, highest priority first
+   * @param {string} type - Content type
+   * @param {string} catalogName - Catalog name
+   * @returns {Array} File paths
+   * @throws {CatalogNotFoundError} If the catalog does not exist
+   * @throws {ReadOnlySourceError} If the catalog only comes from remote sources
+   */
+  getCatalogSourceFiles(type, catalogName) {
+    const sources = this.getCatalogSources(type, catalogName);
+    if (sources.length === 0) {
+      throw new CatalogNotFoundError(catalogName, type);
+    }
+
+    const files = sources.map((source) => source.path).filter((sourcePath) => !isRemoteSource(sourcePath));
+    if (files.length === 0) {
+      throw new ReadOnlySourceError(sources[0].path);
+    }
+    return files;
+  }
+
+  /**
+   * Get the local file new catalogs are written to (the first configured file)
+   * @returns {string} File path
+   * @throws {ReadOnlySourceError} If all sources are remote
+   */
+  getDefaultSourceFile() {
+    const file = this.dataPaths.find((dataPath) => !isRemoteSource(dataPath));
+    if (!file) {
+      throw new ReadOnlySourceError(this.dataPaths[0] || 'none');
+    }
+    return file;
+  }
+
+  /**
+   * Edit source files: validate the result, back up and atomically rewrite the files, then reload
+   * The edit is rejected (nothing is written) if it introduces validation errors
+   * @param {Array} filePaths - Local source files to edit
+   * @param {Function} edit - (data, filePath) => result, modifies the parsed file in place and throws to reject the edit
+   * @param {Object} options - Edit options
+   * @param {boolean} options.dryRun - Apply and validate the edit, but do not write anything
+   * @returns {Array} Results of the edit, one per file
+   * @throws {ValidationError} If the edit introduces validation errors
+   */
+  editCatalogData(filePaths, edit, { dryRun = false } = {}) {
+    if (!this.initialized) {
+      throw new DataLoadError('Catalog data not initialized');
+    }
+
+    const validationOptions = { idPrefixes: addonConfig.idPrefixes };
+
+    // Apply the edit to every file before writing any of them
+    const edits = filePaths.map((filePath) => {
+      if (isRemoteSource(filePath)) {
+        throw new ReadOnlySourceError(filePath);
+      }
+
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const before = validateCatalogData(data, validationOptions);
+      const result = edit(data, filePath);
+      const after = validateCatalogData(data, validationOptions);
+
+      // Files may already contain errors (e.g. from the Python scripts); only reject the ones the edit
+      // introduces, also when it fixes others at the same time
+      const known = new Set(before.errors.map((problem) => `${problem.path}: ${problem.message}`));
+      const introduced = after.errors.filter((problem) => !known.has(`${problem.path}: ${problem.message}`));
+      if (introduced.length > 0) {
+        throw new ValidationError(introduced, after.warnings);
+      }
+      if (addonConfig.strictValidation && !after.valid) {
+        throw new ValidationError(after.errors, after.warnings);
+      }
+
+      return { filePath, data, result };
+    });
+
+    if (dryRun) {
+      return edits.map((entry) => entry.result);
+    }
+
+    edits.forEach(({ filePath, data }) => {
+      const backupPath = backupFile(filePath, { dir: addonConfig.backupDir || undefined, keep: addonConfig.backupCount });
+      writeFileAtomic(filePath, `${JSON.stringify(data, null, 2)}\n`);
+
+      // The watcher would otherwise reload the data a second time
+      this.ownWrites.set(filePath, fs.statSync(filePath).mtimeMs);
+      this.ownWrites.set(path.dirname(filePath), fs.statSync(path.dirname(filePath)).mtimeMs);
+
+      logger.info(`Saved catalog data: ${filePath}${backupPath ? ` (backup: ${backupPath})` : ''}`);
+    });
+
+    if (!this.reloadCatalogData()) {
+      throw new DataLoadError('Changes were saved but could not be reloaded, see the server log');
+    }
+
+    return edits.map((entry) => entry.result);
   }
 
   /**
@@ -157,37 +912,85 @@ class CatalogService {
     return Array.from(types);
   }
 
+  /**
+   * Get all languages used by catalog items
+   * @returns {Array} Language names as written in the data, sorted alphabetically
+   */
+  getLanguages() {
+    if (!this.initialized) {
+      throw new DataLoadError('Catalog data not initialized');
+    }
+
+    const languages = new Map(); // lowercase -> first spelling seen
+    this.itemIndex.forEach((entry) => {
+      const value = entry.item.language;
+      const spellings = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+      spellings.forEach((spelling) => {
+        if (typeof spelling === 'string' && spelling.trim() && !languages.has(spelling.trim().toLowerCase())) {
+          languages.set(spelling.trim().toLowerCase(), spelling.trim());
+        }
+      });
+    });
+
+    return Array.from(languages.values()).sort();
+  }
+
   /**
    * Get unique genres for a specific catalog
+   * Genre names are normalized, so "Sci-Fi" and "Science Fiction" count as one genre
    * @param {string} type - Content type (e.g., "movie", "series")
    * @param {string} catalogId - Catalog ID (catalog_name from JSON)
+   * @param {Object} options - Options object
+   * @param {number} options.minItems - Only include genres with at least this many items (default: 1)
    * @returns {Array} Array of unique genre strings, sorted alphabetically
    */
-  getCatalogGenres(type, catalogId) {
+  getCatalogGenres(type, catalogId, options = {}) {
     if (!this.initialized || !this.catalogData) {
       throw new DataLoadError('Catalog data not initialized');
     }
 
     const key = `${type}:${catalogId}`;
-    const catalog = this.catalogMap.get(key);
+    const catalog = this.catalogMap.get(key) ||
+      (this.isVirtualCatalog(type, catalogId) ? { catalog_items: this._getVirtualPool(type, catalogId) } : null);
 
     if (!catalog || !Array.isArray(catalog.catalog_items)) {
       return [];
     }
 
-    const genres = new Set();
+    const minItems = options.minItems || 1;
+    const counts = new Map();
     catalog.catalog_items.forEach((item) => {
-      if (Array.isArray(item.genres)) {
-        item.genres.forEach((genre) => {
-          if (genre && typeof genre === 'string') {
-            genres.add(genre.trim());
-          }
-        });
-      }
+      getItemGenres(item).forEach((genre) => {
+        counts.set(genre, (counts.get(genre) || 0) + 1);
+      });
     });
 
     // Return sorted array of unique genres
-    return Array.from(genres).sort();
+    return Array.from(counts.keys())
+      .filter((genre) => counts.get(genre) >= minItems)
+      .sort();
+  }
+
+  /**
+   * Get the genre dropdown options for a catalog's manifest entry
+   * Honors the catalog's genre_min_items and genre_all_option fields,
+   * falling back to GENRE_MIN_ITEMS and GENRE_ALL_OPTION
+   * @param {string} type - Content type (e.g., "movie", "series")
+   * @param {string} catalogId - Catalog ID (catalog_name from JSON)
+   * @returns {Array} Genre options, empty if the catalog has no genres
+   */
+  getCatalogGenreOptions(type, catalogId) {
+    const catalog = this.catalogMap.get(`${type}:${catalogId}`) || {};
+
+    const minItems = Number.isInteger(catalog.genre_min_items) ? catalog.genre_min_items : addonConfig.genreMinItems;
+    const genres = this.getCatalogGenres(type, catalogId, { minItems });
+
+    if (genres.length === 0) {
+      return [];
+    }
+
+    const allOption = typeof catalog.genre_all_option === 'boolean' ? catalog.genre_all_option : addonConfig.genreAllOption;
+    return allOption ? [ALL_GENRES_OPTION, ...genres] : genres;
   }
 
   /**
@@ -199,9 +1002,13 @@ class CatalogService {
    * @param {number} options.pagination.skip - Number of items to skip (default: 0)
    * @param {number} options.pagination.limit - Maximum number of items to return (default: all)
    * @param {string} options.genre - Genre filter (optional)
+   * @param {string} options.sort - Sort option label or key, see catalogSort.js (optional, default: file order)
+   * @param {Object} options.userConfig - Sanitized user config with content filters (optional)
+   * @param {boolean} options.raw - Return the catalog items from JSON instead of Stremio metas (optional, for exports)
+   * @param {number} options.now - Current time, picks the items of virtual catalogs (optional, default: Date.now())
    * @param {number} options.skip - Number of items to skip (backward compatibility, if pagination not nested)
    * @param {number} options.limit - Maximum number of items to return (backward compatibility, if pagination not nested)
-   * @returns {Array} Array of Stremio meta objects
+   * @returns {Array} Array of Stremio meta objects (or catalog items with options.raw)
    */
   getCatalogItems(type, catalogId, options = {}) {
     if (!this.initialized) {
@@ -209,7 +1016,32 @@ class CatalogService {
     }
 
     const key = `${type}:${catalogId}`;
-    const catalog = this.catalogMap.get(key);
+
+    // Extract options - handle both new format (options.pagination) and old format (options directly)
+    let pagination, genre, sort, userConfig, raw, now;
+    if (options.pagination && typeof options.pagination === 'object') {
+      // New format: { pagination: { skip, limit }, genre: ..., sort: ..., userConfig: ..., raw: ..., now: ... }
+      pagination = options.pagination;
+      genre = options.genre || null;
+      sort = options.sort || null;
+      userConfig = options.userConfig || null;
+      raw = options.raw === true;
+      now = options.now || Date.now();
+    } else {
+      // Old format: { skip, limit } or backward compatibility
+      pagination = options;
+      genre = null;
+      sort = null;
+      userConfig = null;
+      raw = false;
+      now = Date.now();
+    }
+
+    // Virtual catalogs come with the day's items in their own order, with the genre already applied
+    const virtual = this.isVirtualCatalog(type, catalogId);
+    const catalog = virtual
+      ? this._getVirtualCatalog(type, catalogId, { genre: typeof genre === 'string' ? genre : null, now })
+      : this.catalogMap.get(key);
 
     if (!catalog) {
       logger.warn(`Catalog not found: ${key}`);
@@ -221,35 +1053,113 @@ class CatalogService {
       return [];
     }
 
-    // Extract options - handle both new format (options.pagination) and old format (options directly)
-    let pagination, genre;
-    if (options.pagination && typeof options.pagination === 'object') {
-      // New format: { pagination: { skip, limit }, genre: ... }
-      pagination = options.pagination;
-      genre = options.genre || null;
-    } else {
-      // Old format: { skip, limit } or backward compatibility
-      pagination = options;
-      genre = null;
+    // Sort before filtering - filtering keeps the order, so the sorted list can be cached per catalog
+    let catalogItems = virtual ? catalog.catalog_items : this._getSortedItems(key, catalog, sort);
+
+    // Filter items by genre if genre is specified ("All" means no filter)
+    if (!virtual && genre && typeof genre === 'string' && genre !== ALL_GENRES_OPTION) {
+      const sourceCount = catalogItems.length;
+      catalogItems = catalogItems.filter((item) => itemHasGenre(item, genre));
+      logger.debug(`Filtered ${sourceCount} items to ${catalogItems.length} items for genre: ${genre}`);
     }
 
-    // Filter items by genre if genre is specified
-    let catalogItems = catalog.catalog_items;
-    if (genre && typeof genre === 'string') {
-      const genreLower = genre.trim().toLowerCase();
-      catalogItems = catalogItems.filter((item) => {
-        if (!Array.isArray(item.genres)) {
-          return false;
-        }
-        return item.genres.some(
-          (itemGenre) => itemGenre && itemGenre.trim().toLowerCase() === genreLower
-        );
-      });
-      logger.debug(`Filtered ${catalog.catalog_items.length} items to ${catalogItems.length} items for genre: ${genre}`);
+    // Apply the user's content filters (minimum rating, adult/violent titles, language)
+    const itemFilter = createItemFilter(userConfig);
+    if (itemFilter) {
+      const sourceCount = catalogItems.length;
+      catalogItems = catalogItems.filter(itemFilter);
+      logger.debug(`Filtered ${sourceCount} items to ${catalogItems.length} items for user config`);
     }
 
     // Transform catalog items to Stremio meta format
-    let items = catalogItems.map((item) => this._transformToStremioMeta(item, type));
+    let items = raw
+      ? catalogItems.slice()
+      : catalogItems.map((item) => this._transformToStremioMeta(item, type, getFeaturedSeason(item, catalog)));
+
+    // Apply pagination
+    const skip = pagination.skip || 0;
+    const limit = pagination.limit;
+
+    if (skip > 0) {
+      items = items.slice(skip);
+    }
+
+    if (limit && limit > 0) {
+      items = items.slice(0, limit);
+    }
+
+    return items;
+  }
+
+  /**
+   * Get a catalog's items in the requested order
+   * Sorted lists are cached per catalog and sort option until the data is reloaded,
+   * so paging through a sorted catalog does not re-sort on every request
+   * @param {string} key - Catalog key ("type:catalog_name")
+   * @param {Object} catalog - Catalog object from JSON
+   * @param {string} sort - Sort option label or key (optional)
+   * @returns {Array} Catalog items
+   * @private
+   */
+  _getSortedItems(key, catalog, sort) {
+    const option = resolveSortOption(sort);
+    if (!option) {
+      if (sort) {
+        logger.warn(`Unknown sort option: ${sort}, using catalog order`);
+      }
+      return catalog.catalog_items;
+    }
+
+    const cacheKey = `${key}:${option.key}`;
+    let sorted = this.sortCache.get(cacheKey);
+    if (!sorted) {
+      sorted = sortCatalogItems(catalog.catalog_items, option);
+      this.sortCache.set(cacheKey, sorted);
+      logger.debug(`Sorted catalog ${key} by ${option.key} (${sorted.length} items)`);
+    }
+
+    return sorted;
+  }
+
+  /**
+   * Search items across catalogs by title
+   * @param {string} type - Content type (e.g., "movie", "series")
+   * @param {string} query - Search query as typed by the user
+   * @param {Object} options - Options object
+   * @param {string} options.catalogId - Restrict results to one catalog (optional, default: all catalogs)
+   * @param {Object} options.userConfig - Sanitized user config with content filters (optional)
+   * @param {Object} options.pagination - Pagination options
+   * @param {number} options.pagination.skip - Number of items to skip (default: 0)
+   * @param {number} options.pagination.limit - Maximum number of items to return (default: all)
+   * @param {number} options.now - Current time, decides which scheduled catalogs are searched (default: Date.now())
+   * @returns {Array} Array of Stremio meta objects, best matches first
+   */
+  searchItems(type, query, options = {}) {
+    if (!this.initialized) {
+      throw new DataLoadError('Catalog data not initialized');
+    }
+
+    const { catalogId = null, pagination = {}, userConfig = null, now = Date.now() } = options;
+    let results = this.searchIndex.search(type, query, { catalogId });
+
+    // Items only curated in draft catalogs (not public yet), scheduled catalogs outside their
+    // schedule or catalogs the user hid are left out
+    const hiddenCatalogs = (userConfig && userConfig.hiddenCatalogs) || [];
+    results = results.filter((result) =>
+      result.entry.catalogs.some((ref) =>
+        this.isCatalogServed(ref.catalog_type, ref.catalog_name, now) && !hiddenCatalogs.includes(`${ref.catalog_type}:${ref.catalog_name}`)
+      )
+    );
+
+    // Apply the user's content filters
+    const itemFilter = createItemFilter(userConfig);
+    if (itemFilter) {
+      results = results.filter((result) => itemFilter(result.entry.item));
+    }
+
+    logger.debug(`Search "${query}" in ${type}${catalogId ? `/${catalogId}` : ''} matched ${results.length} items`);
+
+    let items = results.map((result) => this._transformToStremioMeta(result.entry.item, type));
 
     // Apply pagination
     const skip = pagination.skip || 0;
@@ -270,9 +1180,24 @@ class CatalogService {
    * Transform catalog item to Stremio meta format
    * @param {Object} item - Catalog item from JSON
    * @param {string} type - Content type
+   * @param {number} featuredSeason - Season the catalog features, for series (optional)
    * @returns {Object} Stremio meta object
    */
-  _transformToStremioMeta(item, type) {
+  _transformToStremioMeta(item, type, featuredSeason = null) {
+    // Fields missing from our data come from the metadata cache, if it has them
+    // They are only shown: sorting, filters and smart rules ran on the item as it is in the data
+    return this._buildStremioMeta(enrichmentService.fillItem(item, type), type, featuredSeason);
+  }
+
+  /**
+   * Build the Stremio meta of an item whose missing fields are already filled from the metadata cache
+   * @param {Object} item - Catalog item, filled by enrichmentService.fillItem
+   * @param {string} type - Content type
+   * @param {number} featuredSeason - Season the catalog features, for series (optional)
+   * @returns {Object} Stremio meta object
+   * @private
+   */
+  _buildStremioMeta(item, type, featuredSeason = null) {
     const meta = {
       id: item.id || '',
       type: type,
@@ -305,9 +1230,234 @@ class CatalogService {
       meta.imdbRating = item.imdbRating;
     }
 
+    if (type === 'series' && featuredSeason !== null) {
+      applyFeaturedSeason(meta, item, featuredSeason);
+    }
+
     return meta;
   }
 
+  /**
+   * Get the full Stremio meta object for an item by its IMDB id
+   * Looks the item up across all catalogs of the requested type
+   * @param {string} type - Content type (e.g., "movie", "series")
+   * @param {string} id - Item ID (IMDB id, e.g., "tt12345678")
+   * @param {number} now - Current time, decides which scheduled catalogs are served (default: Date.now())
+   * @returns {Object|null} Stremio meta object, or null if the item is not curated (or only in drafts or
+   *   scheduled catalogs outside their schedule)
+   */
+  getItemMeta(type, id, now = Date.now()) {
+    if (!this.initialized) {
+      throw new DataLoadError('Catalog data not initialized');
+    }
+
+    const entry = this.itemIndex.get(id);
+    if (!entry) {
+      return null;
+    }
+
+    const catalogs = this._getServedCatalogRefs(entry, type, now);
+    if (catalogs.length === 0) {
+      logger.debug(`Item ${id} is not in any served ${type} catalog`);
+      return null;
+    }
+
+    return this._transformToStremioFullMeta(entry.item, type, catalogs, now);
+  }
+
+  /**
+   * Get the catalogs of a type that serve an item
+   * @param {Object} entry - Item index entry ({ item, catalogs })
+   * @param {string} type - Content type
+   * @param {number} now - Current time
+   * @returns {Array} Catalog refs ({ catalog_name, catalog_type }), without drafts and scheduled catalogs outside their schedule
+   * @private
+   */
+  _getServedCatalogRefs(entry, type, now) {
+    return entry.catalogs.filter((ref) => ref.catalog_type === type && this.isCatalogServed(type, ref.catalog_name, now));
+  }
+
+  /**
+   * Get the Stremio streams (trailers, streaming services, home media files) of an item
+   * @param {string} type - Content type (e.g., "movie", "series")
+   * @param {string} id - Item ID, or episode ID for series ("tt12345678:1:2")
+   * @param {number} now - Current time, decides which scheduled catalogs are served (default: Date.now())
+   * @returns {Array} Stremio stream objects (empty if the item is not curated or has nothing to watch)
+   */
+  getItemStreams(type, id, now = Date.now()) {
+    if (!this.initialized) {
+      throw new DataLoadError('Catalog data not initialized');
+    }
+
+    const episodeMatch = /^(.+):(\d+):(\d+)$/.exec(id);
+    const itemId = episodeMatch ? episodeMatch[1] : id;
+
+    const entry = this.itemIndex.get(itemId);
+    if (!entry || this._getServedCatalogRefs(entry, type, now).length === 0) {
+      return [];
+    }
+
+    return toStremioStreams(entry.item, {
+      season: episodeMatch ? parseInt(episodeMatch[2], 10) : null,
+      episode: episodeMatch ? parseInt(episodeMatch[3], 10) : null,
+      addonName: addonConfig.addonName,
+      bingeGroup: `${addonConfig.addonId}-${itemId}`,
+    });
+  }
+
+  /**
+   * Get the content types that have items with something to watch
+   * The manifest only declares the stream resource for these types
+   * @param {number} now - Current time, decides which scheduled catalogs are served (default: Date.now())
+   * @returns {Array} Content types (e.g., ["movie"]), empty if no item of a served catalog has stream data
+   */
+  getStreamTypes(now = Date.now()) {
+    if (!this.initialized) {
+      throw new DataLoadError('Catalog data not initialized');
+    }
+
+    const types = new Set();
+    this.itemIndex.forEach((entry) => {
+      if (hasStreamData(entry.item)) {
+        entry.catalogs
+          .filter((ref) => this.isCatalogServed(ref.catalog_type, ref.catalog_name, now))
+          .forEach((ref) => types.add(ref.catalog_type));
+      }
+    });
+
+    return Array.from(types);
+  }
+
+  /**
+   * Transform catalog item to a full Stremio meta object (for the meta resource)
+   * Extends the catalog preview with cast, director, trailers, catalog links
+   * and, for series, the list of episodes
+   * @param {Object} item - Catalog item from JSON
+   * @param {string} type - Content type
+   * @param {Array} catalogs - Catalogs containing the item ({ catalog_name, catalog_type })
+   * @param {number} now - Current time, decides which scheduled catalogs are linked (default: Date.now())
+   * @returns {Object} Stremio meta object
+   */
+  _transformToStremioFullMeta(item, type, catalogs = [], now = Date.now()) {
+    item = enrichmentService.fillItem(item, type);
+    const meta = this._buildStremioMeta(item, type);
+
+    // Lists of names may be stored either as arrays or comma separated strings
+    const toList = (value) => {
+      if (Array.isArray(value)) {
+        return value.filter((entry) => entry && typeof entry === 'string').map((entry) => entry.trim());
+      }
+      if (typeof value === 'string' && value.trim()) {
+        return value.split(',').map((entry) => entry.trim()).filter(Boolean);
+      }
+      return [];
+    };
+
+    const genres = getItemGenres(item);
+    if (genres.length > 0) {
+      meta.genres = genres;
+    }
+
+    const cast = toList(item.cast);
+    if (cast.length > 0) {
+      meta.cast = cast;
+    }
+
+    const director = toList(item.director);
+    if (director.length > 0) {
+      meta.director = director;
+    }
+
+    const writer = toList(item.writer);
+    if (writer.length > 0) {
+      meta.writer = writer;
+    }
+
+    if (item.logo) {
+      meta.logo = item.logo;
+    }
+
+    if (item.language) {
+      meta.language = item.language;
+    }
+
+    if (item.country) {
+      meta.country = item.country;
+    }
+
+    if (item.released) {
+      meta.released = item.released;
+    }
+
+    if (item.website) {
+      meta.website = item.website;
+    }
+
+    // Trailers: YouTube ids, either plain strings or { source, type } objects
+    const trailers = getTrailers(item);
+    if (trailers.length > 0) {
+      meta.trailers = trailers;
+    }
+
+    // Links back to the catalogs that contain this item (those listed in the manifest)
+    // Discover deep links need the public addon URL, so they are only added when it is configured
+    const linkedCatalogs = catalogs
+      .map((ref) => this.catalogMap.get(`${ref.catalog_type}:${ref.catalog_name}`))
+      .filter((catalog) => catalog && isCatalogListed(catalog) && getScheduleStatus(catalog, now).active);
+    if (addonConfig.addonUrl && linkedCatalogs.length > 0) {
+      const transportUrl = encodeURIComponent(`${addonConfig.addonUrl.replace(/\/+$/, '')}/manifest.json`);
+      meta.links = linkedCatalogs.map((ref) => ({
+        name: getCatalogDisplayName(ref),
+        category: addonConfig.addonName,
+        url: `stremio:///discover/${transportUrl}/${ref.catalog_type}/${encodeURIComponent(ref.catalog_name)}`,
+      }));
+    }
+
+    // Series episodes, from "seasons" and/or "videos"
+    if (type === 'series') {
+      const videos = toStremioVideos(item);
+      if (videos.length > 0) {
+        meta.videos = videos;
+      }
+    }
+
+    return meta;
+  }
+
+  /**
+   * Get the size of the loaded dataset
+   * Only covers the catalogs listed in the manifest: /metrics may be public, so hidden, draft and
+   * scheduled catalogs outside their window are left out, like their items
+   * @param {Object} options - Options object
+   * @param {number} options.now - Current time, decides which scheduled catalogs are listed (default: Date.now())
+   * @returns {Object} { catalogs: [{ type, id, items, smart }], items, sources, revision, loadedAt }
+   */
+  getStats({ now = Date.now() } = {}) {
+    const catalogs = [];
+    const itemIds = new Set();
+    this.catalogMap.forEach((catalog) => {
+      if (!isCatalogListed(catalog) || !getScheduleStatus(catalog, now).active) {
+        return;
+      }
+      const items = Array.isArray(catalog.catalog_items) ? catalog.catalog_items : [];
+      items.forEach((item) => itemIds.add(item.id));
+      catalogs.push({
+        type: catalog.catalog_type,
+        id: catalog.catalog_name,
+        items: items.length,
+        smart: isSmartCatalog(catalog),
+      });
+    });
+
+    return {
+      catalogs,
+      items: itemIds.size,
+      sources: this.initialized ? this.getSourceCount() : 0,
+      revision: this.dataRevision,
+      loadedAt: this.loadedAt,
+    };
+  }
+
   /**
    * Check if catalog exists
    * @param {string} type - Content type
@@ -320,7 +1470,7 @@ class CatalogService {
     }
 
     const key = `${type}:${catalogId}`;
-    return this.catalogMap.has(key);
+    return this.catalogMap.has(key) || this.isVirtualCatalog(type, catalogId);
   }
 }
 
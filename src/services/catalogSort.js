@@ -0,0 +1,130 @@
+/**
+ * Catalog Sorting
+ * Sort options offered on every catalog and the parsers that turn
+ * catalog item fields into comparable values
+ */
+
+/**
+ * Parse an IMDB rating ("8.5" or 8.5)
+ * @param {string|number} value - Rating from JSON
+ * @returns {number|null} Rating, or null if missing/invalid
+ */
+function parseRating(value) {
+  const rating = parseFloat(value);
+  return isNaN(rating) ? null : rating;
+}
+
+/**
+ * Parse the release year from releaseInfo ("2025", "2019-2022", "2022-")
+ * Series ranges use their first year
+ * @param {string|number} value - releaseInfo from JSON
+ * @returns {number|null} Year, or null if missing/invalid
+ */
+function parseReleaseYear(value) {
+  const match = /\d{4}/.exec(String(value || ''));
+  return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * Parse a runtime into minutes ("2h 30m", "2h", "45m", "150 min", 150)
+ * @param {string|number} value - runtime from JSON
+ * @returns {number|null} Minutes, or null if missing/invalid
+ */
+function parseRuntimeMinutes(value) {
+  if (typeof value === 'number') {
+    return value > 0 ? value : null;
+  }
+
+  const text = String(value || '').toLowerCase();
+  const hours = /(\d+)\s*h/.exec(text);
+  const minutes = /(\d+)\s*m/.exec(text);
+
+  if (!hours && !minutes) {
+    const plain = parseInt(text, 10);
+    return isNaN(plain) ? null : plain;
+  }
+
+  return (hours ? parseInt(hours[1], 10) * 60 : 0) + (minutes ? parseInt(minutes[1], 10) : 0);
+}
+
+/**
+ * Parse the date an item was added to the list
+ * @param {string} value - dateAdded from JSON (ISO date)
+ * @returns {number|null} Timestamp, or null if missing/invalid
+ */
+function parseDateAdded(value) {
+  if (!value) {
+    return null;
+  }
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : time;
+}
+
+// Sort options, keyed by the label shown in Stremio's dropdown
+// direction: 1 = ascending, -1 = descending
+const SORT_OPTIONS = {
+  'IMDB Rating': { key: 'rating', direction: -1, value: (item) => parseRating(item.imdbRating) },
+  'Newest': { key: 'year_desc', direction: -1, value: (item) => parseReleaseYear(item.releaseInfo) },
+  'Oldest': { key: 'year_asc', direction: 1, value: (item) => parseReleaseYear(item.releaseInfo) },
+  'Longest': { key: 'runtime_desc', direction: -1, value: (item) => parseRuntimeMinutes(item.runtime) },
+  'Shortest': { key: 'runtime_asc', direction: 1, value: (item) => parseRuntimeMinutes(item.runtime) },
+  'Title (A-Z)': { key: 'title', direction: 1, value: (item) => (item.name ? String(item.name).toLowerCase() : null) },
+  'Recently Added': { key: 'added', direction: -1, value: (item) => parseDateAdded(item.dateAdded) },
+};
+
+const SORT_OPTION_NAMES = Object.keys(SORT_OPTIONS);
+
+/**
+ * Look up a sort option by its label (as sent by Stremio) or key
+ * @param {string} sort - Sort label or key
+ * @returns {Object|null} Sort option, or null if unknown
+ */
+function resolveSortOption(sort) {
+  if (!sort || typeof sort !== 'string') {
+    return null;
+  }
+
+  return SORT_OPTIONS[sort] || Object.values(SORT_OPTIONS).find((option) => option.key === sort) || null;
+}
+
+/**
+ * Sort catalog items (returns a new array, the input is not modified)
+ * Items without a value for the sort field always go last; ties keep file order
+ * @param {Array} items - Catalog items from JSON
+ * @param {Object} option - Sort option from resolveSortOption
+ * @returns {Array} Sorted items
+ */
+function sortCatalogItems(items, option) {
+  const decorated = items.map((item, index) => ({ item, index, value: option.value(item, index) }));
+
+  decorated.sort((a, b) => {
+    const aMissing = a.value === null || a.value === undefined;
+    const bMissing = b.value === null || b.value === undefined;
+
+    if (aMissing || bMissing) {
+      return aMissing === bMissing ? a.index - b.index : aMissing ? 1 : -1;
+    }
+
+    let compare;
+    if (typeof a.value === 'string') {
+      compare = a.value.localeCompare(b.value);
+    } else {
+      compare = a.value - b.value;
+    }
+
+    return compare * option.direction || a.index - b.index;
+  });
+
+  return decorated.map((entry) => entry.item);
+}
+
+module.exports = {
+  SORT_OPTIONS,
+  SORT_OPTION_NAMES,
+  resolveSortOption,
+  sortCatalogItems,
+  parseRating,
+  parseReleaseYear,
+  parseRuntimeMinutes,
+  parseDateAdded,
+};
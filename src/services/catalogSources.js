@@ -0,0 +1,249 @@
+/**
+ * Catalog Sources
+ * Resolves and merges the catalog data sources configured in CATALOG_DATA_PATH
+ *
+ * A source can be:
+ * - a single file:          ./catalog_data.json
+ * - a directory:            ./lists/ (every *.json file in it)
+ * - a glob on the filename: ./lists/*_picks.json (* and ? wildcards)
+ * - an HTTP(S) URL:         https://gist.githubusercontent.com/.../catalog_data.json (see remoteSource.js)
+ * - a comma separated list of any of the above
+ *
+ * Each file may describe itself with an optional top-level "source" object:
+ *   { "source": { "name": "Kaviya's picks", "priority": 10 }, "catalogs": [...] }
+ * When several sources define the same catalog (same type and catalog_name),
+ * they are merged: the higher priority source's catalog fields win and its
+ * items come first, lower priority sources only add items it does not have.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { isRemoteSource } = require('./remoteSource');
+
+/**
+ * Split a source specification into individual entries
+ * @param {string|Array} spec - Source path, comma separated list or array
+ * @returns {Array} Source entries
+ */
+function parseSourceList(spec) {
+  const entries = Array.isArray(spec) ? spec : String(spec || '').split(',');
+  return entries.map((entry) => String(entry).trim()).filter(Boolean);
+}
+
+/**
+ * Resolve a path, trying multiple strategies for different environments
+ * @param {string} dataPath - Path to a file or directory
+ * @returns {string|null} Absolute path, or null if it does not exist
+ */
+function resolvePath(dataPath) {
+  // Strategy 1: Resolve relative to current working directory
+  const resolvedFromCwd = path.resolve(dataPath);
+  if (fs.existsSync(resolvedFromCwd)) {
+    return resolvedFromCwd;
+  }
+
+  // Strategy 2: Resolve relative to the project root (for serverless)
+  const resolvedFromModule = path.resolve(__dirname, '../../', dataPath);
+  if (fs.existsSync(resolvedFromModule)) {
+    return resolvedFromModule;
+  }
+
+  // Strategy 3: Try absolute path if provided
+  if (path.isAbsolute(dataPath) && fs.existsSync(dataPath)) {
+    return dataPath;
+  }
+
+  // Strategy 4: Try from process.cwd() with different relative paths
+  const cwd = process.cwd();
+  const pathsToTry = [
+    path.join(cwd, dataPath),
+    path.join(cwd, path.basename(dataPath)), // Just filename
+    path.resolve(cwd, '..', dataPath),
+    path.resolve(cwd, '..', path.basename(dataPath)),
+  ];
+
+  return pathsToTry.find((tryPath) => fs.existsSync(tryPath)) || null;
+}
+
+/**
+ * Convert a filename glob (* and ?) to a regular expression
+ * @param {string} pattern - Filename pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * List the JSON files in a directory matching a pattern
+ * @param {string} directory - Absolute directory path
+ * @param {RegExp} pattern - Filename pattern
+ * @returns {Array} Absolute file paths, sorted by name
+ */
+function listFiles(directory, pattern) {
+  return fs
+    .readdirSync(directory)
+    .filter((name) => pattern.test(name))
+    .sort()
+    .map((name) => path.join(directory, name))
+    .filter((filePath) => fs.statSync(filePath).isFile());
+}
+
+/**
+ * Expand source entries into data files
+ * @param {string|Array} spec - Source specification (see module comment)
+ * @returns {Object} { files: absolute file paths and URLs in configured order, remotes: URLs,
+ *   watchPaths: files and directories to watch, missing: unresolved entries }
+ */
+function expandSources(spec) {
+  const files = [];
+  const remotes = [];
+  const watchPaths = [];
+  const missing = [];
+
+  const addFile = (filePath) => {
+    if (!files.includes(filePath)) {
+      files.push(filePath);
+    }
+  };
+  const addWatchPath = (watchPath) => {
+    if (!watchPaths.includes(watchPath)) {
+      watchPaths.push(watchPath);
+    }
+  };
+
+  parseSourceList(spec).forEach((entry) => {
+    if (isRemoteSource(entry)) {
+      // Remote sources are fetched by the catalog service and refreshed on a TTL, not watched
+      addFile(entry);
+      remotes.push(entry);
+      return;
+    }
+
+    if (/[*?]/.test(path.basename(entry))) {
+      // Glob: resolve the directory, match the filename
+      const directory = resolvePath(path.dirname(entry));
+      if (!directory || !fs.statSync(directory).isDirectory()) {
+        missing.push(entry);
+        return;
+      }
+      listFiles(directory, globToRegExp(path.basename(entry))).forEach(addFile);
+      addWatchPath(directory);
+      return;
+    }
+
+    const resolved = resolvePath(entry);
+    if (!resolved) {
+      missing.push(entry);
+      return;
+    }
+
+    if (fs.statSync(resolved).isDirectory()) {
+      listFiles(resolved, /\.json$/i).forEach(addFile);
+      addWatchPath(resolved);
+      return;
+    }
+
+    addFile(resolved);
+  });
+
+  files.filter((file) => !isRemoteSource(file)).forEach(addWatchPath);
+
+  return { files, remotes, watchPaths, missing };
+}
+
+/**
+ * Describe a source file from its optional "source" metadata
+ * @param {Object} data - Parsed source file
+ * @param {string} filePath - Absolute file path or URL
+ * @returns {Object} { name, priority, path }
+ */
+function describeSource(data, filePath) {
+  const meta = data && data.source && typeof data.source === 'object' ? data.source : {};
+  const fileName = isRemoteSource(filePath) ? path.posix.basename(new URL(filePath).pathname) || new URL(filePath).host : path.basename(filePath);
+  return {
+    name: typeof meta.name === 'string' && meta.name.trim() ? meta.name.trim() : path.basename(fileName, path.extname(fileName)),
+    priority: typeof meta.priority === 'number' ? meta.priority : 0,
+    path: filePath,
+  };
+}
+
+/**
+ * Merge parsed sources into one catalog list
+ * @param {Array} sources - [{ source: { name, priority, path }, data: { catalogs } }] in configured order
+ * @returns {Object} { data: { catalogs }, catalogSources: Map "type:catalog_name" -> [source], collisions: [{ key, sources }] }
+ */
+function mergeSources(sources) {
+  // Highest priority first, configured order for equal priorities
+  const ordered = sources
+    .map((entry, index) => ({ ...entry, index }))
+    .sort((a, b) => b.source.priority - a.source.priority || a.index - b.index);
+
+  const merged = new Map(); // "type:catalog_name" -> catalog
+  const catalogSources = new Map();
+  const catalogsWithoutKey = [];
+
+  ordered.forEach(({ source, data }) => {
+    data.catalogs.forEach((catalog) => {
+      if (!catalog || !catalog.catalog_type || !catalog.catalog_name) {
+        // Invalid catalogs are reported by validation, keep them so behavior matches a single file
+        catalogsWithoutKey.push(catalog);
+        return;
+      }
+
+      const key = `${catalog.catalog_type}:${catalog.catalog_name}`;
+      const existing = merged.get(key);
+
+      if (!existing) {
+        merged.set(key, { ...catalog });
+        catalogSources.set(key, [source]);
+        return;
+      }
+
+      // Collision: the existing catalog comes from a higher (or equal, earlier) priority source
+      catalogSources.get(key).push(source);
+
+      Object.keys(catalog).forEach((field) => {
+        if (field !== 'catalog_items' && existing[field] === undefined) {
+          existing[field] = catalog[field];
+        }
+      });
+
+      if (Array.isArray(catalog.catalog_items)) {
+        const existingItems = Array.isArray(existing.catalog_items) ? existing.catalog_items : [];
+        const knownIds = new Set(existingItems.map((item) => item && item.id));
+        existing.catalog_items = existingItems.concat(
+          catalog.catalog_items.filter((item) => !(item && item.id && knownIds.has(item.id)))
+        );
+      }
+    });
+  });
+
+  const collisions = [];
+  catalogSources.forEach((catalogSourceList, key) => {
+    if (catalogSourceList.length > 1) {
+      collisions.push({ key, sources: catalogSourceList });
+      logger.warn(
+        `Catalog ${key} is defined in ${catalogSourceList.length} sources, merged by priority: ${catalogSourceList
+          .map((source) => `${source.name} (${source.priority})`)
+          .join(' > ')}`
+      );
+    }
+  });
+
+  return {
+    data: { catalogs: Array.from(merged.values()).concat(catalogsWithoutKey) },
+    catalogSources,
+    collisions,
+  };
+}
+
+module.exports = {
+  parseSourceList,
+  resolvePath,
+  expandSources,
+  describeSource,
+  mergeSources,
+};
@@ -0,0 +1,644 @@
+/**
+ * Catalog Validator
+ * Schema validation for catalog_data.json
+ *
+ * Problems are reported with a path into the data (e.g. "catalogs[3].catalog_items[12].id")
+ * and split into errors (data Stremio cannot use) and warnings (data that works but looks wrong).
+ */
+
+const { SEARCH_CATALOG_ID } = require('./searchIndex');
+const { SORT_OPTIONS, resolveSortOption } = require('./catalogSort');
+const { RULE_NAMES } = require('./smartCatalogs');
+const { VISIBILITIES } = require('./catalogDisplay');
+const { parseScheduleTime, parseDuration, parseCron } = require('./catalogSchedule');
+const { VIRTUAL_CATALOGS, isVirtualCatalogId } = require('./virtualCatalogs');
+
+// Content types Stremio knows about
+const KNOWN_TYPES = ['movie', 'series', 'channel', 'tv'];
+
+// IMDB ids: "tt" followed by at least 7 digits
+const IMDB_ID_PATTERN = /^tt\d{7,}$/;
+
+// Release info: "2025", "2019-2022" or "2022-" (ongoing series)
+const RELEASE_INFO_PATTERN = /^\d{4}(-(\d{4})?)?$/;
+
+// Runtime: "2h 30m", "2h", "45m", "150 min"
+const RUNTIME_PATTERN = /^(\d+\s*h)?\s*(\d+\s*m(in)?)?$/i;
+
+const URL_FIELDS = ['poster', 'banner', 'logo', 'website'];
+const NAME_LIST_FIELDS = ['genres', 'cast', 'director', 'writer', 'aliases'];
+
+/**
+ * Collects errors and warnings while walking the data
+ */
+class ValidationReport {
+  constructor() {
+    this.errors = [];
+    this.warnings = [];
+  }
+
+  error(path, message) {
+    this.errors.push({ path, message });
+  }
+
+  warn(path, message) {
+    this.warnings.push({ path, message });
+  }
+
+  toResult() {
+    return {
+      valid: this.errors.length === 0,
+      errors: this.errors,
+      warnings: this.warnings,
+    };
+  }
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isHttpUrl(value) {
+  return typeof value === 'string' && /^https?:\/\/\S+$/i.test(value);
+}
+
+function isUrl(value) {
+  return typeof value === 'string' && /^[a-z][a-z0-9+.-]*:\S+$/i.test(value);
+}
+
+/**
+ * Validate the stream links of an item (watchOn, mediaFiles), each a URL or an object with a url
+ * Streaming service links may be app deep links (any scheme), media files must be http(s) for Stremio to play them
+ */
+function validateStreamLinks(value, path, catalog, report, { mediaFile = false } = {}) {
+  if (!Array.isArray(value)) {
+    report.error(path, 'must be an array of URLs or { url } objects');
+    return;
+  }
+
+  value.forEach((link, index) => {
+    const linkPath = typeof link === 'string' ? `${path}[${index}]` : `${path}[${index}].url`;
+    const url = typeof link === 'string' ? link : link && typeof link === 'object' && !Array.isArray(link) ? link.url : undefined;
+    if (url === undefined && typeof link !== 'string') {
+      report.error(`${path}[${index}]`, 'must be a URL or an object with a url');
+      return;
+    }
+
+    if (mediaFile ? !isHttpUrl(url) : !isUrl(url)) {
+      report.error(linkPath, mediaFile ? 'must be an http(s) URL' : 'must be a URL');
+    }
+
+    if (typeof link !== 'object') {
+      return;
+    }
+
+    ['service', 'title'].forEach((field) => {
+      if (link[field] !== undefined && !isNonEmptyString(link[field])) {
+        report.error(`${path}[${index}].${field}`, 'must be a non-empty string');
+      }
+    });
+
+    if (mediaFile) {
+      validateEpisodeFields({ season: link.season, episode: link.episode }, `${path}[${index}]`, report);
+      if ((link.season === undefined) !== (link.episode === undefined)) {
+        report.warn(`${path}[${index}]`, 'needs both season and episode to belong to an episode, it is offered for every episode');
+      } else if (link.season !== undefined && catalog.catalog_type !== 'series') {
+        report.warn(`${path}[${index}].season`, `is only used for series (catalog type is "${catalog.catalog_type}")`);
+      }
+      if (link.webReady !== undefined && typeof link.webReady !== 'boolean') {
+        report.error(`${path}[${index}].webReady`, 'must be a boolean');
+      }
+    }
+  });
+}
+
+/**
+ * Validate a list of names stored as an array of strings or a comma separated string
+ */
+function validateNameList(value, path, report) {
+  if (typeof value === 'string') {
+    return;
+  }
+
+  if (!Array.isArray(value)) {
+    report.error(path, 'must be an array of strings');
+    return;
+  }
+
+  value.forEach((entry, index) => {
+    if (!isNonEmptyString(entry)) {
+      report.error(`${path}[${index}]`, 'must be a non-empty string');
+    }
+  });
+}
+
+/**
+ * Validate a series episode (video) entry
+ */
+function validateVideo(video, path, report) {
+  if (!video || typeof video !== 'object' || Array.isArray(video)) {
+    report.error(path, 'must be an object');
+    return;
+  }
+
+  if (!isNonEmptyString(video.id)) {
+    report.error(`${path}.id`, 'is required');
+  }
+
+  validateEpisodeFields(video, path, report);
+}
+
+/**
+ * Validate the fields shared by videos and season episodes
+ */
+function validateEpisodeFields(video, path, report) {
+  ['season', 'episode'].forEach((field) => {
+    if (video[field] !== undefined && !(Number.isInteger(video[field]) && video[field] >= 0)) {
+      report.error(`${path}.${field}`, 'must be a non-negative integer');
+    }
+  });
+
+  if (video.released !== undefined && isNaN(new Date(video.released).getTime())) {
+    report.warn(`${path}.released`, `is not a valid date: ${JSON.stringify(video.released)}`);
+  }
+
+  if (video.thumbnail !== undefined && !isHttpUrl(video.thumbnail)) {
+    report.warn(`${path}.thumbnail`, 'should be an http(s) URL');
+  }
+
+  if (video.imdbId !== undefined && !(typeof video.imdbId === 'string' && IMDB_ID_PATTERN.test(video.imdbId))) {
+    report.error(`${path}.imdbId`, `must be the episode's IMDB id, e.g. "tt1234567" (got ${JSON.stringify(video.imdbId)})`);
+  }
+}
+
+/**
+ * Validate a season entry of a series item, with its episodes
+ */
+function validateSeason(season, path, report) {
+  if (!season || typeof season !== 'object' || Array.isArray(season)) {
+    report.error(path, 'must be an object');
+    return;
+  }
+
+  if (!(Number.isInteger(season.season) && season.season >= 0)) {
+    report.error(`${path}.season`, 'is required and must be a non-negative integer');
+  }
+
+  if (season.poster !== undefined && !isHttpUrl(season.poster)) {
+    report.error(`${path}.poster`, 'must be an http(s) URL');
+  }
+
+  if (season.released !== undefined && isNaN(new Date(season.released).getTime())) {
+    report.warn(`${path}.released`, `is not a valid date: ${JSON.stringify(season.released)}`);
+  }
+
+  if (season.episodes === undefined) {
+    return;
+  }
+
+  if (!Array.isArray(season.episodes)) {
+    report.error(`${path}.episodes`, 'must be an array');
+    return;
+  }
+
+  const seenEpisodes = new Map();
+  season.episodes.forEach((episode, index) => {
+    const episodePath = `${path}.episodes[${index}]`;
+    if (!episode || typeof episode !== 'object' || Array.isArray(episode)) {
+      report.error(episodePath, 'must be an object');
+      return;
+    }
+
+    // Episode ids are derived from the numbers ("tt1234567:1:2"), so the number is required
+    if (episode.episode === undefined) {
+      report.error(`${episodePath}.episode`, 'is required');
+    } else if (seenEpisodes.has(episode.episode)) {
+      report.warn(`${episodePath}.episode`, `duplicates ${path}.episodes[${seenEpisodes.get(episode.episode)}] (episode ${episode.episode})`);
+    } else {
+      seenEpisodes.set(episode.episode, index);
+    }
+
+    validateEpisodeFields(episode, episodePath, report);
+  });
+}
+
+/**
+ * Validate a single catalog item
+ */
+function validateItem(item, path, catalog, options, report) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    report.error(path, 'must be an object');
+    return;
+  }
+
+  // id
+  if (!isNonEmptyString(item.id)) {
+    report.error(`${path}.id`, 'is required');
+  } else if (!options.idPrefixes.some((prefix) => item.id.startsWith(prefix))) {
+    report.error(`${path}.id`, `must start with one of: ${options.idPrefixes.join(', ')} (got "${item.id}")`);
+  } else if (item.id.startsWith('tt') && !IMDB_ID_PATTERN.test(item.id)) {
+    report.error(`${path}.id`, `is not a valid IMDB id: "${item.id}"`);
+  }
+
+  // name
+  if (!isNonEmptyString(item.name)) {
+    report.error(`${path}.name`, 'is required');
+  }
+
+  // poster is what Stremio shows on the board, everything else is optional
+  if (item.poster === undefined || item.poster === '') {
+    report.warn(`${path}.poster`, 'is missing, Stremio will show a blank tile');
+  }
+
+  URL_FIELDS.forEach((field) => {
+    if (item[field] !== undefined && item[field] !== '' && !isHttpUrl(item[field])) {
+      report.error(`${path}.${field}`, 'must be an http(s) URL');
+    }
+  });
+
+  // imdbRating: number or numeric string between 0 and 10
+  if (item.imdbRating !== undefined && item.imdbRating !== '') {
+    const rating = typeof item.imdbRating === 'number' ? item.imdbRating : Number(item.imdbRating);
+    if (!(typeof item.imdbRating === 'number' || typeof item.imdbRating === 'string') || isNaN(rating)) {
+      report.error(`${path}.imdbRating`, `must be a number between 0 and 10 (got ${JSON.stringify(item.imdbRating)})`);
+    } else if (rating < 0 || rating > 10) {
+      report.error(`${path}.imdbRating`, `must be between 0 and 10 (got ${item.imdbRating})`);
+    }
+  }
+
+  if (item.releaseInfo !== undefined && !RELEASE_INFO_PATTERN.test(String(item.releaseInfo))) {
+    report.warn(`${path}.releaseInfo`, `should look like "2025", "2019-2022" or "2022-" (got ${JSON.stringify(item.releaseInfo)})`);
+  }
+
+  if (item.runtime !== undefined) {
+    if (typeof item.runtime !== 'string' && typeof item.runtime !== 'number') {
+      report.error(`${path}.runtime`, 'must be a string like "2h 30m"');
+    } else if (typeof item.runtime === 'string' && !RUNTIME_PATTERN.test(item.runtime.trim())) {
+      report.warn(`${path}.runtime`, `should look like "2h 30m" (got ${JSON.stringify(item.runtime)})`);
+    }
+  }
+
+  ['adult', 'violent'].forEach((field) => {
+    if (item[field] !== undefined && typeof item[field] !== 'boolean') {
+      report.error(`${path}.${field}`, 'must be true or false');
+    }
+  });
+
+  if (item.certification !== undefined && typeof item.certification !== 'string') {
+    report.error(`${path}.certification`, 'must be a string (e.g. "U", "UA", "A")');
+  }
+
+  if (item.language !== undefined) {
+    validateNameList(item.language, `${path}.language`, report);
+  }
+
+  if (item.dateAdded !== undefined && isNaN(new Date(item.dateAdded).getTime())) {
+    report.warn(`${path}.dateAdded`, `is not a valid date: ${JSON.stringify(item.dateAdded)}`);
+  }
+
+  if (item.description !== undefined && typeof item.description !== 'string') {
+    report.error(`${path}.description`, 'must be a string');
+  }
+
+  NAME_LIST_FIELDS.forEach((field) => {
+    if (item[field] !== undefined) {
+      validateNameList(item[field], `${path}.${field}`, report);
+    }
+  });
+
+  if (item.trailers !== undefined && !Array.isArray(item.trailers) && typeof item.trailers !== 'string') {
+    report.error(`${path}.trailers`, 'must be an array of YouTube ids');
+  }
+
+  if (item.watchOn !== undefined) {
+    validateStreamLinks(item.watchOn, `${path}.watchOn`, catalog, report);
+  }
+
+  if (item.mediaFiles !== undefined) {
+    validateStreamLinks(item.mediaFiles, `${path}.mediaFiles`, catalog, report, { mediaFile: true });
+  }
+
+  if (item.videos !== undefined) {
+    if (!Array.isArray(item.videos)) {
+      report.error(`${path}.videos`, 'must be an array');
+    } else {
+      if (catalog.catalog_type !== 'series') {
+        report.warn(`${path}.videos`, `is only used for series (catalog type is "${catalog.catalog_type}")`);
+      }
+      item.videos.forEach((video, index) => validateVideo(video, `${path}.videos[${index}]`, report));
+    }
+  }
+
+  if (item.seasons !== undefined) {
+    if (!Array.isArray(item.seasons)) {
+      report.error(`${path}.seasons`, 'must be an array');
+    } else {
+      if (catalog.catalog_type !== 'series') {
+        report.warn(`${path}.seasons`, `is only used for series (catalog type is "${catalog.catalog_type}")`);
+      }
+      const seenSeasons = new Map();
+      item.seasons.forEach((season, index) => {
+        validateSeason(season, `${path}.seasons[${index}]`, report);
+        if (season && Number.isInteger(season.season)) {
+          if (seenSeasons.has(season.season)) {
+            report.warn(`${path}.seasons[${index}].season`, `duplicates ${path}.seasons[${seenSeasons.get(season.season)}] (season ${season.season})`);
+          } else {
+            seenSeasons.set(season.season, index);
+          }
+        }
+      });
+    }
+  }
+
+  // Featured season: the catalog shows this item as one season ("Name S2")
+  if (item.season !== undefined) {
+    if (!(Number.isInteger(item.season) && item.season >= 0)) {
+      report.error(`${path}.season`, 'must be a non-negative integer');
+    } else if (catalog.catalog_type !== 'series') {
+      report.warn(`${path}.season`, `is only used for series (catalog type is "${catalog.catalog_type}")`);
+    } else if (Array.isArray(item.seasons) && !item.seasons.some((season) => season && season.season === item.season)) {
+      report.warn(`${path}.season`, `season ${item.season} is not listed in ${path}.seasons`);
+    }
+  }
+}
+
+/**
+ * Validate the rules of a smart catalog
+ */
+function validateRules(rules, path, catalog, report) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    report.error(path, 'must be an object');
+    return;
+  }
+
+  Object.keys(rules).forEach((rule) => {
+    if (!RULE_NAMES.includes(rule)) {
+      report.warn(`${path}.${rule}`, `is not a known rule (${RULE_NAMES.join(', ')})`);
+    }
+  });
+
+  // Catalog names, genres and languages: one string or a list of them
+  ['include', 'exclude', 'genres', 'languages'].forEach((rule) => {
+    if (rules[rule] !== undefined && !isNonEmptyString(rules[rule])) {
+      validateNameList(rules[rule], `${path}.${rule}`, report);
+    }
+  });
+
+  ['include', 'exclude'].forEach((rule) => {
+    const names = Array.isArray(rules[rule]) ? rules[rule] : [rules[rule]];
+    if (names.includes(catalog.catalog_name)) {
+      report.error(`${path}.${rule}`, 'cannot name the catalog itself');
+    }
+  });
+
+  ['min_rating', 'max_rating'].forEach((rule) => {
+    if (rules[rule] !== undefined && !(typeof rules[rule] === 'number' && rules[rule] >= 0 && rules[rule] <= 10)) {
+      report.error(`${path}.${rule}`, `must be a number between 0 and 10 (got ${JSON.stringify(rules[rule])})`);
+    }
+  });
+
+  ['min_year', 'max_year'].forEach((rule) => {
+    if (rules[rule] !== undefined && !Number.isInteger(rules[rule])) {
+      report.error(`${path}.${rule}`, `must be a year, e.g. 2020 (got ${JSON.stringify(rules[rule])})`);
+    }
+  });
+
+  [['min_rating', 'max_rating'], ['min_year', 'max_year']].forEach(([min, max]) => {
+    if (typeof rules[min] === 'number' && typeof rules[max] === 'number' && rules[min] > rules[max]) {
+      report.warn(`${path}.${min}`, `is greater than ${max}, the catalog will be empty`);
+    }
+  });
+
+  if (rules.released_within_days !== undefined && !(typeof rules.released_within_days === 'number' && rules.released_within_days > 0)) {
+    report.error(`${path}.released_within_days`, 'must be a positive number of days');
+  }
+
+  if (rules.sort !== undefined && !resolveSortOption(rules.sort)) {
+    const keys = Object.values(SORT_OPTIONS).map((option) => option.key);
+    report.error(`${path}.sort`, `must be one of: ${keys.join(', ')} (got ${JSON.stringify(rules.sort)})`);
+  }
+
+  if (rules.limit !== undefined && !(Number.isInteger(rules.limit) && rules.limit >= 1)) {
+    report.error(`${path}.limit`, 'must be a positive integer');
+  }
+}
+
+/**
+ * Validate a single catalog
+ */
+function validateCatalog(catalog, index, options, report, seenCatalogs) {
+  const path = `catalogs[${index}]`;
+
+  if (!catalog || typeof catalog !== 'object' || Array.isArray(catalog)) {
+    report.error(path, 'must be an object');
+    return;
+  }
+
+  if (!isNonEmptyString(catalog.catalog_name)) {
+    report.error(`${path}.catalog_name`, 'is required');
+  } else if (catalog.catalog_name === SEARCH_CATALOG_ID) {
+    report.error(`${path}.catalog_name`, `"${SEARCH_CATALOG_ID}" is reserved for the search catalog`);
+  } else if (isVirtualCatalogId(catalog.catalog_name)) {
+    report.error(`${path}.catalog_name`, `"${catalog.catalog_name}" is reserved for the ${VIRTUAL_CATALOGS[catalog.catalog_name].name} catalog`);
+  } else if (!/^[a-z0-9_]+$/.test(catalog.catalog_name)) {
+    report.warn(`${path}.catalog_name`, `should be lowercase snake_case (got "${catalog.catalog_name}")`);
+  }
+
+  if (!isNonEmptyString(catalog.catalog_type)) {
+    report.error(`${path}.catalog_type`, 'is required');
+  } else if (!KNOWN_TYPES.includes(catalog.catalog_type)) {
+    report.warn(`${path}.catalog_type`, `is not a standard Stremio type (${KNOWN_TYPES.join(', ')}): "${catalog.catalog_type}"`);
+  }
+
+  // Catalogs are looked up by "type:name", so duplicates would shadow each other
+  if (isNonEmptyString(catalog.catalog_name) && isNonEmptyString(catalog.catalog_type)) {
+    const key = `${catalog.catalog_type}:${catalog.catalog_name}`;
+    if (seenCatalogs.has(key)) {
+      report.error(`${path}.catalog_name`, `duplicates catalogs[${seenCatalogs.get(key)}] (${key})`);
+    } else {
+      seenCatalogs.set(key, index);
+    }
+  }
+
+  if (catalog.genre_min_items !== undefined && !(Number.isInteger(catalog.genre_min_items) && catalog.genre_min_items >= 1)) {
+    report.error(`${path}.genre_min_items`, 'must be a positive integer');
+  }
+
+  if (catalog.genre_all_option !== undefined && typeof catalog.genre_all_option !== 'boolean') {
+    report.error(`${path}.genre_all_option`, 'must be true or false');
+  }
+
+  // Display settings (see catalogDisplay.js)
+  if (catalog.display_name !== undefined && !(typeof catalog.display_name === 'string' && catalog.display_name.trim())) {
+    report.error(`${path}.display_name`, 'must be a non-empty string');
+  }
+
+  if (catalog.description !== undefined && typeof catalog.description !== 'string') {
+    report.error(`${path}.description`, 'must be a string');
+  }
+
+  if (catalog.order !== undefined && !(typeof catalog.order === 'number' && isFinite(catalog.order))) {
+    report.error(`${path}.order`, 'must be a number');
+  }
+
+  if (catalog.page_size !== undefined && !(Number.isInteger(catalog.page_size) && catalog.page_size >= 1)) {
+    report.error(`${path}.page_size`, 'must be a positive integer');
+  }
+
+  if (catalog.visibility !== undefined && !VISIBILITIES.includes(catalog.visibility)) {
+    report.error(`${path}.visibility`, `must be one of: ${VISIBILITIES.join(', ')}`);
+  }
+
+  if (catalog.show_in_home !== undefined && typeof catalog.show_in_home !== 'boolean') {
+    report.error(`${path}.show_in_home`, 'must be true or false');
+  }
+
+  // Schedule (see catalogSchedule.js)
+  const from = catalog.visible_from !== undefined ? parseScheduleTime(catalog.visible_from) : null;
+  const until = catalog.visible_until !== undefined ? parseScheduleTime(catalog.visible_until, { endOfDay: true }) : null;
+  ['visible_from', 'visible_until'].forEach((field) => {
+    if (catalog[field] !== undefined && parseScheduleTime(catalog[field]) === null) {
+      report.error(`${path}.${field}`, 'must be a date ("2026-01-14") or date and time ("2026-01-14T18:30")');
+    }
+  });
+  if (from !== null && until !== null && until <= from) {
+    report.error(`${path}.visible_until`, 'must be after visible_from');
+  } else if (until !== null && until <= Date.now()) {
+    report.warn(`${path}.visible_until`, 'has passed, the catalog is no longer shown');
+  }
+
+  if (catalog.recurrence !== undefined) {
+    try {
+      parseCron(catalog.recurrence);
+    } catch (error) {
+      report.error(`${path}.recurrence`, `must be a cron expression: ${error.message}`);
+    }
+  }
+
+  if (catalog.recurrence_duration !== undefined) {
+    if (parseDuration(catalog.recurrence_duration) === null) {
+      report.error(`${path}.recurrence_duration`, 'must be a duration like "90m", "12h", "3d" or "1w"');
+    } else if (catalog.recurrence === undefined) {
+      report.warn(`${path}.recurrence_duration`, 'is only used with recurrence');
+    }
+  }
+
+  if (catalog.featured_season !== undefined) {
+    if (!(Number.isInteger(catalog.featured_season) && catalog.featured_season >= 0)) {
+      report.error(`${path}.featured_season`, 'must be a non-negative integer');
+    } else if (catalog.catalog_type !== 'series') {
+      report.warn(`${path}.featured_season`, `is only used for series catalogs (catalog type is "${catalog.catalog_type}")`);
+    }
+  }
+
+  // Smart catalogs get their items from their rules
+  if (catalog.catalog_rules !== undefined) {
+    validateRules(catalog.catalog_rules, `${path}.catalog_rules`, catalog, report);
+    if (catalog.catalog_items !== undefined) {
+      report.warn(`${path}.catalog_items`, 'is ignored, the items of a smart catalog come from catalog_rules');
+    }
+    return;
+  }
+
+  if (catalog.catalog_items === undefined) {
+    report.warn(`${path}.catalog_items`, 'is missing, catalog will be empty');
+    return;
+  }
+
+  if (!Array.isArray(catalog.catalog_items)) {
+    report.error(`${path}.catalog_items`, 'must be an array');
+    return;
+  }
+
+  if (catalog.catalog_items.length === 0) {
+    report.warn(`${path}.catalog_items`, 'is empty');
+  }
+
+  const seenIds = new Map();
+  catalog.catalog_items.forEach((item, itemIndex) => {
+    const itemPath = `${path}.catalog_items[${itemIndex}]`;
+    validateItem(item, itemPath, catalog, options, report);
+
+    if (item && isNonEmptyString(item.id)) {
+      if (seenIds.has(item.id)) {
+        report.warn(`${itemPath}.id`, `duplicates ${path}.catalog_items[${seenIds.get(item.id)}] (${item.id})`);
+      } else {
+        seenIds.set(item.id, itemIndex);
+      }
+    }
+  });
+}
+
+/**
+ * Validate the optional "source" metadata of a data file (see catalogSources.js)
+ * @param {*} source - data.source
+ * @param {ValidationReport} report - Report to add problems to
+ */
+function validateSource(source, report) {
+  if (source === undefined) {
+    return;
+  }
+
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    report.error('source', 'must be an object: { name, priority }');
+    return;
+  }
+
+  if (source.name !== undefined && !isNonEmptyString(source.name)) {
+    report.error('source.name', 'must be a non-empty string');
+  }
+
+  if (source.priority !== undefined && (typeof source.priority !== 'number' || !isFinite(source.priority))) {
+    report.error('source.priority', `must be a number (got ${JSON.stringify(source.priority)})`);
+  }
+}
+
+/**
+ * Validate parsed catalog data
+ * @param {Object} data - Parsed catalog_data.json
+ * @param {Object} options - Validation options
+ * @param {Array} options.idPrefixes - Allowed item id prefixes (default: ['tt'])
+ * @returns {Object} { valid, errors: [{ path, message }], warnings: [{ path, message }] }
+ */
+function validateCatalogData(data, options = {}) {
+  const report = new ValidationReport();
+  const resolvedOptions = {
+    idPrefixes: options.idPrefixes && options.idPrefixes.length ? options.idPrefixes : ['tt'],
+  };
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    report.error('$', 'must be an object: { catalogs: [...] }');
+    return report.toResult();
+  }
+
+  if (!Array.isArray(data.catalogs)) {
+    report.error('catalogs', 'must be an array');
+    return report.toResult();
+  }
+
+  validateSource(data.source, report);
+
+  const seenCatalogs = new Map();
+  data.catalogs.forEach((catalog, index) => {
+    validateCatalog(catalog, index, resolvedOptions, report, seenCatalogs);
+  });
+
+  return report.toResult();
+}
+
+/**
+ * Format a validation result as human readable lines
+ * @param {Object} result - Result of validateCatalogData
+ * @returns {Array} Lines, errors first
+ */
+function formatValidationResult(result) {
+  return [
+    ...result.errors.map((problem) => `ERROR   ${problem.path}: ${problem.message}`),
+    ...result.warnings.map((problem) => `WARNING ${problem.path}: ${problem.message}`),
+  ];
+}
+
+module.exports = {
+  validateCatalogData,
+  formatValidationResult,
+};
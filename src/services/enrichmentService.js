@@ -0,0 +1,323 @@
+/**
+ * Enrichment Service
+ * Fills fields our data lacks (poster, banner, description, runtime, ...) from a metadata provider
+ *
+ * - Serving only reads the on-disk cache (see metadataCache.js), it never waits for the network
+ * - Items served with missing fields and no fresh cache entry are fetched in the background,
+ *   one at a time, so the next request gets the enriched fields
+ * - The enrich command (scripts/enrich.js) fetches in bulk and writes the fields into the data
+ * - Fields in the catalog data always win over provider fields
+ * - Filled fields are display-only: sorting, genre filters, smart rules and search read the catalog data,
+ *   so a background fetch never changes which items a catalog page lists
+ */
+
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+const addonConfig = require('../config/addonConfig');
+const { MetadataCache } = require('./metadataCache');
+const { createProvider } = require('./metadataProviders');
+
+// Fields a provider may fill
+const ENRICHABLE_FIELDS = ['poster', 'banner', 'description', 'runtime', 'releaseInfo', 'imdbRating', 'genres', 'cast', 'director'];
+
+// How long to wait before asking the provider again about an id whose lookup failed
+const FAILURE_RETRY_MS = 15 * 60 * 1000;
+
+const IMDB_ID_PATTERN = /^tt\d+$/;
+
+/**
+ * Check whether a field value is missing
+ * @param {*} value - Field value
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Wait
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+class EnrichmentService {
+  constructor() {
+    this.configured = false;
+    this.provider = null;
+    this.cache = new MetadataCache(null);
+    this.fetchInBackground = false;
+    this.delayMs = 0;
+    this.now = Date.now;
+    this.queue = new Map(); // Map: IMDB id -> type, waiting for a background fetch
+    this.draining = null; // Pending background fetch loop
+    this.failures = new Map(); // Map: IMDB id -> time of the last failed lookup
+    this.version = 0; // Cache version responses are built from (see getVersion)
+  }
+
+  /**
+   * Configure the provider and cache
+   * Without a call, the settings come from addonConfig on first use
+   * @param {Object} options - Enrichment options
+   * @param {string|Object|Function} options.provider - "tmdb", "omdb", a module path, a provider object or null
+   * @param {Object} options.providerOptions - Options passed to the provider factory (apiKey, baseUrl, timeoutMs)
+   * @param {string} options.cachePath - Cache file (null for an in-memory cache)
+   * @param {number} options.ttlMs - How long cached results are fresh
+   * @param {boolean} options.fetchInBackground - Fetch missing metadata while serving
+   * @param {number} options.delayMs - Pause between provider requests
+   * @param {Function} options.now - Clock, for tests (default: Date.now)
+   */
+  configure(options = {}) {
+    this.provider = options.provider ? createProvider(options.provider, options.providerOptions || {}) : null;
+    this.now = options.now || Date.now;
+    this.cache = new MetadataCache(options.cachePath || null, { ttlMs: options.ttlMs, now: this.now }).load();
+    this.version = this.cache.updatedAt;
+    this.fetchInBackground = Boolean(this.provider && options.fetchInBackground);
+    this.delayMs = options.delayMs || 0;
+    this.queue.clear();
+    this.failures.clear();
+    this.configured = true;
+
+    if (this.provider) {
+      logger.info(`Metadata enrichment: ${this.provider.name}${this.fetchInBackground ? ' (background fetching on)' : ''}`);
+    }
+  }
+
+  /**
+   * Get the configure() options from addonConfig
+   * @param {string} provider - Provider to use (default: ENRICH_PROVIDER)
+   * @returns {Object} Options for configure()
+   */
+  getDefaultOptions(provider = addonConfig.enrichProvider) {
+    const apiKeys = { tmdb: addonConfig.tmdbApiKey, omdb: addonConfig.omdbApiKey };
+    return {
+      provider,
+      providerOptions: {
+        apiKey: typeof provider === 'string' ? apiKeys[provider.toLowerCase()] : null,
+        timeoutMs: addonConfig.enrichTimeoutMs,
+      },
+      cachePath: addonConfig.metadataCachePath || path.join(os.tmpdir(), 'rkp-favourites', 'metadata.json'),
+      ttlMs: addonConfig.metadataTtlDays * 24 * 60 * 60 * 1000,
+      fetchInBackground: addonConfig.enrichOnServe,
+      delayMs: addonConfig.enrichDelayMs,
+    };
+  }
+
+  /**
+   * Configure from addonConfig unless configure() was called
+   * @private
+   */
+  _ensureConfigured() {
+    if (this.configured) {
+      return;
+    }
+
+    try {
+      this.configure(this.getDefaultOptions());
+    } catch (error) {
+      // A misconfigured provider must not take the addon down; serve the data as it is
+      logger.error('Metadata enrichment disabled:', error.message);
+      this.configure({ ...this.getDefaultOptions(), provider: null });
+    }
+  }
+
+  /**
+   * Get the enrichable fields an item lacks
+   * @param {Object} item - Catalog item
+   * @returns {Array} Field names
+   */
+  getMissingFields(item) {
+    return ENRICHABLE_FIELDS.filter((field) => isEmpty(item[field]));
+  }
+
+  /**
+   * Get the cached provider fields for the fields an item lacks (also from stale entries)
+   * @param {Object} item - Catalog item
+   * @returns {Object} Fields to add, empty if nothing is cached
+   */
+  getCachedFields(item) {
+    this._ensureConfigured();
+
+    const entry = item && this.cache.get(item.id);
+    if (!entry || !entry.fields) {
+      return {};
+    }
+
+    const fields = {};
+    this.getMissingFields(item).forEach((field) => {
+      if (!isEmpty(entry.fields[field])) {
+        fields[field] = entry.fields[field];
+      }
+    });
+    return fields;
+  }
+
+  /**
+   * Fill an item's missing fields from the cache, without waiting for the network
+   * Missing metadata is queued for a background fetch
+   * @param {Object} item - Catalog item from JSON
+   * @param {string} type - Content type
+   * @returns {Object} The item, or a copy with the cached fields added
+   */
+  fillItem(item, type) {
+    if (!item || !IMDB_ID_PATTERN.test(item.id || '') || this.getMissingFields(item).length === 0) {
+      return item;
+    }
+
+    this._ensureConfigured();
+
+    if (!this.cache.isFresh(item.id)) {
+      this._scheduleFetch(item.id, type);
+    }
+
+    const fields = this.getCachedFields(item);
+    return Object.keys(fields).length > 0 ? { ...item, ...fields } : item;
+  }
+
+  /**
+   * Look up an id with the provider and cache the result
+   * @param {string} id - IMDB id
+   * @param {string} type - Content type
+   * @returns {Promise<Object|null>} Fields, or null if the provider does not know the title
+   */
+  async fetchItem(id, type) {
+    try {
+      const fields = await this.provider.fetchMetadata(id, type);
+      this.cache.set(id, fields || null, this.provider.name);
+      this.failures.delete(id);
+      return fields || null;
+    } catch (error) {
+      this.failures.set(id, this.now());
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch metadata for the items that lack fields, skipping ids with a fresh cache entry
+   * @param {Array} items - { id, type } of catalog items
+   * @param {Object} options - Enrich options
+   * @param {boolean} options.force - Fetch even if the cache entry is fresh
+   * @param {Function} options.onProgress - Called after each item with (done, total)
+   * @returns {Promise<Object>} { fetched, cached, notFound, failed: [{ id, error }] }
+   */
+  async enrichItems(items, { force = false, onProgress = null } = {}) {
+    this._ensureConfigured();
+    if (!this.provider) {
+      throw new Error('No metadata provider configured (set ENRICH_PROVIDER)');
+    }
+
+    const result = { fetched: 0, cached: 0, notFound: 0, failed: [] };
+    const seen = new Set();
+    const pending = items.filter((item) => {
+      if (!IMDB_ID_PATTERN.test(item.id || '') || seen.has(item.id)) {
+        return false;
+      }
+      seen.add(item.id);
+      if (!force && this.cache.isFresh(item.id)) {
+        result.cached++;
+        return false;
+      }
+      return true;
+    });
+
+    for (let index = 0; index < pending.length; index++) {
+      const { id, type } = pending[index];
+      if (index > 0 && this.delayMs > 0) {
+        await sleep(this.delayMs);
+      }
+      try {
+        const fields = await this.fetchItem(id, type);
+        result[fields ? 'fetched' : 'notFound']++;
+      } catch (error) {
+        result.failed.push({ id, error: error.message });
+      }
+      if (onProgress) {
+        onProgress(index + 1, pending.length);
+      }
+    }
+
+    this.cache.save();
+    this.version = this.cache.updatedAt;
+    return result;
+  }
+
+  /**
+   * Queue a background fetch, unless one is queued or a recent lookup failed
+   * @param {string} id - IMDB id
+   * @param {string} type - Content type
+   * @private
+   */
+  _scheduleFetch(id, type) {
+    if (!this.fetchInBackground || this.queue.has(id)) {
+      return;
+    }
+
+    const failedAt = this.failures.get(id);
+    if (failedAt && this.now() - failedAt < FAILURE_RETRY_MS) {
+      return;
+    }
+
+    this.queue.set(id, type);
+    if (!this.draining) {
+      // The queue outlives the request that started it, keep its request id out of the queue's log lines
+      this.draining = logger.runWithoutContext(() => this._drainQueue()).finally(() => {
+        this.draining = null;
+      });
+    }
+  }
+
+  /**
+   * Fetch queued ids one at a time, then save the cache
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _drainQueue() {
+    // Let the request that queued the ids finish first
+    await sleep(0);
+
+    let fetched = 0;
+    while (this.queue.size > 0) {
+      const [id, type] = this.queue.entries().next().value;
+      try {
+        await this.fetchItem(id, type);
+        fetched++;
+      } catch (error) {
+        logger.warn(`Metadata lookup failed for ${id}: ${error.message}`);
+      }
+      this.queue.delete(id);
+      if (this.queue.size > 0 && this.delayMs > 0) {
+        await sleep(this.delayMs);
+      }
+    }
+
+    this.cache.save();
+    this.version = this.cache.updatedAt;
+    logger.info(`Fetched metadata for ${fetched} item(s) in the background`);
+  }
+
+  /**
+   * Get a version of the cached metadata, for cache validators (ETags) and the page cache
+   * Changes once a batch of lookups is done (the background queue is drained), not with every result,
+   * so a run of background fetches invalidates cached pages and clients' copies once
+   * @returns {number} Time of the newest cache entry when the last batch was done (0 without entries)
+   */
+  getVersion() {
+    this._ensureConfigured();
+    return this.version;
+  }
+
+  /**
+   * Wait for pending background fetches, e.g. before exiting
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.draining || Promise.resolve();
+  }
+}
+
+// Export singleton instance
+module.exports = new EnrichmentService();
+module.exports.ENRICHABLE_FIELDS = ENRICHABLE_FIELDS;
@@ -0,0 +1,98 @@
+/**
+ * Genres
+ * Normalizes genre names so the same genre spelled differently
+ * ("Sci-Fi", "Science Fiction", "scifi") shows up once in the genre dropdown
+ */
+
+// Option that disables the genre filter when it is offered
+const ALL_GENRES_OPTION = 'All';
+
+// Alternative spellings -> canonical genre name (IMDB spelling)
+// Keys are lowercase with everything but letters and digits removed
+const GENRE_ALIASES = {
+  scifi: 'Sci-Fi',
+  sciencefiction: 'Sci-Fi',
+  sport: 'Sport',
+  sports: 'Sport',
+  biopic: 'Biography',
+  biographical: 'Biography',
+  historical: 'History',
+  romantic: 'Romance',
+  romcom: 'Romance',
+  animated: 'Animation',
+  anime: 'Animation',
+  documentaries: 'Documentary',
+  docuseries: 'Documentary',
+  musicals: 'Musical',
+  kids: 'Family',
+  suspense: 'Thriller',
+  filmnoir: 'Film-Noir',
+  noir: 'Film-Noir',
+};
+
+/**
+ * Lookup key for a genre name
+ * @param {string} genre - Genre name
+ * @returns {string} Lowercase key without punctuation or spaces
+ */
+function genreKey(genre) {
+  return String(genre).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Normalize a genre name to its canonical display form
+ * Known aliases map to the IMDB spelling, anything else is title-cased
+ * @param {string} genre - Genre name from JSON
+ * @returns {string|null} Canonical genre name, or null if empty
+ */
+function normalizeGenre(genre) {
+  if (!genre || typeof genre !== 'string' || !genre.trim()) {
+    return null;
+  }
+
+  const alias = GENRE_ALIASES[genreKey(genre)];
+  if (alias) {
+    return alias;
+  }
+
+  return genre
+    .trim()
+    .replace(/\s+/g, ' ')
+    .replace(/(^|[\s-])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+/**
+ * Get the normalized, de-duplicated genres of a catalog item
+ * @param {Object} item - Catalog item from JSON (genres as array or comma separated string)
+ * @returns {Array} Canonical genre names
+ */
+function getItemGenres(item) {
+  if (!item) {
+    return [];
+  }
+
+  const genres = typeof item.genres === 'string' ? item.genres.split(',') : item.genres;
+  if (!Array.isArray(genres)) {
+    return [];
+  }
+
+  return Array.from(new Set(genres.map(normalizeGenre).filter(Boolean)));
+}
+
+/**
+ * Check whether an item belongs to a genre
+ * @param {Object} item - Catalog item from JSON
+ * @param {string} genre - Requested genre (any spelling)
+ * @returns {boolean}
+ */
+function itemHasGenre(item, genre) {
+  const wanted = normalizeGenre(genre);
+  return wanted !== null && getItemGenres(item).includes(wanted);
+}
+
+module.exports = {
+  ALL_GENRES_OPTION,
+  normalizeGenre,
+  getItemGenres,
+  itemHasGenre,
+};
@@ -0,0 +1,376 @@
+/**
+ * List Import
+ * Turns list exports from IMDb, Letterboxd and Trakt into catalog items
+ *
+ * Supported exports (local files):
+ * - IMDb list/watchlist/ratings CSV ("Const", "Title", "Year", "IMDb Rating", ...)
+ * - Letterboxd list/watchlist/watched CSV ("Name", "Year", "Letterboxd URI", ...)
+ * - Trakt list/watchlist JSON ([{ "type": "movie", "movie": { "title", "year", "ids": { "imdb" } } }, ...])
+ *
+ * Letterboxd exports have no IMDB ids, so their rows are matched by title and year
+ * against items that are already in the catalog data. Rows that cannot be matched
+ * to an IMDB "tt" id are reported instead of imported.
+ */
+
+const { normalizeText } = require('./searchIndex');
+const { normalizeGenre } = require('./genres');
+const { formatRuntime } = require('../utils/format');
+
+const IMDB_ID_PATTERN = /^tt\d+$/;
+
+// Title types in IMDb exports -> Stremio content type
+const IMDB_TITLE_TYPES = {
+  'movie': 'movie',
+  'tv movie': 'movie',
+  'short': 'movie',
+  'video': 'movie',
+  'tv special': 'movie',
+  'tv series': 'series',
+  'tv mini series': 'series',
+  'tv miniseries': 'series',
+  'tv short': 'series',
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, newlines inside quotes)
+ * @param {string} text - CSV text
+ * @returns {Array} Rows, each an array of fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text; // Strip BOM
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Turn CSV rows into objects keyed by a header row
+ * @param {Array} rows - Parsed CSV rows
+ * @param {number} headerIndex - Index of the header row
+ * @returns {Array} { line, record } with line numbers counted from 1
+ */
+function toRecords(rows, headerIndex) {
+  const header = rows[headerIndex].map((name) => name.trim());
+  return rows
+    .slice(headerIndex + 1)
+    .map((row, index) => ({ line: headerIndex + index + 2, row }))
+    .filter(({ row }) => row.some((value) => value.trim() !== ''))
+    .map(({ line, row }) => {
+      const record = {};
+      header.forEach((name, column) => {
+        record[name] = row[column] !== undefined ? row[column].trim() : '';
+      });
+      return { line, record };
+    });
+}
+
+/**
+ * Get the first non-empty column value of a record, trying several column names
+ * @param {Object} record - CSV record
+ * @param {Array} names - Column names, in order of preference
+ * @returns {string} Value, or '' if none of the columns has one
+ */
+function column(record, names) {
+  const name = names.find((candidate) => record[candidate]);
+  return name ? record[name] : '';
+}
+
+/**
+ * Split and normalize a list of genres
+ * @param {string|Array} value - "Action, Crime" or ["action", "crime"]
+ * @returns {Array} Canonical genre names
+ */
+function toGenres(value) {
+  const genres = Array.isArray(value) ? value : String(value || '').split(',');
+  return Array.from(new Set(genres.map((genre) => normalizeGenre(String(genre))).filter(Boolean)));
+}
+
+/**
+ * Turn a date into an ISO date ("2025-03-14")
+ * @param {string} value - Date from an export
+ * @returns {string|null} ISO date, or null if missing/invalid
+ */
+function toIsoDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Drop empty fields from an item
+ * @param {Object} item - Catalog item
+ * @returns {Object} Item without null, empty string or empty array fields
+ */
+function compact(item) {
+  const result = {};
+  Object.keys(item).forEach((key) => {
+    const value = item[key];
+    if (value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0)) {
+      result[key] = value;
+    }
+  });
+  return result;
+}
+
+/**
+ * Parse an IMDb list, watchlist or ratings CSV export
+ * @param {string} text - CSV text
+ * @returns {Array} Import entries: { line, id, name, year, type, item }
+ */
+function parseImdbCsv(text) {
+  const rows = parseCsv(text);
+  const headerIndex = rows.findIndex((row) => row.includes('Const'));
+  if (headerIndex === -1) {
+    throw new Error('Not an IMDb export: no "Const" column');
+  }
+
+  return toRecords(rows, headerIndex).map(({ line, record }) => {
+    const year = column(record, ['Year']);
+    const titleType = column(record, ['Title Type', 'Title type']).toLowerCase();
+    return {
+      line,
+      id: column(record, ['Const']),
+      name: column(record, ['Title', 'Original Title']),
+      year,
+      type: IMDB_TITLE_TYPES[titleType] || null,
+      item: compact({
+        releaseInfo: year,
+        imdbRating: column(record, ['IMDb Rating']),
+        runtime: formatRuntime(column(record, ['Runtime (mins)'])),
+        genres: toGenres(column(record, ['Genres'])),
+        director: column(record, ['Directors'])
+          .split(',')
+          .map((name) => name.trim())
+          .filter(Boolean),
+        released: toIsoDate(column(record, ['Release Date'])),
+        dateAdded: toIsoDate(column(record, ['Created', 'Date Rated'])),
+      }),
+    };
+  });
+}
+
+/**
+ * Parse a Letterboxd list, watchlist or watched CSV export
+ * List exports start with a block describing the list, followed by a blank line and the films
+ * @param {string} text - CSV text
+ * @returns {Array} Import entries: { line, id, name, year, type, item }
+ */
+function parseLetterboxdCsv(text) {
+  const rows = parseCsv(text);
+  // The film table is the last header row with a "Name" column
+  let headerIndex = -1;
+  rows.forEach((row, index) => {
+    if (row.includes('Name') && (row.includes('Year') || row.includes('Letterboxd URI') || row.includes('URL'))) {
+      headerIndex = index;
+    }
+  });
+  if (headerIndex === -1) {
+    throw new Error('Not a Letterboxd export: no "Name" column');
+  }
+
+  return toRecords(rows, headerIndex).map(({ line, record }) => {
+    const year = column(record, ['Year']);
+    return {
+      line,
+      // Letterboxd has no IMDB ids, but exports enriched by other tools sometimes add them
+      id: column(record, ['imdbID', 'IMDb ID', 'imdb_id', 'Const']) || null,
+      name: column(record, ['Name']),
+      year,
+      type: 'movie',
+      item: compact({
+        releaseInfo: year,
+        dateAdded: toIsoDate(column(record, ['Date'])),
+      }),
+    };
+  });
+}
+
+/**
+ * Parse a Trakt list or watchlist JSON dump
+ * @param {string} text - JSON text: an array of list items, or an object with an "items" array
+ * @returns {Array} Import entries: { line, id, name, year, type, item }
+ */
+function parseTraktJson(text) {
+  const data = JSON.parse(text);
+  const entries = Array.isArray(data) ? data : data && Array.isArray(data.items) ? data.items : null;
+  if (!entries) {
+    throw new Error('Not a Trakt export: expected an array of list items');
+  }
+
+  return entries.map((entry, index) => {
+    const kind = entry && (entry.type || (entry.movie ? 'movie' : entry.show ? 'show' : null));
+    const media = (entry && (entry[kind] || entry.movie || entry.show)) || {};
+    const year = media.year ? String(media.year) : '';
+    const type = kind === 'movie' ? 'movie' : kind === 'show' ? 'series' : null;
+    return {
+      line: entry && entry.rank ? entry.rank : index + 1,
+      id: (media.ids && media.ids.imdb) || null,
+      name: media.title || '',
+      year,
+      type,
+      item: compact({
+        // Shows are listed with their first year, like "2019-" in IMDB
+        releaseInfo: type === 'series' && year ? `${year}-` : year,
+        description: media.overview,
+        runtime: formatRuntime(media.runtime),
+        genres: toGenres(media.genres),
+        released: toIsoDate(media.released),
+        dateAdded: toIsoDate(entry && entry.listed_at),
+      }),
+    };
+  });
+}
+
+const PARSERS = {
+  imdb: parseImdbCsv,
+  letterboxd: parseLetterboxdCsv,
+  trakt: parseTraktJson,
+};
+
+const IMPORT_FORMATS = Object.keys(PARSERS);
+
+/**
+ * Guess the format of an export from its content
+ * @param {string} text - File content
+ * @returns {string|null} 'imdb', 'letterboxd', 'trakt' or null
+ */
+function detectFormat(text) {
+  const start = text.replace(/^\uFEFF/, '').trimStart();
+  if (start.startsWith('[') || start.startsWith('{')) {
+    return 'trakt';
+  }
+
+  const head = start.slice(0, 2000);
+  if (/(^|,)"?Const"?(,|$)/m.test(head)) {
+    return 'imdb';
+  }
+  if (/^Letterboxd/i.test(head) || /Letterboxd URI|boxd\.it/.test(head)) {
+    return 'letterboxd';
+  }
+  return null;
+}
+
+/**
+ * Parse an export
+ * @param {string} text - File content
+ * @param {string} format - 'imdb', 'letterboxd' or 'trakt' (default: detected from the content)
+ * @returns {Object} { format, entries }
+ */
+function parseExport(text, format = null) {
+  const resolvedFormat = format || detectFormat(text);
+  if (!resolvedFormat || !PARSERS[resolvedFormat]) {
+    throw new Error(`Unknown export format${format ? `: ${format}` : ''}, expected one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+  return { format: resolvedFormat, entries: PARSERS[resolvedFormat](text) };
+}
+
+/**
+ * Turn import entries into catalog items
+ * Entries without an IMDB id are matched by title and year against known items
+ * @param {Array} entries - Entries from parseExport
+ * @param {Object} options - Resolve options
+ * @param {string} options.type - Catalog type; entries of another type are skipped
+ * @param {Array} options.knownItems - Items already in the catalog data, used to match titles to ids
+ * @returns {Object} { items, unmatched: [{ line, name, year, reason }], skipped: [{ line, name, year, reason }] }
+ */
+function resolveEntries(entries, { type, knownItems = [] }) {
+  const byTitle = new Map(); // "title|year" and "title|" -> id
+  knownItems.forEach((item) => {
+    if (!item || !IMDB_ID_PATTERN.test(item.id || '') || !item.name) {
+      return;
+    }
+    const year = (/\d{4}/.exec(String(item.releaseInfo || '')) || [''])[0];
+    const titles = [item.name].concat(Array.isArray(item.aliases) ? item.aliases : []);
+    titles.forEach((title) => {
+      const key = normalizeText(String(title));
+      if (!byTitle.has(`${key}|${year}`)) {
+        byTitle.set(`${key}|${year}`, item.id);
+      }
+      // Title alone only if it is unambiguous
+      byTitle.set(`${key}|`, byTitle.has(`${key}|`) && byTitle.get(`${key}|`) !== item.id ? null : item.id);
+    });
+  });
+
+  const items = [];
+  const unmatched = [];
+  const skipped = [];
+  const seen = new Set();
+
+  entries.forEach((entry) => {
+    const describe = (reason) => ({ line: entry.line, name: entry.name, year: entry.year, reason });
+
+    if (entry.type && type && entry.type !== type) {
+      skipped.push(describe(`${entry.type} in a ${type} catalog`));
+      return;
+    }
+
+    let id = entry.id && IMDB_ID_PATTERN.test(entry.id) ? entry.id : null;
+    if (!id && entry.name) {
+      const key = normalizeText(entry.name);
+      id = byTitle.get(`${key}|${entry.year || ''}`) || (entry.year ? null : byTitle.get(`${key}|`)) || null;
+    }
+
+    if (!id) {
+      unmatched.push(describe(entry.id ? `"${entry.id}" is not an IMDB id` : 'no IMDB id, and no known title matches'));
+      return;
+    }
+
+    if (seen.has(id)) {
+      skipped.push(describe(`duplicate of ${id}`));
+      return;
+    }
+    seen.add(id);
+
+    items.push({ id, ...(entry.name ? { name: entry.name } : {}), ...entry.item });
+  });
+
+  return { items, unmatched, skipped };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  parseCsv,
+  detectFormat,
+  parseExport,
+  resolveEntries,
+};
@@ -0,0 +1,113 @@
+/**
+ * Metadata Cache
+ * Provider results keyed by IMDB id, kept in one JSON file so serving never waits for the network
+ *
+ * File format: { "version": 1, "entries": { "tt1234567": { "fetchedAt": 1700000000000, "provider": "tmdb", "fields": {...} } } }
+ * "fields": null records that the provider does not know the title, so it is not asked again before the TTL
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { writeFileAtomic } = require('../utils/files');
+
+const CACHE_VERSION = 1;
+
+class MetadataCache {
+  /**
+   * @param {string} filePath - Cache file (null keeps the cache in memory only)
+   * @param {Object} options - Cache options
+   * @param {number} options.ttlMs - How long an entry is fresh (default: 30 days)
+   * @param {Function} options.now - Clock, for tests (default: Date.now)
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath || null;
+    this.ttlMs = options.ttlMs !== undefined ? options.ttlMs : 30 * 24 * 60 * 60 * 1000;
+    this.now = options.now || Date.now;
+    this.entries = new Map();
+    this.dirty = false;
+    this.updatedAt = 0; // Newest fetchedAt, changes whenever the cached fields may have changed
+  }
+
+  /**
+   * Load the cache file; a missing or broken file leaves the cache empty
+   * @returns {MetadataCache} this
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return this;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (data && data.version === CACHE_VERSION && data.entries && typeof data.entries === 'object') {
+        this.entries = new Map(Object.entries(data.entries));
+        this.entries.forEach((entry) => {
+          this.updatedAt = Math.max(this.updatedAt, entry.fetchedAt || 0);
+        });
+        logger.debug(`Loaded ${this.entries.size} metadata cache entries from ${this.filePath}`);
+      }
+    } catch (error) {
+      logger.warn(`Ignoring unreadable metadata cache ${this.filePath}: ${error.message}`);
+    }
+    return this;
+  }
+
+  /**
+   * Write the cache file if anything changed since the last save
+   * Failures are logged; the in-memory cache keeps working (e.g. on read-only filesystems)
+   */
+  save() {
+    if (!this.filePath || !this.dirty) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const entries = {};
+      this.entries.forEach((entry, id) => {
+        entries[id] = entry;
+      });
+      writeFileAtomic(this.filePath, JSON.stringify({ version: CACHE_VERSION, entries }));
+      this.dirty = false;
+    } catch (error) {
+      logger.warn(`Failed to save metadata cache ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the entry of an id
+   * @param {string} id - IMDB id
+   * @returns {Object|null} { fetchedAt, provider, fields }, or null if not cached
+   */
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  /**
+   * Check whether an id has an entry that is younger than the TTL
+   * @param {string} id - IMDB id
+   * @returns {boolean}
+   */
+  isFresh(id) {
+    const entry = this.entries.get(id);
+    return Boolean(entry) && this.now() - entry.fetchedAt < this.ttlMs;
+  }
+
+  /**
+   * Store a provider result
+   * @param {string} id - IMDB id
+   * @param {Object|null} fields - Item fields, or null if the provider does not know the title
+   * @param {string} provider - Provider name
+   */
+  set(id, fields, provider) {
+    const fetchedAt = this.now();
+    this.entries.set(id, { fetchedAt, provider, fields });
+    this.updatedAt = Math.max(this.updatedAt, fetchedAt);
+    this.dirty = true;
+  }
+}
+
+module.exports = {
+  MetadataCache,
+};
@@ -0,0 +1,194 @@
+/**
+ * Metadata Providers
+ * Adapters that look up metadata for an IMDB id, used by the enrichment service
+ *
+ * A provider is an object with:
+ * - name: string, shown in logs
+ * - fetchMetadata(imdbId, type): Promise resolving to catalog item fields
+ *   ({ poster, banner, description, runtime, releaseInfo, imdbRating, genres, cast, director }),
+ *   or null if the provider does not know the title. It rejects on network or API errors.
+ *
+ * Built in: "tmdb" (TMDB_API_KEY) and "omdb" (OMDB_API_KEY). ENRICH_PROVIDER can also be the
+ * path of a module exporting a provider, or a function (options) => provider.
+ */
+
+const { httpGet } = require('../utils/http');
+const { formatRuntime } = require('../utils/format');
+const { resolvePath } = require('./catalogSources');
+
+// Cast members taken from a provider; the data has a handful, not the full credits
+const MAX_CAST = 5;
+
+/**
+ * Fetch a JSON document
+ * @param {string} url - URL
+ * @param {number} timeoutMs - Request timeout
+ * @returns {Promise<Object|null>} Parsed body, or null on 404
+ */
+async function getJson(url, timeoutMs) {
+  const response = await httpGet(url, { Accept: 'application/json' }, timeoutMs);
+  if (response.status === 404) {
+    return null;
+  }
+  if (response.status !== 200) {
+    throw new Error(`HTTP ${response.status} fetching ${url.replace(/(api_?key=)[^&]+/i, '$1***')}`);
+  }
+  return JSON.parse(response.body);
+}
+
+/**
+ * Turn a release year range into the data's releaseInfo format
+ * @param {string} startDate - First release date ("2019-08-02")
+ * @param {string} endDate - Last release date for ended series (optional)
+ * @param {boolean} ongoing - Whether a series is still running
+ * @returns {string|undefined} "2019", "2019-2022" or "2019-"
+ */
+function toReleaseInfo(startDate, endDate, ongoing) {
+  const start = /^\d{4}/.exec(startDate || '');
+  if (!start) {
+    return undefined;
+  }
+  if (ongoing) {
+    return `${start[0]}-`;
+  }
+  const end = /^\d{4}/.exec(endDate || '');
+  return end && end[0] !== start[0] ? `${start[0]}-${end[0]}` : start[0];
+}
+
+/**
+ * Create a TMDB provider
+ * Looks the IMDB id up with /find, then loads the details with credits
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - TMDB API key (v3)
+ * @param {string} options.baseUrl - API base URL (default: https://api.themoviedb.org/3)
+ * @param {string} options.imageBaseUrl - Image base URL (default: https://image.tmdb.org/t/p)
+ * @param {number} options.timeoutMs - Request timeout
+ * @returns {Object} Provider
+ */
+function createTmdbProvider({ apiKey, baseUrl = 'https://api.themoviedb.org/3', imageBaseUrl = 'https://image.tmdb.org/t/p', timeoutMs = 10000 }) {
+  if (!apiKey) {
+    throw new Error('TMDB_API_KEY is required for the tmdb provider');
+  }
+
+  const image = (size, filePath) => (filePath ? `${imageBaseUrl}/${size}${filePath}` : undefined);
+
+  return {
+    name: 'tmdb',
+
+    async fetchMetadata(imdbId, type) {
+      const found = await getJson(`${baseUrl}/find/${encodeURIComponent(imdbId)}?api_key=${apiKey}&external_source=imdb_id`, timeoutMs);
+      const isSeries = type === 'series';
+      const match = found && (isSeries ? found.tv_results : found.movie_results);
+      if (!match || match.length === 0) {
+        return null;
+      }
+
+      const details = await getJson(`${baseUrl}/${isSeries ? 'tv' : 'movie'}/${match[0].id}?api_key=${apiKey}&append_to_response=credits`, timeoutMs);
+      if (!details) {
+        return null;
+      }
+
+      const credits = details.credits || {};
+      return {
+        poster: image('w500', details.poster_path),
+        banner: image('w1280', details.backdrop_path),
+        description: details.overview || undefined,
+        runtime: formatRuntime(isSeries ? (details.episode_run_time || [])[0] : details.runtime) || undefined,
+        releaseInfo: isSeries
+          ? toReleaseInfo(details.first_air_date, details.last_air_date, details.in_production)
+          : toReleaseInfo(details.release_date),
+        genres: (details.genres || []).map((genre) => genre.name),
+        cast: (credits.cast || []).slice(0, MAX_CAST).map((person) => person.name),
+        director: isSeries
+          ? (details.created_by || []).map((person) => person.name)
+          : (credits.crew || []).filter((person) => person.job === 'Director').map((person) => person.name),
+      };
+    },
+  };
+}
+
+/**
+ * Create an OMDb provider
+ * OMDb is keyed by IMDB id and has IMDB ratings, but only one poster size and no backgrounds
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - OMDb API key
+ * @param {string} options.baseUrl - API URL (default: https://www.omdbapi.com/)
+ * @param {number} options.timeoutMs - Request timeout
+ * @returns {Object} Provider
+ */
+function createOmdbProvider({ apiKey, baseUrl = 'https://www.omdbapi.com/', timeoutMs = 10000 }) {
+  if (!apiKey) {
+    throw new Error('OMDB_API_KEY is required for the omdb provider');
+  }
+
+  // OMDb uses "N/A" for missing values
+  const value = (field) => (field && field !== 'N/A' ? field : undefined);
+  const list = (field) => (value(field) ? field.split(',').map((entry) => entry.trim()).filter(Boolean) : []);
+
+  return {
+    name: 'omdb',
+
+    async fetchMetadata(imdbId) {
+      const result = await getJson(`${baseUrl}?i=${encodeURIComponent(imdbId)}&plot=short&apikey=${apiKey}`, timeoutMs);
+      if (!result || result.Response === 'False') {
+        // Unknown ids are "Movie not found!" or "Incorrect IMDb ID.", anything else is an API error
+        if (result && result.Error && !/not found|incorrect imdb id/i.test(result.Error)) {
+          throw new Error(`OMDb: ${result.Error}`);
+        }
+        return null;
+      }
+
+      return {
+        poster: value(result.Poster),
+        description: value(result.Plot),
+        runtime: formatRuntime(value(result.Runtime)) || undefined,
+        // Series years look like "2019–2022" or "2019–"
+        releaseInfo: value(result.Year) ? result.Year.replace(/–/g, '-') : undefined,
+        imdbRating: value(result.imdbRating),
+        genres: list(result.Genre),
+        cast: list(result.Actors).slice(0, MAX_CAST),
+        director: list(result.Director),
+      };
+    },
+  };
+}
+
+const PROVIDERS = {
+  tmdb: createTmdbProvider,
+  omdb: createOmdbProvider,
+};
+
+/**
+ * Create a provider by name, or load a custom one
+ * @param {string|Object|Function} provider - "tmdb", "omdb", a module path, a provider object or a factory
+ * @param {Object} options - Provider options (apiKey, timeoutMs, ...)
+ * @returns {Object} Provider
+ */
+function createProvider(provider, options = {}) {
+  if (typeof provider === 'string' && PROVIDERS[provider.toLowerCase()]) {
+    return PROVIDERS[provider.toLowerCase()](options);
+  }
+
+  let custom = provider;
+  if (typeof provider === 'string') {
+    const modulePath = resolvePath(provider);
+    if (!modulePath) {
+      throw new Error(`Unknown metadata provider: ${provider} (expected ${Object.keys(PROVIDERS).join(', ')} or a module path)`);
+    }
+    custom = require(modulePath);
+  }
+  if (typeof custom === 'function') {
+    custom = custom(options);
+  }
+
+  if (!custom || typeof custom.fetchMetadata !== 'function') {
+    throw new Error(`Invalid metadata provider: ${typeof provider === 'string' ? provider : 'object'} (expected tmdb, omdb or a module exporting fetchMetadata)`);
+  }
+  return { name: custom.name || 'custom', fetchMetadata: custom.fetchMetadata.bind(custom) };
+}
+
+module.exports = {
+  createProvider,
+  createTmdbProvider,
+  createOmdbProvider,
+};
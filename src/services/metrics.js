@@ -0,0 +1,341 @@
+/**
+ * Metrics
+ * Request counts and latencies per route and per catalog, empty catalog responses, data reloads
+ * and dataset size, exposed in the Prometheus text format on /metrics
+ *
+ * Counters live in memory and start at zero in every process. Serverless instances (Vercel) come
+ * and go, so /metrics/summary also reports when the instance started: a collector can tell a reset
+ * from a quiet period and add up the summaries of several instances.
+ */
+
+const crypto = require('crypto');
+const catalogService = require('./catalogService');
+const responseCache = require('./responseCache');
+const { SEARCH_CATALOG_ID } = require('./searchIndex');
+
+// Request duration buckets in seconds, from cached pages (a few ms) to cold starts
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+// Metric name prefix, after the package name
+const PREFIX = 'rkp_favourites';
+
+// Route labels (see getRouteName in app.js); other paths share the "other" label
+const ROUTES = ['manifest', 'catalog', 'meta', 'stream', 'configure', 'admin', 'export', 'healthz', 'health', 'metrics', '/'];
+
+/**
+ * Escape a label value for the text format
+ * @param {*} value - Label value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format labels for the text format
+ * @param {Object} labels - Label names and values
+ * @returns {string} e.g. {route="catalog",status="200"}, or an empty string without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.keys(labels).map((name) => `${name}="${escapeLabelValue(labels[name])}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * A metric with one value per label combination
+ */
+class MetricFamily {
+  /**
+   * @param {string} name - Metric name (without prefix)
+   * @param {string} type - counter, gauge or histogram
+   * @param {string} help - Description
+   * @param {Array} buckets - Bucket upper bounds (histograms only)
+   */
+  constructor(name, type, help, buckets = null) {
+    this.name = `${PREFIX}_${name}`;
+    this.type = type;
+    this.help = help;
+    this.buckets = buckets;
+    this.series = new Map(); // Map: label key -> { labels, value } or { labels, counts, sum, count }
+  }
+
+  /**
+   * Get the series of a label combination, creating it if needed
+   * @param {Object} labels - Label names and values
+   * @returns {Object} Series
+   * @private
+   */
+  _getSeries(labels) {
+    const key = JSON.stringify(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = this.buckets
+        ? { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 }
+        : { labels, value: 0 };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  /**
+   * Increment a counter
+   * @param {Object} labels - Label names and values
+   * @param {number} amount - Amount (default: 1)
+   */
+  inc(labels = {}, amount = 1) {
+    this._getSeries(labels).value += amount;
+  }
+
+  /**
+   * Set a gauge
+   * @param {Object} labels - Label names and values
+   * @param {number} value - Value
+   */
+  set(labels, value) {
+    this._getSeries(labels).value = value;
+  }
+
+  /**
+   * Record a histogram observation
+   * @param {Object} labels - Label names and values
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const series = this._getSeries(labels);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Get the recorded series
+   * @returns {Array} Series
+   */
+  getSeries() {
+    return Array.from(this.series.values());
+  }
+
+  /**
+   * Render the family in the text format
+   * @returns {string}
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+
+    this.series.forEach((series) => {
+      if (!this.buckets) {
+        lines.push(`${this.name}${formatLabels(series.labels)} ${series.value}`);
+        return;
+      }
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    });
+
+    return lines.join('\n');
+  }
+}
+
+class Metrics {
+  constructor() {
+    this.instanceId = crypto.randomBytes(6).toString('hex');
+    this.startedAt = Date.now();
+    this._createFamilies();
+
+    catalogService.on('reload', () => this.reloads.inc({ result: 'success' }));
+    catalogService.on('reloadError', () => this.reloads.inc({ result: 'failure' }));
+  }
+
+  /**
+   * Create the recorded metrics (also used to reset them)
+   * @private
+   */
+  _createFamilies() {
+    this.requests = new MetricFamily('http_requests_total', 'counter', 'HTTP requests by route and status');
+    this.requestDuration = new MetricFamily('http_request_duration_seconds', 'histogram', 'HTTP request duration by route', DURATION_BUCKETS);
+    this.catalogRequests = new MetricFamily('catalog_requests_total', 'counter', 'Catalog requests by catalog and page cache result');
+    this.catalogDuration = new MetricFamily('catalog_request_duration_seconds', 'histogram', 'Catalog request duration by catalog', DURATION_BUCKETS);
+    this.emptyResponses = new MetricFamily('catalog_empty_responses_total', 'counter', 'Catalog responses without items by catalog and reason');
+    this.reloads = new MetricFamily('data_reloads_total', 'counter', 'Catalog data reloads by result');
+  }
+
+  /**
+   * Record a finished HTTP request
+   * @param {Object} context - Request context (see utils/logger.js): route, and type, id, cache for catalog requests
+   * @param {number} status - Response status
+   * @param {number} durationMs - Duration in milliseconds
+   */
+  recordRequest(context, status, durationMs) {
+    const seconds = durationMs / 1000;
+    const route = ROUTES.includes(context.route) ? context.route : 'other';
+    this.requests.inc({ route, status });
+    this.requestDuration.observe({ route }, seconds);
+
+    if (context.route === 'catalog' && context.type && context.id) {
+      const labels = this._getCatalogLabels(context.type, context.id);
+      this.catalogRequests.inc({ ...labels, cache: context.cache || 'none' });
+      this.catalogDuration.observe(labels, seconds);
+    }
+  }
+
+  /**
+   * Record a catalog response without items
+   * @param {string} type - Content type
+   * @param {string} id - Catalog id
+   * @param {string} reason - Why it is empty (e.g. "no_items", "unsupported_type")
+   */
+  recordEmptyResponse(type, id, reason) {
+    this.emptyResponses.inc({ ...this._getCatalogLabels(type, id), reason });
+  }
+
+  /**
+   * Get the labels of a catalog
+   * Ids that are not catalogs of ours share one label, so random URLs cannot grow the metrics without bound.
+   * Draft catalogs and scheduled catalogs outside their window do too, /metrics may be public
+   * @param {string} type - Content type
+   * @param {string} id - Catalog id
+   * @returns {Object} { type, catalog }
+   * @private
+   */
+  _getCatalogLabels(type, id) {
+    const served = catalogService.isCatalogServed(type, id) || catalogService.isVirtualCatalog(type, id);
+    if (served || (id === SEARCH_CATALOG_ID && this._isSupportedType(type))) {
+      return { type, catalog: id };
+    }
+    return { type: this._isSupportedType(type) ? type : 'other', catalog: 'other' };
+  }
+
+  /**
+   * Check whether a content type is one of the loaded catalogs' types
+   * @param {string} type - Content type
+   * @returns {boolean}
+   * @private
+   */
+  _isSupportedType(type) {
+    return catalogService.initialized && catalogService.getSupportedTypes().includes(type);
+  }
+
+  /**
+   * Get the gauges, read from the services when metrics are requested
+   * @returns {Array} Metric families
+   * @private
+   */
+  _collectGauges() {
+    const stats = catalogService.getStats();
+    const gauge = (name, help) => new MetricFamily(name, 'gauge', help);
+
+    const catalogItems = gauge('catalog_items', 'Items per catalog');
+    stats.catalogs.forEach((catalog) => catalogItems.set({ type: catalog.type, catalog: catalog.id, smart: catalog.smart }, catalog.items));
+
+    const catalogs = gauge('catalogs', 'Loaded catalogs');
+    catalogs.set({}, stats.catalogs.length);
+    const items = gauge('items', 'Unique items across all catalogs');
+    items.set({}, stats.items);
+    const sources = gauge('data_sources', 'Loaded catalog data sources');
+    sources.set({}, stats.sources);
+    const revision = gauge('data_revision', 'Catalog data revision, incremented on every reload');
+    revision.set({}, stats.revision);
+    const loadedAt = gauge('data_loaded_timestamp_seconds', 'When the catalog data was last loaded');
+    loadedAt.set({}, stats.loadedAt ? stats.loadedAt / 1000 : 0);
+
+    const pageCacheHits = new MetricFamily('page_cache_hits_total', 'counter', 'Catalog pages served from the page cache');
+    pageCacheHits.set({}, responseCache.hits);
+    const pageCacheMisses = new MetricFamily('page_cache_misses_total', 'counter', 'Catalog pages built because they were not cached');
+    pageCacheMisses.set({}, responseCache.misses);
+    const pageCacheEntries = gauge('page_cache_entries', 'Catalog pages in the page cache');
+    pageCacheEntries.set({}, responseCache.pages.size);
+
+    const startTime = gauge('process_start_time_seconds', 'When this instance started');
+    startTime.set({}, this.startedAt / 1000);
+
+    return [catalogs, catalogItems, items, sources, revision, loadedAt, pageCacheHits, pageCacheMisses, pageCacheEntries, startTime];
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   * @returns {string}
+   */
+  render() {
+    const families = [this.requests, this.requestDuration, this.catalogRequests, this.catalogDuration, this.emptyResponses, this.reloads]
+      .concat(this._collectGauges());
+    return `${families.map((family) => family.render()).join('\n')}\n`;
+  }
+
+  /**
+   * Summarize the metrics as JSON
+   * @returns {Object} Instance, requests per route and catalog, empty responses, reloads, dataset and page cache
+   */
+  getSummary() {
+    const stats = catalogService.getStats();
+    const round = (value) => Math.round(value * 10) / 10;
+
+    const routes = {};
+    this.requestDuration.getSeries().forEach((series) => {
+      routes[series.labels.route] = { requests: series.count, avgMs: round((series.sum / series.count) * 1000), statuses: {} };
+    });
+    this.requests.getSeries().forEach((series) => {
+      routes[series.labels.route].statuses[series.labels.status] = series.value;
+    });
+
+    const catalogs = {};
+    const getCatalog = (labels) => {
+      const key = `${labels.type}/${labels.catalog}`;
+      catalogs[key] = catalogs[key] || { requests: 0, avgMs: 0, cacheHits: 0, empty: {} };
+      return catalogs[key];
+    };
+    this.catalogDuration.getSeries().forEach((series) => {
+      Object.assign(getCatalog(series.labels), { requests: series.count, avgMs: round((series.sum / series.count) * 1000) });
+    });
+    this.catalogRequests.getSeries().forEach((series) => {
+      if (series.labels.cache === 'hit') {
+        getCatalog(series.labels).cacheHits += series.value;
+      }
+    });
+    this.emptyResponses.getSeries().forEach((series) => {
+      getCatalog(series.labels).empty[series.labels.reason] = series.value;
+    });
+
+    const reloads = { success: 0, failure: 0 };
+    this.reloads.getSeries().forEach((series) => {
+      reloads[series.labels.result] = series.value;
+    });
+
+    return {
+      instance: {
+        id: this.instanceId,
+        startedAt: new Date(this.startedAt).toISOString(),
+        uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+      },
+      routes,
+      catalogs,
+      reloads,
+      data: {
+        catalogs: stats.catalogs.length,
+        items: stats.items,
+        sources: stats.sources,
+        revision: stats.revision,
+        loadedAt: stats.loadedAt ? new Date(stats.loadedAt).toISOString() : null,
+      },
+      pageCache: { hits: responseCache.hits, misses: responseCache.misses, entries: responseCache.pages.size },
+    };
+  }
+
+  /**
+   * Reset the recorded metrics (gauges are always read fresh)
+   */
+  reset() {
+    this.startedAt = Date.now();
+    this._createFamilies();
+  }
+}
+
+// Export singleton instance
+module.exports = new Metrics();
+module.exports.MetricFamily = MetricFamily;
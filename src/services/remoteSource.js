@@ -0,0 +1,212 @@
+/**
+ * Remote Catalog Source
+ * Catalog data served over HTTP(S), e.g. a raw GitHub gist, so list updates do not need a redeploy
+ *
+ * - Fetches with conditional requests (If-None-Match / If-Modified-Since), a 304 costs no download
+ * - Refreshes at most once per TTL
+ * - Keeps the last good copy in memory and on disk (survives restarts and serverless cold starts)
+ * - Falls back to the last good copy, then to a bundled file, when the fetch fails
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { httpGet } = require('../utils/http');
+
+/**
+ * Check whether a source entry is an HTTP(S) URL
+ * @param {string} entry - Source entry
+ * @returns {boolean}
+ */
+function isRemoteSource(entry) {
+  return typeof entry === 'string' && /^https?:\/\//i.test(entry.trim());
+}
+
+class RemoteSource {
+  /**
+   * @param {string} url - HTTP(S) URL of a catalog data file
+   * @param {Object} options - Remote source options
+   * @param {number} options.ttlMs - Minimum time between fetches (default: 5 minutes)
+   * @param {number} options.timeoutMs - Request timeout (default: 10 seconds)
+   * @param {string} options.cacheDir - Directory for the last good copy (null to disable)
+   * @param {string} options.fallbackPath - Bundled file used when nothing was fetched yet (optional)
+   * @param {Function} options.now - Clock, for tests (default: Date.now)
+   */
+  constructor(url, options = {}) {
+    this.url = url.trim();
+    this.ttlMs = options.ttlMs !== undefined ? options.ttlMs : 5 * 60 * 1000;
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.cacheDir = options.cacheDir === undefined ? path.join(os.tmpdir(), 'rkp-favourites') : options.cacheDir;
+    this.fallbackPath = options.fallbackPath || null;
+    this.now = options.now || Date.now;
+
+    this.body = null; // Last good response body (JSON text)
+    this.etag = null;
+    this.lastModified = null;
+    this.modifiedAt = null; // When the data last changed (ms timestamp): Last-Modified, or when it was downloaded
+    this.fetchedAt = 0; // Last fetch attempt, successful or not
+    this.origin = null; // Where body came from: 'remote', 'cache' or 'fallback'
+  }
+
+  /**
+   * Path of the on-disk copy for this URL
+   * @returns {string|null}
+   * @private
+   */
+  _cacheFile() {
+    if (!this.cacheDir) {
+      return null;
+    }
+    const hash = crypto.createHash('sha1').update(this.url).digest('hex').slice(0, 16);
+    return path.join(this.cacheDir, `remote-${hash}.json`);
+  }
+
+  /**
+   * Check whether the TTL has passed since the last fetch attempt
+   * @returns {boolean}
+   */
+  isStale() {
+    return this.now() - this.fetchedAt >= this.ttlMs;
+  }
+
+  /**
+   * Fetch the URL if it changed since the last fetch
+   * Failures are logged and leave the last good copy in place
+   * @param {Object} options - Refresh options
+   * @param {boolean} options.force - Fetch even if the TTL has not passed
+   * @returns {Promise<boolean>} True if new data was downloaded
+   */
+  async refresh({ force = false } = {}) {
+    if (!force && !this.isStale()) {
+      return false;
+    }
+
+    if (this.body === null) {
+      // Send validators from the disk copy so a restart does not re-download unchanged data
+      this._loadCache();
+    }
+
+    this.fetchedAt = this.now();
+
+    const headers = { Accept: 'application/json', 'User-Agent': 'rkp-favourites-addon' };
+    if (this.body !== null && this.etag) {
+      headers['If-None-Match'] = this.etag;
+    }
+    if (this.body !== null && this.lastModified) {
+      headers['If-Modified-Since'] = this.lastModified;
+    }
+
+    try {
+      const response = await httpGet(this.url, headers, this.timeoutMs);
+
+      if (response.status === 304) {
+        logger.debug(`Remote catalog data not modified: ${this.url}`);
+        this.origin = 'remote';
+        return false;
+      }
+
+      if (response.status !== 200) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      // Reject bodies that are not JSON, so a broken upload or an HTML error page
+      // does not replace the last good copy
+      JSON.parse(response.body);
+
+      const changed = response.body !== this.body;
+      this.body = response.body;
+      this.etag = response.headers.etag || null;
+      this.lastModified = response.headers['last-modified'] || null;
+      this.origin = 'remote';
+
+      if (changed) {
+        this.modifiedAt = Date.parse(this.lastModified) || this.now();
+        logger.info(`Fetched remote catalog data: ${this.url}`);
+        this._saveCache();
+      }
+      return changed;
+    } catch (error) {
+      logger.warn(`Failed to fetch remote catalog data from ${this.url}: ${error.message}. Using ${this.body !== null ? 'last good copy' : 'fallback'}`);
+      return false;
+    }
+  }
+
+  /**
+   * Get the current data as JSON text: the last good copy, or the bundled fallback
+   * @returns {string} JSON text
+   * @throws {Error} If nothing was fetched yet and there is no fallback
+   */
+  read() {
+    if (this.body === null) {
+      this._loadCache();
+    }
+
+    if (this.body !== null) {
+      return this.body;
+    }
+
+    if (this.fallbackPath && fs.existsSync(this.fallbackPath)) {
+      this.origin = 'fallback';
+      this.modifiedAt = fs.statSync(this.fallbackPath).mtimeMs;
+      logger.warn(`Remote catalog data ${this.url} not available, using bundled copy: ${this.fallbackPath}`);
+      return fs.readFileSync(this.fallbackPath, 'utf8');
+    }
+
+    throw new Error(`Remote catalog data ${this.url} could not be fetched and no fallback copy is available`);
+  }
+
+  /**
+   * Load the last good copy from disk
+   * @private
+   */
+  _loadCache() {
+    const cacheFile = this._cacheFile();
+    if (!cacheFile || !fs.existsSync(cacheFile)) {
+      return;
+    }
+
+    try {
+      const cached = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+      if (cached.url === this.url && typeof cached.body === 'string') {
+        this.body = cached.body;
+        this.etag = cached.etag || null;
+        this.lastModified = cached.lastModified || null;
+        this.modifiedAt = cached.modifiedAt || Date.parse(cached.lastModified) || null;
+        this.origin = 'cache';
+        logger.info(`Loaded cached copy of remote catalog data: ${this.url}`);
+      }
+    } catch (error) {
+      logger.warn(`Ignoring unreadable cache file ${cacheFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save the last good copy to disk (write to a temporary file, then rename)
+   * @private
+   */
+  _saveCache() {
+    const cacheFile = this._cacheFile();
+    if (!cacheFile) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+      const tempFile = `${cacheFile}.${process.pid}.tmp`;
+      fs.writeFileSync(
+        tempFile,
+        JSON.stringify({ url: this.url, etag: this.etag, lastModified: this.lastModified, modifiedAt: this.modifiedAt, body: this.body })
+      );
+      fs.renameSync(tempFile, cacheFile);
+    } catch (error) {
+      logger.warn(`Failed to cache remote catalog data to ${cacheFile}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  RemoteSource,
+  isRemoteSource,
+};
@@ -0,0 +1,213 @@
+/**
+ * Response Cache
+ * HTTP caching for the addon resources (manifest, catalog, meta) and an in-process cache of catalog pages
+ *
+ * - Responses carry Cache-Control (CACHE_MAX_AGE, CACHE_STALE_REVALIDATE, CACHE_STALE_ERROR) and an
+ *   ETag derived from the dataset, so clients and CDNs can revalidate with If-None-Match and get a 304
+ * - Catalog pages are kept in an LRU (PAGE_CACHE_SIZE entries) keyed by data version, type, id, extras and
+ *   user config, so scrolling through a catalog does not filter, map and slice the whole catalog on every request
+ * - Both are tied to the data version: a reload (or newly cached provider metadata) changes the ETag, and
+ *   pages of older versions are no longer found (a reload empties the page cache, other pages age out of the
+ *   LRU). The ETag also changes with the addon version and the deployed build
+ * - Scheduled catalogs (see catalogSchedule.js) and the day virtual catalogs are picked for (see
+ *   virtualCatalogs.js) are part of the version too, and responses are not cached past their next change
+ */
+
+const logger = require('../utils/logger');
+const addonConfig = require('../config/addonConfig');
+const catalogService = require('./catalogService');
+const enrichmentService = require('./enrichmentService');
+
+/**
+ * Least recently used cache on top of Map's insertion order
+ */
+class LruCache {
+  /**
+   * @param {number} maxEntries - Maximum number of entries (0 disables the cache)
+   */
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get an entry and mark it as recently used
+   * @param {string} key - Cache key
+   * @returns {*} Value, or undefined if not cached
+   */
+  get(key) {
+    if (!this.entries.has(key)) {
+      return undefined;
+    }
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  /**
+   * Add an entry, evicting the least recently used entries when full
+   * @param {string} key - Cache key
+   * @param {*} value - Value
+   */
+  set(key, value) {
+    if (this.maxEntries <= 0) {
+      return;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+class ResponseCache {
+  constructor() {
+    this.pages = new LruCache(addonConfig.pageCacheSize);
+    this.hits = 0;
+    this.misses = 0;
+
+    catalogService.on('reload', () => this.clear());
+  }
+
+  /**
+   * Get the version of the data responses are built from
+   * @param {number} now - Current time (default: Date.now())
+   * @returns {string} Dataset hash, metadata cache version and, with scheduled or virtual catalogs, the active
+   *   ones and the day
+   */
+  getVersion(now = Date.now()) {
+    const schedule = catalogService.getScheduleState(now).key;
+    const rotation = catalogService.getRotationState(now);
+    return [catalogService.dataHash || 'none', enrichmentService.getVersion().toString(36), schedule, rotation ? `d${rotation.day}` : '']
+      .filter(Boolean)
+      .join('-');
+  }
+
+  /**
+   * Get the ETag for addon responses
+   * The same for every URL: a response only depends on its URL, the code that built it and the data version
+   * @param {number} now - Current time (default: Date.now())
+   * @returns {string} Quoted ETag
+   */
+  getEtag(now = Date.now()) {
+    const build = [addonConfig.addonVersion, addonConfig.buildId ? addonConfig.buildId.slice(0, 12) : '']
+      .filter(Boolean)
+      .join('+');
+    return `"${build}-${this.getVersion(now)}"`;
+  }
+
+  /**
+   * Check whether a request's If-None-Match header matches the current ETag
+   * @param {string} ifNoneMatch - If-None-Match header (optional)
+   * @param {number} now - Current time (default: Date.now())
+   * @returns {boolean} True if the client's copy is current (answer with 304)
+   */
+  isFresh(ifNoneMatch, now = Date.now()) {
+    if (!ifNoneMatch) {
+      return false;
+    }
+    const etag = this.getEtag(now);
+    return ifNoneMatch
+      .split(',')
+      .map((tag) => tag.trim().replace(/^W\//, ''))
+      .some((tag) => tag === etag || tag === '*');
+  }
+
+  /**
+   * Get the Cache-Control header for addon responses
+   * @param {number} now - Current time (default: Date.now())
+   * @returns {string} Header value ("no-cache" with CACHE_MAX_AGE=0: clients revalidate every time)
+   */
+  getCacheControl(now = Date.now()) {
+    if (addonConfig.cacheMaxAge <= 0) {
+      return 'no-cache';
+    }
+
+    // Responses expire when the next scheduled catalog appears or disappears (or virtual catalogs pick the
+    // next day's items), and are not served stale after that, so changes show on time also behind a CDN
+    const { nextTransition } = catalogService.getScheduleState(now);
+    const rotation = catalogService.getRotationState(now);
+    const nextChange = Math.min(nextTransition !== null ? nextTransition : Infinity, rotation ? rotation.nextRotation : Infinity);
+    const untilTransition = nextChange !== Infinity ? Math.ceil((nextChange - now) / 1000) : Infinity;
+    const maxAge = Math.min(addonConfig.cacheMaxAge, untilTransition);
+    const staleRevalidate = Math.min(addonConfig.cacheStaleRevalidate, untilTransition - maxAge);
+
+    // s-maxage lets CDNs in front of the addon (e.g. Vercel's) cache the responses too
+    const directives = ['public', `max-age=${maxAge}`, `s-maxage=${maxAge}`];
+    if (staleRevalidate > 0) {
+      directives.push(`stale-while-revalidate=${staleRevalidate}`);
+    }
+    if (addonConfig.cacheStaleError > 0) {
+      directives.push(`stale-if-error=${addonConfig.cacheStaleError}`);
+    }
+    return directives.join(', ');
+  }
+
+  /**
+   * Get a cached catalog page
+   * @param {string} key - Page key (see getPageKey)
+   * @returns {Object|undefined} Catalog response, or undefined if not cached for the data version of the key
+   */
+  getPage(key) {
+    const page = this.pages.get(key);
+    if (page === undefined) {
+      this.misses++;
+    } else {
+      this.hits++;
+    }
+    return page;
+  }
+
+  /**
+   * Cache a catalog page
+   * @param {string} key - Page key (see getPageKey)
+   * @param {Object} page - Catalog response
+   */
+  setPage(key, page) {
+    this.pages.set(key, page);
+  }
+
+  /**
+   * Build the cache key of a catalog request
+   * The key holds the current data version: newly cached provider metadata and scheduled catalogs change
+   * pages without a reload, and a page built while the version changed is kept under the version it started with
+   * @param {string} type - Content type
+   * @param {string} id - Catalog id
+   * @param {Object} extra - Extra parameters (skip, genre, sort, search, ...)
+   * @param {*} config - User config from the install URL
+   * @returns {string} Key
+   */
+  getPageKey(type, id, extra, config) {
+    const extras = Object.keys(extra || {})
+      .sort()
+      .map((name) => [name, extra[name]]);
+    return JSON.stringify([this.getVersion(), type, id, extras, config || null]);
+  }
+
+  /**
+   * Empty the page cache
+   */
+  clear() {
+    if (this.pages.size > 0) {
+      logger.debug(`Cleared ${this.pages.size} cached catalog pages`);
+    }
+    this.pages.clear();
+  }
+}
+
+// Export singleton instance
+module.exports = new ResponseCache();
+module.exports.LruCache = LruCache;
@@ -0,0 +1,324 @@
+/**
+ * Search Index
+ * In-memory title index used to answer Stremio search requests
+ *
+ * Matching is tolerant by design:
+ * - case and diacritics are ignored ("Kaaka Muttai" == "kaaka muttai")
+ * - spacing is ignored ("Vikram Vedha" == "vikramvedha")
+ * - common Tamil transliteration variants are folded ("Ponniyin Selvan" == "Ponniyin Shelvan")
+ * - small typos are forgiven, scaled by word length
+ */
+
+const logger = require('../utils/logger');
+
+// Catalog ID of the dedicated search catalog declared in the manifest
+const SEARCH_CATALOG_ID = 'rkp_search';
+
+// Transliteration variants folded to a single spelling, applied in order
+// Tamil titles are romanized inconsistently (th/t, dh/d, zh/l, aa/a, ee/i, w/v, ...)
+const TRANSLITERATION_RULES = [
+  [/zh/g, 'l'],
+  [/sh/g, 's'],
+  [/ch/g, 's'],
+  [/th/g, 't'],
+  [/dh/g, 'd'],
+  [/bh/g, 'b'],
+  [/ph/g, 'p'],
+  [/kh/g, 'k'],
+  [/gh/g, 'g'],
+  [/w/g, 'v'],
+  [/ee/g, 'i'],
+  [/oo/g, 'u'],
+  [/y$/g, 'i'],
+  [/(.)\1+/g, '$1'], // collapse doubled letters ("aa" -> "a", "tt" -> "t")
+];
+
+// Score tiers, higher is better
+const SCORES = {
+  EXACT: 1000,
+  COMPACT: 950,
+  PHONETIC: 900,
+  PREFIX: 800,
+  CONTAINS: 700,
+  PHONETIC_CONTAINS: 650,
+  TOKENS: 600,
+  FUZZY: 500,
+};
+
+/**
+ * Normalize text for matching: lowercase, strip diacritics and punctuation
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text with single spaces between words
+ */
+function normalizeText(text) {
+  if (!text || typeof text !== 'string') {
+    return '';
+  }
+
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Fold a normalized word to its transliteration key
+ * @param {string} word - Normalized word (no spaces)
+ * @returns {string} Phonetic key
+ */
+function phoneticKey(word) {
+  return TRANSLITERATION_RULES.reduce((key, [pattern, replacement]) => key.replace(pattern, replacement), word);
+}
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance
+ * Stops early once the distance exceeds maxDistance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Maximum distance of interest
+ * @returns {number} Edit distance, or maxDistance + 1 if it is larger
+ */
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[b.length];
+}
+
+/**
+ * Number of typos forgiven for a word of the given length
+ * @param {number} length - Word length
+ * @returns {number} Allowed edit distance
+ */
+function allowedTypos(length) {
+  if (length <= 3) {
+    return 0;
+  }
+  if (length <= 6) {
+    return 1;
+  }
+  return 2;
+}
+
+/**
+ * Build the searchable representation of a title
+ * @param {string} title - Raw title
+ * @returns {Object|null} Searchable forms of the title
+ */
+function buildSearchForms(title) {
+  const normalized = normalizeText(title);
+  if (!normalized) {
+    return null;
+  }
+
+  const tokens = normalized.split(' ');
+  const phoneticTokens = tokens.map(phoneticKey);
+
+  return {
+    normalized,
+    compact: tokens.join(''),
+    phonetic: phoneticTokens.join(''),
+    tokens,
+    phoneticTokens,
+  };
+}
+
+/**
+ * Score how well a single query token matches a title's tokens
+ * @param {string} token - Query token
+ * @param {string} phoneticToken - Phonetic key of the query token
+ * @param {Object} forms - Searchable forms of the title
+ * @returns {number} Match quality between 0 (no match) and 1 (exact)
+ */
+function scoreToken(token, phoneticToken, forms) {
+  let best = 0;
+
+  forms.tokens.forEach((titleToken, index) => {
+    const titlePhonetic = forms.phoneticTokens[index];
+
+    if (titleToken === token) {
+      best = Math.max(best, 1);
+    } else if (titlePhonetic === phoneticToken) {
+      best = Math.max(best, 0.9);
+    } else if (token.length >= 2 && titleToken.startsWith(token)) {
+      best = Math.max(best, 0.85);
+    } else if (phoneticToken.length >= 2 && titlePhonetic.startsWith(phoneticToken)) {
+      best = Math.max(best, 0.8);
+    } else {
+      const maxTypos = allowedTypos(token.length);
+      if (maxTypos > 0) {
+        const distance = editDistance(phoneticToken, titlePhonetic, maxTypos);
+        if (distance <= maxTypos) {
+          best = Math.max(best, 0.75 - 0.1 * distance);
+        }
+      }
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Score a title against a prepared query
+ * @param {Object} query - Searchable forms of the query
+ * @param {Object} forms - Searchable forms of the title
+ * @returns {number} Score, 0 when the title does not match
+ */
+function scoreTitle(query, forms) {
+  if (forms.normalized === query.normalized) {
+    return SCORES.EXACT;
+  }
+  if (forms.compact === query.compact) {
+    return SCORES.COMPACT;
+  }
+  if (forms.phonetic === query.phonetic) {
+    return SCORES.PHONETIC;
+  }
+  if (forms.normalized.startsWith(query.normalized)) {
+    return SCORES.PREFIX;
+  }
+  if (query.compact.length >= 3 && forms.compact.includes(query.compact)) {
+    return SCORES.CONTAINS;
+  }
+  if (query.phonetic.length >= 3 && forms.phonetic.includes(query.phonetic)) {
+    return SCORES.PHONETIC_CONTAINS;
+  }
+
+  // Every query word has to match some title word
+  const tokenScores = query.tokens.map((token, index) => scoreToken(token, query.phoneticTokens[index], forms));
+  if (tokenScores.every((score) => score > 0)) {
+    const average = tokenScores.reduce((sum, score) => sum + score, 0) / tokenScores.length;
+    return Math.round(SCORES.TOKENS * average);
+  }
+
+  // Whole-title typo tolerance, for queries typed without spaces
+  const maxTypos = allowedTypos(query.phonetic.length);
+  if (maxTypos > 0) {
+    const distance = editDistance(query.phonetic, forms.phonetic, maxTypos);
+    if (distance <= maxTypos) {
+      return SCORES.FUZZY - 50 * distance;
+    }
+  }
+
+  return 0;
+}
+
+class SearchIndex {
+  constructor() {
+    this.documents = new Map(); // Map: "type" -> array of indexed documents
+  }
+
+  /**
+   * Build the index from the catalog service's item index
+   * @param {Map} itemIndex - Map of "imdb id" -> { item, catalogs }
+   */
+  build(itemIndex) {
+    this.documents.clear();
+
+    itemIndex.forEach((entry, id) => {
+      const titles = [entry.item.name]
+        .concat(Array.isArray(entry.item.aliases) ? entry.item.aliases : [])
+        .map(buildSearchForms)
+        .filter(Boolean);
+
+      if (titles.length === 0) {
+        return;
+      }
+
+      const types = new Set(entry.catalogs.map((ref) => ref.catalog_type));
+      types.forEach((type) => {
+        if (!this.documents.has(type)) {
+          this.documents.set(type, []);
+        }
+        this.documents.get(type).push({
+          id,
+          entry,
+          titles,
+          rating: parseFloat(entry.item.imdbRating) || 0,
+        });
+      });
+    });
+
+    const total = Array.from(this.documents.values()).reduce((sum, docs) => sum + docs.length, 0);
+    logger.debug(`Built search index with ${total} documents`);
+  }
+
+  /**
+   * Search indexed titles
+   * @param {string} type - Content type (e.g., "movie", "series")
+   * @param {string} queryText - Search query as typed by the user
+   * @param {Object} options - Search options
+   * @param {string} options.catalogId - Restrict results to one catalog (optional)
+   * @returns {Array} Ranked matches: { id, entry, score }
+   */
+  search(type, queryText, options = {}) {
+    const query = buildSearchForms(queryText);
+    const documents = this.documents.get(type);
+
+    if (!query || !documents) {
+      return [];
+    }
+
+    const { catalogId } = options;
+    const results = [];
+
+    documents.forEach((doc) => {
+      if (catalogId && !doc.entry.catalogs.some((ref) => ref.catalog_type === type && ref.catalog_name === catalogId)) {
+        return;
+      }
+
+      const score = Math.max(...doc.titles.map((forms) => scoreTitle(query, forms)));
+      if (score > 0) {
+        results.push({ id: doc.id, entry: doc.entry, score, rating: doc.rating });
+      }
+    });
+
+    // Rank by score, then by rating, then alphabetically
+    results.sort((a, b) =>
+      b.score - a.score ||
+      b.rating - a.rating ||
+      String(a.entry.item.name).localeCompare(String(b.entry.item.name))
+    );
+
+    return results;
+  }
+}
+
+module.exports = {
+  SearchIndex,
+  SEARCH_CATALOG_ID,
+  normalizeText,
+  phoneticKey,
+  editDistance,
+};
@@ -0,0 +1,190 @@
+/**
+ * Series
+ * Seasons and episodes of series items
+ *
+ * Episodes can be listed per season:
+ *   "seasons": [{ "season": 1, "poster": "...", "overview": "...", "episodes": [{ "episode": 1, "title": "...", "released": "..." }] }]
+ * or as a flat list of Stremio videos ("videos": [{ "id": "tt1234567:1:1", "season": 1, "episode": 1, ... }]).
+ * Both end up as Stremio videos with "{series id}:{season}:{episode}" ids, the ids stream addons expect.
+ */
+
+/**
+ * Check whether a value is a season or episode number
+ * @param {*} value - Value from JSON
+ * @returns {boolean}
+ */
+function isNumber(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Build the Stremio video id of an episode
+ * @param {string} seriesId - IMDB id of the series
+ * @param {number} season - Season number
+ * @param {number} episode - Episode number
+ * @returns {string} e.g. "tt15516546:1:2"
+ */
+function getEpisodeId(seriesId, season, episode) {
+  return `${seriesId}:${season}:${episode}`;
+}
+
+/**
+ * Get the seasons of a series item, sorted by number
+ * @param {Object} item - Catalog item from JSON
+ * @returns {Array} Season objects from JSON
+ */
+function getSeasons(item) {
+  if (!item || !Array.isArray(item.seasons)) {
+    return [];
+  }
+  return item.seasons.filter((season) => season && isNumber(season.season)).sort((a, b) => a.season - b.season);
+}
+
+/**
+ * Get a season of a series item
+ * @param {Object} item - Catalog item from JSON
+ * @param {number} seasonNumber - Season number
+ * @returns {Object|null} Season object from JSON, or null if the item does not list it
+ */
+function getSeason(item, seasonNumber) {
+  return getSeasons(item).find((season) => season.season === seasonNumber) || null;
+}
+
+/**
+ * Get all episodes of a series item, from "seasons" and "videos", sorted by season and episode
+ * Episodes listed in both places are only returned once (the "seasons" entry wins)
+ * @param {Object} item - Catalog item from JSON
+ * @returns {Array} Episodes: { id, season, episode, title, released, thumbnail, overview, imdbId, runtime }
+ */
+function getItemEpisodes(item) {
+  if (!item) {
+    return [];
+  }
+
+  const episodes = [];
+  const seen = new Set();
+  const add = (episode) => {
+    if (episode.id && !seen.has(episode.id)) {
+      seen.add(episode.id);
+      episodes.push(episode);
+    }
+  };
+
+  getSeasons(item).forEach((season) => {
+    (Array.isArray(season.episodes) ? season.episodes : []).forEach((entry) => {
+      if (!entry || !isNumber(entry.episode)) {
+        return;
+      }
+      add({
+        ...entry,
+        id: entry.id || getEpisodeId(item.id, season.season, entry.episode),
+        season: season.season,
+        episode: entry.episode,
+      });
+    });
+  });
+
+  (Array.isArray(item.videos) ? item.videos : []).forEach((video) => {
+    if (video && video.id) {
+      add({ ...video });
+    }
+  });
+
+  // Episodes without numbers keep their order after the numbered ones
+  const rank = (value) => (isNumber(value) ? value : Infinity);
+  return episodes
+    .map((episode, index) => ({ episode, index }))
+    .sort((a, b) => rank(a.episode.season) - rank(b.episode.season) || rank(a.episode.episode) - rank(b.episode.episode) || a.index - b.index)
+    .map((entry) => entry.episode);
+}
+
+/**
+ * Turn the episodes of a series item into the Stremio "videos" array
+ * @param {Object} item - Catalog item from JSON
+ * @returns {Array} Stremio video objects
+ */
+function toStremioVideos(item) {
+  return getItemEpisodes(item).map((entry) => {
+    // Stremio requires a valid ISO date on every video
+    const released = new Date(entry.released || 0);
+    const video = {
+      id: entry.id,
+      title: entry.title || entry.name || `Episode ${entry.episode !== undefined ? entry.episode : ''}`.trim(),
+      released: isNaN(released.getTime()) ? new Date(0).toISOString() : released.toISOString(),
+    };
+    if (entry.season !== undefined) {
+      video.season = entry.season;
+    }
+    if (entry.episode !== undefined) {
+      video.episode = entry.episode;
+    }
+    if (entry.thumbnail) {
+      video.thumbnail = entry.thumbnail;
+    }
+    if (entry.overview) {
+      video.overview = entry.overview;
+    }
+    if (entry.imdbId) {
+      video.imdbId = entry.imdbId;
+    }
+    return video;
+  });
+}
+
+/**
+ * Get the season a catalog features for an item: the item's "season", else the catalog's "featured_season"
+ * @param {Object} item - Catalog item from JSON
+ * @param {Object} catalog - Catalog from JSON
+ * @returns {number|null} Season number, or null to show the whole series
+ */
+function getFeaturedSeason(item, catalog) {
+  if (item && isNumber(item.season)) {
+    return item.season;
+  }
+  if (catalog && isNumber(catalog.featured_season)) {
+    return catalog.featured_season;
+  }
+  return null;
+}
+
+/**
+ * Show a catalog entry as one season: "Name S2", with the season's poster, overview and year if listed
+ * @param {Object} meta - Stremio meta preview (modified in place)
+ * @param {Object} item - Catalog item from JSON
+ * @param {number} seasonNumber - Featured season
+ * @returns {Object} The meta
+ */
+function applyFeaturedSeason(meta, item, seasonNumber) {
+  const season = getSeason(item, seasonNumber);
+  meta.name = `${meta.name} S${seasonNumber}`;
+
+  if (!season) {
+    return meta;
+  }
+
+  if (season.poster) {
+    meta.poster = season.poster;
+  }
+  if (season.overview) {
+    meta.description = season.overview;
+  }
+
+  // The season's year: its own release date, else its first episode's
+  const firstEpisode = getItemEpisodes(item).find((episode) => episode.season === seasonNumber && episode.released);
+  const year = /^\d{4}/.exec(season.released || (firstEpisode && firstEpisode.released) || '');
+  if (year) {
+    meta.releaseInfo = year[0];
+  }
+
+  return meta;
+}
+
+module.exports = {
+  getEpisodeId,
+  getSeasons,
+  getSeason,
+  getItemEpisodes,
+  toStremioVideos,
+  getFeaturedSeason,
+  applyFeaturedSeason,
+};
@@ -0,0 +1,238 @@
+/**
+ * Smart Catalogs
+ * Catalogs whose items are picked by rules instead of listed by hand
+ *
+ * A smart catalog has "catalog_rules" instead of "catalog_items":
+ *   { "catalog_name": "top_thrillers", "catalog_type": "movie",
+ *     "catalog_rules": { "genres": ["Thriller"], "min_rating": 8, "sort": "year_desc" } }
+ *
+ * Rules are evaluated when the data is loaded, against the items of all sources
+ * (an item curated in several catalogs is matched with its merged fields), and again whenever
+ * scheduled catalogs appear or disappear: scheduled catalogs outside their schedule are not included.
+ */
+
+const { resolveSortOption, sortCatalogItems, parseRating, parseReleaseYear } = require('./catalogSort');
+const { itemHasGenre } = require('./genres');
+const { getItemLanguages } = require('../config/userConfig');
+const { isDraftCatalog } = require('./catalogDisplay');
+const { getScheduleStatus } = require('./catalogSchedule');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rules a smart catalog can use; an item must match every rule given
+const RULE_NAMES = [
+  'include', // Catalog names to take items from (default: every hand-curated, non-draft catalog of the same type);
+  // scheduled catalogs only while they are within their schedule
+  'exclude', // Catalog names whose items are left out
+  'genres', // At least one of these genres
+  'languages', // At least one of these languages
+  'min_rating',
+  'max_rating',
+  'min_year',
+  'max_year',
+  'released_within_days', // Released in the last N days
+  'sort', // Sort option (key or label, see catalogSort.js), default: the order of the included catalogs
+  'limit', // Maximum number of items
+];
+
+/**
+ * Check whether a catalog is defined by rules
+ * @param {Object} catalog - Catalog from JSON
+ * @returns {boolean}
+ */
+function isSmartCatalog(catalog) {
+  return Boolean(catalog) && catalog.catalog_rules !== undefined;
+}
+
+/**
+ * Check whether a smart catalog's items depend on the day (released_within_days)
+ * @param {Object} catalog - Catalog from JSON
+ * @returns {boolean}
+ */
+function isDailySmartCatalog(catalog) {
+  return isSmartCatalog(catalog) && Boolean(catalog.catalog_rules) && typeof catalog.catalog_rules.released_within_days === 'number';
+}
+
+/**
+ * Turn a rule value that may be a single string or a list into a list
+ * @param {string|Array} value - Rule value
+ * @returns {Array} Non-empty strings
+ */
+function toList(value) {
+  return (Array.isArray(value) ? value : [value]).filter((entry) => typeof entry === 'string' && entry.trim());
+}
+
+/**
+ * Get when an item was released
+ * Items without a "released" date count as released on January 1 of their releaseInfo year
+ * @param {Object} item - Catalog item from JSON
+ * @returns {number|null} Timestamp, or null if unknown
+ */
+function getReleaseTime(item) {
+  const released = item.released ? new Date(item.released).getTime() : NaN;
+  if (!isNaN(released)) {
+    return released;
+  }
+  const year = parseReleaseYear(item.releaseInfo);
+  return year === null ? null : Date.UTC(year, 0, 1);
+}
+
+/**
+ * Create a predicate for the item rules of a smart catalog
+ * @param {Object} rules - catalog_rules from JSON
+ * @param {number} now - Current time, for released_within_days
+ * @returns {Function} (item) => boolean
+ */
+function createRuleFilter(rules, now) {
+  const genres = toList(rules.genres);
+  const languages = toList(rules.languages).map((language) => language.trim().toLowerCase());
+  const releasedAfter = typeof rules.released_within_days === 'number' ? now - rules.released_within_days * DAY_MS : null;
+
+  // Items without the value a range rule needs never match it
+  const inRange = (value, min, max) =>
+    value !== null && (typeof min !== 'number' || value >= min) && (typeof max !== 'number' || value <= max);
+
+  return (item) => {
+    if (genres.length > 0 && !genres.some((genre) => itemHasGenre(item, genre))) {
+      return false;
+    }
+
+    if (languages.length > 0 && !getItemLanguages(item).some((language) => languages.includes(language))) {
+      return false;
+    }
+
+    if ((rules.min_rating !== undefined || rules.max_rating !== undefined) && !inRange(parseRating(item.imdbRating), rules.min_rating, rules.max_rating)) {
+      return false;
+    }
+
+    if ((rules.min_year !== undefined || rules.max_year !== undefined) && !inRange(parseReleaseYear(item.releaseInfo), rules.min_year, rules.max_year)) {
+      return false;
+    }
+
+    if (releasedAfter !== null) {
+      const released = getReleaseTime(item);
+      if (released === null || released < releasedAfter || released > now) {
+        return false;
+      }
+    }
+
+    return true;
+  };
+}
+
+/**
+ * Evaluate the smart catalogs of a dataset
+ * Smart catalogs may include other smart catalogs; include cycles are reported and the repeated catalog is skipped
+ * @param {Array} catalogs - All catalogs from JSON
+ * @param {Function} getItem - (id) => item with its fields merged across catalogs, or null
+ * @param {Object} options - Evaluation options
+ * @param {number} options.now - Current time, for released_within_days and scheduled catalogs (default: Date.now())
+ * @returns {Object} { items: Map "type:catalog_name" -> items, problems: [string] }
+ */
+function evaluateSmartCatalogs(catalogs, getItem, { now = Date.now() } = {}) {
+  const catalogMap = new Map();
+  catalogs.forEach((catalog) => {
+    if (catalog && catalog.catalog_type && catalog.catalog_name) {
+      catalogMap.set(`${catalog.catalog_type}:${catalog.catalog_name}`, catalog);
+    }
+  });
+
+  const results = new Map();
+  const evaluating = new Set();
+  const problems = [];
+
+  // Items of a catalog, with each item's merged fields
+  const getCatalogItems = (key) => {
+    const catalog = catalogMap.get(key);
+    if (isSmartCatalog(catalog)) {
+      return evaluate(key, catalog);
+    }
+    return (Array.isArray(catalog.catalog_items) ? catalog.catalog_items : [])
+      .filter((item) => item && item.id)
+      .map((item) => getItem(item.id) || item);
+  };
+
+  // Keys of the catalogs a rule names, skipping unknown names
+  const resolveNames = (key, type, names, rule) =>
+    toList(names).map((name) => `${type}:${name.trim()}`).filter((nameKey) => {
+      if (!catalogMap.has(nameKey)) {
+        problems.push(`${key}: catalog_rules.${rule} names an unknown catalog: ${nameKey}`);
+        return false;
+      }
+      return true;
+    });
+
+  function evaluate(key, catalog) {
+    if (results.has(key)) {
+      return results.get(key);
+    }
+    if (evaluating.has(key)) {
+      problems.push(`${key}: catalog_rules.include is circular (${Array.from(evaluating).join(' -> ')} -> ${key})`);
+      return [];
+    }
+    evaluating.add(key);
+
+    const type = catalog.catalog_type;
+    const rules = catalog.catalog_rules && typeof catalog.catalog_rules === 'object' ? catalog.catalog_rules : {};
+    const included = (rules.include !== undefined
+      ? resolveNames(key, type, rules.include, 'include')
+      : Array.from(catalogMap.keys()).filter((candidate) => {
+        const candidateCatalog = catalogMap.get(candidate);
+        return candidate.startsWith(`${type}:`) && !isSmartCatalog(candidateCatalog) && !isDraftCatalog(candidateCatalog);
+      })
+    ).filter((includedKey) => getScheduleStatus(catalogMap.get(includedKey), now).active);
+
+    const excludedIds = new Set();
+    resolveNames(key, type, rules.exclude, 'exclude').forEach((excludedKey) => {
+      getCatalogItems(excludedKey).forEach((item) => excludedIds.add(item.id));
+    });
+
+    // Union of the included catalogs, in catalog order, each item once
+    const seen = new Set();
+    const matches = createRuleFilter(rules, now);
+    let items = [];
+    included.forEach((includedKey) => {
+      getCatalogItems(includedKey).forEach((item) => {
+        if (!seen.has(item.id) && !excludedIds.has(item.id)) {
+          seen.add(item.id);
+          if (matches(item)) {
+            items.push(item);
+          }
+        }
+      });
+    });
+
+    if (rules.sort !== undefined) {
+      const option = resolveSortOption(rules.sort);
+      if (option) {
+        items = sortCatalogItems(items, option);
+      } else {
+        problems.push(`${key}: unknown catalog_rules.sort option: ${rules.sort}`);
+      }
+    }
+
+    if (Number.isInteger(rules.limit) && rules.limit > 0) {
+      items = items.slice(0, rules.limit);
+    }
+
+    evaluating.delete(key);
+    results.set(key, items);
+    return items;
+  }
+
+  catalogMap.forEach((catalog, key) => {
+    if (isSmartCatalog(catalog)) {
+      evaluate(key, catalog);
+    }
+  });
+
+  return { items: results, problems };
+}
+
+module.exports = {
+  RULE_NAMES,
+  isSmartCatalog,
+  isDailySmartCatalog,
+  createRuleFilter,
+  evaluateSmartCatalogs,
+};
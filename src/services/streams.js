@@ -0,0 +1,163 @@
+/**
+ * Streams
+ * Where to watch an item, served as the Stremio stream resource
+ *
+ * Items can list:
+ *   "trailers": ["Wfk1RAWAEX0"]                                     YouTube ids (also shown on the detail page)
+ *   "watchOn": ["https://www.netflix.com/title/81234567",           Streaming service pages, opened outside Stremio
+ *               { "service": "Aha", "url": "https://www.aha.video/movie/..." }]
+ *   "mediaFiles": ["http://192.168.1.20:8096/movies/vikram-vedha.mkv",  Files on the home media server, played in Stremio
+ *                  { "url": "http://nas.local/suzhal/s01e01.mkv", "title": "1080p", "season": 1, "episode": 1 }]
+ *
+ * Media files are marked notWebReady (Stremio proxies them through its streaming server) unless
+ * they set "webReady": true. For series, media files with a season and episode only belong to that episode;
+ * trailers, watchOn links and media files without one are offered for every episode.
+ */
+
+// Streaming services recognized by host name, for links without a "service"
+const KNOWN_SERVICES = [
+  [/(^|\.)netflix\.com$/, 'Netflix'],
+  [/(^|\.)(primevideo|amazon)\.[a-z.]+$/, 'Prime Video'],
+  [/(^|\.)hotstar\.com$/, 'Disney+ Hotstar'],
+  [/(^|\.)sonyliv\.com$/, 'SonyLIV'],
+  [/(^|\.)zee5\.com$/, 'ZEE5'],
+  [/(^|\.)aha\.video$/, 'Aha'],
+  [/(^|\.)sunnxt\.com$/, 'Sun NXT'],
+  [/(^|\.)jiocinema\.com$/, 'JioCinema'],
+  [/(^|\.)(youtube\.com|youtu\.be)$/, 'YouTube'],
+  [/(^|\.)apple\.com$/, 'Apple TV'],
+];
+
+/**
+ * Get the trailers of an item
+ * @param {Object} item - Catalog item from JSON
+ * @returns {Array} Stremio trailers ({ source: YouTube id, type }), either plain strings or { source, type } objects in JSON
+ */
+function getTrailers(item) {
+  return (Array.isArray(item.trailers) ? item.trailers : [item.trailers || item.trailer])
+    .map((trailer) => {
+      if (typeof trailer === 'string' && trailer.trim()) {
+        return { source: trailer.trim(), type: 'Trailer' };
+      }
+      if (trailer && typeof trailer === 'object' && trailer.source) {
+        return { source: trailer.source, type: trailer.type || 'Trailer' };
+      }
+      return null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Read a list of links, each either a URL or an object with a url
+ * @param {*} value - watchOn or mediaFiles from JSON
+ * @returns {Array} Link objects with a url
+ */
+function toLinks(value) {
+  return (Array.isArray(value) ? value : value ? [value] : [])
+    .map((link) => (typeof link === 'string' ? { url: link } : link))
+    .filter((link) => link && typeof link.url === 'string' && link.url.trim());
+}
+
+/**
+ * Get the name of the streaming service behind a URL
+ * @param {string} url - Link to a title on a streaming service
+ * @returns {string|null} e.g. "Netflix", or null if the service is not known
+ */
+function getServiceName(url) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+  const service = KNOWN_SERVICES.find(([pattern]) => pattern.test(host));
+  return service ? service[1] : null;
+}
+
+/**
+ * Get the file name of a media file URL, which Stremio uses to match subtitles
+ * @param {string} url - Media file URL
+ * @returns {string|null} File name, or null if the URL has none
+ */
+function getFileName(url) {
+  try {
+    const name = decodeURIComponent(new URL(url).pathname.split('/').pop());
+    return /\.\w+$/.test(name) ? name : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether an item has anything to watch
+ * @param {Object} item - Catalog item from JSON
+ * @returns {boolean}
+ */
+function hasStreamData(item) {
+  return Boolean(item) && (getTrailers(item).length > 0 || toLinks(item.watchOn).length > 0 || toLinks(item.mediaFiles).length > 0);
+}
+
+/**
+ * Build the Stremio streams of an item
+ * Media files come first (they play right away), then streaming services, then trailers
+ * @param {Object} item - Catalog item from JSON
+ * @param {Object} options - Options object
+ * @param {number} options.season - Season of the requested episode (series only)
+ * @param {number} options.episode - Episode number of the requested episode (series only)
+ * @param {string} options.addonName - Shown as the source of media files and trailers
+ * @param {string} options.bingeGroup - Groups media files so Stremio plays the next episode from the same server
+ * @returns {Array} Stremio stream objects
+ */
+function toStremioStreams(item, { season = null, episode = null, addonName = '', bingeGroup = null } = {}) {
+  const isEpisode = season !== null && episode !== null;
+
+  const mediaFiles = toLinks(item.mediaFiles)
+    .filter((file) => {
+      const forEpisode = Number.isInteger(file.season) && Number.isInteger(file.episode);
+      return !forEpisode || (isEpisode && file.season === season && file.episode === episode);
+    })
+    .map((file) => {
+      const behaviorHints = {};
+      if (file.webReady !== true) {
+        behaviorHints.notWebReady = true;
+      }
+      if (bingeGroup) {
+        behaviorHints.bingeGroup = bingeGroup;
+      }
+      const filename = getFileName(file.url);
+      if (filename) {
+        behaviorHints.filename = filename;
+      }
+      return {
+        url: file.url.trim(),
+        name: addonName,
+        description: file.title || 'Home media server',
+        behaviorHints,
+      };
+    });
+
+  // Streaming services are opened in their own app or the browser
+  const services = toLinks(item.watchOn).map((link) => {
+    const service = link.service || getServiceName(link.url) || 'Watch online';
+    return {
+      externalUrl: link.url.trim(),
+      name: service,
+      description: link.title || `Watch on ${service}`,
+    };
+  });
+
+  const trailers = getTrailers(item).map((trailer) => ({
+    ytId: trailer.source,
+    name: addonName,
+    description: trailer.type,
+  }));
+
+  return mediaFiles.concat(services, trailers);
+}
+
+module.exports = {
+  getTrailers,
+  getServiceName,
+  hasStreamData,
+  toStremioStreams,
+};
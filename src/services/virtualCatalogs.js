@@ -0,0 +1,100 @@
+/**
+ * Virtual Catalogs
+ * Catalogs that are not in the data file but generated from it, per content type:
+ *
+ * - Surprise Me (rkp_surprise): every title of the type, shuffled. The shuffle is seeded by the day,
+ *   so pages stay stable while scrolling and the order changes at midnight (SCHEDULE_UTC_OFFSET)
+ * - Featured Today (rkp_featured): FEATURED_CATALOG_SIZE titles from the FEATURED_CATALOG_SOURCES
+ *   catalogs, rotating daily: every title is featured once before any title comes back
+ *
+ * The functions here are pure; CatalogService picks the items and serves the catalogs
+ * (see CatalogService.getVirtualCatalogs).
+ */
+
+const SURPRISE_CATALOG_ID = 'rkp_surprise';
+const FEATURED_CATALOG_ID = 'rkp_featured';
+
+const VIRTUAL_CATALOGS = {
+  [SURPRISE_CATALOG_ID]: { kind: 'surprise', name: 'Surprise Me', description: 'A random pick from every catalog, reshuffled daily' },
+  [FEATURED_CATALOG_ID]: { kind: 'featured', name: 'Featured Today', description: 'A few titles from our favourite catalogs, new every day' },
+};
+
+/**
+ * Check whether a catalog id is a virtual catalog
+ * @param {string} catalogId - Catalog id
+ * @returns {boolean}
+ */
+function isVirtualCatalogId(catalogId) {
+  return Object.prototype.hasOwnProperty.call(VIRTUAL_CATALOGS, catalogId);
+}
+
+/**
+ * Hash a string into a 32-bit seed (FNV-1a)
+ * @param {string} value - e.g. "movie:rkp_surprise:20468"
+ * @returns {number} Unsigned 32-bit integer
+ */
+function hashSeed(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} () => number in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Shuffle items in a repeatable order
+ * @param {Array} items - Items (not modified)
+ * @param {string} seed - Seed; the same seed and items always give the same order
+ * @returns {Array} Shuffled copy
+ */
+function shuffleItems(items, seed) {
+  const random = createRandom(hashSeed(seed));
+  const shuffled = items.slice();
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Pick the items of a day from a rotation
+ * Day after day the window moves on by its size, wrapping around, so every item comes up in turn
+ * @param {Array} items - Items in rotation order
+ * @param {number} day - Day number (see catalogSchedule.getDayNumber)
+ * @param {number} size - Items per day
+ * @returns {Array} The day's items
+ */
+function rotateItems(items, day, size) {
+  if (items.length <= size) {
+    return items.slice();
+  }
+  const start = (((day * size) % items.length) + items.length) % items.length;
+  return items.slice(start, start + size).concat(items.slice(0, Math.max(0, start + size - items.length)));
+}
+
+module.exports = {
+  SURPRISE_CATALOG_ID,
+  FEATURED_CATALOG_ID,
+  VIRTUAL_CATALOGS,
+  isVirtualCatalogId,
+  shuffleItems,
+  rotateItems,
+};
@@ -27,9 +27,55 @@ class DataLoadError extends Error {
   }
 }
 
+class ValidationError extends Error {
+  constructor(errors, warnings = []) {
+    super(`Catalog data failed validation with ${errors.length} error(s): ${errors.slice(0, 3).map((e) => `${e.path}: ${e.message}`).join('; ')}${errors.length > 3 ? '; ...' : ''}`);
+    this.name = 'ValidationError';
+    this.errors = errors;
+    this.warnings = warnings;
+  }
+}
+
+class ItemNotFoundError extends Error {
+  constructor(itemId, catalogId, type) {
+    super(`Item not found: ${itemId} in ${type}/${catalogId}`);
+    this.name = 'ItemNotFoundError';
+    this.itemId = itemId;
+    this.catalogId = catalogId;
+    this.type = type;
+  }
+}
+
+class InvalidRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidRequestError';
+  }
+}
+
+class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+  }
+}
+
+class ReadOnlySourceError extends Error {
+  constructor(source) {
+    super(`Catalog data source is read-only: ${source}`);
+    this.name = 'ReadOnlySourceError';
+    this.source = source;
+  }
+}
+
 module.exports = {
   CatalogNotFoundError,
   InvalidTypeError,
   DataLoadError,
+  ValidationError,
+  ItemNotFoundError,
+  InvalidRequestError,
+  ConflictError,
+  ReadOnlySourceError,
 };
 
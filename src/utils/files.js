@@ -0,0 +1,66 @@
+/**
+ * File utilities for writing catalog data safely
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Write a file atomically: write a temporary file next to it, then rename it over the original
+ * Readers (and the file watcher) never see a half-written file
+ * @param {string} filePath - Destination file
+ * @param {string} content - File content
+ */
+function writeFileAtomic(filePath, content) {
+  const tempFile = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+
+  try {
+    fs.writeFileSync(tempFile, content);
+    fs.renameSync(tempFile, filePath);
+  } catch (error) {
+    if (fs.existsSync(tempFile)) {
+      fs.unlinkSync(tempFile);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Copy a file into a backup directory with a timestamp, keeping only the newest backups
+ * @param {string} filePath - File to back up
+ * @param {Object} options - Backup options
+ * @param {string} options.dir - Backup directory (default: "backups" next to the file)
+ * @param {number} options.keep - Number of backups to keep per file (default: 10)
+ * @returns {string|null} Backup file path, or null if the file does not exist
+ */
+function backupFile(filePath, options = {}) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  const dir = options.dir || path.join(path.dirname(filePath), 'backups');
+  const keep = options.keep || 10;
+  const extension = path.extname(filePath);
+  const baseName = path.basename(filePath, extension);
+  // ISO timestamps sort chronologically; ":" is not allowed in Windows file names
+  const timestamp = new Date().toISOString().replace(/:/g, '-');
+
+  fs.mkdirSync(dir, { recursive: true });
+  const backupPath = path.join(dir, `${baseName}.${timestamp}${extension}`);
+  fs.copyFileSync(filePath, backupPath);
+
+  // Drop the oldest backups of this file
+  const prefix = `${baseName}.`;
+  fs.readdirSync(dir)
+    .filter((name) => name.startsWith(prefix) && name.endsWith(extension) && /^\d{4}-/.test(name.slice(prefix.length)))
+    .sort()
+    .slice(0, -keep)
+    .forEach((name) => fs.unlinkSync(path.join(dir, name)));
+
+  return backupPath;
+}
+
+module.exports = {
+  writeFileAtomic,
+  backupFile,
+};
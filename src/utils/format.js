@@ -0,0 +1,40 @@
+/**
+ * Formatting utilities shared by the manifest, the catalog service and the data tools
+ */
+
+/**
+ * Format catalog name for display
+ * Converts "best_movies_of_2025" to "Best Movies of 2025"
+ * @param {string} catalogName - Catalog name from JSON
+ * @returns {string} Formatted name
+ */
+function formatCatalogName(catalogName) {
+  if (!catalogName) {
+    return 'Unknown Catalog';
+  }
+
+  return catalogName
+    .split('_')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Format minutes as a runtime like the rest of the data ("2h 27m")
+ * @param {string|number} minutes - Runtime in minutes
+ * @returns {string|null} Runtime, or null if missing/invalid
+ */
+function formatRuntime(minutes) {
+  const total = parseInt(minutes, 10);
+  if (!total || total <= 0) {
+    return null;
+  }
+  const hours = Math.floor(total / 60);
+  const rest = total % 60;
+  return hours > 0 ? `${hours}h${rest > 0 ? ` ${rest}m` : ''}` : `${rest}m`;
+}
+
+module.exports = {
+  formatCatalogName,
+  formatRuntime,
+};
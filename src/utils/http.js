@@ -0,0 +1,53 @@
+/**
+ * HTTP utilities for fetching remote data with the core http/https modules
+ */
+
+const http = require('http');
+const https = require('https');
+
+// Redirects followed per fetch (gists redirect to their raw host)
+const MAX_REDIRECTS = 5;
+
+/**
+ * Perform a GET request
+ * @param {string} url - URL to fetch
+ * @param {Object} headers - Request headers
+ * @param {number} timeoutMs - Timeout for the whole request
+ * @param {number} redirects - Redirects left
+ * @returns {Promise<Object>} { status, headers, body }
+ */
+function httpGet(url, headers, timeoutMs, redirects = MAX_REDIRECTS) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const request = client.get(url, { headers }, (response) => {
+      const { statusCode } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && statusCode !== 304 && response.headers.location) {
+        response.resume();
+        if (redirects <= 0) {
+          reject(new Error(`Too many redirects fetching ${url}`));
+          return;
+        }
+        const location = new URL(response.headers.location, url).toString();
+        httpGet(location, headers, timeoutMs, redirects - 1).then(resolve, reject);
+        return;
+      }
+
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('end', () => {
+        resolve({ status: statusCode, headers: response.headers, body: Buffer.concat(chunks).toString('utf8') });
+      });
+      response.on('error', reject);
+    });
+
+    request.setTimeout(timeoutMs, () => {
+      request.destroy(new Error(`Timed out after ${timeoutMs}ms fetching ${url}`));
+    });
+    request.on('error', reject);
+  });
+}
+
+module.exports = {
+  httpGet,
+};
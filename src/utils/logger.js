@@ -1,8 +1,21 @@
 /**
- * Simple logger utility for the addon
- * In production, consider using winston or pino for more advanced logging
+ * Logger utility for the addon
+ *
+ * Two output formats (LOG_FORMAT):
+ * - pretty: "[INFO] 2025-01-01T00:00:00.000Z [request id] message key=value", for local development
+ * - json: one JSON object per line ({ level, time, msg, requestId, route, ... }), for log search on Vercel/Render
+ *
+ * Usage:
+ *   logger.info('Loaded 3 catalogs');
+ *   logger.info({ items: 20 }, 'Returning catalog');   // Fields first, like pino
+ *
+ * Request context: runWithContext() binds fields (request id, route, ...) to everything that runs
+ * for a request, including the services it calls, so their lines carry the request id too.
  */
 
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
 const LOG_LEVELS = {
   ERROR: 0,
   WARN: 1,
@@ -13,28 +26,133 @@ const LOG_LEVELS = {
 const currentLogLevel = process.env.LOG_LEVEL || 'info';
 const logLevelValue = LOG_LEVELS[currentLogLevel.toUpperCase()] ?? LOG_LEVELS.INFO;
 
-const logger = {
-  error: (...args) => {
-    if (logLevelValue >= LOG_LEVELS.ERROR) {
-      console.error('[ERROR]', new Date().toISOString(), ...args);
-    }
-  },
-  warn: (...args) => {
-    if (logLevelValue >= LOG_LEVELS.WARN) {
-      console.warn('[WARN]', new Date().toISOString(), ...args);
+// JSON by default on Vercel, where logs are searched rather than read
+const logFormat = (process.env.LOG_FORMAT || (process.env.VERCEL ? 'json' : 'pretty')).toLowerCase() === 'json' ? 'json' : 'pretty';
+
+// Context of the request being handled (see runWithContext)
+const requestContext = new AsyncLocalStorage();
+
+// Fields pretty lines leave out: the request id is shown in brackets, method and route are in access log messages
+const PRETTY_HIDDEN_FIELDS = ['requestId', 'method', 'route'];
+
+/**
+ * Check whether a value is a plain object of log fields
+ * @param {*} value - First log argument
+ * @returns {boolean}
+ */
+function isFields(value) {
+  return Boolean(value) && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Format a field value for the pretty format
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (typeof value === 'string') {
+    return /\s/.test(value) ? JSON.stringify(value) : value;
+  }
+  return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+}
+
+class Logger {
+  error(...args) {
+    this._write('ERROR', args);
+  }
+
+  warn(...args) {
+    this._write('WARN', args);
+  }
+
+  info(...args) {
+    this._write('INFO', args);
+  }
+
+  debug(...args) {
+    this._write('DEBUG', args);
+  }
+
+  /**
+   * Check whether a level is logged, to skip building expensive messages
+   * @param {string} level - error, warn, info or debug
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    return logLevelValue >= LOG_LEVELS[String(level).toUpperCase()];
+  }
+
+  /**
+   * Run a function with a request context; every line logged while it runs
+   * (also after awaits and in the services it calls) carries the context's fields
+   * @param {Object} context - Fields, e.g. { requestId, route }; kept and extended with setContext
+   * @param {Function} fn - Function to run
+   * @returns {*} The function's result
+   */
+  runWithContext(context, fn) {
+    return requestContext.run(context, fn);
+  }
+
+  /**
+   * Run a function outside of any request context, e.g. background work started by a request
+   * @param {Function} fn - Function to run
+   * @returns {*} The function's result
+   */
+  runWithoutContext(fn) {
+    return requestContext.exit(fn);
+  }
+
+  /**
+   * Add fields to the current request context (no-op outside of a request)
+   * @param {Object} fields - Fields, e.g. { type, id, items }
+   */
+  setContext(fields) {
+    const context = requestContext.getStore();
+    if (context) {
+      Object.assign(context, fields);
     }
-  },
-  info: (...args) => {
-    if (logLevelValue >= LOG_LEVELS.INFO) {
-      console.log('[INFO]', new Date().toISOString(), ...args);
+  }
+
+  /**
+   * Get the current request context
+   * @returns {Object|null} Context fields, or null outside of a request
+   */
+  getContext() {
+    return requestContext.getStore() || null;
+  }
+
+  /**
+   * Write a line
+   * @param {string} level - Level name
+   * @param {Array} args - Optional fields object, then message parts (formatted like console.log)
+   * @private
+   */
+  _write(level, args) {
+    if (logLevelValue < LOG_LEVELS[level]) {
+      return;
     }
-  },
-  debug: (...args) => {
-    if (logLevelValue >= LOG_LEVELS.DEBUG) {
-      console.log('[DEBUG]', new Date().toISOString(), ...args);
+
+    const fields = args.length > 0 && isFields(args[0]) ? args[0] : null;
+    const message = util.format(...(fields ? args.slice(1) : args));
+    const write = { ERROR: console.error, WARN: console.warn }[level] || console.log;
+    const time = new Date().toISOString();
+    const context = requestContext.getStore();
+
+    if (logFormat === 'json') {
+      write(JSON.stringify({ level: level.toLowerCase(), time, msg: message, ...context, ...fields }));
+      return;
     }
-  },
-};
 
-module.exports = logger;
+    // Pretty lines only show the request id of the context, the rest would repeat on every line
+    const extra = fields || {};
+    const details = Object.keys(extra)
+      .filter((key) => extra[key] !== undefined && !PRETTY_HIDDEN_FIELDS.includes(key))
+      .map((key) => `${key}=${formatValue(extra[key])}`);
+    write(`[${level}]`, time, ...(context && context.requestId ? [`[${context.requestId}]`] : []), message, ...details);
+  }
+}
 
+// Export the root logger
+module.exports = new Logger();
+module.exports.Logger = Logger;
+module.exports.LOG_FORMAT = logFormat;
@@ -0,0 +1,407 @@
+/**
+ * Admin Page
+ * HTML for /admin, a small curation UI on top of the admin API (/admin/api).
+ * The page asks for ADMIN_TOKEN once and keeps it in the browser's local storage.
+ */
+
+const { escapeHtml } = require('./configurePage');
+
+/**
+ * Render the admin page
+ * @param {Object} options - Page data
+ * @param {Object} options.manifest - Addon manifest (name, logo)
+ * @param {boolean} options.enabled - Whether the admin API is enabled (ADMIN_TOKEN is set)
+ * @returns {string} HTML page
+ */
+function renderAdminPage({ manifest, enabled }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>Admin - ${escapeHtml(manifest.name)}</title>
+  <style>
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: 'Open Sans', Arial, sans-serif; color: #eee; background: #1b1b2f; }
+    header { display: flex; align-items: center; gap: 12px; padding: 12px 20px; background: #14142a; }
+    header img { width: 40px; height: 40px; object-fit: contain; }
+    header h1 { margin: 0; font-size: 1.3em; flex: 1; }
+    button, select, input { font: inherit; }
+    button { padding: 6px 12px; border-radius: 4px; border: none; cursor: pointer; color: #fff; background: #8a5aab; }
+    button.secondary { background: rgba(255, 255, 255, 0.15); }
+    button.danger { background: #a33; }
+    input, select { padding: 5px; border-radius: 4px; border: 1px solid #555; background: #26264a; color: #eee; }
+    #layout { display: flex; min-height: calc(100vh - 64px); }
+    #sidebar { width: 260px; padding: 16px; background: #202040; }
+    #sidebar li { padding: 8px; border-radius: 4px; cursor: pointer; display: flex; justify-content: space-between; }
+    #sidebar li.active, #sidebar li:hover { background: rgba(138, 90, 171, 0.4); }
+    #sidebar .count { opacity: 0.6; font-size: 0.85em; }
+    #sidebar li.invalid { cursor: default; color: #e88; background: none; }
+    ul { list-style: none; padding: 0; margin: 0; }
+    main { flex: 1; padding: 16px 24px; }
+    h2 { margin-top: 0; }
+    h3 { border-bottom: 1px solid rgba(255, 255, 255, 0.2); padding-bottom: 6px; }
+    .toolbar { display: flex; gap: 8px; flex-wrap: wrap; align-items: center; margin-bottom: 12px; }
+    .meta-info { opacity: 0.6; font-size: 0.85em; }
+    #items li { display: flex; align-items: center; gap: 12px; padding: 6px; border-bottom: 1px solid rgba(255, 255, 255, 0.08); background: #1b1b2f; }
+    #items li.dragging { opacity: 0.4; }
+    #items li.drop-target { border-top: 2px solid #8a5aab; }
+    #items .handle { cursor: grab; opacity: 0.5; user-select: none; }
+    #items img, #items .no-poster { width: 40px; height: 60px; object-fit: cover; background: #333; border-radius: 3px; }
+    #items .title { flex: 1; }
+    #preview { display: grid; grid-template-columns: repeat(auto-fill, minmax(120px, 1fr)); gap: 14px; }
+    #preview .tile img, #preview .tile .no-poster { width: 100%; aspect-ratio: 2 / 3; object-fit: cover; background: #333; border-radius: 6px; display: block; }
+    #preview .tile .name { font-size: 0.85em; margin-top: 4px; }
+    #message { margin: 0 0 12px; padding: 8px 12px; border-radius: 4px; display: none; white-space: pre-wrap; }
+    #message.error { display: block; background: #5a2323; }
+    #message.info { display: block; background: #23405a; }
+    #login { max-width: 360px; margin: 80px auto; text-align: center; }
+    .hidden { display: none !important; }
+  </style>
+</head>
+<body>
+  <header>
+    ${manifest.logo ? `<img src="${escapeHtml(manifest.logo)}" alt="">` : ''}
+    <h1>${escapeHtml(manifest.name)} admin</h1>
+    <button type="button" id="logout" class="secondary hidden">Log out</button>
+  </header>
+  ${
+    enabled
+      ? ''
+      : '<div id="login"><p>The admin API is disabled. Set the <code>ADMIN_TOKEN</code> environment variable and restart the addon.</p></div>'
+  }
+  <div id="login-form" class="hidden">
+    <div id="login">
+      <p>Enter the admin token (<code>ADMIN_TOKEN</code>)</p>
+      <form id="token-form">
+        <input type="password" id="token" autocomplete="current-password" required>
+        <button type="submit">Log in</button>
+      </form>
+      <p id="login-error" class="hidden">Wrong token</p>
+    </div>
+  </div>
+  <div id="layout" class="hidden">
+    <nav id="sidebar">
+      <ul id="catalogs"></ul>
+      <h3>New catalog</h3>
+      <form id="create-form" class="toolbar">
+        <input id="create-name" placeholder="catalog_name" pattern="[a-z0-9_]+" title="lowercase_snake_case" required>
+        <select id="create-type"><option>movie</option><option>series</option></select>
+        <button type="submit">Create</button>
+      </form>
+    </nav>
+    <main>
+      <div id="message"></div>
+      <div id="empty">Pick a catalog on the left.</div>
+      <section id="catalog" class="hidden">
+        <h2 id="catalog-title"></h2>
+        <div class="meta-info" id="catalog-info"></div>
+        <div class="toolbar">
+          <input id="rename-name" placeholder="catalog_name" pattern="[a-z0-9_]+">
+          <select id="rename-type"><option>movie</option><option>series</option></select>
+          <button type="button" id="rename" class="secondary">Save name/type</button>
+          <button type="button" id="delete-catalog" class="danger">Delete catalog</button>
+        </div>
+
+        <h3>Items</h3>
+        <form id="add-form" class="toolbar">
+          <input id="add-id" placeholder="IMDB id (tt1234567)" pattern="tt\\d+" required>
+          <input id="add-name" placeholder="Name (only for new titles)">
+          <select id="add-position"><option value="end">At the end</option><option value="start">At the top</option></select>
+          <button type="submit">Add</button>
+        </form>
+        <p class="meta-info">Drag items by the handle to reorder them.</p>
+        <ul id="items"></ul>
+
+        <h3>Preview (as Stremio shows it)</h3>
+        <div id="preview"></div>
+      </section>
+    </main>
+  </div>
+  <script>
+    (function () {
+      var enabled = ${enabled ? 'true' : 'false'};
+      var TOKEN_KEY = 'rkpAdminToken';
+      var catalogs = [];
+      var current = null; // { type, id }
+
+      function el(tag, props, children) {
+        var node = document.createElement(tag);
+        Object.keys(props || {}).forEach(function (key) {
+          if (key === 'text') node.textContent = props[key];
+          else if (key === 'className') node.className = props[key];
+          else node.setAttribute(key, props[key]);
+        });
+        (children || []).forEach(function (child) { node.appendChild(child); });
+        return node;
+      }
+
+      function poster(url) {
+        return url ? el('img', { src: url, alt: '', loading: 'lazy' }) : el('div', { className: 'no-poster' });
+      }
+
+      function showMessage(text, kind) {
+        var box = document.getElementById('message');
+        box.textContent = text;
+        box.className = kind || '';
+      }
+
+      function api(method, path, body) {
+        var options = { method: method, headers: { Authorization: 'Bearer ' + localStorage.getItem(TOKEN_KEY) } };
+        if (body !== undefined) {
+          options.headers['Content-Type'] = 'application/json';
+          options.body = JSON.stringify(body);
+        }
+        return fetch('/admin/api' + path, options).then(function (response) {
+          return response.json().then(function (data) {
+            if (response.status === 401) {
+              showLogin(true);
+            }
+            if (!response.ok) {
+              var problems = (data.problems || []).map(function (problem) { return problem.path + ': ' + problem.message; });
+              throw new Error([data.error || ('HTTP ' + response.status)].concat(problems).join('\\n'));
+            }
+            return data;
+          });
+        });
+      }
+
+      function catalogPath(type, id) {
+        return '/catalogs/' + encodeURIComponent(type) + '/' + encodeURIComponent(id);
+      }
+
+      function fail(error) {
+        showMessage(error.message, 'error');
+      }
+
+      function showLogin(wrongToken) {
+        document.getElementById('layout').classList.add('hidden');
+        document.getElementById('logout').classList.add('hidden');
+        document.getElementById('login-form').classList.remove('hidden');
+        document.getElementById('login-error').classList.toggle('hidden', !wrongToken);
+      }
+
+      function showApp() {
+        document.getElementById('login-form').classList.add('hidden');
+        document.getElementById('layout').classList.remove('hidden');
+        document.getElementById('logout').classList.remove('hidden');
+        loadCatalogs();
+      }
+
+      function loadCatalogs() {
+        return api('GET', '/catalogs').then(function (data) {
+          catalogs = data.catalogs;
+          var list = document.getElementById('catalogs');
+          list.textContent = '';
+          catalogs.forEach(function (catalog) {
+            var row = el('li', {}, [
+              el('span', { text: catalog.name }),
+              el('span', { className: 'count', text: catalog.type + ' - ' + catalog.itemCount })
+            ]);
+            if (current && current.type === catalog.type && current.id === catalog.id) row.className = 'active';
+            row.addEventListener('click', function () { openCatalog(catalog.type, catalog.id); });
+            list.appendChild(row);
+          });
+          // Catalogs that were not loaded cannot be opened, they are only listed with their problem
+          data.invalid.forEach(function (entry) {
+            list.appendChild(el('li', { className: 'invalid', title: entry.problem }, [
+              el('span', { text: entry.id || 'catalogs[' + entry.index + ']' }),
+              el('span', { className: 'count', text: entry.problem })
+            ]));
+          });
+        }).catch(fail);
+      }
+
+      function openCatalog(type, id) {
+        current = { type: type, id: id };
+        showMessage('');
+        return api('GET', catalogPath(type, id)).then(function (data) {
+          renderCatalog(data.catalog);
+          loadCatalogs();
+          loadPreview();
+        }).catch(fail);
+      }
+
+      function renderCatalog(catalog) {
+        // Smart catalogs get their items from their rules, so their items are read-only
+        current = { type: catalog.type, id: catalog.id, smart: Boolean(catalog.catalog_rules) };
+        document.getElementById('empty').classList.add('hidden');
+        document.getElementById('catalog').classList.remove('hidden');
+        document.getElementById('catalog-title').textContent = catalog.name;
+        document.getElementById('catalog-info').textContent =
+          catalog.type + ' / ' + catalog.id + ' - ' + catalog.itemCount + ' items - source: ' + catalog.sources.join(', ') +
+          (current.smart ? ' - smart catalog, edit its catalog_rules to change the items' : '');
+        document.getElementById('rename-name').value = catalog.id;
+        document.getElementById('rename-type').value = catalog.type;
+
+        var list = document.getElementById('items');
+        list.textContent = '';
+        catalog.items.forEach(function (item) {
+          list.appendChild(renderItem(item));
+        });
+      }
+
+      function renderItem(item) {
+        var title = el('div', { className: 'title' }, [
+          el('div', { text: item.name || item.id }),
+          el('div', { className: 'meta-info', text: [item.id, item.releaseInfo, item.imdbRating && ('IMDB ' + item.imdbRating)].filter(Boolean).join(' - ') })
+        ]);
+        if (current.smart) {
+          return el('li', {}, [poster(item.poster), title]);
+        }
+
+        var moveTarget = el('select', {}, [el('option', { value: '', text: 'Move to...' })]);
+        catalogs.forEach(function (catalog) {
+          if ((catalog.type === current.type && catalog.id === current.id) || catalog.catalog_rules) return;
+          moveTarget.appendChild(el('option', { value: catalog.type + '/' + catalog.id, text: catalog.name + ' (' + catalog.type + ')' }));
+        });
+        moveTarget.addEventListener('change', function () {
+          if (!moveTarget.value) return;
+          var target = moveTarget.value.split('/');
+          api('POST', catalogPath(current.type, current.id) + '/items/' + encodeURIComponent(item.id) + '/move', {
+            toType: target[0], toId: target[1]
+          }).then(function (data) {
+            renderCatalog(data.from);
+            showMessage('Moved ' + item.name + ' to ' + data.to.name, 'info');
+            loadCatalogs();
+            loadPreview();
+          }).catch(fail);
+        });
+
+        var remove = el('button', { type: 'button', className: 'danger', text: 'Delete' });
+        remove.addEventListener('click', function () {
+          if (!confirm('Remove ' + item.name + ' from this catalog?')) return;
+          api('DELETE', catalogPath(current.type, current.id) + '/items/' + encodeURIComponent(item.id))
+            .then(function (data) { renderCatalog(data.catalog); loadCatalogs(); loadPreview(); })
+            .catch(fail);
+        });
+
+        var row = el('li', { draggable: 'true' }, [
+          el('span', { className: 'handle', text: '\\u2630' }),
+          poster(item.poster),
+          title,
+          moveTarget,
+          remove
+        ]);
+        row.dataset.id = item.id;
+        return row;
+      }
+
+      function loadPreview() {
+        return api('GET', catalogPath(current.type, current.id) + '/preview').then(function (data) {
+          var grid = document.getElementById('preview');
+          grid.textContent = '';
+          data.metas.forEach(function (meta) {
+            grid.appendChild(el('div', { className: 'tile', title: meta.description || '' }, [
+              poster(meta.poster),
+              el('div', { className: 'name', text: meta.name }),
+              el('div', { className: 'meta-info', text: [meta.releaseInfo, meta.imdbRating && ('\\u2605 ' + meta.imdbRating)].filter(Boolean).join(' ') })
+            ]));
+          });
+        }).catch(fail);
+      }
+
+      // Drag to reorder: rows are moved in the DOM while dragging, the order is saved on drop
+      var list = document.getElementById('items');
+      var dragged = null;
+      list.addEventListener('dragstart', function (event) {
+        dragged = event.target.closest('li');
+        if (!dragged) return;
+        dragged.classList.add('dragging');
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', dragged.dataset.id);
+      });
+      list.addEventListener('dragover', function (event) {
+        var target = event.target.closest('li');
+        if (!dragged || !target || target === dragged) return;
+        event.preventDefault();
+        var rect = target.getBoundingClientRect();
+        var after = event.clientY > rect.top + rect.height / 2;
+        list.insertBefore(dragged, after ? target.nextSibling : target);
+      });
+      list.addEventListener('drop', function (event) {
+        event.preventDefault();
+      });
+      list.addEventListener('dragend', function () {
+        if (!dragged) return;
+        dragged.classList.remove('dragging');
+        dragged = null;
+        var ids = Array.prototype.map.call(list.querySelectorAll('li'), function (row) { return row.dataset.id; });
+        api('PUT', catalogPath(current.type, current.id) + '/items/order', { ids: ids })
+          .then(function (data) { renderCatalog(data.catalog); loadPreview(); })
+          .catch(function (error) { fail(error); openCatalog(current.type, current.id); });
+      });
+
+      document.getElementById('add-form').addEventListener('submit', function (event) {
+        event.preventDefault();
+        var body = { id: document.getElementById('add-id').value.trim() };
+        var name = document.getElementById('add-name').value.trim();
+        if (name) body.name = name;
+        if (document.getElementById('add-position').value === 'start') body.position = 0;
+        api('POST', catalogPath(current.type, current.id) + '/items', body).then(function (data) {
+          document.getElementById('add-id').value = '';
+          document.getElementById('add-name').value = '';
+          renderCatalog(data.catalog);
+          showMessage('Added ' + body.id, 'info');
+          loadCatalogs();
+          loadPreview();
+        }).catch(fail);
+      });
+
+      document.getElementById('rename').addEventListener('click', function () {
+        var changes = {
+          catalog_name: document.getElementById('rename-name').value.trim(),
+          catalog_type: document.getElementById('rename-type').value
+        };
+        api('PATCH', catalogPath(current.type, current.id), changes).then(function (data) {
+          renderCatalog(data.catalog);
+          showMessage('Saved', 'info');
+          loadCatalogs();
+        }).catch(fail);
+      });
+
+      document.getElementById('delete-catalog').addEventListener('click', function () {
+        if (!confirm('Delete the whole catalog ' + current.id + '? A backup of the data file is kept.')) return;
+        api('DELETE', catalogPath(current.type, current.id)).then(function () {
+          current = null;
+          document.getElementById('catalog').classList.add('hidden');
+          document.getElementById('empty').classList.remove('hidden');
+          loadCatalogs();
+        }).catch(fail);
+      });
+
+      document.getElementById('create-form').addEventListener('submit', function (event) {
+        event.preventDefault();
+        api('POST', '/catalogs', {
+          catalog_name: document.getElementById('create-name').value.trim(),
+          catalog_type: document.getElementById('create-type').value
+        }).then(function (data) {
+          document.getElementById('create-name').value = '';
+          openCatalog(data.catalog.type, data.catalog.id);
+        }).catch(fail);
+      });
+
+      document.getElementById('token-form').addEventListener('submit', function (event) {
+        event.preventDefault();
+        localStorage.setItem(TOKEN_KEY, document.getElementById('token').value);
+        api('GET', '/catalogs').then(showApp).catch(function () { showLogin(true); });
+      });
+
+      document.getElementById('logout').addEventListener('click', function () {
+        localStorage.removeItem(TOKEN_KEY);
+        showLogin(false);
+      });
+
+      if (!enabled) return;
+      if (localStorage.getItem(TOKEN_KEY)) showApp();
+      else showLogin(false);
+    })();
+  </script>
+</body>
+</html>`;
+}
+
+module.exports = {
+  renderAdminPage,
+};
@@ -0,0 +1,204 @@
+/**
+ * Configure Page
+ * HTML for /configure, where each family member picks their own view of the addon.
+ * The page builds the user config in the browser and turns it into an install URL.
+ */
+
+/**
+ * Escape text for HTML
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render the configure page
+ * @param {Object} options - Page data
+ * @param {Object} options.manifest - Addon manifest (name, description, logo, background)
+ * @param {Array} options.catalogs - Catalogs to offer: { key: "type:catalog_name", name, type, description }
+ * @param {Array} options.languages - Languages found in the catalog data
+ * @param {Object} options.userConfig - Current user config, to prefill the form (optional)
+ * @returns {string} HTML page
+ */
+function renderConfigurePage({ manifest, catalogs, languages, userConfig = {} }) {
+  const hidden = userConfig.hiddenCatalogs || [];
+  const order = userConfig.catalogOrder || [];
+
+  // Show catalogs in the user's current order
+  const rank = (catalog) => (order.includes(catalog.key) ? order.indexOf(catalog.key) : order.length);
+  const orderedCatalogs = catalogs
+    .map((catalog, index) => ({ catalog, index }))
+    .sort((a, b) => rank(a.catalog) - rank(b.catalog) || a.index - b.index)
+    .map((entry) => entry.catalog);
+
+  const catalogRows = orderedCatalogs
+    .map(
+      (catalog) => `
+        <li class="catalog" data-key="${escapeHtml(catalog.key)}">
+          <label>
+            <input type="checkbox" class="catalog-visible" ${hidden.includes(catalog.key) ? '' : 'checked'}>
+            ${escapeHtml(catalog.name)} <span class="type">${escapeHtml(catalog.type)}</span>
+            ${catalog.description ? `<span class="catalog-description">${escapeHtml(catalog.description)}</span>` : ''}
+          </label>
+          <span class="move">
+            <button type="button" class="up" title="Move up">&#9650;</button>
+            <button type="button" class="down" title="Move down">&#9660;</button>
+          </span>
+        </li>`
+    )
+    .join('');
+
+  const languageOptions = ['<option value="">Any language</option>']
+    .concat(
+      languages.map(
+        (language) =>
+          `<option value="${escapeHtml(language)}" ${userConfig.language && userConfig.language.toLowerCase() === language.toLowerCase() ? 'selected' : ''}>${escapeHtml(language)}</option>`
+      )
+    )
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Configure ${escapeHtml(manifest.name)}</title>
+  <style>
+    * { box-sizing: border-box; }
+    body {
+      margin: 0;
+      min-height: 100vh;
+      font-family: 'Open Sans', Arial, sans-serif;
+      color: #fff;
+      background: #1b1b2f ${manifest.background ? `url('${escapeHtml(manifest.background)}') center / cover fixed` : ''};
+    }
+    main { max-width: 640px; margin: 0 auto; padding: 32px 20px; background: rgba(0, 0, 0, 0.6); min-height: 100vh; }
+    header { display: flex; align-items: center; gap: 16px; }
+    header img { width: 72px; height: 72px; object-fit: contain; }
+    h1 { margin: 0; font-size: 1.8em; }
+    h2 { font-size: 1.1em; margin-top: 28px; border-bottom: 1px solid rgba(255, 255, 255, 0.3); padding-bottom: 6px; }
+    p.description { opacity: 0.8; }
+    ul { list-style: none; padding: 0; margin: 0; }
+    li.catalog { display: flex; justify-content: space-between; align-items: center; padding: 6px 0; }
+    .type { opacity: 0.6; font-size: 0.8em; margin-left: 6px; }
+    .catalog-description { display: block; opacity: 0.6; font-size: 0.8em; margin-left: 24px; }
+    .move button { background: none; border: 1px solid rgba(255, 255, 255, 0.4); color: #fff; cursor: pointer; border-radius: 4px; }
+    .field { display: flex; justify-content: space-between; align-items: center; padding: 8px 0; }
+    input[type=number], select { width: 160px; padding: 4px; }
+    .actions { margin-top: 32px; display: flex; gap: 12px; flex-wrap: wrap; }
+    .actions a, .actions button {
+      padding: 10px 20px; border-radius: 6px; border: none; cursor: pointer;
+      font-size: 1em; text-decoration: none; color: #fff; background: #8a5aab;
+    }
+    .actions button.secondary { background: rgba(255, 255, 255, 0.2); }
+    #manifest-url { margin-top: 16px; word-break: break-all; opacity: 0.8; font-size: 0.85em; }
+  </style>
+</head>
+<body>
+  <main>
+    <header>
+      ${manifest.logo ? `<img src="${escapeHtml(manifest.logo)}" alt="">` : ''}
+      <div>
+        <h1>${escapeHtml(manifest.name)}</h1>
+        <div>v${escapeHtml(manifest.version)}</div>
+      </div>
+    </header>
+    <p class="description">${escapeHtml(manifest.description)}</p>
+
+    <h2>Catalogs</h2>
+    <ul id="catalogs">${catalogRows}
+    </ul>
+
+    <h2>Filters</h2>
+    <div class="field">
+      <label for="minRating">Minimum IMDB rating</label>
+      <input type="number" id="minRating" min="0" max="10" step="0.1" value="${escapeHtml(userConfig.minRating || '')}">
+    </div>
+    <div class="field">
+      <label for="hideAdult">Hide adult titles</label>
+      <input type="checkbox" id="hideAdult" ${userConfig.hideAdult ? 'checked' : ''}>
+    </div>
+    <div class="field">
+      <label for="hideViolent">Hide violent titles</label>
+      <input type="checkbox" id="hideViolent" ${userConfig.hideViolent ? 'checked' : ''}>
+    </div>
+    <div class="field">
+      <label for="language">Language</label>
+      <select id="language">${languageOptions}</select>
+    </div>
+
+    <div class="actions">
+      <a id="install" href="#">Install</a>
+      <button type="button" id="copy" class="secondary">Copy manifest URL</button>
+    </div>
+    <div id="manifest-url"></div>
+  </main>
+  <script>
+    (function () {
+      var list = document.getElementById('catalogs');
+
+      list.addEventListener('click', function (event) {
+        var row = event.target.closest('li.catalog');
+        if (!row) return;
+        if (event.target.classList.contains('up') && row.previousElementSibling) {
+          list.insertBefore(row, row.previousElementSibling);
+        } else if (event.target.classList.contains('down') && row.nextElementSibling) {
+          list.insertBefore(row.nextElementSibling, row);
+        }
+        update();
+      });
+
+      function buildConfig() {
+        var rows = Array.prototype.slice.call(list.querySelectorAll('li.catalog'));
+        var config = {
+          hiddenCatalogs: rows.filter(function (row) {
+            return !row.querySelector('.catalog-visible').checked;
+          }).map(function (row) { return row.dataset.key; }),
+          catalogOrder: rows.map(function (row) { return row.dataset.key; })
+        };
+        var minRating = parseFloat(document.getElementById('minRating').value);
+        if (minRating > 0) config.minRating = minRating;
+        if (document.getElementById('hideAdult').checked) config.hideAdult = true;
+        if (document.getElementById('hideViolent').checked) config.hideViolent = true;
+        var language = document.getElementById('language').value;
+        if (language) config.language = language;
+        return config;
+      }
+
+      function manifestUrl() {
+        var config = encodeURIComponent(JSON.stringify(buildConfig()));
+        return window.location.origin + '/' + config + '/manifest.json';
+      }
+
+      function update() {
+        var url = manifestUrl();
+        document.getElementById('install').href = url.replace(/^https?:\\/\\//, 'stremio://');
+        document.getElementById('manifest-url').textContent = url;
+      }
+
+      document.querySelectorAll('input, select').forEach(function (input) {
+        input.addEventListener('change', update);
+      });
+
+      document.getElementById('copy').addEventListener('click', function () {
+        navigator.clipboard.writeText(manifestUrl());
+      });
+
+      update();
+    })();
+  </script>
+</body>
+</html>`;
+}
+
+module.exports = {
+  renderConfigurePage,
+  escapeHtml,
+};
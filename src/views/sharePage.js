@@ -0,0 +1,85 @@
+/**
+ * Share Page
+ * HTML export of a catalog (/export/{type}/{id}.html): a standalone page with posters and
+ * IMDb links, for sharing a list with people who don't use Stremio
+ */
+
+const { escapeHtml } = require('./configurePage');
+const { getImdbUrl, describeItem } = require('../services/catalogExport');
+
+/**
+ * Render the share page
+ * @param {Object} list - Exported list
+ * @param {string} list.title - Catalog display name
+ * @param {string} list.description - Catalog description (optional)
+ * @param {string} list.subtitle - Applied filters, e.g. "Genre: Crime · Sorted by IMDB Rating" (optional)
+ * @param {Array} list.items - Catalog items
+ * @param {Object} list.manifest - Addon manifest (name, logo), for the footer (optional)
+ * @returns {string} HTML page
+ */
+function renderSharePage({ title, description, subtitle, items, manifest }) {
+  const cards = items
+    .map((item, index) => {
+      const url = getImdbUrl(item);
+      const name = escapeHtml(item.name);
+      const poster = item.poster
+        ? `<img src="${escapeHtml(item.poster)}" alt="" loading="lazy">`
+        : `<div class="no-poster">${name}</div>`;
+      return `
+      <li>
+        ${url ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener">${poster}</a>` : poster}
+        <div class="info">
+          <h2><span class="rank">${index + 1}.</span> ${url ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener">${name}</a>` : name}</h2>
+          <div class="details">${escapeHtml(describeItem(item).join(' · '))}</div>
+          ${item.description ? `<p>${escapeHtml(item.description)}</p>` : ''}
+        </div>
+      </li>`;
+    })
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <meta property="og:title" content="${escapeHtml(title)}">
+  <meta property="og:description" content="${escapeHtml(description || `${items.length} titles${subtitle ? ` · ${subtitle}` : ''}`)}">
+  ${items[0] && items[0].poster ? `<meta property="og:image" content="${escapeHtml(items[0].poster)}">` : ''}
+  <style>
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: 'Open Sans', Arial, sans-serif; color: #eee; background: #1b1b2f; }
+    main { max-width: 860px; margin: 0 auto; padding: 24px 16px; }
+    h1 { margin: 0 0 4px; }
+    .subtitle { opacity: 0.7; margin-bottom: 24px; }
+    .description { margin: 0 0 8px; font-size: 1em; }
+    ul { list-style: none; padding: 0; margin: 0; }
+    li { display: flex; gap: 16px; padding: 12px 0; border-bottom: 1px solid rgba(255, 255, 255, 0.1); }
+    li img, .no-poster { width: 92px; height: 138px; object-fit: cover; border-radius: 4px; flex-shrink: 0; }
+    .no-poster { display: flex; align-items: center; justify-content: center; padding: 6px; text-align: center; font-size: 0.8em; background: #26264a; }
+    h2 { margin: 0 0 4px; font-size: 1.1em; }
+    h2 a { color: inherit; text-decoration: none; }
+    h2 a:hover { text-decoration: underline; }
+    .rank { opacity: 0.5; }
+    .details { opacity: 0.7; font-size: 0.9em; }
+    p { margin: 8px 0 0; font-size: 0.9em; line-height: 1.4; }
+    footer { margin-top: 24px; opacity: 0.5; font-size: 0.85em; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(title)}</h1>
+    ${description ? `<p class="description">${escapeHtml(description)}</p>` : ''}
+    <div class="subtitle">${escapeHtml(`${items.length} titles${subtitle ? ` · ${subtitle}` : ''}`)}</div>
+    <ul>${cards}
+    </ul>
+    ${manifest ? `<footer>Shared from ${escapeHtml(manifest.name)}</footer>` : ''}
+  </main>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderSharePage,
+};
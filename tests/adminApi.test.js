@@ -0,0 +1,203 @@
+/**
+ * Admin API tests
+ * Every change goes through the HTTP API against a temp copy of the catalog data,
+ * so the tests also cover validation, backups and the reload after a write
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'catalog_data.json');
+const TOKEN = 'test-admin-token';
+
+// Read by addonConfig when the app is loaded
+process.env.ADMIN_TOKEN = TOKEN;
+
+const { createApp } = require('../src/app');
+const catalogService = require('../src/services/catalogService');
+const addonConfig = require('../src/config/addonConfig');
+
+/**
+ * Send a request to the admin API
+ * @returns {Promise<Object>} { status, body } (body parsed as JSON)
+ */
+function request(port, method, requestPath, { body, token = TOKEN } = {}) {
+  const payload = body === undefined ? null : typeof body === 'string' ? body : JSON.stringify(body);
+  const headers = { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...(payload ? { 'Content-Type': 'application/json' } : {}) };
+
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: `/admin/api${requestPath}`, headers }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => (text += chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: text ? JSON.parse(text) : null }));
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+/**
+ * Get the addon manifest
+ * @returns {Promise<Object>} Manifest
+ */
+function getManifest(port) {
+  return new Promise((resolve, reject) => {
+    http
+      .get({ host: '127.0.0.1', port, path: '/manifest.json' }, (res) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => (text += chunk));
+        res.on('end', () => resolve(JSON.parse(text)));
+      })
+      .on('error', reject);
+  });
+}
+
+describe('admin API', () => {
+  let tempDir;
+  let dataFile;
+  let server;
+  let port;
+
+  const readData = () => JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+  const itemIds = (catalog) => catalog.items.map((item) => item.id);
+
+  beforeAll(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rkp-admin-'));
+    addonConfig.backupDir = path.join(tempDir, 'backups');
+
+    server = http.createServer(createApp({ catalogDataPath: path.join(tempDir, 'catalog_data.json'), addonName: 'Admin Test' }));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  beforeEach(async () => {
+    // Every load logs the error the file already had
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // A fresh copy per test, with an error the file already had before any edit
+    const data = JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+    data.catalogs.find((catalog) => catalog.catalog_name === 'tamil_web_series').catalog_items.push({ id: 'tt0000001', name: 'Legacy Entry', imdbRating: 11 });
+    dataFile = path.join(tempDir, 'catalog_data.json');
+    fs.writeFileSync(dataFile, JSON.stringify(data, null, 2));
+
+    // The first request loads the addon from the temp file
+    await request(port, 'GET', '/catalogs');
+    catalogService.loadCatalogData(dataFile);
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('rejects requests without a valid token', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect((await request(port, 'GET', '/catalogs', { token: null })).status).toBe(401);
+    expect((await request(port, 'POST', '/catalogs', { token: 'wrong', body: { catalog_name: 'x', catalog_type: 'movie' } })).status).toBe(401);
+    expect(readData().catalogs).toHaveLength(4);
+
+    console.warn.mockRestore();
+  });
+
+  test('lists catalogs that could not be loaded with their problem, and the others as usual', async () => {
+    const data = readData();
+    data.catalogs.push({ catalog_name: 'no_type', catalog_items: [] });
+    fs.writeFileSync(dataFile, JSON.stringify(data, null, 2));
+    catalogService.loadCatalogData(dataFile);
+
+    const response = await request(port, 'GET', '/catalogs');
+
+    expect(response.status).toBe(200);
+    expect(response.body.catalogs).toHaveLength(4);
+    expect(response.body.invalid).toEqual([{ index: 4, type: null, id: 'no_type', problem: 'catalog_type and catalog_name are required' }]);
+  });
+
+  test('creates a catalog in the data file and serves it right away', async () => {
+    const response = await request(port, 'POST', '/catalogs', { body: { catalog_name: ' kamal_classics ', catalog_type: 'movie', display_name: 'Kamal Classics' } });
+
+    expect(response.status).toBe(201);
+    expect(response.body.catalog).toMatchObject({ type: 'movie', id: 'kamal_classics', name: 'Kamal Classics', itemCount: 0, items: [] });
+    expect(readData().catalogs.map((catalog) => catalog.catalog_name)).toContain('kamal_classics');
+    expect(catalogService.getRawCatalog('movie', 'kamal_classics')).not.toBeNull();
+    expect(fs.readdirSync(addonConfig.backupDir).length).toBeGreaterThan(0);
+
+    // The rebuilt addon keeps the options the app was created with
+    const manifest = await getManifest(port);
+    expect(manifest.name).toBe('Admin Test');
+    expect(manifest.catalogs.map((catalog) => catalog.id)).toContain('kamal_classics');
+
+    expect((await request(port, 'POST', '/catalogs', { body: { catalog_name: 'kamal_classics', catalog_type: 'movie' } })).status).toBe(409);
+    expect((await request(port, 'POST', '/catalogs', { body: { catalog_name: 'no_type' } })).status).toBe(400);
+    expect((await request(port, 'POST', '/catalogs', { body: '{"catalog_name":' })).status).toBe(400);
+  });
+
+  test('renames a catalog and changes its settings', async () => {
+    const response = await request(port, 'PATCH', '/catalogs/movie/tamil_thrillers', { body: { catalog_name: 'edge_of_the_seat', genre_min_items: 2 } });
+
+    expect(response.status).toBe(200);
+    expect(response.body.catalog).toMatchObject({ id: 'edge_of_the_seat', genre_min_items: 2 });
+    expect(itemIds(response.body.catalog)).toEqual(['tt6148156', 'tt7060344']);
+    expect(catalogService.getRawCatalog('movie', 'tamil_thrillers')).toBeNull();
+
+    expect((await request(port, 'PATCH', '/catalogs/movie/edge_of_the_seat', { body: { catalog_name: 'best_movies_of_2025' } })).status).toBe(409);
+    expect((await request(port, 'PATCH', '/catalogs/movie/edge_of_the_seat', { body: { unknown: true } })).status).toBe(400);
+    expect((await request(port, 'PATCH', '/catalogs/movie/no_such_catalog', { body: { genre_min_items: 2 } })).status).toBe(404);
+  });
+
+  test('reorders items, listed ids first and the others in their current order', async () => {
+    const response = await request(port, 'PUT', '/catalogs/movie/best_movies_of_2025/items/order', { body: { ids: ['tt7019942', 'tt6148156'] } });
+
+    expect(response.status).toBe(200);
+    expect(itemIds(response.body.catalog)).toEqual(['tt7019942', 'tt6148156', 'tt15097216', 'tt9900782', 'tt10189514']);
+    expect(readData().catalogs[0].catalog_items.map((item) => item.id)).toEqual(itemIds(response.body.catalog));
+
+    expect((await request(port, 'PUT', '/catalogs/movie/best_movies_of_2025/items/order', { body: { ids: 'tt7019942' } })).status).toBe(400);
+  });
+
+  test('only rejects validation errors the change introduces', async () => {
+    // The file already has an invalid rating in tamil_web_series; unrelated edits still go through
+    const renamed = await request(port, 'PATCH', '/catalogs/movie/top_rated', { body: { display_name: 'Top Rated' } });
+    expect(renamed.status).toBe(200);
+
+    const before = fs.readFileSync(dataFile, 'utf8');
+    const added = await request(port, 'POST', '/catalogs/movie/best_movies_of_2025/items', { body: { id: 'tt0000002', name: 'New Entry', imdbRating: 12 } });
+
+    expect(added.status).toBe(422);
+    expect(added.body.problems).toEqual([{ path: 'catalogs[0].catalog_items[5].imdbRating', message: 'must be between 0 and 10 (got 12)' }]);
+    expect(fs.readFileSync(dataFile, 'utf8')).toBe(before);
+
+    // Fixing the error the file had does not make up for a new one
+    const swap = (data) => {
+      data.catalogs[3].catalog_items[1].imdbRating = 8;
+      data.catalogs[0].catalog_items[0].imdbRating = 12;
+    };
+
+    expect(() => catalogService.editCatalogData([dataFile], swap)).toThrow(
+      expect.objectContaining({ errors: [{ path: 'catalogs[0].catalog_items[0].imdbRating', message: 'must be between 0 and 10 (got 12)' }] })
+    );
+    expect(fs.readFileSync(dataFile, 'utf8')).toBe(before);
+  });
+
+  test('imports items into the data file and reloads them', () => {
+    const { importItems } = require('../src/services/catalogEditor');
+    const items = [
+      { id: 'tt7060344', name: 'Ratsasan', imdbRating: 8.3 },
+      { id: 'tt0093603', name: 'Nayakan' },
+    ];
+
+    const [counts] = catalogService.editCatalogData([dataFile], (data) => importItems(data, 'movie', 'tamil_thrillers', items));
+
+    expect(counts).toEqual({ created: false, added: 1, updated: 1, removed: 0 });
+    expect(catalogService.getRawCatalog('movie', 'tamil_thrillers').catalog_items.map((item) => item.id)).toEqual(['tt6148156', 'tt7060344', 'tt0093603']);
+    expect(readData().catalogs[1].catalog_items[1].imdbRating).toBe(8.3);
+  });
+});
@@ -0,0 +1,208 @@
+const path = require('path');
+const catalogService = require('../src/services/catalogService');
+const responseCache = require('../src/services/responseCache');
+const metrics = require('../src/services/metrics');
+const addonConfig = require('../src/config/addonConfig');
+const { handleCatalogRequest } = require('../src/controllers/catalogController');
+const { SEARCH_CATALOG_ID } = require('../src/services/searchIndex');
+
+const ids = (response) => response.metas.map((meta) => meta.id);
+
+// Empty responses counted in the metrics, by reason
+const emptyReasons = () =>
+  metrics.emptyResponses.getSeries().reduce((reasons, series) => ({ ...reasons, [series.labels.reason]: series.value }), {});
+
+describe('handleCatalogRequest', () => {
+  beforeAll(() => {
+    catalogService.loadCatalogData(path.join(__dirname, 'fixtures', 'catalog_data.json'));
+  });
+
+  beforeEach(() => {
+    responseCache.clear();
+    metrics.reset();
+  });
+
+  test('returns the first page of a catalog', async () => {
+    const response = await handleCatalogRequest({ type: 'movie', id: 'best_movies_of_2025', extra: {} });
+
+    expect(ids(response)).toEqual(['tt6148156', 'tt15097216', 'tt9900782', 'tt7019942', 'tt10189514']);
+    expect(response.metas[0]).toMatchObject({ type: 'movie', name: 'Vikram Vedha', poster: expect.any(String) });
+  });
+
+  test('serves pages of PAGE_SIZE items by default', async () => {
+    const pageSize = addonConfig.pageSize;
+    addonConfig.pageSize = 2;
+    try {
+      const first = await handleCatalogRequest({ type: 'movie', id: 'best_movies_of_2025', extra: {} });
+      const third = await handleCatalogRequest({ type: 'movie', id: 'best_movies_of_2025', extra: { skip: '4' } });
+
+      expect(ids(first)).toEqual(['tt6148156', 'tt15097216']);
+      expect(ids(third)).toEqual(['tt10189514']);
+    } finally {
+      addonConfig.pageSize = pageSize;
+    }
+  });
+
+  test('applies skip and limit from extra', async () => {
+    const response = await handleCatalogRequest({ type: 'movie', id: 'best_movies_of_2025', extra: { skip: '1', limit: '2' } });
+    expect(ids(response)).toEqual(['tt15097216', 'tt9900782']);
+  });
+
+  test.each([
+    ['a negative skip', { skip: '-5' }],
+    ['a skip that is not a number', { skip: 'abc' }],
+  ])('starts at the first item for %s', async (name, extra) => {
+    const response = await handleCatalogRequest({ type: 'movie', id: 'best_movies_of_2025', extra });
+    expect(ids(response)[0]).toBe('tt6148156');
+  });
+
+  test.each([
+    ['a negative limit', { limit: '-1' }],
+    ['a limit that is not a number', { limit: 'lots' }],
+  ])('serves a full page for %s', async (name, extra) => {
+    const response = await handleCatalogRequest({ type: 'movie', id: 'best_movies_of_2025', extra });
+    expect(response.metas).toHaveLength(5);
+  });
+
+  test('returns no items past the end of a catalog', async () => {
+    const response = await handleCatalogRequest({ type: 'movie', id: 'best_movies_of_2025', extra: { skip: '100' } });
+
+    expect(response.metas).toEqual([]);
+    expect(emptyReasons()).toEqual({ no_items: 1 });
+  });
+
+  test('filters by genre and sorts', async () => {
+    const response = await handleCatalogRequest({
+      type: 'movie',
+      id: 'best_movies_of_2025',
+      extra: { genre: 'Drama', sort: 'IMDB Rating' },
+    });
+    expect(ids(response)).toEqual(['tt15097216', 'tt10189514', 'tt7019942']);
+  });
+
+  test('searches all catalogs of a type through the search catalog', async () => {
+    const response = await handleCatalogRequest({ type: 'movie', id: SEARCH_CATALOG_ID, extra: { search: 'ratsasan' } });
+    expect(ids(response)).toEqual(['tt7060344']);
+  });
+
+  test.each([
+    ['a missing type', { id: 'best_movies_of_2025' }, 'missing_type'],
+    ['an unsupported type', { type: 'anime', id: 'best_movies_of_2025' }, 'unsupported_type'],
+    ['a missing id', { type: 'movie' }, 'missing_id'],
+    ['an unknown catalog', { type: 'movie', id: 'nope' }, 'unknown_catalog'],
+    ['the search catalog without a query', { type: 'movie', id: SEARCH_CATALOG_ID }, 'no_search_query'],
+    ['a search without results', { type: 'movie', id: SEARCH_CATALOG_ID, extra: { search: 'zzzzzz' } }, 'no_results'],
+  ])('returns an empty list for %s', async (name, args, reason) => {
+    const response = await handleCatalogRequest(args);
+
+    expect(response.metas).toEqual([]);
+    expect(emptyReasons()).toEqual({ [reason]: 1 });
+  });
+
+  test('returns an empty list when nothing is requested', async () => {
+    expect((await handleCatalogRequest(undefined)).metas).toEqual([]);
+  });
+
+  test('serves catalogs the user hid empty', async () => {
+    const config = JSON.stringify({ hiddenCatalogs: ['movie:best_movies_of_2025'] });
+    const response = await handleCatalogRequest({ type: 'movie', id: 'best_movies_of_2025', extra: {}, config });
+
+    expect(response.metas).toEqual([]);
+    expect(emptyReasons()).toEqual({ hidden: 1 });
+  });
+
+  test('applies the user config filters', async () => {
+    const config = JSON.stringify({ minRating: 8.5 });
+    const response = await handleCatalogRequest({ type: 'movie', id: 'best_movies_of_2025', extra: {}, config });
+    expect(ids(response)).toEqual(['tt15097216', 'tt10189514']);
+  });
+
+  test('serves repeated requests from the page cache', async () => {
+    const args = { type: 'movie', id: 'tamil_thrillers', extra: { skip: '0' } };
+    const first = await handleCatalogRequest(args);
+    const hits = responseCache.hits;
+    const second = await handleCatalogRequest({ ...args, extra: { skip: '0' } });
+
+    expect(second).toBe(first);
+    expect(responseCache.hits).toBe(hits + 1);
+  });
+
+  test('keeps the pages of a data version when provider metadata is cached', async () => {
+    const enrichmentService = require('../src/services/enrichmentService');
+    const args = { type: 'movie', id: 'tamil_thrillers', extra: { skip: '0' } };
+    const version = jest.spyOn(enrichmentService, 'getVersion').mockReturnValue(1);
+
+    try {
+      const first = await handleCatalogRequest(args);
+      const size = responseCache.pages.size;
+      version.mockReturnValue(2);
+      const second = await handleCatalogRequest(args);
+
+      expect(second).not.toBe(first);
+      expect(responseCache.pages.size).toBe(size + 1);
+
+      // A page started before the metadata arrived is not served for the new version
+      version.mockReturnValue(3);
+      const key = responseCache.getPageKey(args.type, args.id, args.extra);
+      version.mockReturnValue(4);
+      responseCache.setPage(key, first);
+      expect(await handleCatalogRequest(args)).not.toBe(first);
+    } finally {
+      version.mockRestore();
+    }
+  });
+
+  test('counts cached empty responses with their reason', async () => {
+    const args = { type: 'movie', id: 'best_movies_of_2025', extra: { skip: '100' } };
+    await handleCatalogRequest(args);
+    await handleCatalogRequest(args);
+
+    expect(emptyReasons()).toEqual({ no_items: 2 });
+  });
+});
+
+describe('handleCatalogRequest with catalog display settings', () => {
+  beforeAll(() => {
+    catalogService.loadCatalogData(path.join(__dirname, 'fixtures', 'display_catalog_data.json'));
+  });
+
+  beforeEach(() => {
+    responseCache.clear();
+    metrics.reset();
+  });
+
+  test('serves pages of the catalog page_size', async () => {
+    const first = await handleCatalogRequest({ type: 'movie', id: 'crime_picks', extra: {} });
+    const second = await handleCatalogRequest({ type: 'movie', id: 'crime_picks', extra: { skip: '1' } });
+
+    expect(ids(first)).toEqual(['tt7060344']);
+    expect(ids(second)).toEqual(['tt9900782']);
+  });
+
+  test('still serves hidden catalogs', async () => {
+    const response = await handleCatalogRequest({ type: 'movie', id: 'old_favourites', extra: {} });
+    expect(ids(response)).toEqual(['tt0367495']);
+  });
+
+  test('serves draft catalogs empty', async () => {
+    const response = await handleCatalogRequest({ type: 'movie', id: 'work_in_progress', extra: {} });
+
+    expect(response.metas).toEqual([]);
+    expect(emptyReasons()).toEqual({ draft: 1 });
+  });
+
+  test('leaves hidden and draft catalogs out of the metrics', async () => {
+    await handleCatalogRequest({ type: 'movie', id: 'work_in_progress', extra: {} });
+    const rendered = metrics.render();
+
+    expect(rendered).toContain('catalog="crime_picks"');
+    expect(rendered).not.toContain('old_favourites');
+    expect(rendered).not.toContain('work_in_progress');
+    expect(catalogService.getStats().items).toBe(4);
+  });
+
+  test('treats the "All" genre as no filter', async () => {
+    const response = await handleCatalogRequest({ type: 'movie', id: 'discover_only', extra: { genre: 'All' } });
+    expect(ids(response)).toEqual(['tt15097216']);
+  });
+});
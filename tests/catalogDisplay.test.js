@@ -0,0 +1,41 @@
+const { getCatalogDisplayName, getCatalogPageSize, sortCatalogs, isCatalogListed } = require('../src/services/catalogDisplay');
+const { validateCatalogData } = require('../src/services/catalogValidator');
+
+describe('catalogDisplay', () => {
+  test('falls back to the formatted catalog name', () => {
+    expect(getCatalogDisplayName({ catalog_name: 'tamil_thrillers', display_name: ' Thrillers ' })).toBe('Thrillers');
+    expect(getCatalogDisplayName({ catalog_name: 'tamil_thrillers', display_name: '' })).toBe('Tamil Thrillers');
+  });
+
+  test('uses the default page size unless the catalog sets a valid one', () => {
+    expect(getCatalogPageSize({ page_size: 20 }, 100)).toBe(20);
+    expect(getCatalogPageSize({ page_size: 0 }, 100)).toBe(100);
+    expect(getCatalogPageSize(null, 100)).toBe(100);
+  });
+
+  test('sorts catalogs with an order first and keeps the file order of the rest', () => {
+    const catalogs = [{ catalog_name: 'a' }, { catalog_name: 'b', order: 5 }, { catalog_name: 'c' }, { catalog_name: 'd', order: -1 }];
+    expect(sortCatalogs(catalogs).map((catalog) => catalog.catalog_name)).toEqual(['d', 'b', 'a', 'c']);
+  });
+
+  test('only lists visible catalogs', () => {
+    expect(isCatalogListed({})).toBe(true);
+    expect(isCatalogListed({ visibility: 'hidden' })).toBe(false);
+    expect(isCatalogListed({ visibility: 'draft' })).toBe(false);
+  });
+
+  test('validates the display fields', () => {
+    const catalog = { catalog_name: 'picks', catalog_type: 'movie', catalog_items: [{ id: 'tt7060344', name: 'Ratsasan' }] };
+    const report = validateCatalogData({
+      catalogs: [{ ...catalog, display_name: ' ', order: '1', page_size: 1.5, visibility: 'private', show_in_home: 'no' }],
+    });
+
+    expect(report.errors.map((error) => error.path).sort()).toEqual([
+      'catalogs[0].display_name',
+      'catalogs[0].order',
+      'catalogs[0].page_size',
+      'catalogs[0].show_in_home',
+      'catalogs[0].visibility',
+    ]);
+  });
+});
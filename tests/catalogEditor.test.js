@@ -0,0 +1,81 @@
+const { importItems } = require('../src/services/catalogEditor');
+
+/**
+ * Source data with one catalog
+ */
+function sourceData() {
+  return {
+    catalogs: [
+      {
+        catalog_name: 'tamil_thrillers',
+        catalog_type: 'movie',
+        catalog_items: [
+          { id: 'tt6148156', name: 'Vikram Vedha', poster: 'https://example.com/vikram-vedha.jpg', imdbRating: 8.2 },
+          { id: 'tt7060344', name: 'Ratsasan', imdbRating: 8.3 },
+        ],
+      },
+    ],
+  };
+}
+
+const ids = (data) => data.catalogs[0].catalog_items.map((item) => item.id);
+
+describe('importItems', () => {
+  test('merges: existing items keep their place and get the imported fields, new items are appended', () => {
+    const data = sourceData();
+    const counts = importItems(data, 'movie', 'tamil_thrillers', [
+      { id: 'tt0093603', name: 'Nayakan' },
+      { id: 'tt6148156', name: 'Vikram Vedha', imdbRating: 8.4 },
+      { id: 'tt7060344', name: 'Ratsasan', imdbRating: 8.3 },
+    ]);
+
+    expect(counts).toEqual({ created: false, added: 1, updated: 1, removed: 0 });
+    expect(ids(data)).toEqual(['tt6148156', 'tt7060344', 'tt0093603']);
+    expect(data.catalogs[0].catalog_items[0]).toEqual({ id: 'tt6148156', name: 'Vikram Vedha', poster: 'https://example.com/vikram-vedha.jpg', imdbRating: 8.4 });
+  });
+
+  test('replaces: the catalog becomes the imported items, keeping fields the import does not have', () => {
+    const data = sourceData();
+    const counts = importItems(data, 'movie', 'tamil_thrillers', [{ id: 'tt0093603', name: 'Nayakan' }, { id: 'tt6148156', name: 'Vikram Vedha' }], {
+      mode: 'replace',
+    });
+
+    expect(counts).toEqual({ created: false, added: 1, updated: 0, removed: 1 });
+    expect(ids(data)).toEqual(['tt0093603', 'tt6148156']);
+    expect(data.catalogs[0].catalog_items[1].poster).toBe('https://example.com/vikram-vedha.jpg');
+  });
+
+  test('imports an id listed more than once once, from its first listing', () => {
+    const merged = sourceData();
+    const replaced = sourceData();
+    const items = [
+      { id: 'tt0093603', name: 'Nayakan' },
+      { id: 'tt0093603', name: 'Nayagan', imdbRating: 8.7 },
+      { id: 'tt6148156', name: 'Vikram Vedha' },
+      { id: 'tt6148156', name: 'Vikram Vedha', imdbRating: 9 },
+    ];
+
+    expect(importItems(merged, 'movie', 'tamil_thrillers', items)).toEqual({ created: false, added: 1, updated: 0, removed: 0 });
+    expect(ids(merged)).toEqual(['tt6148156', 'tt7060344', 'tt0093603']);
+    expect(merged.catalogs[0].catalog_items[2]).toEqual({ id: 'tt0093603', name: 'Nayakan' });
+    expect(merged.catalogs[0].catalog_items[0].imdbRating).toBe(8.2);
+
+    expect(importItems(replaced, 'movie', 'tamil_thrillers', items, { mode: 'replace' })).toEqual({ created: false, added: 1, updated: 0, removed: 1 });
+    expect(ids(replaced)).toEqual(['tt0093603', 'tt6148156']);
+  });
+
+  test('creates the catalog if the file does not define it', () => {
+    const data = sourceData();
+
+    expect(importItems(data, 'series', 'tamil_web_series', [{ id: 'tt15516546', name: 'Suzhal' }])).toEqual({ created: true, added: 1, updated: 0, removed: 0 });
+    expect(data.catalogs[1]).toEqual({ catalog_name: 'tamil_web_series', catalog_type: 'series', catalog_items: [{ id: 'tt15516546', name: 'Suzhal' }] });
+  });
+
+  test('rejects unknown modes and smart catalogs', () => {
+    const data = sourceData();
+    data.catalogs.push({ catalog_name: 'top_rated', catalog_type: 'movie', catalog_rules: { min_rating: 8 } });
+
+    expect(() => importItems(data, 'movie', 'tamil_thrillers', [], { mode: 'append' })).toThrow('Unknown import mode: append');
+    expect(() => importItems(data, 'movie', 'top_rated', [{ id: 'tt0093603', name: 'Nayakan' }])).toThrow('is a smart catalog');
+  });
+});
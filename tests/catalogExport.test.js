@@ -0,0 +1,76 @@
+const { toCsv, toTraktJson, toM3u, toMarkdown } = require('../src/services/catalogExport');
+const { renderSharePage } = require('../src/views/sharePage');
+const { parseExport } = require('../src/services/listImport');
+
+// Titles and descriptions with every character the formats have to escape
+const ITEMS = [
+  {
+    id: 'tt6148156',
+    name: 'Vikram "Vedha", Part <1>',
+    releaseInfo: '2017',
+    imdbRating: 8.2,
+    runtime: '2h 27m',
+    genres: ['Action', 'Crime'],
+    director: ['Pushkar', 'Gayathri'],
+    dateAdded: '2025-01-10',
+    poster: 'https://example.com/poster.jpg?a=1&b="2"',
+    description: 'A cop & a gangster\nwho tells *stories*',
+  },
+  { id: 'custom-1', name: 'Home Video <script>alert(1)</script>' },
+];
+
+const LIST = { type: 'movie', title: 'Tamil <Picks> & More', description: 'Cops "and" [gangsters]', subtitle: 'Genre: Crime', items: ITEMS };
+
+describe('catalog exports', () => {
+  test('CSV quotes fields with commas, quotes and newlines, and can be imported again', () => {
+    const csv = toCsv(LIST);
+
+    expect(csv.split('\r\n')[1]).toBe(
+      '1,tt6148156,"Vikram ""Vedha"", Part <1>",Movie,2017,8.2,147,"Action, Crime","Pushkar, Gayathri",2025-01-10,https://www.imdb.com/title/tt6148156/'
+    );
+    expect(parseExport(csv).entries.map((entry) => [entry.id, entry.name])).toEqual([
+      ['tt6148156', 'Vikram "Vedha", Part <1>'],
+      ['custom-1', 'Home Video <script>alert(1)</script>'],
+    ]);
+  });
+
+  test('Trakt JSON can be imported again', () => {
+    const entries = parseExport(toTraktJson(LIST)).entries;
+
+    expect(entries[0]).toMatchObject({ id: 'tt6148156', name: 'Vikram "Vedha", Part <1>', year: '2017', type: 'movie', item: { dateAdded: '2025-01-10' } });
+  });
+
+  test('M3U entries stay on one line per title', () => {
+    expect(toM3u(LIST).split('\n')).toEqual([
+      '#EXTM3U',
+      '#PLAYLIST:Tamil <Picks> & More',
+      '#EXTINF:8820 tvg-id="tt6148156" tvg-logo="https://example.com/poster.jpg?a=1&b=2",Vikram "Vedha", Part <1> (2017)',
+      'https://www.imdb.com/title/tt6148156/',
+      '#EXTINF:-1 tvg-id="custom-1",Home Video <script>alert(1)</script>',
+      'custom-1',
+      '',
+    ]);
+  });
+
+  test('Markdown escapes formatting characters', () => {
+    const markdown = toMarkdown(LIST);
+
+    expect(markdown).toContain('# Tamil \\<Picks\\> & More');
+    expect(markdown).toContain('Cops "and" \\[gangsters\\]');
+    expect(markdown).toContain('1. **[Vikram "Vedha", Part \\<1\\>](https://www.imdb.com/title/tt6148156/)**');
+    expect(markdown).toContain('2. **Home Video \\<script\\>alert(1)\\</script\\>**');
+    expect(markdown).toContain('who tells \\*stories\\*');
+  });
+
+  test('the share page escapes every text and attribute', () => {
+    const html = renderSharePage({ ...LIST, manifest: { name: 'RKP <Favourites>' } });
+
+    expect(html).toContain('<title>Tamil &lt;Picks&gt; &amp; More</title>');
+    expect(html).toContain('<meta property="og:description" content="Cops &quot;and&quot; [gangsters]">');
+    expect(html).toContain('<img src="https://example.com/poster.jpg?a=1&amp;b=&quot;2&quot;" alt="" loading="lazy">');
+    expect(html).toContain('Vikram &quot;Vedha&quot;, Part &lt;1&gt;</a>');
+    expect(html).toContain('<div class="no-poster">Home Video &lt;script&gt;alert(1)&lt;/script&gt;</div>');
+    expect(html).toContain('<footer>Shared from RKP &lt;Favourites&gt;</footer>');
+    expect(html).not.toContain('<script>');
+  });
+});
@@ -0,0 +1,274 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const catalogService = require('../src/services/catalogService');
+const responseCache = require('../src/services/responseCache');
+const addonConfig = require('../src/config/addonConfig');
+const { generateManifest } = require('../src/config/manifest');
+const { handleCatalogRequest } = require('../src/controllers/catalogController');
+const { handleExportRequest } = require('../src/controllers/exportController');
+const { handleListCatalogs, handleGetCatalog } = require('../src/controllers/adminController');
+const { parseScheduleTime, parseDuration, parseCron, getScheduleStatus } = require('../src/services/catalogSchedule');
+const { validateCatalogData } = require('../src/services/catalogValidator');
+
+const at = (time) => Date.parse(time);
+
+describe('catalogSchedule', () => {
+  test('parses dates, optionally with a time and time zone', () => {
+    expect(parseScheduleTime('2026-01-14')).toBe(at('2026-01-14T00:00:00Z'));
+    expect(parseScheduleTime('2026-01-14', { endOfDay: true })).toBe(at('2026-01-15T00:00:00Z'));
+    expect(parseScheduleTime('2026-01-14T18:30', { endOfDay: true })).toBe(at('2026-01-14T18:30:00Z'));
+    expect(parseScheduleTime('2026-01-14T18:30:00+05:30')).toBe(at('2026-01-14T13:00:00Z'));
+    expect(parseScheduleTime('2026-01-14', { offset: 5.5 * 3600 * 1000 })).toBe(at('2026-01-13T18:30:00Z'));
+    expect(parseScheduleTime('2026-02-30')).toBeNull();
+    expect(parseScheduleTime('next friday')).toBeNull();
+  });
+
+  test('parses durations and cron expressions', () => {
+    expect(parseDuration('3d')).toBe(3 * 24 * 3600 * 1000);
+    expect(parseDuration('90m')).toBe(90 * 60 * 1000);
+    expect(parseDuration('0d')).toBeNull();
+
+    const cron = parseCron('*/15 9-17 1,15 * 7');
+    expect(Array.from(cron.minutes)).toEqual([0, 15, 30, 45]);
+    expect(cron.hours.size).toBe(9);
+    expect(cron.weekdays.has(0)).toBe(true);
+    expect(() => parseCron('0 24 * * *')).toThrow('out of range');
+    expect(() => parseCron('0 18 * *')).toThrow('expected 5 fields');
+  });
+
+  test('shows a dated catalog from visible_from through visible_until', () => {
+    const catalog = { visible_from: '2026-01-10', visible_until: '2026-01-20' };
+
+    expect(getScheduleStatus(catalog, at('2026-01-09T12:00:00Z'))).toEqual({ active: false, nextTransition: at('2026-01-10T00:00:00Z'), previousTransition: null });
+    expect(getScheduleStatus(catalog, at('2026-01-20T23:00:00Z'))).toEqual({ active: true, nextTransition: at('2026-01-21T00:00:00Z'), previousTransition: at('2026-01-10T00:00:00Z') });
+    expect(getScheduleStatus(catalog, at('2026-01-21T00:00:00Z'))).toEqual({ active: false, nextTransition: null, previousTransition: at('2026-01-21T00:00:00Z') });
+  });
+
+  test('shows a recurring catalog for its duration after every recurrence', () => {
+    // Every Friday at 18:00 for 3 days; 2026-01-16 is a Friday
+    const catalog = { recurrence: '0 18 * * 5', recurrence_duration: '3d' };
+
+    expect(getScheduleStatus(catalog, at('2026-01-16T17:59:00Z'))).toEqual({ active: false, nextTransition: at('2026-01-16T18:00:00Z'), previousTransition: at('2026-01-12T18:00:00Z') });
+    expect(getScheduleStatus(catalog, at('2026-01-18T09:00:00Z'))).toEqual({ active: true, nextTransition: at('2026-01-19T18:00:00Z'), previousTransition: at('2026-01-16T18:00:00Z') });
+    expect(getScheduleStatus(catalog, at('2026-01-20T09:00:00Z'))).toEqual({ active: false, nextTransition: at('2026-01-23T18:00:00Z'), previousTransition: at('2026-01-19T18:00:00Z') });
+  });
+
+  test('keeps a status until it changes, and computes it again for other times', () => {
+    const catalog = { recurrence: '0 18 * * 5', recurrence_duration: '3d' };
+    const status = getScheduleStatus(catalog, at('2026-01-18T09:00:00Z'));
+
+    expect(getScheduleStatus(catalog, at('2026-01-16T18:00:00Z'))).toBe(status);
+    expect(getScheduleStatus(catalog, at('2026-01-19T17:59:00Z'))).toBe(status);
+    expect(getScheduleStatus(catalog, at('2026-01-19T18:00:00Z'))).toEqual({
+      active: false,
+      nextTransition: at('2026-01-23T18:00:00Z'),
+      previousTransition: at('2026-01-19T18:00:00Z'),
+    });
+    expect(getScheduleStatus(catalog, at('2026-01-16T17:59:00Z')).active).toBe(false);
+    expect(getScheduleStatus(catalog, at('2026-01-17T09:00:00Z')).active).toBe(true);
+  });
+
+  test('combines a recurrence with visible_from and visible_until', () => {
+    // Pongal every year on January 14, for a week, but only from 2027
+    const catalog = { recurrence: '0 0 14 1 *', recurrence_duration: '1w', visible_from: '2027-01-01' };
+
+    expect(getScheduleStatus(catalog, at('2026-01-15T00:00:00Z')).active).toBe(false);
+    expect(getScheduleStatus(catalog, at('2027-01-15T00:00:00Z')).active).toBe(true);
+    expect(getScheduleStatus(catalog, at('2027-02-01T00:00:00Z'))).toEqual({ active: false, nextTransition: at('2028-01-14T00:00:00Z'), previousTransition: at('2027-01-21T00:00:00Z') });
+  });
+
+  test('reads dates without a time zone and cron expressions in SCHEDULE_UTC_OFFSET', () => {
+    const offset = addonConfig.scheduleUtcOffset;
+    addonConfig.scheduleUtcOffset = '+05:30';
+    try {
+      expect(getScheduleStatus({ visible_from: '2026-01-10' }, at('2026-01-09T18:00:00Z')).active).toBe(false);
+      expect(getScheduleStatus({ visible_from: '2026-01-10' }, at('2026-01-09T18:30:00Z')).active).toBe(true);
+      expect(getScheduleStatus({ recurrence: '0 0 * * *', recurrence_duration: '1h' }, at('2026-01-09T18:45:00Z')).active).toBe(true);
+    } finally {
+      addonConfig.scheduleUtcOffset = offset;
+    }
+  });
+
+  test('validates the schedule fields', () => {
+    const catalog = { catalog_name: 'picks', catalog_type: 'movie', catalog_items: [{ id: 'tt7060344', name: 'Ratsasan' }] };
+    const report = validateCatalogData({
+      catalogs: [
+        { ...catalog, visible_from: '2026-01-20', visible_until: '2026-01-10', recurrence: '0 18 * *', recurrence_duration: '3 days' },
+      ],
+    });
+
+    expect(report.errors.map((error) => error.path).sort()).toEqual([
+      'catalogs[0].recurrence',
+      'catalogs[0].recurrence_duration',
+      'catalogs[0].visible_until',
+    ]);
+  });
+});
+
+describe('scheduled catalogs', () => {
+  const ids = (catalogs) => catalogs.map((catalog) => catalog.id || catalog.catalog_name);
+  const CONFIG = { addonId: 'com.example.test', addonVersion: '1.0.0', addonName: 'Test', addonDescription: 'Test', idPrefixes: ['tt'] };
+
+  beforeEach(() => {
+    catalogService.loadCatalogData(path.join(__dirname, 'fixtures', 'scheduled_catalog_data.json'));
+    responseCache.clear();
+  });
+
+  test('lists catalogs only while they are active', () => {
+    const during = at('2026-01-17T12:00:00Z'); // Saturday during Pongal
+    const after = at('2026-01-21T12:00:00Z'); // Wednesday after Pongal
+
+    expect(ids(catalogService.getAllCatalogs({ now: during }))).toEqual(['tamil_classics', 'pongal_releases', 'this_weeks_watch', 'all_picks']);
+    expect(ids(catalogService.getAllCatalogs({ now: after }))).toEqual(['tamil_classics', 'all_picks']);
+    expect(ids(catalogService.getAllCatalogs({ now: after, includeInactive: true }))).toHaveLength(4);
+    expect(ids(generateManifest(CONFIG, { now: after }).catalogs)).toEqual(['tamil_classics', 'all_picks', 'rkp_search']);
+  });
+
+  test('serves catalogs outside their schedule empty', async () => {
+    jest.useFakeTimers({ now: at('2026-01-21T12:00:00Z') });
+    try {
+      const response = await handleCatalogRequest({ type: 'movie', id: 'pongal_releases', extra: {} });
+      expect(response.metas).toEqual([]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('leaves titles only in catalogs outside their schedule out of search, meta, streams and exports', () => {
+    const during = at('2026-01-17T12:00:00Z');
+    const after = at('2026-01-21T12:00:00Z');
+    const search = (now) => ids(catalogService.searchItems('movie', 'vaathi', { now }));
+
+    expect(search(during)).toEqual(['tt15163652']);
+    expect(search(after)).toEqual([]);
+    expect(catalogService.getItemMeta('movie', 'tt15163652', during)).toMatchObject({ name: 'Vaathi' });
+    expect(catalogService.getItemMeta('movie', 'tt15163652', after)).toBeNull();
+    expect(catalogService.getItemStreams('movie', 'tt15163652', after)).toEqual([]);
+
+    jest.useFakeTimers({ now: after });
+    try {
+      expect(() => handleExportRequest('movie', 'pongal_releases', 'json')).toThrow('Catalog not found');
+      expect(handleExportRequest('movie', 'tamil_classics', 'json').body).toContain('Nayakan');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('links and describes scheduled catalogs as of the time asked about', () => {
+    const during = at('2026-01-17T12:00:00Z');
+    const addonUrl = addonConfig.addonUrl;
+    addonConfig.addonUrl = 'https://addon.example.com';
+    try {
+      catalogService.getScheduleState(during);
+      const links = catalogService.getItemMeta('movie', 'tt15163652', during).links.map((link) => link.url.split('/').pop());
+      expect(links).toEqual(['pongal_releases', 'all_picks']);
+    } finally {
+      addonConfig.addonUrl = addonUrl;
+    }
+
+    const pongal = handleListCatalogs(during).catalogs.find((catalog) => catalog.id === 'pongal_releases');
+    expect(pongal.schedule).toEqual({ active: true, nextChange: '2026-01-21T00:00:00.000Z' });
+    expect(handleGetCatalog('movie', 'pongal_releases', during).catalog.schedule.active).toBe(true);
+  });
+
+  test('evaluates smart catalogs again when scheduled catalogs appear or disappear', () => {
+    const picks = (now) => {
+      catalogService.getScheduleState(now);
+      return ids(catalogService.getCatalogItems('movie', 'all_picks', { now }));
+    };
+
+    expect(picks(at('2026-01-17T12:00:00Z'))).toEqual(['tt0093603', 'tt7060344', 'tt15163652']);
+    expect(picks(at('2026-01-21T12:00:00Z'))).toEqual(['tt0093603']);
+    expect(catalogService.getItemMeta('movie', 'tt15163652', at('2026-01-21T12:00:00Z'))).toBeNull();
+  });
+
+  test('announces schedule changes and changes the ETag', () => {
+    const before = responseCache.getEtag(at('2026-01-19T12:00:00Z'));
+    const listener = jest.fn();
+    catalogService.on('scheduleChange', listener);
+    try {
+      expect(responseCache.getEtag(at('2026-01-19T17:00:00Z'))).toBe(before);
+      expect(listener).not.toHaveBeenCalled();
+
+      // this_weeks_watch ends on Monday at 18:00
+      expect(responseCache.getEtag(at('2026-01-19T18:00:00Z'))).not.toBe(before);
+      expect(listener).toHaveBeenCalledWith({ active: ['movie:pongal_releases'], nextTransition: at('2026-01-21T00:00:00Z') });
+    } finally {
+      catalogService.removeListener('scheduleChange', listener);
+    }
+  });
+
+  test('does not let responses be cached past the next transition', () => {
+    const maxAge = addonConfig.cacheMaxAge;
+    const staleRevalidate = addonConfig.cacheStaleRevalidate;
+    addonConfig.cacheMaxAge = 300;
+    addonConfig.cacheStaleRevalidate = 3600;
+    try {
+      // Two minutes before this_weeks_watch ends
+      expect(responseCache.getCacheControl(at('2026-01-19T17:58:00Z'))).toMatch(/^public, max-age=120, s-maxage=120(, stale-if-error=\d+)?$/);
+      // Half an hour before
+      expect(responseCache.getCacheControl(at('2026-01-19T17:30:00Z'))).toMatch(/max-age=300, s-maxage=300, stale-while-revalidate=1500/);
+    } finally {
+      addonConfig.cacheMaxAge = maxAge;
+      addonConfig.cacheStaleRevalidate = staleRevalidate;
+    }
+  });
+});
+
+describe('smart catalogs with released_within_days', () => {
+  let tempDir;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rkp-daily-'));
+    const dataFile = path.join(tempDir, 'catalog_data.json');
+    fs.writeFileSync(
+      dataFile,
+      JSON.stringify({
+        catalogs: [
+          {
+            catalog_name: 'tamil_releases',
+            catalog_type: 'movie',
+            catalog_items: [
+              { id: 'tt15163652', name: 'Vaathi', released: '2026-01-01' },
+              { id: 'tt7060344', name: 'Ratsasan', released: '2026-01-20' },
+            ],
+          },
+          { catalog_name: 'last_30_days', catalog_type: 'movie', catalog_rules: { released_within_days: 30 } },
+        ],
+      })
+    );
+
+    jest.useFakeTimers({ now: at('2026-01-25T12:00:00Z') });
+    try {
+      catalogService.loadCatalogData(dataFile);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('are evaluated again every day', () => {
+    const items = (now) => {
+      catalogService.getScheduleState(now);
+      return catalogService.getCatalogItems('movie', 'last_30_days', { now }).map((item) => item.id);
+    };
+    const listener = jest.fn();
+    catalogService.on('scheduleChange', listener);
+
+    try {
+      expect(items(at('2026-01-25T12:00:00Z'))).toEqual(['tt15163652', 'tt7060344']);
+      expect(catalogService.getScheduleState(at('2026-01-25T12:00:00Z')).nextTransition).toBe(at('2026-01-26T00:00:00Z'));
+      expect(listener).not.toHaveBeenCalled();
+
+      // Vaathi was released more than 30 days before February 1
+      expect(items(at('2026-02-01T00:00:00Z'))).toEqual(['tt7060344']);
+      expect(listener).toHaveBeenCalledTimes(1);
+    } finally {
+      catalogService.removeListener('scheduleChange', listener);
+    }
+  });
+});
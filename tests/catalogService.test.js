@@ -0,0 +1,349 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const catalogService = require('../src/services/catalogService');
+const { resolvePath, expandSources } = require('../src/services/catalogSources');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const CATALOG_DATA = path.join(FIXTURES, 'catalog_data.json');
+
+const ids = (items) => items.map((item) => item.id);
+
+describe('resolvePath', () => {
+  const cwd = process.cwd();
+
+  afterEach(() => {
+    process.chdir(cwd);
+  });
+
+  test('resolves paths relative to the working directory', () => {
+    process.chdir(FIXTURES);
+    expect(resolvePath('catalog_data.json')).toBe(CATALOG_DATA);
+  });
+
+  test('resolves paths relative to the project root', () => {
+    process.chdir(os.tmpdir());
+    expect(resolvePath('tests/fixtures/catalog_data.json')).toBe(CATALOG_DATA);
+  });
+
+  test('accepts absolute paths', () => {
+    process.chdir(os.tmpdir());
+    expect(resolvePath(CATALOG_DATA)).toBe(CATALOG_DATA);
+  });
+
+  test('falls back to the file name in the working directory', () => {
+    process.chdir(FIXTURES);
+    expect(resolvePath('some/other/dir/catalog_data.json')).toBe(CATALOG_DATA);
+  });
+
+  test('returns null for missing paths', () => {
+    expect(resolvePath('does/not/exist.json')).toBeNull();
+  });
+});
+
+describe('expandSources', () => {
+  test('expands directories, globs and lists in configured order', () => {
+    const sourcesDir = path.join(FIXTURES, 'sources');
+
+    expect(expandSources(sourcesDir).files).toEqual([path.join(sourcesDir, 'family_a.json'), path.join(sourcesDir, 'family_b.json')]);
+    expect(expandSources(path.join(sourcesDir, '*_b.json')).files).toEqual([path.join(sourcesDir, 'family_b.json')]);
+    expect(expandSources(`${CATALOG_DATA}, ${sourcesDir}`).files).toHaveLength(3);
+  });
+
+  test('reports entries that do not resolve', () => {
+    const result = expandSources(`${CATALOG_DATA},missing.json`);
+    expect(result.files).toEqual([CATALOG_DATA]);
+    expect(result.missing).toEqual(['missing.json']);
+  });
+});
+
+describe('CatalogService', () => {
+  beforeAll(() => {
+    catalogService.loadCatalogData(CATALOG_DATA);
+  });
+
+  describe('loading', () => {
+    test('loads every catalog of the file', () => {
+      expect(catalogService.getAllCatalogs().map((catalog) => `${catalog.catalog_type}:${catalog.catalog_name}`)).toEqual([
+        'movie:best_movies_of_2025',
+        'movie:tamil_thrillers',
+        'movie:top_rated',
+        'series:tamil_web_series',
+      ]);
+      expect(catalogService.getSupportedTypes()).toEqual(['movie', 'series']);
+      expect(catalogService.dataHash).toMatch(/^[0-9a-f]{16}$/);
+    });
+
+    test('fails with a DataLoadError for missing files', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      expect(() => catalogService.loadCatalogData(path.join(FIXTURES, 'missing.json'))).toThrow('Catalog data file not found');
+      // The last good data stays in place
+      expect(catalogService.catalogExists('movie', 'best_movies_of_2025')).toBe(true);
+      catalogService.loadCatalogData(CATALOG_DATA);
+      console.error.mockRestore();
+    });
+
+    test('merges several sources by priority', () => {
+      catalogService.loadCatalogData(path.join(FIXTURES, 'sources'));
+      try {
+        const items = catalogService.getCatalogItems('movie', 'family_picks');
+        expect(ids(items)).toEqual(['tt9900782', 'tt7060344']);
+        // Family A has the higher priority, its version of the item wins
+        expect(items[0].name).toBe('Kaithi');
+        expect(catalogService.getCatalogSources('movie', 'family_picks').map((source) => source.name)).toEqual(['Family A', 'Family B']);
+        expect(catalogService.getSourceCount()).toBe(2);
+      } finally {
+        catalogService.loadCatalogData(CATALOG_DATA);
+      }
+    });
+  });
+
+  describe('getCatalogItems', () => {
+    test('returns items in file order without options', () => {
+      expect(ids(catalogService.getCatalogItems('movie', 'best_movies_of_2025'))).toEqual([
+        'tt6148156',
+        'tt15097216',
+        'tt9900782',
+        'tt7019942',
+        'tt10189514',
+      ]);
+    });
+
+    test('paginates with skip and limit', () => {
+      const page = (skip, limit) => ids(catalogService.getCatalogItems('movie', 'best_movies_of_2025', { pagination: { skip, limit } }));
+
+      expect(page(0, 2)).toEqual(['tt6148156', 'tt15097216']);
+      expect(page(2, 2)).toEqual(['tt9900782', 'tt7019942']);
+      expect(page(4, 2)).toEqual(['tt10189514']);
+      expect(page(10, 2)).toEqual([]);
+    });
+
+    test('still accepts the old pagination format', () => {
+      expect(ids(catalogService.getCatalogItems('movie', 'best_movies_of_2025', { skip: 1, limit: 1 }))).toEqual(['tt15097216']);
+    });
+
+    test('filters by genre, matching genre synonyms', () => {
+      const byGenre = (genre) => ids(catalogService.getCatalogItems('movie', 'best_movies_of_2025', { pagination: {}, genre }));
+
+      expect(byGenre('Drama')).toEqual(['tt15097216', 'tt7019942', 'tt10189514']);
+      // "Sci-Fi" and "Science Fiction" are the same genre
+      expect(byGenre('Sci-Fi')).toEqual(['tt9900782', 'tt7019942']);
+      expect(byGenre('Western')).toEqual([]);
+    });
+
+    test('paginates after the genre filter', () => {
+      const items = catalogService.getCatalogItems('movie', 'best_movies_of_2025', { pagination: { skip: 1, limit: 1 }, genre: 'Drama' });
+      expect(ids(items)).toEqual(['tt7019942']);
+    });
+
+    test('sorts by a sort option', () => {
+      const items = catalogService.getCatalogItems('movie', 'best_movies_of_2025', { pagination: {}, sort: 'Oldest' });
+      expect(items.map((item) => item.releaseInfo)).toEqual(['2017', '2019', '2019', '2020', '2021']);
+    });
+
+    test('sorts recently added items by date, then the undated ones in file order', () => {
+      const { sortCatalogItems, resolveSortOption } = require('../src/services/catalogSort');
+      const items = [
+        { id: 'tt0000001' },
+        { id: 'tt0000002', dateAdded: '2025-01-10' },
+        { id: 'tt0000003' },
+        { id: 'tt0000004', dateAdded: '2025-03-05' },
+        { id: 'tt0000005', dateAdded: 'someday' },
+      ];
+
+      expect(ids(sortCatalogItems(items, resolveSortOption('Recently Added')))).toEqual(['tt0000004', 'tt0000002', 'tt0000001', 'tt0000003', 'tt0000005']);
+    });
+
+    test('returns an empty list for unknown catalogs', () => {
+      expect(catalogService.getCatalogItems('movie', 'nope')).toEqual([]);
+      expect(catalogService.getCatalogItems('anime', 'best_movies_of_2025')).toEqual([]);
+    });
+
+    test('evaluates smart catalogs', () => {
+      expect(ids(catalogService.getCatalogItems('movie', 'top_rated'))).toEqual(['tt15097216', 'tt10189514', 'tt9900782']);
+    });
+  });
+
+  describe('getCatalogGenres', () => {
+    test('lists the normalized genres of a catalog', () => {
+      expect(catalogService.getCatalogGenres('movie', 'best_movies_of_2025')).toEqual([
+        'Action',
+        'Comedy',
+        'Crime',
+        'Drama',
+        'Mystery',
+        'Sci-Fi',
+        'Thriller',
+      ]);
+      expect(catalogService.getCatalogGenres('movie', 'best_movies_of_2025', { minItems: 2 })).toEqual(['Action', 'Crime', 'Drama', 'Sci-Fi']);
+    });
+  });
+
+  describe('_transformToStremioMeta', () => {
+    test('maps catalog fields to Stremio meta fields', () => {
+      const item = JSON.parse(fs.readFileSync(CATALOG_DATA, 'utf8')).catalogs[0].catalog_items[0];
+
+      expect(catalogService._transformToStremioMeta(item, 'movie')).toEqual({
+        id: 'tt6148156',
+        type: 'movie',
+        name: 'Vikram Vedha',
+        poster: 'https://example.com/posters/vikram-vedha.jpg',
+        background: 'https://example.com/banners/vikram-vedha.jpg',
+        description: 'A cop hunts a gangster who tells him three stories.',
+        releaseInfo: '2017',
+        runtime: '2h 27m',
+        imdbRating: '8.2',
+      });
+    });
+
+    test('leaves out missing fields and fills required ones', () => {
+      expect(catalogService._transformToStremioMeta({ id: 'tt0000001' }, 'series')).toEqual({
+        id: 'tt0000001',
+        type: 'series',
+        name: 'Unknown',
+      });
+    });
+  });
+
+  describe('getItemMeta', () => {
+    test('returns the full meta with fields merged across catalogs', () => {
+      const meta = catalogService.getItemMeta('movie', 'tt6148156');
+
+      expect(meta).toMatchObject({
+        id: 'tt6148156',
+        name: 'Vikram Vedha',
+        genres: ['Action', 'Crime', 'Thriller'],
+        cast: ['R. Madhavan', 'Vijay Sethupathi'],
+        director: ['Pushkar', 'Gayathri'],
+      });
+    });
+
+    test('returns episodes for series', () => {
+      const meta = catalogService.getItemMeta('series', 'tt15516546');
+      expect(meta.videos.map((video) => video.id)).toEqual(['tt15516546:1:1', 'tt15516546:1:2']);
+    });
+
+    test('fills the item from the metadata cache once', () => {
+      const enrichmentService = require('../src/services/enrichmentService');
+      const fillItem = jest.spyOn(enrichmentService, 'fillItem');
+
+      try {
+        catalogService.getItemMeta('movie', 'tt6148156');
+        expect(fillItem).toHaveBeenCalledTimes(1);
+      } finally {
+        fillItem.mockRestore();
+      }
+    });
+
+    test('returns null for items that are not curated for the type', () => {
+      expect(catalogService.getItemMeta('movie', 'tt0000000')).toBeNull();
+      expect(catalogService.getItemMeta('series', 'tt6148156')).toBeNull();
+    });
+  });
+
+  describe('searchItems', () => {
+    test('finds items across catalogs, each once', () => {
+      expect(ids(catalogService.searchItems('movie', 'vikram'))).toEqual(['tt6148156']);
+      expect(ids(catalogService.searchItems('movie', 'ratsasan', { catalogId: 'best_movies_of_2025' }))).toEqual([]);
+    });
+  });
+});
+
+describe('hot reload', () => {
+  let tempDir;
+  let dataFile;
+
+  /**
+   * Wait for the next event of the catalog service
+   * @param {string} event - 'reload' or 'reloadError'
+   * @returns {Promise<*>} Event payload
+   */
+  const next = (event) => new Promise((resolve) => catalogService.once(event, resolve));
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rkp-reload-'));
+    dataFile = path.join(tempDir, 'catalog_data.json');
+    fs.copyFileSync(CATALOG_DATA, dataFile);
+    catalogService.loadCatalogData(dataFile);
+    catalogService.watchCatalogData({ interval: 20, debounceMs: 20 });
+  });
+
+  afterAll(() => {
+    catalogService.unwatchCatalogData();
+    catalogService.loadCatalogData(CATALOG_DATA);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('reloads the catalogs when the data file changes', async () => {
+    const data = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    data.catalogs.push({ catalog_name: 'kamal_classics', catalog_type: 'movie', catalog_items: [{ id: 'tt0093603', name: 'Nayakan' }] });
+    const revision = catalogService.dataRevision;
+    const reloaded = next('reload');
+
+    fs.writeFileSync(dataFile, JSON.stringify(data, null, 2));
+
+    expect(await reloaded).toMatchObject({ revision: revision + 1, dataPaths: [dataFile] });
+    expect(ids(catalogService.getCatalogItems('movie', 'kamal_classics'))).toEqual(['tt0093603']);
+  });
+
+  test('keeps the previous data when the file is not valid JSON', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const dataHash = catalogService.dataHash;
+    const failed = next('reloadError');
+
+    try {
+      fs.writeFileSync(dataFile, '{ "catalogs": [');
+
+      expect((await failed).message).toMatch(/JSON/);
+      expect(catalogService.dataHash).toBe(dataHash);
+      expect(ids(catalogService.getCatalogItems('movie', 'kamal_classics'))).toEqual(['tt0093603']);
+    } finally {
+      console.error.mockRestore();
+    }
+  });
+});
+
+describe('metadata enrichment', () => {
+  const enrichmentService = require('../src/services/enrichmentService');
+  let tempDir;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rkp-enrichment-'));
+    const dataFile = path.join(tempDir, 'catalog_data.json');
+    fs.writeFileSync(
+      dataFile,
+      JSON.stringify({
+        catalogs: [
+          {
+            catalog_name: 'kamal_classics',
+            catalog_type: 'movie',
+            catalog_items: [
+              { id: 'tt0093603', name: 'Nayakan' },
+              { id: 'tt0097075', name: 'Apoorva Sagodharargal', genres: ['Comedy'], imdbRating: '8.1' },
+            ],
+          },
+          { catalog_name: 'highly_rated', catalog_type: 'movie', catalog_rules: { min_rating: 8 } },
+        ],
+      })
+    );
+
+    enrichmentService.configure({ cachePath: null });
+    enrichmentService.cache.set('tt0093603', { genres: ['Crime', 'Drama'], imdbRating: '8.6' }, 'mock');
+    catalogService.loadCatalogData(dataFile);
+  });
+
+  afterAll(() => {
+    enrichmentService.configure({ cachePath: null });
+    catalogService.loadCatalogData(CATALOG_DATA);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('fills what is shown, but sorting, genre filters and smart rules use the catalog data only', () => {
+    expect(catalogService.getItemMeta('movie', 'tt0093603')).toMatchObject({ genres: ['Crime', 'Drama'], imdbRating: '8.6' });
+
+    expect(ids(catalogService.getCatalogItems('movie', 'kamal_classics', { pagination: {}, genre: 'Crime' }))).toEqual([]);
+    expect(catalogService.getCatalogGenreOptions('movie', 'kamal_classics')).not.toContain('Crime');
+    expect(ids(catalogService.getCatalogItems('movie', 'kamal_classics', { pagination: {}, sort: 'rating' }))).toEqual(['tt0097075', 'tt0093603']);
+    expect(ids(catalogService.getCatalogItems('movie', 'highly_rated'))).toEqual(['tt0097075']);
+  });
+});
@@ -0,0 +1,319 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const enrichmentService = require('../src/services/enrichmentService');
+const { createProvider } = require('../src/services/metadataProviders');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Provider stand-in: answers from a table of fields, records its lookups
+ * Ids mapped to an Error fail, ids not in the table are unknown titles
+ */
+function createMockProvider(table) {
+  const provider = {
+    name: 'mock',
+    lookups: [],
+    async fetchMetadata(id, type) {
+      provider.lookups.push(`${type}:${id}`);
+      if (table[id] instanceof Error) {
+        throw table[id];
+      }
+      return table[id] || null;
+    },
+  };
+  return provider;
+}
+
+describe('EnrichmentService', () => {
+  let cacheDir;
+  let cachePath;
+  let provider;
+  let now;
+
+  const configure = (options = {}) =>
+    enrichmentService.configure({ provider, cachePath, ttlMs: 30 * DAY_MS, now: () => now, ...options });
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enrichment-test-'));
+    cachePath = path.join(cacheDir, 'metadata.json');
+    now = Date.UTC(2025, 0, 1);
+    provider = createMockProvider({
+      tt0000001: { poster: 'https://example.com/p1.jpg', description: 'From the provider', runtime: '2h 10m' },
+      tt0000002: { poster: 'https://example.com/p2.jpg', genres: ['Drama'] },
+      tt0000003: new Error('HTTP 500'),
+    });
+  });
+
+  afterEach(async () => {
+    await enrichmentService.flush();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  describe('enrichItems', () => {
+    test('fetches the items and counts the results', async () => {
+      configure();
+      const result = await enrichmentService.enrichItems([
+        { id: 'tt0000001', type: 'movie' },
+        { id: 'tt0000002', type: 'series' },
+        { id: 'tt0000003', type: 'movie' },
+        { id: 'tt0000009', type: 'movie' },
+        { id: 'tt0000001', type: 'movie' }, // Duplicate
+        { id: 'custom-id', type: 'movie' }, // Not an IMDB id
+      ]);
+
+      expect(result).toEqual({ fetched: 2, cached: 0, notFound: 1, failed: [{ id: 'tt0000003', error: 'HTTP 500' }] });
+      expect(provider.lookups).toEqual(['movie:tt0000001', 'series:tt0000002', 'movie:tt0000003', 'movie:tt0000009']);
+    });
+
+    test('skips fresh cache entries and refetches stale ones', async () => {
+      configure();
+      await enrichmentService.enrichItems([{ id: 'tt0000001', type: 'movie' }]);
+
+      now += DAY_MS;
+      expect(await enrichmentService.enrichItems([{ id: 'tt0000001', type: 'movie' }])).toMatchObject({ fetched: 0, cached: 1 });
+
+      now += 30 * DAY_MS;
+      expect(await enrichmentService.enrichItems([{ id: 'tt0000001', type: 'movie' }])).toMatchObject({ fetched: 1, cached: 0 });
+      expect(provider.lookups).toHaveLength(2);
+    });
+
+    test('saves the results to the cache file', async () => {
+      configure();
+      await enrichmentService.enrichItems([{ id: 'tt0000001', type: 'movie' }]);
+
+      // A new process (configure again) reads the file
+      configure({ provider: null });
+      expect(enrichmentService.getCachedFields({ id: 'tt0000001' })).toMatchObject({ poster: 'https://example.com/p1.jpg' });
+    });
+
+    test('requires a provider', async () => {
+      configure({ provider: null });
+      await expect(enrichmentService.enrichItems([{ id: 'tt0000001', type: 'movie' }])).rejects.toThrow('No metadata provider configured');
+    });
+  });
+
+  describe('fillItem', () => {
+    test('only fills the fields an item lacks', async () => {
+      configure();
+      await enrichmentService.enrichItems([{ id: 'tt0000001', type: 'movie' }]);
+
+      const item = { id: 'tt0000001', name: 'Ours', description: 'Our description' };
+      expect(enrichmentService.fillItem(item, 'movie')).toEqual({
+        id: 'tt0000001',
+        name: 'Ours',
+        description: 'Our description',
+        poster: 'https://example.com/p1.jpg',
+        runtime: '2h 10m',
+      });
+      // The data itself is not changed
+      expect(item.poster).toBeUndefined();
+    });
+
+    test('fetches missing metadata in the background when serving', async () => {
+      configure({ fetchInBackground: true });
+      const item = { id: 'tt0000002', name: 'Not cached yet' };
+
+      expect(enrichmentService.fillItem(item, 'series')).toBe(item);
+      await enrichmentService.flush();
+
+      expect(provider.lookups).toEqual(['series:tt0000002']);
+      expect(enrichmentService.fillItem(item, 'series')).toMatchObject({ poster: 'https://example.com/p2.jpg', genres: ['Drama'] });
+      // Caching the result changes the version used in ETags
+      expect(enrichmentService.getVersion()).toBe(now);
+    });
+
+    test('changes its version once a batch of background lookups is done, not with every lookup', async () => {
+      const versions = [];
+      const fetchMetadata = provider.fetchMetadata;
+      provider.fetchMetadata = (id, type) => {
+        versions.push(enrichmentService.getVersion());
+        return fetchMetadata(id, type);
+      };
+      configure({ fetchInBackground: true });
+
+      enrichmentService.fillItem({ id: 'tt0000001', name: 'First' }, 'movie');
+      enrichmentService.fillItem({ id: 'tt0000002', name: 'Second' }, 'series');
+      await enrichmentService.flush();
+
+      expect(versions).toEqual([0, 0]);
+      expect(enrichmentService.getVersion()).toBe(now);
+    });
+
+    test('does not retry failed lookups right away', async () => {
+      configure({ fetchInBackground: true });
+      const item = { id: 'tt0000003', name: 'Failing' };
+
+      enrichmentService.fillItem(item, 'movie');
+      await enrichmentService.flush();
+      enrichmentService.fillItem(item, 'movie');
+      await enrichmentService.flush();
+      expect(provider.lookups).toEqual(['movie:tt0000003']);
+
+      now += 60 * 60 * 1000;
+      enrichmentService.fillItem(item, 'movie');
+      await enrichmentService.flush();
+      expect(provider.lookups).toHaveLength(2);
+    });
+
+    test('leaves complete items and items without an IMDB id alone', () => {
+      configure({ fetchInBackground: true });
+      const complete = {
+        id: 'tt0000001',
+        poster: 'p',
+        banner: 'b',
+        description: 'd',
+        runtime: 'r',
+        releaseInfo: '2020',
+        imdbRating: '8',
+        genres: ['Drama'],
+        cast: ['A'],
+        director: ['B'],
+      };
+
+      expect(enrichmentService.fillItem(complete, 'movie')).toBe(complete);
+      expect(enrichmentService.fillItem({ id: 'custom-id' }, 'movie')).toEqual({ id: 'custom-id' });
+      expect(provider.lookups).toEqual([]);
+    });
+  });
+});
+
+/**
+ * Local stand-in for the TMDB and OMDb APIs, with one movie (Vikram Vedha) and one series (Suzhal)
+ * Records the paths it was asked for
+ */
+function startProviderServer(requests) {
+  const tmdb = {
+    '/find/tt6148156': { movie_results: [{ id: 431880 }], tv_results: [] },
+    '/find/tt15516546': { movie_results: [], tv_results: [{ id: 136443 }] },
+    '/find/tt0000009': { movie_results: [], tv_results: [] },
+    '/movie/431880': {
+      poster_path: '/vikram.jpg',
+      backdrop_path: '/vikram-bg.jpg',
+      overview: 'A cop hunts a gangster.',
+      runtime: 147,
+      release_date: '2017-07-21',
+      genres: [{ name: 'Action' }, { name: 'Crime' }],
+      credits: { cast: [{ name: 'R. Madhavan' }, { name: 'Vijay Sethupathi' }], crew: [{ name: 'Pushkar', job: 'Director' }, { name: 'Sam C. S.', job: 'Music' }] },
+    },
+    '/tv/136443': {
+      poster_path: '/suzhal.jpg',
+      first_air_date: '2022-06-17',
+      last_air_date: '2025-02-28',
+      in_production: false,
+      episode_run_time: [50],
+      created_by: [{ name: 'Pushkar' }, { name: 'Gayathri' }],
+    },
+  };
+  const omdb = {
+    tt6148156: { Response: 'True', Poster: 'https://example.com/omdb/vikram.jpg', Plot: 'N/A', Runtime: '147 min', Year: '2017', imdbRating: '8.2', Genre: 'Action, Crime', Actors: 'R. Madhavan, Vijay Sethupathi', Director: 'Pushkar, Gayathri' },
+    tt15516546: { Response: 'True', Year: '2022–', Genre: 'Crime, Drama', Actors: 'N/A', Director: 'N/A' },
+    tt0000009: { Response: 'False', Error: 'Incorrect IMDb ID.' },
+    tt0000666: { Response: 'False', Error: 'Invalid API key!' },
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url.pathname);
+    const body = url.pathname === '/omdb/' ? omdb[url.searchParams.get('i')] : tmdb[url.pathname.replace(/^\/tmdb/, '')];
+    if (url.pathname === '/tmdb/find/tt0000500') {
+      res.writeHead(500);
+      res.end();
+      return;
+    }
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body || { status_message: 'Not found' }));
+  });
+
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('metadata providers', () => {
+  let server;
+  let baseUrl;
+  let requests;
+
+  beforeAll(async () => {
+    requests = [];
+    server = await startProviderServer(requests);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    requests.length = 0;
+  });
+
+  describe('tmdb', () => {
+    const tmdb = () => createProvider('tmdb', { apiKey: 'key', baseUrl: `${baseUrl}/tmdb`, imageBaseUrl: 'https://img.example.com' });
+
+    test('finds a movie by its IMDB id and maps its details', async () => {
+      expect(await tmdb().fetchMetadata('tt6148156', 'movie')).toEqual({
+        poster: 'https://img.example.com/w500/vikram.jpg',
+        banner: 'https://img.example.com/w1280/vikram-bg.jpg',
+        description: 'A cop hunts a gangster.',
+        runtime: '2h 27m',
+        releaseInfo: '2017',
+        genres: ['Action', 'Crime'],
+        cast: ['R. Madhavan', 'Vijay Sethupathi'],
+        director: ['Pushkar'],
+      });
+      expect(requests).toEqual(['/tmdb/find/tt6148156', '/tmdb/movie/431880']);
+    });
+
+    test('maps series years and creators', async () => {
+      expect(await tmdb().fetchMetadata('tt15516546', 'series')).toMatchObject({ releaseInfo: '2022-2025', runtime: '50m', director: ['Pushkar', 'Gayathri'] });
+    });
+
+    test('knows nothing about unknown ids, and fails on API errors', async () => {
+      expect(await tmdb().fetchMetadata('tt0000009', 'movie')).toBeNull();
+      await expect(tmdb().fetchMetadata('tt0000500', 'movie')).rejects.toThrow('HTTP 500');
+    });
+  });
+
+  describe('omdb', () => {
+    const omdb = () => createProvider('omdb', { apiKey: 'key', baseUrl: `${baseUrl}/omdb/` });
+
+    test('maps the fields and skips "N/A" values', async () => {
+      expect(await omdb().fetchMetadata('tt6148156')).toEqual({
+        poster: 'https://example.com/omdb/vikram.jpg',
+        description: undefined,
+        runtime: '2h 27m',
+        releaseInfo: '2017',
+        imdbRating: '8.2',
+        genres: ['Action', 'Crime'],
+        cast: ['R. Madhavan', 'Vijay Sethupathi'],
+        director: ['Pushkar', 'Gayathri'],
+      });
+      expect(await omdb().fetchMetadata('tt15516546')).toMatchObject({ releaseInfo: '2022-', cast: [], director: [] });
+    });
+
+    test('knows nothing about unknown ids, and fails on API errors', async () => {
+      expect(await omdb().fetchMetadata('tt0000009')).toBeNull();
+      await expect(omdb().fetchMetadata('tt0000666')).rejects.toThrow('OMDb: Invalid API key!');
+    });
+  });
+
+  test('enriches items through a provider served over HTTP', async () => {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enrichment-test-'));
+    try {
+      enrichmentService.configure({
+        provider: 'tmdb',
+        providerOptions: { apiKey: 'key', baseUrl: `${baseUrl}/tmdb`, imageBaseUrl: 'https://img.example.com' },
+        cachePath: path.join(cacheDir, 'metadata.json'),
+      });
+      const result = await enrichmentService.enrichItems([
+        { id: 'tt6148156', type: 'movie' },
+        { id: 'tt0000009', type: 'movie' },
+      ]);
+
+      expect(result).toEqual({ fetched: 1, cached: 0, notFound: 1, failed: [] });
+      expect(enrichmentService.fillItem({ id: 'tt6148156', name: 'Vikram Vedha' }, 'movie')).toMatchObject({ poster: 'https://img.example.com/w500/vikram.jpg' });
+    } finally {
+      await enrichmentService.flush();
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+    }
+  });
+});
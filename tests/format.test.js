@@ -0,0 +1,34 @@
+const { formatCatalogName, formatRuntime } = require('../src/utils/format');
+
+describe('formatCatalogName', () => {
+  test('turns snake case names into title case', () => {
+    expect(formatCatalogName('best_movies_of_2025')).toBe('Best Movies Of 2025');
+    expect(formatCatalogName('tamil_thrillers')).toBe('Tamil Thrillers');
+  });
+
+  test('keeps single words and existing capitals', () => {
+    expect(formatCatalogName('favourites')).toBe('Favourites');
+    expect(formatCatalogName('RKP_picks')).toBe('RKP Picks');
+  });
+
+  test('falls back for missing names', () => {
+    expect(formatCatalogName('')).toBe('Unknown Catalog');
+    expect(formatCatalogName(null)).toBe('Unknown Catalog');
+    expect(formatCatalogName(undefined)).toBe('Unknown Catalog');
+  });
+});
+
+describe('formatRuntime', () => {
+  test('formats minutes as hours and minutes', () => {
+    expect(formatRuntime(147)).toBe('2h 27m');
+    expect(formatRuntime('120')).toBe('2h');
+    expect(formatRuntime(45)).toBe('45m');
+  });
+
+  test('returns null for missing or invalid runtimes', () => {
+    expect(formatRuntime(0)).toBeNull();
+    expect(formatRuntime(-5)).toBeNull();
+    expect(formatRuntime('abc')).toBeNull();
+    expect(formatRuntime(undefined)).toBeNull();
+  });
+});
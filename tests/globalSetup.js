@@ -0,0 +1,14 @@
+/**
+ * Runs once before all test files
+ * Creates the temp directory of this test run; every worker keeps its files in it (see setup.js)
+ * and globalTeardown.js removes it
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+module.exports = () => {
+  // Workers are started after this and inherit the environment
+  process.env.RKP_TEST_TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rkp-favourites-test-'));
+};
@@ -0,0 +1,12 @@
+/**
+ * Runs once after all test files
+ * Removes the temp directory of this test run (metadata and remote caches of every worker)
+ */
+
+const fs = require('fs');
+
+module.exports = () => {
+  if (process.env.RKP_TEST_TEMP_DIR) {
+    fs.rmSync(process.env.RKP_TEST_TEMP_DIR, { recursive: true, force: true });
+  }
+};
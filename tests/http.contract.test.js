@@ -0,0 +1,285 @@
+/**
+ * HTTP contract tests
+ * The Vercel handler (api/index.js) and the standalone server (server.js) must answer every
+ * addon request the same way, with responses that follow the Stremio addon protocol
+ */
+
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+const { SEARCH_CATALOG_ID } = require('../src/services/searchIndex');
+
+const ROOT = path.join(__dirname, '..');
+const STARTUP_TIMEOUT_MS = 20000;
+
+const CONFIG = encodeURIComponent(JSON.stringify({ hiddenCatalogs: ['movie:tamil_thrillers'], minRating: 8.5 }));
+
+// Requests both deployments must answer identically
+const CONTRACT_PATHS = [
+  '/manifest.json',
+  '/catalog/movie/best_movies_of_2025.json',
+  '/catalog/movie/best_movies_of_2025/skip=2.json',
+  '/catalog/movie/best_movies_of_2025/genre=Drama&sort=IMDB%20Rating.json',
+  '/catalog/movie/top_rated.json',
+  '/catalog/series/tamil_web_series.json',
+  `/catalog/movie/${SEARCH_CATALOG_ID}/search=vikram.json`,
+  '/catalog/movie/unknown_catalog.json',
+  '/catalog/anime/best_movies_of_2025.json',
+  '/meta/movie/tt6148156.json',
+  '/meta/series/tt15516546.json',
+  '/meta/movie/tt0000000.json',
+  '/stream/movie/tt6148156.json',
+  '/stream/series/tt15516546:1:2.json',
+  '/stream/movie/tt0000000.json',
+  `/${CONFIG}/manifest.json`,
+  `/${CONFIG}/catalog/movie/best_movies_of_2025.json`,
+  '/export/movie/best_movies_of_2025.csv',
+  '/export/movie/best_movies_of_2025.json?genre=Crime&sort=IMDB%20Rating',
+  '/export/movie/best_movies_of_2025.html',
+  '/export/movie/best_movies_of_2025.csv?sort=Nope',
+  '/export/movie/unknown_catalog.csv',
+  '/no/such/path',
+];
+
+// Headers that are part of the contract
+const CONTRACT_HEADERS = ['content-type', 'content-disposition', 'access-control-allow-origin', 'cache-control', 'etag'];
+
+/**
+ * GET a path
+ * @returns {Promise<Object>} { status, headers, body }
+ */
+function get(port, requestPath, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http
+      .get({ host: '127.0.0.1', port, path: requestPath, headers }, (res) => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => (body += chunk));
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+      })
+      .on('error', reject);
+  });
+}
+
+/**
+ * Start server.js on a free port
+ * @returns {Promise<Object>} { child, port }
+ */
+function startServer() {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['server.js'], {
+      cwd: ROOT,
+      env: { ...process.env, PORT: '0', LOG_LEVEL: 'info', LOG_FORMAT: 'pretty' },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    let output = '';
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`server.js did not start within ${STARTUP_TIMEOUT_MS}ms:\n${output}`));
+    }, STARTUP_TIMEOUT_MS);
+
+    const onOutput = (chunk) => {
+      output += chunk;
+      const match = /manifest available at: http:\/\/127\.0\.0\.1:(\d+)\//.exec(output);
+      if (match) {
+        clearTimeout(timer);
+        resolve({ child, port: Number(match[1]) });
+      }
+    };
+    child.stdout.on('data', onOutput);
+    child.stderr.on('data', onOutput);
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`server.js exited with code ${code}:\n${output}`));
+    });
+  });
+}
+
+describe('HTTP contract', () => {
+  let vercelServer;
+  let vercelPort;
+  let standalone;
+
+  beforeAll(async () => {
+    const handler = require('../api/index.js');
+    vercelServer = http.createServer(handler);
+    await new Promise((resolve) => vercelServer.listen(0, '127.0.0.1', resolve));
+    vercelPort = vercelServer.address().port;
+
+    standalone = await startServer();
+  }, STARTUP_TIMEOUT_MS + 5000);
+
+  afterAll(async () => {
+    if (standalone) {
+      standalone.child.removeAllListeners('exit');
+      standalone.child.kill();
+    }
+    if (vercelServer) {
+      await new Promise((resolve) => vercelServer.close(resolve));
+    }
+  });
+
+  describe('api/index.js and server.js answer the same', () => {
+    test.each(CONTRACT_PATHS)('%s', async (requestPath) => {
+      const [vercel, server] = await Promise.all([get(vercelPort, requestPath), get(standalone.port, requestPath)]);
+
+      expect(server.status).toBe(vercel.status);
+      expect(server.body).toBe(vercel.body);
+      CONTRACT_HEADERS.forEach((header) => {
+        expect([header, server.headers[header]]).toEqual([header, vercel.headers[header]]);
+      });
+    });
+
+    test('/healthz', async () => {
+      const [vercel, server] = await Promise.all([get(vercelPort, '/healthz'), get(standalone.port, '/healthz')]);
+
+      expect(vercel.status).toBe(200);
+      expect(server.status).toBe(200);
+      expect(Object.keys(JSON.parse(server.body))).toEqual(Object.keys(JSON.parse(vercel.body)));
+    });
+  });
+
+  describe('Stremio protocol', () => {
+    test('the manifest declares what Stremio needs', async () => {
+      const response = await get(vercelPort, '/manifest.json');
+      const manifest = JSON.parse(response.body);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['access-control-allow-origin']).toBe('*');
+      expect(response.headers['content-type']).toMatch(/^application\/json/);
+      expect(manifest).toMatchObject({
+        id: expect.any(String),
+        version: expect.stringMatching(/^\d+\.\d+\.\d+/),
+        name: expect.any(String),
+        description: expect.any(String),
+        types: ['movie', 'series'],
+      });
+      expect(manifest.resources).toContain('catalog');
+      manifest.catalogs.forEach((catalog) => {
+        expect(catalog).toMatchObject({ type: expect.any(String), id: expect.any(String), name: expect.any(String) });
+        expect(Array.isArray(catalog.extra)).toBe(true);
+      });
+    });
+
+    test('catalog responses hold metas with an id, type and name', async () => {
+      const response = await get(vercelPort, '/catalog/movie/best_movies_of_2025.json');
+      const { metas } = JSON.parse(response.body);
+
+      expect(metas.length).toBeGreaterThan(0);
+      metas.forEach((meta) => {
+        expect(meta).toMatchObject({ id: expect.stringMatching(/^tt\d+$/), type: 'movie', name: expect.any(String) });
+      });
+    });
+
+    test('meta responses hold one meta, or null for items that are not ours', async () => {
+      const found = JSON.parse((await get(vercelPort, '/meta/series/tt15516546.json')).body);
+      const missing = JSON.parse((await get(vercelPort, '/meta/movie/tt0000000.json')).body);
+
+      expect(found.meta).toMatchObject({ id: 'tt15516546', type: 'series', name: 'Suzhal: The Vortex' });
+      expect(found.meta.videos.length).toBe(2);
+      expect(missing).toEqual({ meta: null });
+    });
+
+    test('stream responses hold a list of streams, empty for items that are not ours', async () => {
+      const found = JSON.parse((await get(vercelPort, '/stream/series/tt15516546:1:2.json')).body);
+      const missing = JSON.parse((await get(vercelPort, '/stream/movie/tt0000000.json')).body);
+
+      expect(found.streams.map((stream) => stream.url || stream.externalUrl)).toEqual([
+        'http://nas.local/suzhal/s01e02.mp4',
+        'https://www.primevideo.com/detail/0QX7YQ1M2RZ6V9DJQW3Y1UX7BQ',
+      ]);
+      expect(missing).toEqual({ streams: [] });
+    });
+
+    test('user configs are applied to manifests and catalogs', async () => {
+      const manifest = JSON.parse((await get(vercelPort, `/${CONFIG}/manifest.json`)).body);
+      const { metas } = JSON.parse((await get(vercelPort, `/${CONFIG}/catalog/movie/best_movies_of_2025.json`)).body);
+
+      expect(manifest.catalogs.map((catalog) => catalog.id)).not.toContain('tamil_thrillers');
+      expect(metas.map((meta) => meta.id)).toEqual(['tt15097216', 'tt10189514']);
+    });
+
+    test('unchanged responses are revalidated with the ETag', async () => {
+      const first = await get(vercelPort, '/catalog/movie/best_movies_of_2025.json');
+      const second = await get(vercelPort, '/catalog/movie/best_movies_of_2025.json', { 'If-None-Match': first.headers.etag });
+
+      expect(first.headers.etag).toMatch(/^".+"$/);
+      expect(second.status).toBe(304);
+      expect(second.body).toBe('');
+    });
+
+    test('paths that are not found are not answered with a 304', async () => {
+      const { headers } = await get(vercelPort, '/catalog/movie/best_movies_of_2025.json');
+      const response = await get(vercelPort, '/meta/movie', { 'If-None-Match': headers.etag });
+
+      expect(response.status).toBe(404);
+      expect(response.headers.etag).not.toBe(headers.etag);
+    });
+
+    test('the ETag changes with the addon version', async () => {
+      const { addonVersion } = require('../src/config/addonConfig');
+      const { headers } = await get(vercelPort, '/manifest.json');
+
+      expect(headers.etag.startsWith(`"${addonVersion}-`)).toBe(true);
+    });
+
+    test('requests get an id', async () => {
+      const generated = await get(vercelPort, '/healthz');
+      const forwarded = await get(vercelPort, '/healthz', { 'X-Request-Id': 'proxy-123' });
+
+      expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f]{16}$/);
+      expect(forwarded.headers['x-request-id']).toBe('proxy-123');
+    });
+  });
+
+  describe('exports', () => {
+    test('CSV exports have the columns of an IMDb list and are downloaded', async () => {
+      const response = await get(vercelPort, '/export/movie/best_movies_of_2025.csv?genre=Crime');
+      const lines = response.body.trimEnd().split('\r\n');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="best_movies_of_2025-crime.csv"');
+      expect(lines[0]).toBe('Position,Const,Title,Title Type,Year,IMDb Rating,Runtime (mins),Genres,Directors,Created,URL');
+      expect(lines.slice(1).map((line) => line.split(',')[1])).toEqual(['tt6148156', 'tt15097216']);
+      expect(lines[1]).toContain('"Action, Crime, Thriller","Pushkar, Gayathri",2025-01-10,https://www.imdb.com/title/tt6148156/');
+    });
+
+    test('JSON exports are Trakt list items in the requested order', async () => {
+      const response = await get(vercelPort, '/export/movie/best_movies_of_2025.json?sort=IMDB%20Rating');
+      const entries = JSON.parse(response.body);
+
+      expect(response.headers['content-type']).toBe('application/json; charset=utf-8');
+      expect(entries[0]).toEqual({
+        rank: 1,
+        listed_at: expect.stringMatching(/^2025-\d\d-\d\dT00:00:00\.000Z$/),
+        type: 'movie',
+        movie: { title: expect.any(String), year: expect.any(Number), ids: { imdb: expect.stringMatching(/^tt\d+$/) } },
+      });
+      expect(entries.map((entry) => entry.movie.ids.imdb).slice(-1)).toEqual(['tt6148156']);
+    });
+
+    test('the share page is shown in the browser and links every title to IMDb', async () => {
+      const response = await get(vercelPort, '/export/movie/best_movies_of_2025.html?genre=Drama');
+
+      expect(response.headers['content-type']).toBe('text/html; charset=utf-8');
+      expect(response.headers['content-disposition']).toBe('inline; filename="best_movies_of_2025-drama.html"');
+      expect(response.body).toContain('<title>Best Movies Of 2025</title>');
+      expect(response.body).toContain('3 titles · Genre: Drama');
+      expect(response.body).toContain('<a href="https://www.imdb.com/title/tt15097216/" target="_blank" rel="noopener">Jai Bhim</a>');
+      expect(response.body).toContain('<footer>Shared from');
+    });
+
+    test('unknown catalogs, formats and options are errors', async () => {
+      const missing = await get(vercelPort, '/export/movie/unknown_catalog.csv');
+      const badSort = await get(vercelPort, '/export/movie/best_movies_of_2025.csv?sort=Nope');
+      const badFormat = await get(vercelPort, '/export/movie/best_movies_of_2025.xlsx');
+
+      expect(missing.status).toBe(404);
+      expect(JSON.parse(missing.body).error).toMatch(/Catalog not found/);
+      expect(badSort.status).toBe(400);
+      expect(badFormat.status).toBe(404);
+    });
+  });
+});
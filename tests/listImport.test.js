@@ -0,0 +1,107 @@
+const { parseCsv, detectFormat, parseExport, resolveEntries } = require('../src/services/listImport');
+
+const IMDB_CSV = [
+  '\uFEFFPosition,Const,Created,Modified,Description,Title,URL,Title Type,IMDb Rating,Runtime (mins),Year,Genres,Num Votes,Release Date,Directors',
+  '1,tt6148156,2025-03-14,2025-03-14,,Vikram Vedha,https://www.imdb.com/title/tt6148156/,Movie,8.2,147,2017,"Action, Crime, Thriller",40000,2017-07-21,"Pushkar, Gayatri"',
+  '2,tt15516546,2025-03-15,2025-03-15,,"Suzhal: The Vortex",https://www.imdb.com/title/tt15516546/,TV Series,8.1,,2022,"Crime, Drama",20000,,',
+  '',
+].join('\r\n');
+
+const LETTERBOXD_CSV = [
+  'Letterboxd list export v7',
+  'Date,Name,Tags,URL,Description',
+  '2025-03-14,Tamil Favourites,,https://boxd.it/abcd,',
+  '',
+  'Position,Name,Year,URL,Description',
+  '1,Nayakan,1987,https://boxd.it/1a2b,',
+  '2,"Vikram Vedha",2017,https://boxd.it/3c4d,"Says ""hello"""',
+  '3,Unknown Film,2001,https://boxd.it/5e6f,',
+].join('\n');
+
+const TRAKT_JSON = JSON.stringify([
+  { rank: 1, listed_at: '2025-03-14T10:00:00.000Z', type: 'movie', movie: { title: 'Ratsasan', year: 2018, ids: { imdb: 'tt7060344' }, runtime: 170 } },
+  { rank: 2, listed_at: '2025-03-15T10:00:00.000Z', type: 'show', show: { title: 'Suzhal', year: 2022, ids: { imdb: 'tt15516546' }, genres: ['crime', 'drama'] } },
+]);
+
+describe('parseCsv', () => {
+  test('handles quotes, escaped quotes, newlines inside quotes and CRLF', () => {
+    expect(parseCsv('a,"b, c","say ""hi""\nthere"\r\n1,2,3')).toEqual([
+      ['a', 'b, c', 'say "hi"\nthere'],
+      ['1', '2', '3'],
+    ]);
+  });
+});
+
+describe('parseExport', () => {
+  test('detects the format from the content', () => {
+    expect(detectFormat(IMDB_CSV)).toBe('imdb');
+    expect(detectFormat(LETTERBOXD_CSV)).toBe('letterboxd');
+    expect(detectFormat(TRAKT_JSON)).toBe('trakt');
+    expect(detectFormat('title,year\nNayakan,1987')).toBeNull();
+    expect(() => parseExport('title,year\nNayakan,1987')).toThrow('Unknown export format');
+  });
+
+  test('reads IMDb exports', () => {
+    const { format, entries } = parseExport(IMDB_CSV);
+
+    expect(format).toBe('imdb');
+    expect(entries).toEqual([
+      {
+        line: 2,
+        id: 'tt6148156',
+        name: 'Vikram Vedha',
+        year: '2017',
+        type: 'movie',
+        item: {
+          releaseInfo: '2017',
+          imdbRating: '8.2',
+          runtime: '2h 27m',
+          genres: ['Action', 'Crime', 'Thriller'],
+          director: ['Pushkar', 'Gayatri'],
+          released: '2017-07-21',
+          dateAdded: '2025-03-14',
+        },
+      },
+      expect.objectContaining({ line: 3, id: 'tt15516546', name: 'Suzhal: The Vortex', type: 'series' }),
+    ]);
+  });
+
+  test('reads the film table of Letterboxd list exports', () => {
+    const { entries } = parseExport(LETTERBOXD_CSV);
+
+    expect(entries.map((entry) => [entry.line, entry.id, entry.name, entry.year])).toEqual([
+      [6, null, 'Nayakan', '1987'],
+      [7, null, 'Vikram Vedha', '2017'],
+      [8, null, 'Unknown Film', '2001'],
+    ]);
+  });
+
+  test('reads Trakt lists', () => {
+    const { entries } = parseExport(TRAKT_JSON);
+
+    expect(entries[0]).toMatchObject({ line: 1, id: 'tt7060344', type: 'movie', item: { releaseInfo: '2018', runtime: '2h 50m', dateAdded: '2025-03-14' } });
+    expect(entries[1]).toMatchObject({ id: 'tt15516546', type: 'series', item: { releaseInfo: '2022-', genres: ['Crime', 'Drama'] } });
+  });
+});
+
+describe('resolveEntries', () => {
+  const knownItems = [
+    { id: 'tt0093603', name: 'Nayakan', releaseInfo: '1987' },
+    { id: 'tt6148156', name: 'Vikram Vedha', releaseInfo: '2017' },
+  ];
+
+  test('matches titles without an id to known items and reports the rest', () => {
+    const { items, unmatched } = resolveEntries(parseExport(LETTERBOXD_CSV).entries, { type: 'movie', knownItems });
+
+    expect(items.map((item) => item.id)).toEqual(['tt0093603', 'tt6148156']);
+    expect(unmatched).toEqual([{ line: 8, name: 'Unknown Film', year: '2001', reason: 'no IMDB id, and no known title matches' }]);
+  });
+
+  test('skips entries of another type and duplicate ids', () => {
+    const entries = parseExport(TRAKT_JSON).entries;
+    const { items, skipped } = resolveEntries(entries.concat(entries[0]), { type: 'movie' });
+
+    expect(items.map((item) => item.id)).toEqual(['tt7060344']);
+    expect(skipped.map((row) => row.reason)).toEqual(['series in a movie catalog', 'duplicate of tt7060344']);
+  });
+});
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const catalogService = require('../src/services/catalogService');
+const { generateManifest, bumpVersion, getDataRevision } = require('../src/config/manifest');
+const { SEARCH_CATALOG_ID } = require('../src/services/searchIndex');
+
+const CONFIG = {
+  addonId: 'com.example.test',
+  addonVersion: '1.2.0',
+  addonName: 'Test Addon',
+  addonDescription: 'Fixture addon',
+  idPrefixes: ['tt'],
+};
+
+describe('generateManifest', () => {
+  let manifest;
+
+  beforeAll(() => {
+    catalogService.loadCatalogData(path.join(__dirname, 'fixtures', 'catalog_data.json'));
+    manifest = generateManifest(CONFIG);
+  });
+
+  const getCatalog = (type, id) => manifest.catalogs.find((catalog) => catalog.type === type && catalog.id === id);
+
+  test('declares the catalog and meta resources for every type, and streams for the types with stream data', () => {
+    expect(manifest).toMatchObject({
+      id: 'com.example.test',
+      version: expect.stringMatching(/^1\.2\.\d+$/),
+      types: ['movie', 'series'],
+      resources: [
+        'catalog',
+        { name: 'meta', types: ['movie', 'series'], idPrefixes: ['tt'] },
+        { name: 'stream', types: ['movie', 'series'], idPrefixes: ['tt'] },
+      ],
+    });
+  });
+
+  test('lists every catalog with a display name, plus a search catalog per type', () => {
+    expect(manifest.catalogs.map((catalog) => `${catalog.type}:${catalog.id}`)).toEqual([
+      'movie:best_movies_of_2025',
+      'movie:tamil_thrillers',
+      'movie:top_rated',
+      'series:tamil_web_series',
+      `movie:${SEARCH_CATALOG_ID}`,
+      `series:${SEARCH_CATALOG_ID}`,
+    ]);
+    expect(getCatalog('movie', 'best_movies_of_2025').name).toBe('Best Movies Of 2025');
+    expect(getCatalog('movie', SEARCH_CATALOG_ID).extra).toContainEqual({ name: 'search', isRequired: true });
+  });
+
+  test('offers skip, sort and genre extras with the catalog genres', () => {
+    const { extra } = getCatalog('movie', 'best_movies_of_2025');
+
+    expect(extra.map((entry) => entry.name)).toEqual(['skip', 'sort', 'genre']);
+    expect(extra.find((entry) => entry.name === 'genre').options).toEqual(
+      expect.arrayContaining(['Action', 'Comedy', 'Crime', 'Drama', 'Mystery', 'Sci-Fi', 'Thriller'])
+    );
+  });
+
+  test('makes the addon configurable', () => {
+    expect(manifest.behaviorHints).toEqual({ configurable: true, configurationRequired: false });
+    expect(Array.isArray(manifest.config)).toBe(true);
+  });
+
+  test('requires the addon id, version, name, description and id prefixes', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(() => generateManifest({ ...CONFIG, addonId: '' })).toThrow('addonId is required');
+    expect(() => generateManifest({ ...CONFIG, idPrefixes: 'tt' })).toThrow('idPrefixes array is required');
+    console.error.mockRestore();
+  });
+});
+
+describe('generateManifest with catalog display settings', () => {
+  let manifest;
+
+  beforeAll(() => {
+    catalogService.loadCatalogData(path.join(__dirname, 'fixtures', 'display_catalog_data.json'));
+    manifest = generateManifest(CONFIG);
+  });
+
+  const getCatalog = (id) => manifest.catalogs.find((catalog) => catalog.type === 'movie' && catalog.id === id);
+
+  test('lists catalogs by order, leaves out hidden and draft catalogs', () => {
+    expect(manifest.catalogs.map((catalog) => catalog.id)).toEqual([
+      'discover_only',
+      'crime_picks',
+      'tamil_classics',
+      SEARCH_CATALOG_ID,
+    ]);
+  });
+
+  test('uses the display name and description', () => {
+    expect(getCatalog('crime_picks')).toMatchObject({
+      name: 'Crime Picks of the Month',
+      description: 'Cops, gangsters and everything in between',
+    });
+    expect(getCatalog('tamil_classics').name).toBe('Tamil Classics');
+    expect(getCatalog('tamil_classics')).not.toHaveProperty('description');
+  });
+
+  test('requires a genre for catalogs that only show in Discover', () => {
+    const catalog = getCatalog('discover_only');
+
+    expect(catalog.extra.find((entry) => entry.name === 'genre')).toEqual({
+      name: 'genre',
+      isRequired: true,
+      options: ['All', 'Crime', 'Drama'],
+    });
+    expect(catalog).toMatchObject({ extraRequired: ['genre'], showInHome: false });
+    expect(getCatalog('crime_picks')).not.toHaveProperty('showInHome');
+  });
+});
+
+describe('bumpVersion', () => {
+  test('adds the data revision to the patch version', () => {
+    expect(bumpVersion('0.2.0', 0)).toBe('0.2.0');
+    expect(bumpVersion('0.2.0', 3)).toBe('0.2.3');
+    expect(bumpVersion('1.0.5-beta', 2)).toBe('1.0.7-beta');
+  });
+});
+
+describe('getDataRevision', () => {
+  test('is when the data or the schedule last changed, in seconds', () => {
+    expect(getDataRevision(Date.UTC(2026, 0, 10, 12), null)).toBe(Date.UTC(2026, 0, 10, 12) / 1000);
+    expect(getDataRevision(Date.UTC(2026, 0, 10, 12), Date.UTC(2026, 0, 14))).toBe(Date.UTC(2026, 0, 14) / 1000);
+    expect(getDataRevision(Date.UTC(2026, 0, 10, 12, 0, 0, 999), Date.UTC(2026, 0, 1))).toBe(Date.UTC(2026, 0, 10, 12) / 1000);
+    expect(getDataRevision(null, null)).toBe(0);
+  });
+
+  test('versions the manifest by its data, also after a restart', () => {
+    catalogService.loadCatalogData(path.join(__dirname, 'fixtures', 'catalog_data.json'));
+    const version = generateManifest(CONFIG).version;
+    catalogService.loadCatalogData(path.join(__dirname, 'fixtures', 'catalog_data.json'));
+
+    expect(generateManifest(CONFIG).version).toBe(version);
+    expect(version).not.toBe('1.2.0');
+  });
+
+  describe('with a data file that changes', () => {
+    let tempDir;
+    let dataFile;
+
+    const patch = (version) => Number(version.split('.')[2]);
+    const write = (data, modifiedAt) => {
+      fs.writeFileSync(dataFile, JSON.stringify(data));
+      fs.utimesSync(dataFile, new Date(modifiedAt), new Date(modifiedAt));
+    };
+
+    beforeAll(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rkp-manifest-'));
+      dataFile = path.join(tempDir, 'catalog_data.json');
+    });
+
+    afterAll(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('never lowers the version on a later reload', () => {
+      const data = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'catalog_data.json'), 'utf8'));
+      const versions = [];
+
+      // Each change is a later file, whatever its content hashes to
+      [Date.UTC(2026, 0, 10), Date.UTC(2026, 0, 11), Date.UTC(2026, 0, 12)].forEach((modifiedAt, index) => {
+        write({ catalogs: data.catalogs.slice(index) }, modifiedAt);
+        catalogService.loadCatalogData(dataFile);
+        versions.push(generateManifest(CONFIG, { now: Date.UTC(2026, 0, 13) }).version);
+      });
+
+      expect(patch(versions[1])).toBeGreaterThan(patch(versions[0]));
+      expect(patch(versions[2])).toBeGreaterThan(patch(versions[1]));
+    });
+
+    test('raises the version when a scheduled catalog appears, and hashes the content only', () => {
+      const data = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'catalog_data.json'), 'utf8'));
+      data.catalogs.push({ catalog_name: 'pongal_releases', catalog_type: 'movie', visible_from: '2026-01-14T00:00:00Z', catalog_items: [] });
+      write(data, Date.UTC(2026, 0, 10));
+      catalogService.loadCatalogData(dataFile);
+
+      const before = generateManifest(CONFIG, { now: Date.UTC(2026, 0, 13) }).version;
+      const after = generateManifest(CONFIG, { now: Date.UTC(2026, 0, 14, 1) }).version;
+      expect(patch(after)).toBeGreaterThan(patch(before));
+
+      const hash = catalogService.dataHash;
+      const copy = path.join(tempDir, 'copy.json');
+      fs.copyFileSync(dataFile, copy);
+      catalogService.loadCatalogData(copy);
+      expect(catalogService.dataHash).toBe(hash);
+    });
+  });
+});
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { RemoteSource, isRemoteSource } = require('../src/services/remoteSource');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'catalog_data.json');
+
+/**
+ * Local stand-in for a gist: serves `state.body` with an ETag, answers If-None-Match with 304
+ * and records the requests it got
+ */
+function startServer(state) {
+  const server = http.createServer((req, res) => {
+    state.requests.push({ url: req.url, ifNoneMatch: req.headers['if-none-match'] || null });
+
+    if (req.url === '/moved.json') {
+      res.writeHead(302, { Location: '/catalog.json' });
+      res.end();
+      return;
+    }
+    if (state.status !== 200) {
+      res.writeHead(state.status);
+      res.end('<html>Server error</html>');
+      return;
+    }
+
+    const etag = `"v${state.version}"`;
+    if (req.headers['if-none-match'] === etag) {
+      res.writeHead(304, { ETag: etag });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json', ETag: etag });
+    res.end(state.body);
+  });
+
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('isRemoteSource', () => {
+  test('recognizes HTTP(S) URLs', () => {
+    expect(isRemoteSource('https://gist.githubusercontent.com/u/1/raw/catalog.json')).toBe(true);
+    expect(isRemoteSource(' http://localhost/catalog.json')).toBe(true);
+    expect(isRemoteSource('./catalog_data.json')).toBe(false);
+    expect(isRemoteSource(null)).toBe(false);
+  });
+});
+
+describe('RemoteSource', () => {
+  let server;
+  let baseUrl;
+  let state;
+  let cacheDir;
+  let now;
+
+  beforeAll(async () => {
+    state = { requests: [] };
+    server = await startServer(state);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    Object.assign(state, { requests: [], status: 200, version: 1, body: JSON.stringify({ catalogs: [] }) });
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'remote-source-test-'));
+    now = 1000000;
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  const createSource = (options = {}) =>
+    new RemoteSource(`${baseUrl}/catalog.json`, { ttlMs: 60000, cacheDir, now: () => now, ...options });
+
+  test('fetches the data', async () => {
+    const source = createSource();
+
+    expect(await source.refresh()).toBe(true);
+    expect(source.read()).toBe(state.body);
+    expect(source.origin).toBe('remote');
+  });
+
+  test('fetches at most once per TTL', async () => {
+    const source = createSource();
+    await source.refresh();
+
+    now += 30000;
+    expect(await source.refresh()).toBe(false);
+    expect(state.requests).toHaveLength(1);
+
+    now += 30000;
+    await source.refresh();
+    expect(state.requests).toHaveLength(2);
+  });
+
+  test('revalidates with the ETag and keeps the data on 304', async () => {
+    const source = createSource();
+    await source.refresh();
+
+    expect(await source.refresh({ force: true })).toBe(false);
+    expect(state.requests[1].ifNoneMatch).toBe('"v1"');
+    expect(source.read()).toBe(state.body);
+  });
+
+  test('picks up changed data', async () => {
+    const source = createSource();
+    await source.refresh();
+
+    Object.assign(state, { version: 2, body: JSON.stringify({ catalogs: [{ catalog_name: 'new', catalog_type: 'movie' }] }) });
+    expect(await source.refresh({ force: true })).toBe(true);
+    expect(JSON.parse(source.read()).catalogs[0].catalog_name).toBe('new');
+  });
+
+  test('follows redirects', async () => {
+    const source = new RemoteSource(`${baseUrl}/moved.json`, { cacheDir, now: () => now });
+
+    expect(await source.refresh()).toBe(true);
+    expect(state.requests.map((request) => request.url)).toEqual(['/moved.json', '/catalog.json']);
+  });
+
+  test('keeps the last good copy when the server fails or serves broken data', async () => {
+    const source = createSource();
+    await source.refresh();
+    const good = source.read();
+
+    state.status = 500;
+    expect(await source.refresh({ force: true })).toBe(false);
+    expect(source.read()).toBe(good);
+
+    Object.assign(state, { status: 200, version: 3, body: '{ "catalogs": [' });
+    expect(await source.refresh({ force: true })).toBe(false);
+    expect(source.read()).toBe(good);
+  });
+
+  test('restores the last good copy from disk, e.g. after a restart', async () => {
+    await createSource().refresh();
+
+    state.status = 503;
+    const restarted = createSource();
+    await restarted.refresh();
+
+    expect(restarted.read()).toBe(state.body);
+    expect(restarted.origin).toBe('cache');
+    // The disk copy's ETag was sent along
+    expect(state.requests[1].ifNoneMatch).toBe('"v1"');
+  });
+
+  test('falls back to the bundled file when nothing was fetched yet', async () => {
+    state.status = 500;
+    const source = createSource({ fallbackPath: FIXTURE });
+    await source.refresh();
+
+    expect(source.read()).toBe(fs.readFileSync(FIXTURE, 'utf8'));
+    expect(source.origin).toBe('fallback');
+  });
+
+  test('fails without any copy of the data', async () => {
+    state.status = 404;
+    const source = createSource({ cacheDir: null });
+    await source.refresh();
+
+    expect(() => source.read()).toThrow('could not be fetched and no fallback copy is available');
+  });
+});
+
+describe('remote catalog data in CatalogService', () => {
+  const catalogService = require('../src/services/catalogService');
+  const fixture = fs.readFileSync(FIXTURE, 'utf8');
+  let server;
+  let url;
+  let state;
+
+  beforeAll(async () => {
+    state = { requests: [], status: 200, version: 1, body: fixture };
+    server = await startServer(state);
+    url = `http://127.0.0.1:${server.address().port}/catalog.json`;
+
+    await catalogService.fetchRemoteSources(url);
+    catalogService.loadCatalogData(url);
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  const catalogNames = () => catalogService.getAllCatalogs().map((catalog) => catalog.catalog_name);
+
+  test('serves the catalogs of the remote data', () => {
+    expect(catalogNames()).toContain('best_movies_of_2025');
+    expect(state.requests).toHaveLength(1);
+  });
+
+  test('reloads when the remote data changed', async () => {
+    const data = JSON.parse(fixture);
+    data.catalogs.push({ catalog_name: 'gist_picks', catalog_type: 'movie', catalog_items: [{ id: 'tt7060344', name: 'Ratsasan' }] });
+    Object.assign(state, { version: 2, body: JSON.stringify(data) });
+
+    expect(await catalogService.refreshRemoteSources({ force: true })).toBe(true);
+    expect(catalogNames()).toContain('gist_picks');
+  });
+
+  test('does not reload when the remote data is unchanged', async () => {
+    const revision = catalogService.dataRevision;
+
+    expect(await catalogService.refreshRemoteSources({ force: true })).toBe(false);
+    expect(catalogService.dataRevision).toBe(revision);
+  });
+
+  test('keeps serving the last good data when the remote data is not catalog data', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    Object.assign(state, { version: 3, body: JSON.stringify({ catalogs: 'none' }) });
+
+    expect(await catalogService.refreshRemoteSources({ force: true })).toBe(false);
+    expect(catalogNames()).toContain('gist_picks');
+    console.error.mockRestore();
+  });
+});
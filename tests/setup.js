@@ -0,0 +1,23 @@
+/**
+ * Test environment, set before any module of the addon is loaded
+ * Keeps the tests off the real data, caches and network and quiets the logger
+ */
+
+const os = require('os');
+const path = require('path');
+
+// One directory per worker, inside the directory of the test run (see globalSetup.js)
+const tempDir = path.join(process.env.RKP_TEST_TEMP_DIR || os.tmpdir(), `rkp-favourites-test-${process.pid}`);
+
+process.env.LOG_LEVEL = process.env.TEST_LOG_LEVEL || 'error';
+process.env.LOG_FORMAT = 'pretty';
+process.env.ACCESS_LOG = 'false';
+process.env.CATALOG_DATA_PATH = path.join(__dirname, 'fixtures', 'catalog_data.json');
+process.env.WATCH_CATALOG_DATA = 'false';
+process.env.METADATA_CACHE_PATH = path.join(tempDir, 'metadata.json');
+process.env.REMOTE_CACHE_DIR = path.join(tempDir, 'remote');
+delete process.env.ENRICH_PROVIDER;
+delete process.env.ADMIN_TOKEN;
+delete process.env.METRICS_TOKEN;
+delete process.env.VERCEL;
+delete process.env.SURPRISE_CATALOG;
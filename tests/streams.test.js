@@ -0,0 +1,140 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const catalogService = require('../src/services/catalogService');
+const { generateManifest } = require('../src/config/manifest');
+const { handleStreamRequest } = require('../src/controllers/streamController');
+const { validateCatalogData } = require('../src/services/catalogValidator');
+const { getServiceName, hasStreamData, toStremioStreams } = require('../src/services/streams');
+
+const CONFIG = { addonId: 'com.example.test', addonVersion: '1.0.0', addonName: 'Test', addonDescription: 'Test', idPrefixes: ['tt'] };
+
+describe('streams', () => {
+  test('names streaming services by their host', () => {
+    expect(getServiceName('https://www.netflix.com/title/81234567')).toBe('Netflix');
+    expect(getServiceName('https://www.primevideo.com/detail/0KXSF6ZCAR0ROZ4SKBIY1KUKEU')).toBe('Prime Video');
+    expect(getServiceName('https://www.hotstar.com/in/movies/vikram/1260123456')).toBe('Disney+ Hotstar');
+    expect(getServiceName('https://example.com/watch')).toBeNull();
+    expect(getServiceName('not a url')).toBeNull();
+  });
+
+  test('only items with trailers, streaming links or media files have stream data', () => {
+    expect(hasStreamData({ trailers: ['Wfk1RAWAEX0'] })).toBe(true);
+    expect(hasStreamData({ watchOn: ['https://www.netflix.com/title/81234567'] })).toBe(true);
+    expect(hasStreamData({ mediaFiles: [{ url: 'http://nas.local/movie.mkv' }] })).toBe(true);
+    expect(hasStreamData({ trailers: [], watchOn: [], mediaFiles: [{ title: 'no url' }] })).toBe(false);
+  });
+
+  test('builds media files, then streaming services, then trailers', () => {
+    const streams = toStremioStreams(
+      {
+        trailers: [{ source: 'Wfk1RAWAEX0', type: 'Teaser' }],
+        watchOn: ['https://www.netflix.com/title/81234567', { service: 'Aha', url: 'aha://movie/123' }],
+        mediaFiles: ['http://192.168.1.20:8096/movies/Vikram%20Vedha.mkv'],
+      },
+      { addonName: 'Test', bingeGroup: 'com.example.test-tt6148156' }
+    );
+
+    expect(streams).toEqual([
+      {
+        url: 'http://192.168.1.20:8096/movies/Vikram%20Vedha.mkv',
+        name: 'Test',
+        description: 'Home media server',
+        behaviorHints: { notWebReady: true, bingeGroup: 'com.example.test-tt6148156', filename: 'Vikram Vedha.mkv' },
+      },
+      { externalUrl: 'https://www.netflix.com/title/81234567', name: 'Netflix', description: 'Watch on Netflix' },
+      { externalUrl: 'aha://movie/123', name: 'Aha', description: 'Watch on Aha' },
+      { ytId: 'Wfk1RAWAEX0', name: 'Test', description: 'Teaser' },
+    ]);
+  });
+
+  test('only offers the media files of the requested episode', () => {
+    const item = {
+      mediaFiles: [
+        { url: 'http://nas.local/s01e01.mp4', season: 1, episode: 1, webReady: true },
+        { url: 'http://nas.local/s01e02.mp4', season: 1, episode: 2, webReady: true },
+        { url: 'http://nas.local/extras/making-of.mp4', webReady: true },
+      ],
+    };
+
+    expect(toStremioStreams(item, { season: 1, episode: 2 }).map((stream) => stream.url)).toEqual([
+      'http://nas.local/s01e02.mp4',
+      'http://nas.local/extras/making-of.mp4',
+    ]);
+    expect(toStremioStreams(item).map((stream) => stream.url)).toEqual(['http://nas.local/extras/making-of.mp4']);
+    expect(toStremioStreams(item, { season: 1, episode: 1 })[0].behaviorHints).toEqual({ filename: 's01e01.mp4' });
+  });
+
+  test('rejects media files that Stremio cannot play', () => {
+    const result = validateCatalogData({
+      catalogs: [
+        {
+          catalog_name: 'streams',
+          catalog_type: 'movie',
+          catalog_items: [
+            {
+              id: 'tt6148156',
+              name: 'Vikram Vedha',
+              watchOn: ['hotstar://movie/1260123456', { service: '' }],
+              mediaFiles: ['smb://nas/movies/vikram-vedha.mkv', { url: 'http://nas.local/v.mkv', webReady: 'yes' }],
+            },
+          ],
+        },
+      ],
+    });
+
+    expect(result.errors.map((error) => error.path)).toEqual([
+      'catalogs[0].catalog_items[0].watchOn[1]',
+      'catalogs[0].catalog_items[0].mediaFiles[0]',
+      'catalogs[0].catalog_items[0].mediaFiles[1].webReady',
+    ]);
+  });
+});
+
+describe('stream resource', () => {
+  beforeAll(() => {
+    catalogService.loadCatalogData(path.join(__dirname, 'fixtures', 'catalog_data.json'));
+  });
+
+  test('serves the streams of curated items and episodes', async () => {
+    const movie = await handleStreamRequest({ type: 'movie', id: 'tt6148156' });
+    const episode = await handleStreamRequest({ type: 'series', id: 'tt15516546:1:1' });
+
+    expect(movie.streams.map((stream) => stream.name)).toEqual(['RKP Favourites', 'Prime Video', 'RKP Favourites']);
+    expect(movie.streams[0].behaviorHints).toMatchObject({ notWebReady: true, filename: 'Vikram Vedha (2017).mkv' });
+    expect(episode.streams[0]).toMatchObject({ url: 'http://nas.local/suzhal/s01e01.mp4', behaviorHints: { bingeGroup: 'com.rkp.favourites-tt15516546' } });
+  });
+
+  test('has no streams for items that are not ours or of another type', async () => {
+    expect(await handleStreamRequest({ type: 'movie', id: 'tt0000000' })).toEqual({ streams: [] });
+    expect(await handleStreamRequest({ type: 'series', id: 'tt6148156' })).toEqual({ streams: [] });
+    expect(await handleStreamRequest({ type: 'movie', id: 'tt15097216' })).toEqual({ streams: [] });
+  });
+
+  test('is left out of the manifest when no item has stream data', () => {
+    catalogService.loadCatalogData(path.join(__dirname, 'fixtures', 'display_catalog_data.json'));
+
+    expect(generateManifest(CONFIG).resources.map((resource) => resource.name || resource)).toEqual(['catalog', 'meta']);
+  });
+
+  test('is left out of the manifest when only drafts have stream data', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rkp-streams-'));
+    const dataFile = path.join(tempDir, 'catalog_data.json');
+    const data = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'display_catalog_data.json'), 'utf8'));
+    data.catalogs.push({
+      catalog_name: 'upcoming_picks',
+      catalog_type: 'series',
+      visibility: 'draft',
+      catalog_items: [{ id: 'tt15516546', name: 'Suzhal', trailers: ['Wfk1RAWAEX0'] }],
+    });
+    fs.writeFileSync(dataFile, JSON.stringify(data));
+
+    try {
+      catalogService.loadCatalogData(dataFile);
+      expect(catalogService.getStreamTypes()).toEqual([]);
+      expect(generateManifest(CONFIG).resources.map((resource) => resource.name || resource)).toEqual(['catalog', 'meta']);
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+});
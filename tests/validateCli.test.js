@@ -0,0 +1,77 @@
+/**
+ * Validate CLI tests
+ * Runs scripts/validate.js like CI and the Python pipeline do, and checks its exit codes and output
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Run the validate CLI
+ * @param {Array} args - Command line arguments
+ * @returns {Object} { status, stdout, stderr }
+ */
+function validate(args) {
+  const result = spawnSync(process.execPath, ['scripts/validate.js', ...args], { cwd: ROOT, encoding: 'utf8', timeout: 20000 });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+describe('validate CLI', () => {
+  let tempDir;
+  let invalidFile;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rkp-validate-'));
+    invalidFile = path.join(tempDir, 'invalid.json');
+    fs.writeFileSync(invalidFile, JSON.stringify({ catalogs: [{ catalog_name: 'broken', catalog_type: 'movie', catalog_items: [{ id: 'tt6148156' }] }] }));
+    fs.writeFileSync(path.join(tempDir, 'not_json.json'), '{ "catalogs": [');
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('exits with 0 for valid data, also with warnings', () => {
+    const { status, stdout } = validate([path.join(FIXTURES, 'catalog_data.json')]);
+
+    expect(status).toBe(0);
+    expect(stdout).toMatch(/0 error\(s\), 1 warning\(s\) - OK/);
+  });
+
+  test('exits with 1 for validation errors, and for warnings with --fail-on-warnings', () => {
+    const invalid = validate([invalidFile]);
+    const warnings = validate([path.join(FIXTURES, 'catalog_data.json'), '--fail-on-warnings']);
+
+    expect(invalid.status).toBe(1);
+    expect(invalid.stdout).toContain('catalogs[0].catalog_items[0].name: is required');
+    expect(warnings.status).toBe(1);
+    expect(warnings.stdout).toMatch(/1 warning\(s\) - FAILED/);
+  });
+
+  test('exits with 2 for missing files and files that are not JSON', () => {
+    const missing = validate([path.join(tempDir, 'missing.json')]);
+    const notJson = validate([path.join(tempDir, 'not_json.json')]);
+
+    expect(missing.status).toBe(2);
+    expect(missing.stderr).toContain('Source not found');
+    expect(notJson.status).toBe(2);
+    expect(notJson.stderr).toMatch(/Cannot read .*not_json\.json/);
+  });
+
+  test('prints an array of results with --json, for one file or several', () => {
+    const one = validate([path.join(FIXTURES, 'catalog_data.json'), '--json']);
+    const several = validate([tempDir, '--json']);
+
+    expect(JSON.parse(one.stdout)).toEqual([expect.objectContaining({ file: expect.stringContaining('catalog_data.json'), valid: true, errors: [] })]);
+    expect(several.status).toBe(2);
+    expect(JSON.parse(several.stdout).map((result) => [path.basename(result.file), result.valid, Boolean(result.fatal)])).toEqual([
+      ['invalid.json', false, false],
+      ['not_json.json', false, true],
+    ]);
+  });
+});
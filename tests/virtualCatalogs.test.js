@@ -0,0 +1,161 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const catalogService = require('../src/services/catalogService');
+const responseCache = require('../src/services/responseCache');
+const addonConfig = require('../src/config/addonConfig');
+const { generateManifest } = require('../src/config/manifest');
+const { handleCatalogRequest } = require('../src/controllers/catalogController');
+const { SURPRISE_CATALOG_ID, FEATURED_CATALOG_ID, shuffleItems, rotateItems } = require('../src/services/virtualCatalogs');
+
+const CATALOG_DATA = path.join(__dirname, 'fixtures', 'catalog_data.json');
+const CONFIG = { addonId: 'com.example.test', addonVersion: '1.0.0', addonName: 'Test', addonDescription: 'Test', idPrefixes: ['tt'] };
+const MOVIES = ['tt6148156', 'tt15097216', 'tt9900782', 'tt7019942', 'tt10189514', 'tt7060344'];
+
+const at = (time) => Date.parse(time);
+const ids = (items) => items.map((item) => item.id);
+
+describe('virtualCatalogs', () => {
+  test('shuffles in the same order for the same seed', () => {
+    const items = Array.from({ length: 20 }, (value, index) => index);
+
+    expect(shuffleItems(items, 'movie:rkp_surprise:1')).toEqual(shuffleItems(items, 'movie:rkp_surprise:1'));
+    expect(shuffleItems(items, 'movie:rkp_surprise:1')).not.toEqual(shuffleItems(items, 'movie:rkp_surprise:2'));
+    expect(shuffleItems(items, 'movie:rkp_surprise:1').slice().sort((a, b) => a - b)).toEqual(items);
+  });
+
+  test('rotates through every item before repeating one', () => {
+    const items = ['a', 'b', 'c', 'd', 'e'];
+
+    expect(rotateItems(items, 0, 2)).toEqual(['a', 'b']);
+    expect(rotateItems(items, 1, 2)).toEqual(['c', 'd']);
+    expect(rotateItems(items, 2, 2)).toEqual(['e', 'a']);
+    expect(rotateItems(items, 7, 10)).toEqual(items);
+  });
+});
+
+describe('virtual catalogs in CatalogService', () => {
+  const featuredSources = addonConfig.featuredCatalogSources;
+  const featuredSize = addonConfig.featuredCatalogSize;
+
+  beforeAll(() => {
+    addonConfig.surpriseCatalog = true;
+    addonConfig.featuredCatalogSources = ['best_movies_of_2025', 'tamil_web_series'];
+    addonConfig.featuredCatalogSize = 2;
+    catalogService.loadCatalogData(CATALOG_DATA);
+  });
+
+  afterAll(() => {
+    addonConfig.surpriseCatalog = false;
+    addonConfig.featuredCatalogSources = featuredSources;
+    addonConfig.featuredCatalogSize = featuredSize;
+  });
+
+  const getItems = (id, options = {}) => catalogService.getCatalogItems('movie', id, { pagination: { skip: 0 }, ...options });
+
+  test('lists Surprise Me and Featured Today without a sort extra', () => {
+    const manifest = generateManifest(CONFIG);
+    const surprise = manifest.catalogs.find((catalog) => catalog.type === 'movie' && catalog.id === SURPRISE_CATALOG_ID);
+
+    expect(manifest.catalogs.filter((catalog) => catalog.id === FEATURED_CATALOG_ID).map((catalog) => catalog.type)).toEqual(['movie', 'series']);
+    expect(surprise.name).toBe('Surprise Me');
+    expect(surprise.extra.map((entry) => entry.name)).toEqual(['skip', 'genre']);
+  });
+
+  test('shuffles every movie once, in the same order all day', () => {
+    const morning = ids(getItems(SURPRISE_CATALOG_ID, { now: at('2026-03-02T06:00:00Z') }));
+    const evening = ids(getItems(SURPRISE_CATALOG_ID, { now: at('2026-03-02T22:00:00Z') }));
+    const nextDay = ids(getItems(SURPRISE_CATALOG_ID, { now: at('2026-03-03T06:00:00Z') }));
+
+    expect(morning.slice().sort()).toEqual(MOVIES.slice().sort());
+    expect(evening).toEqual(morning);
+    expect(nextDay).not.toEqual(morning);
+  });
+
+  test('pages through the shuffled catalog with skip', () => {
+    const now = at('2026-03-02T06:00:00Z');
+    const all = ids(getItems(SURPRISE_CATALOG_ID, { now }));
+    const first = ids(getItems(SURPRISE_CATALOG_ID, { now, pagination: { skip: 0, limit: 4 } }));
+    const second = ids(getItems(SURPRISE_CATALOG_ID, { now, pagination: { skip: 4, limit: 4 } }));
+
+    expect(first.concat(second)).toEqual(all);
+  });
+
+  test('features a new set of titles from the source catalogs every day', () => {
+    const days = ['2026-03-02', '2026-03-03', '2026-03-04'].map((day) => ids(getItems(FEATURED_CATALOG_ID, { now: at(`${day}T12:00:00Z`) })));
+
+    expect(days.map((day) => day.length)).toEqual([2, 2, 2]);
+    // Five source movies, two per day: every one of them comes up within three days
+    expect(new Set(days.flat()).size).toBe(5);
+    expect(days.flat()).not.toContain('tt7060344');
+  });
+
+  test('picks the featured titles among the requested genre', () => {
+    const items = getItems(FEATURED_CATALOG_ID, { genre: 'Drama', now: at('2026-03-02T12:00:00Z') });
+
+    expect(items).toHaveLength(2);
+    expect(ids(items).every((id) => ['tt15097216', 'tt7019942', 'tt10189514'].includes(id))).toBe(true);
+  });
+
+  test('serves virtual catalogs through the catalog handler', async () => {
+    jest.useFakeTimers({ now: at('2026-03-02T12:00:00Z') });
+    try {
+      responseCache.clear();
+      const response = await handleCatalogRequest({ type: 'series', id: FEATURED_CATALOG_ID, extra: {} });
+      expect(ids(response.metas)).toEqual(['tt15516546']);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('changes the ETag daily and does not let responses be cached past midnight', () => {
+    const maxAge = addonConfig.cacheMaxAge;
+    addonConfig.cacheMaxAge = 300;
+    try {
+      expect(responseCache.getEtag(at('2026-03-02T06:00:00Z'))).toBe(responseCache.getEtag(at('2026-03-02T23:00:00Z')));
+      expect(responseCache.getEtag(at('2026-03-03T00:00:00Z'))).not.toBe(responseCache.getEtag(at('2026-03-02T23:00:00Z')));
+      expect(responseCache.getCacheControl(at('2026-03-02T23:59:00Z'))).toMatch(/^public, max-age=60, s-maxage=60/);
+    } finally {
+      addonConfig.cacheMaxAge = maxAge;
+    }
+  });
+
+  test('shows whole series, not the season another catalog features', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rkp-virtual-'));
+    const dataFile = path.join(tempDir, 'catalog_data.json');
+    fs.writeFileSync(
+      dataFile,
+      JSON.stringify({
+        catalogs: [
+          { catalog_name: 'second_seasons', catalog_type: 'series', catalog_items: [{ id: 'tt15516546', name: 'Suzhal', season: 2 }] },
+          { catalog_name: 'tamil_web_series', catalog_type: 'series', catalog_items: [{ id: 'tt15516546', name: 'Suzhal' }] },
+        ],
+      })
+    );
+
+    try {
+      catalogService.loadCatalogData(dataFile);
+      expect(catalogService.getCatalogItems('series', 'second_seasons').map((meta) => meta.name)).toEqual(['Suzhal S2']);
+      expect(catalogService.getCatalogItems('series', SURPRISE_CATALOG_ID).map((meta) => meta.name)).toEqual(['Suzhal']);
+    } finally {
+      catalogService.loadCatalogData(CATALOG_DATA);
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  test('leaves out Surprise Me unless SURPRISE_CATALOG=true', () => {
+    jest.isolateModules(() => {
+      expect(require('../src/config/addonConfig').surpriseCatalog).toBe(false);
+    });
+
+    addonConfig.surpriseCatalog = false;
+    try {
+      catalogService.loadCatalogData(CATALOG_DATA);
+      expect(catalogService.getVirtualCatalogs().map((catalog) => catalog.catalog_name)).not.toContain(SURPRISE_CATALOG_ID);
+      expect(catalogService.catalogExists('movie', SURPRISE_CATALOG_ID)).toBe(false);
+    } finally {
+      addonConfig.surpriseCatalog = true;
+      catalogService.loadCatalogData(CATALOG_DATA);
+    }
+  });
+});